@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+const { startServer } = require('../src/server');
+
+// stdio unless the client asks for --node-ipc or --socket
+if (!process.argv.some(arg => /^--(stdio|node-ipc|socket|pipe)/.test(arg))) {
+  process.argv.push('--stdio');
+}
+startServer();
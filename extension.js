@@ -3,87 +3,813 @@
  * - One unified command for heuristic detectors (except #2 and #8)
  * - Separate commands per detector
  * - Push collected issues to feedback-handler
+ * - Diagnostics, quick fixes and hovers of open documents come from the language server in src/server,
+ *   including the custom rules of their project
+ * - Workspace scans, reports and the on-demand commands (#2, #8, NIMA, single detectors) run on the extension host
+ *   with the same analyzeFile() pipeline and project settings, as they need the VS Code UI and workspace files
  */
 const vscode = require('vscode');
 const http = require('http');
-const { detectBreadcrumbs, detectLoadingPatterns, detectMatchSystemwithRealWorld, detectControlExits, detectPageConsistency, detectErrorPrevention, detectRecognitionCues, detectShortcuts, detectAestheticMinimalism, detectHelpErrorRecognition, detectHelpFeatures, FeedbackHandler } = require('./src/heuristics');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { LanguageClient, TransportKind } = require('vscode-languageclient/node');
+const { detectMatchSystemwithRealWorld, detectAestheticMinimalism, projectDetectors, FeedbackHandler, IssuesTreeProvider, HoverProvider } = require('./src/heuristics');
+const { runDetector } = require('./src/heuristics/analysis-engine');
+const { analyzeFile, addTimings, formatTimings } = require('./src/heuristics/analyze-file');
+const { analyzeFilesInWorkers } = require('./src/heuristics/worker-pool');
+const { importGraph } = require('./src/heuristics/utils/import-graph');
 const { detectBusinessDomain } = require('./src/heuristics/2-match-system-with-real-world/language-analyzer.js');
 const { extractVisibleTextFromCode } = require('./src/heuristics/utils/extractVisibleText');
 const { runVisualQualityCheck } = require('./src/visual-quality-analysis');
-const { loadCustomRules } = require('./src/heuristics/utils/load-custom-rules');
+const { loadCustomRules, getCustomRuleRoot } = require('./src/heuristics/utils/load-custom-rules');
+const { findWorkspacePackages, getPackageRoot } = require('./src/heuristics/utils/workspace-packages');
+const { readProjectSettings, mergeProjectSettings } = require('./src/cli/settings');
+const { SOURCE_FILE_GLOB, SOURCE_LANGUAGE_IDS, isSourceFile } = require('./src/heuristics/utils/source-files');
+const { createRuleResolver, applyRuleConfig } = require('./src/heuristics/utils/rules-config');
+const { IGNORE_FILES, createFileFilter } = require('./src/heuristics/utils/file-filter');
+const { applySuppressions, getSuppressionIds } = require('./src/heuristics/utils/suppressions');
+const { getDetector, getHeuristicName } = require('./src/heuristics/registry');
+const { SEVERITIES } = require('./src/heuristics/utils/issue-groups');
+const { BASELINE_FILE, createBaseline, writeBaseline, loadBaseline, filterBaselineIssues } = require('./src/heuristics/utils/baseline');
+const { HISTORY_FILE, createHistoryEntry, appendHistory, readHistory } = require('./src/heuristics/utils/history');
+const { getChangedLines, filterChangedIssues } = require('./src/heuristics/utils/git-diff');
+const { formatSarif } = require('./src/reporters/sarif');
+const { formatHtml, getWhitespaceScreenshotPath } = require('./src/reporters/html');
+const { computeScorecard, formatScorecardHtml, readWhitespaceRatio } = require('./src/reporters/scorecard');
+const { formatTrendsHtml } = require('./src/reporters/trends');
+const { formatMarkdown } = require('./src/reporters/markdown');
+
+// last NIMA result, included in the exported HTML report
+const NIMA_SCORE_KEY = 'react-ux-analyzer.lastNimaScore';
+// last base ref of `Analyze Changed Lines`
+const DIFF_BASE_KEY = 'react-ux-analyzer.lastDiffBase';
 
 let feedbackHandler;
-let detectors;
+let languageClient;
+let outputChannel;
+let workspaceState;
+let scorecardPanel;
+let trendsPanel;
+let trendsFolder;
+
+// #2 and #8 run through their own commands, the scorecard only scores them once they ran
+const analyzedOnDemand = new Set();
+
+// package folders of pnpm/yarn workspaces per workspace folder, see getProject()
+const workspacePackages = new Map();
+
+/**
+ * Project a file belongs to: the innermost pnpm/yarn workspace package containing it, otherwise its workspace folder
+ * @param {vscode.Uri} [uri] - defaults to the file in the active editor
+ * @returns {{ root: string, folder: vscode.WorkspaceFolder } | null} null if no folder is open
+ */
+function getProject(uri = vscode.window.activeTextEditor?.document.uri) {
+  const folder = (uri && vscode.workspace.getWorkspaceFolder(uri)) || vscode.workspace.workspaceFolders?.[0];
+  if (!folder) return null;
+
+  const folderRoot = folder.uri.fsPath;
+  if (!workspacePackages.has(folderRoot)) {
+    workspacePackages.set(folderRoot, findWorkspacePackages(folderRoot));
+  }
+  const packageRoot = uri && folder.uri.scheme === 'file' ? getPackageRoot(uri.fsPath, workspacePackages.get(folderRoot)) : null;
+  return { root: packageRoot || folderRoot, folder };
+}
+
+/**
+ * `react-ux-analyzer.*` settings of a project
+ * Workspace folders have their own settings in multi-root workspaces; a package may override them
+ * in its own .vscode/settings.json, rule entries are merged per rule.
+ * @param {{ root: string, folder: vscode.WorkspaceFolder } | null} project - see getProject()
+ * @returns {{ targetUrl?: string, customRulePath?: string, rules?: object, overrides?: Array, include?: string[], exclude?: string[], analyzeOnType?: boolean }}
+ */
+function getSettings(project) {
+  const config = vscode.workspace.getConfiguration('react-ux-analyzer', project?.folder.uri);
+  const settings = {
+    targetUrl: config.get('targetUrl'),
+    customRulePath: config.get('customRulePath'),
+    rules: config.get('rules'),
+    overrides: config.get('overrides'),
+    include: config.get('include'),
+    exclude: config.get('exclude'),
+    analyzeOnType: config.get('analyzeOnType')
+  };
+  if (!project || project.root === project.folder.uri.fsPath) return settings;
+
+  try {
+    return mergeProjectSettings(settings, readProjectSettings(project.root));
+  } catch (err) {
+    console.warn(`⚠️ ${err.message}`);
+    return settings;
+  }
+}
+
+/**
+ * Lookup of the rule severities and options of each file of a project,
+ * from the `react-ux-analyzer.rules` setting and its per-glob `overrides`
+ * @param {object} project - see getProject()
+ * @param {{ report?: boolean }} [options] - `report: false` skips the warnings about invalid entries, e.g. while typing
+ * @returns {(filePath?: string) => object}
+ */
+function getRuleResolver(project, { report = true } = {}) {
+  return createRuleResolver(getSettings(project), project?.root, report ? (message) => vscode.window.showWarningMessage(message) : undefined);
+}
+
+/**
+ * Rule severities and options of a file
+ * @param {{ report?: boolean, uri?: vscode.Uri }} [options] - see getRuleResolver(); `uri` defaults to the file in the active editor
+ */
+function getRules({ report = true, uri = vscode.window.activeTextEditor?.document.uri } = {}) {
+  return getRuleResolver(getProject(uri), { report })(uri?.scheme === 'file' ? uri.fsPath : undefined);
+}
+
+/**
+ * Filter of the files analyzed in a project: `include`/`exclude` settings, .gitignore and .ruxignore
+ * of the project and its workspace folder
+ * @param {object} project - see getProject()
+ * @returns {(filePath: string) => boolean}
+ */
+function getFileFilter(project) {
+  const { include, exclude } = getSettings(project);
+  return createFileFilter({ root: project.root, include, exclude, ignoreDirs: [project.root, project.folder.uri.fsPath] });
+}
+
+/**
+ * Drops issues suppressed by rux-disable comments or turned off in the rules setting
+ * @param {Array} issues
+ * @param {string} content - source code the issues were found in
+ * @param {Set<string>} checkedIds - ids of the detectors that ran, see getSuppressionIds()
+ * @param {object} [rules]
+ */
+function filterIssues(issues, content, checkedIds, rules = getRules()) {
+  return applyRuleConfig(applySuppressions(issues, content, { checkedIds }), rules);
+}
+
+/**
+ * Settings for loadCustomRules() resolved from the VS Code configuration
+ * @param {object} [project] - see getProject(), defaults to the project of the active editor
+ */
+function getCustomRuleOptions(project = getProject()) {
+  const settings = getSettings(project);
+  return {
+    workspaceFolder: project && getCustomRuleRoot([project.root, project.folder.uri.fsPath], settings.customRulePath),
+    customRulePath: settings.customRulePath,
+    targetUrl: settings.targetUrl,
+    notify: {
+      info: (message) => vscode.window.showInformationMessage(message),
+      warn: (message) => vscode.window.showWarningMessage(message),
+      error: (message) => vscode.window.showErrorMessage(message)
+    }
+  };
+}
+
+/**
+ * Writes to the "React UX Analyzer" output channel and the extension host log
+ * @param {string} message
+ */
+function log(message) {
+  console.log(message);
+  outputChannel?.appendLine(message);
+}
+
+/**
+ * Runs the project detectors and custom rules on all React files of the workspace
+ * Files are grouped by project (workspace folder or workspace package), each project is filtered by its
+ * include/exclude settings and ignore files and analyzed with its own rules and custom rules. Every scan runs the
+ * custom rules, like the language server, so scans, baselines and editor diagnostics report the same findings.
+ * The detectors run in a pool of worker threads. Custom rules may use the VS Code API, which workers cannot load,
+ * so projects with custom rules run on the extension host.
+ * @param {object} [options]
+ * @param {readonly vscode.WorkspaceFolder[]} [options.folders] - defaults to all workspace folders
+ * @param {(filePath: string) => boolean} [options.filter] - only analyze matching files, e.g. changed files
+ * @param {(result: { filePath: string, content: string, issues: Array }, done: number, total: number) => void} [options.onResult] - called as soon as a file is analyzed
+ * @param {vscode.CancellationToken} [options.token] - stops the scan, results so far are kept
+ * @returns {Promise<{ results: Array<{ filePath: string, content: string, issues: Array }>, cancelled: boolean, total: number }>}
+ */
+async function scanWorkspaceFiles({ folders = vscode.workspace.workspaceFolders || [], filter = () => true, onResult = () => {}, token } = {}) {
+  const startTime = Date.now();
+  const projects = new Map();
+  for (const folder of folders) {
+    // include/exclude globs are relative to each package, so they are applied after the search
+    const files = (await vscode.workspace.findFiles(new vscode.RelativePattern(folder, SOURCE_FILE_GLOB), '**/node_modules/**'))
+      .filter(file => isSourceFile(file.fsPath));
+    for (const file of files) {
+      const project = getProject(file);
+      // files of a nested workspace folder belong to that folder
+      if (project.folder !== folder) continue;
+      if (!projects.has(project.root)) projects.set(project.root, { project, files: [], isAnalyzed: getFileFilter(project) });
+      const entry = projects.get(project.root);
+      if (entry.isAnalyzed(file.fsPath) && filter(file.fsPath)) entry.files.push(file.fsPath);
+    }
+  }
+
+  const total = [...projects.values()].reduce((sum, { files }) => sum + files.length, 0);
+  // open editors may have unsaved changes
+  const readFile = async (filePath) => (await vscode.workspace.openTextDocument(filePath)).getText();
+  const isCancelled = () => Boolean(token?.isCancellationRequested);
+  // also terminates the workers that are still analyzing a file
+  const cancellation = new AbortController();
+  token?.onCancellationRequested(() => cancellation.abort());
+  const scan = { results: [], timings: {}, cancelled: false };
+  const report = (result) => {
+    scan.results.push(result);
+    onResult(result, scan.results.length, total);
+  };
+
+  for (const { project, files } of projects.values()) {
+    if (scan.cancelled) break;
+    const rules = getRuleResolver(project);
+    const options = getCustomRuleOptions(project);
+    // projects without custom rules should not get a popup on every scan, load errors are still shown
+    const notify = { ...options.notify, info: (message) => console.log(message), warn: (message) => console.warn(message) };
+    const projectRules = await loadCustomRules({ ...options, notify });
+    log(`🔍 Analyzing ${files.length} file(s) of ${project.root}`);
+
+    if (projectRules.length > 0) {
+      for (const filePath of files) {
+        if (isCancelled()) {
+          scan.cancelled = true;
+          break;
+        }
+        const content = await readFile(filePath);
+        const { issues, timings } = await analyzeFile(content, { detectors: projectDetectors, customRules: projectRules, fileName: filePath, rules: rules(filePath) });
+        addTimings(scan.timings, timings);
+        report({ filePath, content, issues });
+      }
+    } else {
+      const projectScan = await analyzeFilesInWorkers(files, { readFile, rules, onResult: report, signal: cancellation.signal });
+      projectScan.errors.forEach(({ filePath, error }) => log(`❌ Analysis of ${filePath} failed: ${error.message}`));
+      addTimings(scan.timings, projectScan.timings);
+      scan.cancelled = projectScan.cancelled;
+    }
+  }
+
+  const seconds = (Date.now() - startTime) / 1000;
+  const filesPerSecond = seconds > 0 ? scan.results.length / seconds : scan.results.length;
+  log(`⏱️ Analyzed ${scan.results.length} of ${total} file(s) in ${seconds.toFixed(1)}s (${filesPerSecond.toFixed(1)} files/s)${scan.cancelled ? ', cancelled' : ''}`);
+  log(`⏱️ Detector timings: ${formatTimings(scan.timings).join(', ')}`);
+  return { results: scan.results, cancelled: scan.cancelled, total };
+}
+
+/**
+ * Baseline of a workspace folder, scans only show issues that are not part of it
+ * @param {vscode.WorkspaceFolder} [folder] - defaults to the folder of the active editor
+ */
+function getBaseline(folder = getProject()?.folder) {
+  if (!folder) return null;
+  try {
+    return loadBaseline(folder.uri.fsPath);
+  } catch (err) {
+    vscode.window.showWarningMessage(`⚠️ Ignoring ${BASELINE_FILE} of ${folder.name}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Baselines of all workspace folders, looked up per file with getFileBaseline()
+ * @returns {Map<string, object>} folder root -> baseline
+ */
+function getBaselines() {
+  return new Map((vscode.workspace.workspaceFolders || []).map(folder => [folder.uri.fsPath, getBaseline(folder)]));
+}
+
+/**
+ * @param {Map<string, object>} baselines - see getBaselines()
+ * @param {string} filePath
+ */
+function getFileBaseline(baselines, filePath) {
+  const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+  return folder ? baselines.get(folder.uri.fsPath) : null;
+}
+
+/**
+ * Asks for the workspace folder in multi-root workspaces
+ * @returns {Promise<vscode.WorkspaceFolder | undefined>}
+ */
+async function pickWorkspaceFolder() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  if (folders.length <= 1) return folders[0];
+  return vscode.window.showWorkspaceFolderPick({ placeHolder: 'Workspace folder to analyze' });
+}
+
+// Saves in quick succession (e.g. "Save All") trigger one scan
+const SAVE_DELAY_MS = 300;
+const pendingAnalyses = new Map();
+// closed files waiting for rescanImporters()
+const pendingImporters = new Set();
+
+/**
+ * Runs the task once no further call with the same key happened for `delay` ms
+ * @param {string} key
+ * @param {number} delay
+ * @param {() => Promise<void>} task
+ */
+function debounce(key, delay, task) {
+  clearTimeout(pendingAnalyses.get(key));
+  pendingAnalyses.set(key, setTimeout(() => {
+    pendingAnalyses.delete(key);
+    task().catch(err => console.error(`Analysis of ${key} failed:`, err));
+  }, delay));
+}
+
+/**
+ * Starts the language server, which analyzes open documents on open, save and while typing
+ * Its diagnostics carry the issues, they go to the FeedbackHandler like the results of a scan,
+ * so the Problems panel, the UX Issues view and the scorecard show the same findings.
+ * @param {vscode.ExtensionContext} context
+ * @returns {LanguageClient}
+ */
+function startLanguageClient(context) {
+  const serverModule = context.asAbsolutePath(path.join('src', 'server', 'index.js'));
+  const serverOptions = { module: serverModule, transport: TransportKind.ipc };
+  // the server analyzes open documents again when their baseline, ignore files or packages change
+  const projectFiles = vscode.workspace.createFileSystemWatcher(`**/{${[BASELINE_FILE, ...IGNORE_FILES, 'package.json', 'pnpm-workspace.yaml'].join(',')}}`);
+  context.subscriptions.push(projectFiles);
+  const clientOptions = {
+    documentSelector: SOURCE_LANGUAGE_IDS.map(language => ({ language, scheme: 'file' })),
+    synchronize: {
+      configurationSection: 'react-ux-analyzer',
+      fileEvents: projectFiles
+    },
+    outputChannel,
+    middleware: {
+      handleDiagnostics: (uri, diagnostics) => {
+        feedbackHandler.updateResults(uri.fsPath, diagnostics.map(diagnostic => diagnostic.data));
+      }
+    }
+  };
+
+  const client = new LanguageClient('react-ux-analyzer', 'React UX Analyzer', serverOptions, clientOptions);
+  client.start().catch(err => log(`❌ React UX Analyzer language server failed to start: ${err.message}`));
+  return client;
+}
+
+/**
+ * Scans the closed files importing a saved file again, their results may depend on it (see import-graph.js)
+ * Open documents are analyzed again by the language server.
+ * @param {string} filePath - saved file
+ */
+function rescanImporters(filePath) {
+  importGraph.invalidate(filePath);
+  const results = feedbackHandler.getResults();
+  const openFiles = new Set(vscode.workspace.textDocuments.map(document => document.fileName));
+  importGraph.getImporters(filePath)
+    .filter(importer => results.has(importer) && !openFiles.has(importer))
+    .forEach(importer => pendingImporters.add(importer));
+  if (pendingImporters.size === 0) return;
+
+  debounce('importers', SAVE_DELAY_MS, async () => {
+    const files = new Set(pendingImporters);
+    pendingImporters.clear();
+    const baselines = getBaselines();
+    await scanWorkspaceFiles({
+      filter: (file) => files.has(file),
+      onResult: ({ filePath: file, content, issues }) => {
+        feedbackHandler.updateResults(file, filterBaselineIssues(issues, getFileBaseline(baselines, file), file, content));
+      }
+    });
+  });
+}
 
 async function usabilityAnalyzeReactFiles() {
   await vscode.window.withProgress({
     location: vscode.ProgressLocation.Notification,
-    title: "Scanning React files for UX issues...",
-    cancellable: false
-  }, async () => {
+    title: "Scanning React files for UX issues",
+    cancellable: true
+  }, async (progress, token) => {
     feedbackHandler.clearAll();
+    const baselines = getBaselines();
     let totalIssues = 0;
-    const files = await vscode.workspace.findFiles('**/*.jsx', '**/node_modules/**');
-    for (const file of files) {
-      const document = await vscode.workspace.openTextDocument(file);
-      const content = document.getText();
-      const fileName = document.fileName;
-      try {
-        let fileIssues = [];
-        for (const detector of detectors) {
-          let issues = [];
-          try {
-            issues = await detector.fn(content);
-          } catch (err) {
-            console.error(`❌ Detector "${detector.type}" failed:`, err);
-          }
-          if (issues.length > 0) {
-            totalIssues += issues.length;
-            fileIssues.push(...issues.map(issue => ({
-              ...issue,
-              analysisType: detector.type
-            })));
-          }
-        }
-        feedbackHandler.showResults(fileName, fileIssues);
-      } catch (err) {
-        console.error(`❌ General analysis error for ${fileName}:`, err);
+
+    // each file shows up in the Problems panel as soon as it is analyzed
+    const { results, cancelled, total } = await scanWorkspaceFiles({
+      token,
+      onResult: ({ filePath, content, issues }, done, total) => {
+        const newIssues = filterBaselineIssues(issues, getFileBaseline(baselines, filePath), filePath, content);
+        totalIssues += newIssues.length;
+        feedbackHandler.updateResults(filePath, newIssues);
+        progress.report({ increment: 100 / total, message: `${done}/${total} files` });
       }
+    });
+
+    if (!cancelled) {
+      recordHistory(results);
+    }
+
+    const baselineSize = [...baselines.values()].reduce((sum, baseline) => sum + (baseline?.size || 0), 0);
+    const found = baselineSize > 0 ? `${totalIssues} new issue(s) (${baselineSize} in ${BASELINE_FILE})` : `${totalIssues} issue(s)`;
+    if (cancelled) {
+      vscode.window.showWarningMessage(`⏹️ Scan cancelled after ${results.length} of ${total} file(s), React UX Analyzer found ${found} so far.`);
+    } else {
+      vscode.window.showWarningMessage(` React UX Analyzer found ${found}.`);
     }
-    
-    await new Promise(resolve => setTimeout(resolve, 1200));
-    vscode.window.showWarningMessage(` React UX Analyzer found ${totalIssues} issue(s).`);
   });
 }
 
+/**
+ * Appends a summary of a full scan to the history of each workspace folder, see showTrends()
+ * @param {Array<{ filePath: string, issues: Array }>} results - all issues, the baseline does not hide UX debt here
+ */
+function recordHistory(results) {
+  const nimaScore = workspaceState?.get(NIMA_SCORE_KEY);
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    const root = folder.uri.fsPath;
+    const folderResults = results.filter(result => vscode.workspace.getWorkspaceFolder(vscode.Uri.file(result.filePath)) === folder);
+    const nimaFolder = nimaScore?.root && vscode.workspace.getWorkspaceFolder(vscode.Uri.file(nimaScore.root));
+    try {
+      appendHistory(root, createHistoryEntry(folderResults, { root, nimaScore: nimaFolder === folder ? nimaScore : undefined }));
+    } catch (err) {
+      log(`❌ Could not write ${HISTORY_FILE} of ${root}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Scans a workspace folder including custom rules and saves the new issues in a report file
+ * @param {{ title: string, fileName: string, filters: object, format: (results: Array, root: string) => string }} report
+ */
+async function exportReport({ title, fileName, filters, format }) {
+  if (!vscode.workspace.workspaceFolders?.length) {
+    vscode.window.showErrorMessage('❌ Please open a workspace folder first!');
+    return;
+  }
+  const folder = await pickWorkspaceFolder();
+  if (!folder) {
+    return; // User cancelled
+  }
+  const root = folder.uri.fsPath;
+
+  const target = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.file(path.join(root, fileName)),
+    filters
+  });
+  if (!target) {
+    return; // User cancelled
+  }
+
+  await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: `Exporting ${title}...`,
+    cancellable: true
+  }, async (progress, token) => {
+    try {
+      const baseline = getBaseline(folder);
+      const scan = await scanWorkspaceFiles({ folders: [folder], token });
+      if (scan.cancelled) return;
+
+      const results = scan.results.map(result => ({
+        ...result,
+        issues: filterBaselineIssues(result.issues, baseline, result.filePath, result.content)
+      }));
+
+      fs.writeFileSync(target.fsPath, format(results, root));
+      const count = results.reduce((sum, result) => sum + result.issues.length, 0);
+      const choice = await vscode.window.showInformationMessage(
+        `📄 ${title} with ${count} issue(s) written to ${path.basename(target.fsPath)}.`,
+        'Open'
+      );
+      if (choice === 'Open') {
+        vscode.env.openExternal(target);
+      }
+    } catch (err) {
+      console.error(`${title} export error:`, err);
+      vscode.window.showErrorMessage(`❌ ${title} export failed: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Reports only the issues on lines changed since the merge base with a git ref, for code reviews.
+ * Runs the project detectors and custom rules on the changed files of a workspace folder and offers a PR summary.
+ */
+async function analyzeChanges() {
+  if (!vscode.workspace.workspaceFolders?.length) {
+    vscode.window.showErrorMessage('❌ Please open a workspace folder first!');
+    return;
+  }
+  const folder = await pickWorkspaceFolder();
+  if (!folder) {
+    return; // User cancelled
+  }
+  const baseRef = (await vscode.window.showInputBox({
+    prompt: 'Base branch, tag or commit to compare with',
+    value: workspaceState.get(DIFF_BASE_KEY, 'main'),
+    validateInput: (value) => value.trim() ? null : 'Please enter a git ref, e.g. main or origin/main'
+  }))?.trim();
+  if (!baseRef) {
+    return; // User cancelled
+  }
+  workspaceState.update(DIFF_BASE_KEY, baseRef);
+
+  let changedLines;
+  try {
+    changedLines = getChangedLines(folder.uri.fsPath, baseRef);
+  } catch (err) {
+    vscode.window.showErrorMessage(`❌ Could not diff against ${baseRef}: ${err.message}`);
+    return;
+  }
+
+  await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: `Analyzing changes since ${baseRef}`,
+    cancellable: true
+  }, async (progress, token) => {
+    feedbackHandler.clearAll();
+    const changedResults = [];
+
+    const { cancelled } = await scanWorkspaceFiles({
+      folders: [folder],
+      filter: (filePath) => changedLines.has(filePath),
+      token,
+      onResult: ({ filePath, issues }, done, total) => {
+        const changedIssues = filterChangedIssues(issues, changedLines.get(filePath));
+        changedResults.push({ filePath, issues: changedIssues });
+        feedbackHandler.updateResults(filePath, changedIssues);
+        progress.report({ increment: 100 / total, message: `${done}/${total} changed files` });
+      }
+    });
+    if (cancelled) {
+      vscode.window.showWarningMessage('⏹️ Analysis of the changes cancelled.');
+      return;
+    }
+
+    const count = changedResults.reduce((sum, result) => sum + result.issues.length, 0);
+    const choice = await vscode.window.showInformationMessage(
+      `🔀 ${count} UX issue(s) on lines changed since ${baseRef} in ${changedResults.length} file(s).`,
+      'Copy PR Summary'
+    );
+    if (choice === 'Copy PR Summary') {
+      await vscode.env.clipboard.writeText(formatMarkdown(changedResults, { root: folder.uri.fsPath, baseRef }));
+      vscode.window.setStatusBarMessage('📋 PR summary copied to the clipboard', 5000);
+    }
+  });
+}
+
+/**
+ * Writes all current findings of each workspace folder to its .rux-baseline.json, later scans only show new issues
+ */
+async function createBaselineFile() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  if (folders.length === 0) {
+    vscode.window.showErrorMessage('❌ Please open a workspace folder first!');
+    return;
+  }
+
+  await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: "Creating UX baseline...",
+    cancellable: true
+  }, async (progress, token) => {
+    // a baseline of only some files would report every issue of the other files as new
+    const scan = await scanWorkspaceFiles({ token });
+    if (scan.cancelled) return;
+
+    let count = 0;
+    for (const folder of folders) {
+      const root = folder.uri.fsPath;
+      const results = scan.results.filter(result => vscode.workspace.getWorkspaceFolder(vscode.Uri.file(result.filePath)) === folder);
+      const baseline = createBaseline(results, root);
+      writeBaseline(root, baseline);
+      count += baseline.issues.reduce((sum, entry) => sum + entry.count, 0);
+    }
+    feedbackHandler.clearAll();
+
+    vscode.window.showInformationMessage(`📌 Baseline with ${count} issue(s) written to ${BASELINE_FILE}. Scans now only show new issues.`);
+  });
+}
+
+/**
+ * Runs the detectors of one heuristic on a file again and replaces only their issues, from the UX Issues view
+ * @param {{ file: { filePath: string }, group: { heuristic?: number, analysisTypes: string[] } }} node - file node of IssuesTreeProvider
+ */
+async function rerunHeuristic(node) {
+  const { filePath } = node.file;
+  const { heuristic, analysisTypes } = node.group;
+  const detectors = projectDetectors.filter(detector => heuristic ? detector.heuristic === heuristic : analysisTypes.includes(detector.type));
+  if (detectors.length === 0) return;
+
+  try {
+    const document = await vscode.workspace.openTextDocument(filePath);
+    const content = document.getText();
+    const types = new Set(detectors.map(detector => detector.type));
+    const { issues } = await analyzeFile(content, { detectors, fileName: filePath, rules: getRules({ uri: document.uri }) });
+
+    // issues of other heuristics stay, unused suppressions are only known after a full analysis
+    const newIssues = filterBaselineIssues(issues.filter(issue => types.has(issue.analysisType)), getBaseline(getProject(document.uri)?.folder), filePath, content);
+    const otherIssues = (feedbackHandler.getResults().get(filePath) || []).filter(issue => !types.has(issue.analysisType));
+    feedbackHandler.updateResults(filePath, [...otherIssues, ...newIssues]);
+    vscode.window.setStatusBarMessage(`✅ ${getHeuristicName(detectors[0].type)}: ${newIssues.length} issue(s) in ${path.basename(filePath)}`, 5000);
+  } catch (err) {
+    console.error(`Error analyzing ${filePath} again:`, err);
+    vscode.window.showErrorMessage(`❌ Analysis of ${path.basename(filePath)} failed: ${err.message}`);
+  }
+}
+
+/**
+ * Scans the workspace and shows the UX scorecard: a score per heuristic, top offending files, NIMA and whitespace ratio
+ * @param {vscode.ExtensionContext} context
+ */
+async function showScorecard(context) {
+  if (!vscode.workspace.workspaceFolders?.length) {
+    vscode.window.showErrorMessage('❌ Please open a workspace folder first!');
+    return;
+  }
+
+  const scan = await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: "Computing UX scorecard",
+    cancellable: true
+  }, (progress, token) => scanWorkspaceFiles({
+    token,
+    onResult: (result, done, total) => progress.report({ increment: 100 / total, message: `${done}/${total} files` })
+  }));
+  if (scan.cancelled) return;
+
+  // #2 and #8 findings of the last on-demand runs
+  const results = scan.results.map(result => ({
+    ...result,
+    issues: [...result.issues, ...(feedbackHandler.getResults().get(result.filePath) || []).filter(issue => !getDetector(issue.analysisType)?.create)]
+  }));
+
+  // NIMA score and whitespace ratio of the package open in the editor
+  const projectRoot = getProject()?.root ?? vscode.workspace.workspaceFolders[0].uri.fsPath;
+  const nimaScore = context.workspaceState.get(NIMA_SCORE_KEY);
+  const scorecard = computeScorecard(results, {
+    relativePath: (filePath) => vscode.workspace.asRelativePath(filePath),
+    analyzedTypes: analyzedOnDemand,
+    nimaScore: nimaScore && (!nimaScore.root || nimaScore.root === projectRoot) ? nimaScore : undefined,
+    whitespaceRatio: readWhitespaceRatio(projectRoot)
+  });
+
+  if (!scorecardPanel) {
+    scorecardPanel = vscode.window.createWebviewPanel('react-ux-analyzer.scorecard', 'UX Scorecard', vscode.ViewColumn.Active, {
+      enableScripts: true,
+      localResourceRoots: []
+    });
+    scorecardPanel.onDidDispose(() => {
+      scorecardPanel = undefined;
+    }, null, context.subscriptions);
+    scorecardPanel.webview.onDidReceiveMessage(async (message) => {
+      if (message.command === 'refresh') {
+        showScorecard(context);
+      } else if (message.command === 'open') {
+        const position = new vscode.Position(Math.max(0, (message.line || 1) - 1), 0);
+        await openFile(message.filePath, {
+          viewColumn: vscode.ViewColumn.One,
+          selection: new vscode.Range(position, position)
+        });
+      }
+    }, null, context.subscriptions);
+  }
+
+  const { webview } = scorecardPanel;
+  webview.html = formatScorecardHtml(scorecard, { cspSource: webview.cspSource, nonce: crypto.randomBytes(16).toString('hex') });
+  scorecardPanel.reveal();
+}
+
+/**
+ * Opens a file linked from a webview, it may have been deleted since the scan or the history entry
+ * @param {string} filePath
+ * @param {vscode.TextDocumentShowOptions} options
+ */
+async function openFile(filePath, options) {
+  try {
+    await vscode.window.showTextDocument(vscode.Uri.file(filePath), options);
+  } catch (err) {
+    vscode.window.showWarningMessage(`⚠️ Could not open ${vscode.workspace.asRelativePath(filePath)}: ${err.message}`);
+  }
+}
+
+/**
+ * Shows the UX trends of a workspace folder from its scan history, with regressions since the previous scan or a commit
+ * @param {vscode.ExtensionContext} context
+ */
+async function showTrends(context) {
+  if (!vscode.workspace.workspaceFolders?.length) {
+    vscode.window.showErrorMessage('❌ Please open a workspace folder first!');
+    return;
+  }
+  const folder = await pickWorkspaceFolder();
+  if (!folder) {
+    return; // User cancelled
+  }
+  trendsFolder = folder;
+
+  if (!trendsPanel) {
+    trendsPanel = vscode.window.createWebviewPanel('react-ux-analyzer.trends', 'UX Trends', vscode.ViewColumn.Active, {
+      enableScripts: true,
+      localResourceRoots: []
+    });
+    trendsPanel.onDidDispose(() => {
+      trendsPanel = undefined;
+    }, null, context.subscriptions);
+    trendsPanel.webview.onDidReceiveMessage((message) => {
+      if (message.command === 'compare') {
+        renderTrends(message.commit || undefined);
+      } else if (message.command === 'open') {
+        openFile(path.join(trendsFolder.uri.fsPath, message.file), { viewColumn: vscode.ViewColumn.One });
+      }
+    }, null, context.subscriptions);
+  }
+
+  renderTrends();
+  trendsPanel.reveal();
+}
+
+/**
+ * @param {string} [commit] - commit to compare the latest scan with, defaults to the previous scan
+ */
+function renderTrends(commit) {
+  const { webview } = trendsPanel;
+  trendsPanel.title = `UX Trends: ${trendsFolder.name}`;
+  webview.html = formatTrendsHtml(readHistory(trendsFolder.uri.fsPath), { commit, root: trendsFolder.uri.fsPath, cspSource: webview.cspSource, nonce: crypto.randomBytes(16).toString('hex') });
+}
+
+/**
+ * Runs one registered detector on the file in the active editor
+ * @param {{ type: string, name: string, create: Function, codes?: Object<string, string> }} detector - registry entry
+ */
+function analyzeCurrentFile(detector) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    vscode.window.showErrorMessage('❌ Please open a file first!');
+    return;
+  }
+
+  feedbackHandler.clearAll();
+
+  const document = editor.document;
+  const content = document.getText();
+  const fileName = document.fileName;
+
+  try {
+    const rules = getRules({ uri: document.uri });
+    const issues = runDetector(detector, content, { fileName, rules });
+    feedbackHandler.showResults(fileName, filterIssues(issues, content, getSuppressionIds([detector]), rules));
+  } catch (err) {
+    console.error(`Error running ${detector.name} detector on ${fileName}:`, err);
+    vscode.window.showErrorMessage(`${detector.name} analysis failed: ${err.message}`);
+  }
+}
+
 function activate(context) {
   console.log('🚀 React UX Analyzer extension is active!');
   vscode.window.showInformationMessage('✅ React UX Analyzer loaded!');
 
   feedbackHandler = new FeedbackHandler();
+  workspaceState = context.workspaceState;
+  outputChannel = vscode.window.createOutputChannel('React UX Analyzer');
+  context.subscriptions.push(outputChannel);
   const secretStorage = context.secrets;
 
-  detectors = [
-    { fn: detectBreadcrumbs, type: 'BREADCRUMB' },
-    { fn: detectLoadingPatterns, type: 'LOADING' },
-    { fn: detectControlExits, type: 'CONTROL' },
-    { fn: detectPageConsistency, type: 'CONSISTENCY' },
-    { fn: detectErrorPrevention, type: 'ERROR_PREVENTION' },
-    { fn: detectRecognitionCues, type: 'RECOGNITION' },
-    { fn: detectShortcuts, type: 'FLEXIBILITY_EFFICIENCY' },
-    { fn: detectHelpErrorRecognition, type: 'ERROR_RECOVERY' },
-    { fn: detectHelpFeatures, type: 'HELP' }
-    // async functions
-    /*{fn: detectMatchSystemwithRealWorld, type: 'MATCH_SYSTEM_REAL_WORLD'}*/
-    /*{fn: detectAestheticMinimalism, type: 'AESTHETIC_MINIMALISM'}*/
-  ];
-
-  // Watch for .jsx file saves and trigger heuristic analysis
-  vscode.workspace.onDidSaveTextDocument((document) => {
-  if (document.languageId === 'javascriptreact' || document.fileName.endsWith('.jsx')) {
-    usabilityAnalyzeReactFiles();
-  }
-  });
+  // UX Issues view: findings grouped by heuristic -> issue type -> file
+  const issuesTree = new IssuesTreeProvider(feedbackHandler);
+  const issuesView = vscode.window.createTreeView('react-ux-analyzer.issues', { treeDataProvider: issuesTree });
+  const updateBadge = () => {
+    const count = issuesTree.getCount();
+    issuesView.badge = count > 0 ? { value: count, tooltip: `${count} UX issue(s)` } : undefined;
+  };
+  context.subscriptions.push(issuesTree, issuesView, issuesTree.onDidChangeTreeData(updateBadge));
+
+  // Command: Show only some severities in the UX Issues view
+  context.subscriptions.push(vscode.commands.registerCommand('react-ux-analyzer.filterIssuesBySeverity', async () => {
+    const picked = await vscode.window.showQuickPick(
+      SEVERITIES.map(severity => ({ label: severity, picked: issuesTree.severities.includes(severity) })),
+      { canPickMany: true, placeHolder: 'Severities shown in the UX Issues view' }
+    );
+    if (!picked) {
+      return; // User cancelled
+    }
+    const severities = picked.map(item => item.label);
+    issuesTree.setSeverities(severities);
+    issuesView.description = severities.length === SEVERITIES.length ? undefined : severities.join(', ') || 'nothing selected';
+  }));
+
+  // Command: Analyze a file of the UX Issues view again with one heuristic
+  context.subscriptions.push(vscode.commands.registerCommand('react-ux-analyzer.rerunHeuristic', rerunHeuristic));
+
+  // Diagnostics, quick fixes and hovers of open documents
+  languageClient = startLanguageClient(context);
+
+  // Hovers of the findings of #2, #8 and NIMA, which the language server does not analyze
+  context.subscriptions.push(vscode.languages.registerHoverProvider(
+    SOURCE_LANGUAGE_IDS.map(language => ({ language, scheme: 'file' })),
+    new HoverProvider(feedbackHandler)
+  ));
+
+  // Every file is filtered by the baseline and the ignore files
+  context.subscriptions.push(vscode.workspace.onDidSaveTextDocument((document) => {
+    if ([BASELINE_FILE, ...IGNORE_FILES].includes(path.basename(document.fileName))) {
+      debounce(BASELINE_FILE, SAVE_DELAY_MS, usabilityAnalyzeReactFiles);
+    } else if (['package.json', 'pnpm-workspace.yaml'].includes(path.basename(document.fileName))) {
+      // workspace packages may have been added or removed
+      workspacePackages.clear();
+    } else if (isSourceFile(document.fileName)) {
+      rescanImporters(document.fileName);
+    }
+  }));
+
+  context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(() => workspacePackages.clear()));
 
   // Command: Set OpenRouter API Key
   const setKeyCommand = vscode.commands.registerCommand('react-ux-analyzer.setApiKey', async () => {
@@ -109,7 +835,8 @@ function activate(context) {
 
   // Command: Set Target URL for analysis
   const setTargetUrlCommand = vscode.commands.registerCommand('react-ux-analyzer.setTargetUrl', async () => {
-    const currentUrl = vscode.workspace.getConfiguration('react-ux-analyzer').get('targetUrl') || 'http://localhost:3000';
+    const project = getProject();
+    const currentUrl = getSettings(project).targetUrl || 'http://localhost:3000';
     
     // Pop up input box with to enter localhost URL
     const newUrl = await vscode.window.showInputBox({
@@ -130,63 +857,14 @@ function activate(context) {
       return;
     }
 
-    // URL speichern
-    await vscode.workspace.getConfiguration('react-ux-analyzer').update('targetUrl', newUrl, true);
-    vscode.window.showInformationMessage(`✅ Target URL set to: ${newUrl}`);
-  });
-
-  // Command: Analyze Breadcrumb in current file
-  const analyzeBreadcrumbCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeBreadcrumbs', () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-      vscode.window.showErrorMessage('❌ Please open a file first!');
-      return;
-    }
-
-    feedbackHandler.clearAll();
-
-    const document = editor.document;
-    const content = document.getText();
-    const fileName = document.fileName;
-
-    try {
-      const issues = detectBreadcrumbs(content);
-
-      feedbackHandler.showResults(fileName, issues.map(issue => ({
-        ...issue,
-        analysisType: 'BREADCRUMB'
-      })));
-    } catch (err) {
-      console.error(`Error running Breadcrumb detector on ${fileName}:`, err);
-      vscode.window.showErrorMessage(`Breadcrumb analysis failed: ${err.message}`);
-    }
-  });
-
-  // Command: Analyze Loading Patterns in current file 
-  const analyzeLoadingCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeLoading', () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-      vscode.window.showErrorMessage('❌ Please open a file first!');
-      return;
-    }
-
-    feedbackHandler.clearAll();
-
-    const document = editor.document;
-    const content = document.getText();
-    const fileName = document.fileName;
-
-    try {
-      const issues = detectLoadingPatterns(content);
-
-      feedbackHandler.showResults(fileName, issues.map(issue => ({
-        ...issue,
-        analysisType: 'LOADING'
-      })));
-    } catch (err) {
-      console.error(`Error running Loading detector on ${fileName}:`, err);
-      vscode.window.showErrorMessage(`Loading analysis failed: ${err.message}`);
-    }
+    // URL speichern, in multi-root workspaces only for the folder of the active editor
+    const multiRoot = (vscode.workspace.workspaceFolders?.length || 0) > 1;
+    await vscode.workspace.getConfiguration('react-ux-analyzer', project?.folder.uri).update(
+      'targetUrl',
+      newUrl,
+      multiRoot ? vscode.ConfigurationTarget.WorkspaceFolder : vscode.ConfigurationTarget.Global
+    );
+    vscode.window.showInformationMessage(`✅ Target URL set to: ${newUrl}${multiRoot ? ` for ${project.folder.name}` : ''}`);
   });
 
   //Command: Analyze Match System with Real World
@@ -240,6 +918,7 @@ function activate(context) {
 
             // Run the JSX analyzer with the detected domain
             const issues = await detectMatchSystemwithRealWorld(visibleText, domain, apiKey);
+            analyzedOnDemand.add('MATCH_SYSTEM_REAL_WORLD');
 
             progress.report({ increment: 100, message: "Jargon analysis complete." });
 
@@ -250,10 +929,10 @@ function activate(context) {
             //console.log(Array.isArray(issues), issues);
             feedbackHandler.showResults(
               //editor.document.fileName, issues
-              fileName, issues.map((issue) => ({
+              fileName, filterIssues(issues.map((issue) => ({
                 ...issue,
                 analysisType: 'MATCH_SYSTEM_REAL_WORLD',
-              }))
+              })), content, getSuppressionIds([getDetector('MATCH_SYSTEM_REAL_WORLD')]))
             );
 
         } catch (err) {
@@ -264,141 +943,6 @@ function activate(context) {
     );
   });
 
-  // Command: Analyze Control Exit
-  const analyzeControlExitCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeControlExits', () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-      vscode.window.showErrorMessage('❌ Please open a file first!');
-      return;
-    }
-
-    feedbackHandler.clearAll();
-
-    const document = editor.document;
-    const content = document.getText();
-    const fileName = document.fileName;
-
-    try {
-      const issues = detectControlExits(content);
-
-      feedbackHandler.showResults(fileName, issues.map(issue => ({
-        ...issue,
-        analysisType: 'CONTROL'
-      })));
-    } catch (err) {
-      console.error(`Error running Control Exit detector on ${fileName}:`, err);
-      vscode.window.showErrorMessage(`Control Exit analysis failed: ${err.message}`);
-    }
-  });
-
-  //Command: Analyze Page Consistency
-  const analyzePageConsistencyCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzePageConsistency', () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-      vscode.window.showErrorMessage('❌ Please open a file first!');
-      return;
-    }
-
-    feedbackHandler.clearAll();
-
-    const document = editor.document;
-    const content = document.getText();
-    const fileName = document.fileName;
-
-    try {
-      const issues = detectPageConsistency(content);
-
-      feedbackHandler.showResults(fileName, issues.map(issue => ({
-        ...issue,
-        analysisType: 'CONSISTENCY'
-      })));
-    } catch (err) {
-      console.error(`Error running Page Consistency detector on ${fileName}:`, err);
-      vscode.window.showErrorMessage(`Page Consistency analysis failed: ${err.message}`);
-    }
-  });
-
-  //Command: Analyze Error Prevention
-  const analyzeErrorPreventionCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeErrorPrevention', () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-      vscode.window.showErrorMessage('❌ Please open a file first!');
-      return;
-    }
-
-    feedbackHandler.clearAll();
-
-    const document = editor.document;
-    const content = document.getText();
-    const fileName = document.fileName;
-
-    try {
-      const issues = detectErrorPrevention(content);
-
-      feedbackHandler.showResults(fileName, issues.map(issue => ({
-        ...issue,
-        analysisType: 'ERROR_PREVENTION'
-      })));
-    } catch (err) {
-      console.error(`Error running Error Prevention detector on ${fileName}:`, err);
-      vscode.window.showErrorMessage(`Error Prevention analysis failed: ${err.message}`);
-    }
-  });
-
-  //Command: Analyze Recognition Cues
-  const analyzeRecognitionCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeRecognition', () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-      vscode.window.showErrorMessage('❌ Please open a file first!');
-      return;
-    }
-
-    feedbackHandler.clearAll();
-
-    const document = editor.document;
-    const content = document.getText();
-    const fileName = document.fileName;
-
-    try {
-      const issues = detectRecognitionCues(content);
-
-      feedbackHandler.showResults(fileName, issues.map(issue => ({
-        ...issue,
-        analysisType: 'RECOGNITION'
-      })));
-    } catch (err) {
-      console.error(`Error running Recognition Cues detector on ${fileName}:`, err);
-      vscode.window.showErrorMessage(`Recognition Cues analysis failed: ${err.message}`);
-    }
-  });
-
-  //Command: Analyze Shortcuts and Efficiency
-  const analyzeShortcutsCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeShortcuts', () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-      vscode.window.showErrorMessage('❌ Please open a file first!');
-      return;
-    }
-
-    feedbackHandler.clearAll();
-
-    const document = editor.document;
-    const content = document.getText();
-    const fileName = document.fileName;
-
-    try {
-      const issues = detectShortcuts(content);
-
-      feedbackHandler.showResults(fileName, issues.map(issue => ({
-        ...issue,
-        analysisType: 'FLEXIBILITY_EFFICIENCY'
-      })));
-    } catch (err) {
-      console.error(`Error running Shortcuts detector on ${fileName}:`, err);
-      vscode.window.showErrorMessage(`Shortcuts analysis failed: ${err.message}`);
-    }
-  });
-
   //Command: Analyze Aesthethics and Minimalistic Layouts
   const analyzeMinimalismCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeMinimalism', async () => {
    const editor = vscode.window.activeTextEditor;
@@ -408,7 +952,8 @@ function activate(context) {
     }
 
     // Get target URL from user input / settings
-    const url = vscode.workspace.getConfiguration('react-ux-analyzer').get('targetUrl');
+    const project = getProject(editor.document.uri);
+    const url = getSettings(project).targetUrl;
     
     if (!url) {
       const setUrl = await vscode.window.showInformationMessage(
@@ -434,18 +979,19 @@ function activate(context) {
       }, async (progress) => {
         try {
           progress.report({ increment: 30, message: "Running analysis..." });
-          const issues = await detectAestheticMinimalism(content, url);
+          const issues = await detectAestheticMinimalism(content, url, project?.root);
+          analyzedOnDemand.add('AESTHETIC_MINIMALISM');
           progress.report({ increment: 100, message: "Analysis complete." });
 
           // Popup message for whitespace screenshots
           vscode.window.showInformationMessage(
-            '🖼️ Check debug images in "public/react-ux-screenshots" for whitespace detection.',
+            `🖼️ Check debug images in "${path.relative(project.folder.uri.fsPath, path.join(project.root, 'public', 'react-ux-screenshots'))}" for whitespace detection.`,
           )
 
-          feedbackHandler.showResults(fileName, issues.map(issue => ({
+          feedbackHandler.showResults(fileName, filterIssues(issues.map(issue => ({
             ...issue,
             analysisType: 'AESTHETIC_MINIMALISM'
-          })));
+          })), content, getSuppressionIds([getDetector('AESTHETIC_MINIMALISM')]), getRules({ uri: document.uri })));
         } catch (err) {
           console.error(`Error running Aesthetic Minimalism detector on ${fileName}:`, err);
           vscode.window.showErrorMessage(`Aesthetic Minimalism analysis failed: ${err.message}`);
@@ -453,60 +999,6 @@ function activate(context) {
       });
   });
 
-  //Command: Analyze Help Error Recognition
-  const analyzeHelpErrorCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeHelpError', () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-      vscode.window.showErrorMessage('❌ Please open a file first!');
-      return;
-    }
-
-    feedbackHandler.clearAll();
-
-    const document = editor.document;
-    const content = document.getText();
-    const fileName = document.fileName;
-
-    try {
-      const issues = detectHelpErrorRecognition(content);
-
-      feedbackHandler.showResults(fileName, issues.map(issue => ({
-        ...issue,
-        analysisType: 'ERROR_RECOVERY'
-      })));
-    } catch (err) {
-      console.error(`Error running Help Error Recognition detector on ${fileName}:`, err);
-      vscode.window.showErrorMessage(`Help Error Recognition analysis failed: ${err.message}`);
-    }
-  });
-
-  //Command: Analyze Help Features
-  const analyzeHelpCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeHelp', () => {
-    const editor = vscode.window.activeTextEditor;
-    if (!editor) {
-      vscode.window.showErrorMessage('❌ Please open a file first!');
-      return;
-    }
-
-    feedbackHandler.clearAll();
-
-    const document = editor.document;
-    const content = document.getText();
-    const fileName = document.fileName;
-
-    try {
-      const issues = detectHelpFeatures(content);
-
-      feedbackHandler.showResults(fileName, issues.map(issue => ({
-        ...issue,
-        analysisType: 'HELP'
-      })));
-    } catch (err) {
-      console.error(`Error running Help Features detector on ${fileName}:`, err);
-      vscode.window.showErrorMessage(`Help Features analysis failed: ${err.message}`);
-    }
-  });
-
   /**
    * Checks if the local dev server is running
    * @param {string} url
@@ -554,7 +1046,8 @@ function activate(context) {
     //const url = process.env.REACT_APP_URL || 'http://localhost:5173';
 
     // Get target URL from user input / settings
-    const url = vscode.workspace.getConfiguration('react-ux-analyzer').get('targetUrl');
+    const project = getProject();
+    const url = getSettings(project).targetUrl;
 
     if (!url) {
     const setUrl = await vscode.window.showInformationMessage(
@@ -587,7 +1080,7 @@ function activate(context) {
         async () => {
           try {
             //@ts-ignore
-            const { mean, std, error } = await runVisualQualityCheck(url);
+            const { mean, std, error } = await runVisualQualityCheck(url, project?.root);
             const issues = [];
 
             // feedback information for NIMA score
@@ -603,9 +1096,10 @@ function activate(context) {
                 mean,
                 std
               });
+              context.workspaceState.update(NIMA_SCORE_KEY, { mean, std, url, root: project?.root });
             }
 
-            feedbackHandler.showResults('Visual Quality Analysis', issues);
+            feedbackHandler.showResults('Visual Quality Analysis', applyRuleConfig(issues, getRuleResolver(project)()));
 
             if (error) {
               vscode.window.showErrorMessage(`❌ NIMA Error: ${error}`);
@@ -629,8 +1123,7 @@ function activate(context) {
     const content = document.getText();
     const fileName = document.fileName;
 
-    // Get preview URL from settings or default
-    const url = vscode.workspace.getConfiguration('react-ux-analyzer').get('previewUrl') || 'http://localhost:3000';
+    const project = getProject(document.uri);
 
     vscode.window.withProgress({
       location: vscode.ProgressLocation.Notification,
@@ -639,32 +1132,20 @@ function activate(context) {
     }, async (progress) => {
       try {
         progress.report({ increment: 30, message: "Loading custom rules..." });
-        const rules = await loadCustomRules();
-
-        const feedback = [];
-
-        for (const rule of rules) {
-          progress.report({ increment: 10, message: `Running ${rule.name}` });
-          try {
-            // If a rule acceptsURL is true, pass url; otherwise just pass content
-            const result = rule.acceptsUrl
-              ? await rule.run(content, url)
-              : await rule.run(content);
-
-            if (Array.isArray(result)) {
-              feedback.push(...result.map(issue => ({
-                ...issue,
-                analysisType: `CUSTOM:${rule.name}`
-              })));
-            }
-          } catch (err) {
-            console.warn(`⚠️ Error in custom rule '${rule.name}':`, err.message);
-          }
-        }
+        // rules accepting a URL get the targetUrl of the project, see getCustomRuleOptions()
+        const customRules = await loadCustomRules(getCustomRuleOptions(project));
+
+        progress.report({ increment: 40, message: `Running ${customRules.length} custom rule(s)` });
+        const { issues } = await analyzeFile(content, {
+          detectors: [],
+          customRules,
+          fileName,
+          rules: getRules({ uri: document.uri }),
+          onError: (source, err) => console.warn(`⚠️ Error in custom rule '${source.replace(/^CUSTOM:/, '')}':`, err.message)
+        });
 
         progress.report({ increment: 100, message: "Custom rule analysis complete." });
-
-        feedbackHandler.showResults(fileName, feedback);
+        feedbackHandler.showResults(fileName, issues);
 
       } catch (err) {
         console.error(`Error running custom rules on ${fileName}:`, err);
@@ -673,30 +1154,75 @@ function activate(context) {
     });
   });
 
+  // Commands: Analyze the current file with one detector of the registry
+  const detectorCommands = projectDetectors.map(detector =>
+    vscode.commands.registerCommand(detector.command, () => analyzeCurrentFile(detector))
+  );
+
   // Project-wide command: Analyze all React files
   const analyzeProjectCommand = vscode.commands.registerCommand('react-ux-analyzer.usabilityAnalyzeReactFiles', usabilityAnalyzeReactFiles);
 
+  // Command: Score the workspace per heuristic in a dashboard
+  const showScorecardCommand = vscode.commands.registerCommand('react-ux-analyzer.showScorecard', () => showScorecard(context));
+
+  // Command: Chart the scan history and its regressions
+  const showTrendsCommand = vscode.commands.registerCommand('react-ux-analyzer.showTrends', () => showTrends(context));
+
+  // Command: Report only issues on lines changed since a git ref
+  const analyzeChangesCommand = vscode.commands.registerCommand('react-ux-analyzer.analyzeChanges', analyzeChanges);
+
+  // Command: Accept all current findings in .rux-baseline.json
+  const createBaselineCommand = vscode.commands.registerCommand('react-ux-analyzer.createBaseline', createBaselineFile);
+
+  // Command: Export scan results as SARIF
+  const exportSarifCommand = vscode.commands.registerCommand('react-ux-analyzer.exportSarif', () => exportReport({
+    title: 'SARIF report',
+    fileName: 'react-ux-analyzer.sarif',
+    filters: { SARIF: ['sarif', 'json'] },
+    format: (results, root) => formatSarif(results, { root })
+  }));
+
+  // Command: Export a standalone HTML report for reviews outside of VS Code
+  const exportHtmlCommand = vscode.commands.registerCommand('react-ux-analyzer.exportReport', () => exportReport({
+    title: 'UX audit report',
+    fileName: 'react-ux-report.html',
+    filters: { HTML: ['html'] },
+    format: (results, root) => {
+      // screenshots and NIMA score of the package open in the editor, if it belongs to the exported folder
+      const project = getProject();
+      const projectRoot = project?.folder.uri.fsPath === root ? project.root : root;
+      const nimaScore = context.workspaceState.get(NIMA_SCORE_KEY);
+      return formatHtml(results, {
+        root,
+        nimaScore: !nimaScore?.root || nimaScore.root === projectRoot ? nimaScore : undefined,
+        screenshotPath: getWhitespaceScreenshotPath(projectRoot)
+      });
+    }
+  }));
+
   // Register all commands
   context.subscriptions.push(setKeyCommand);
   context.subscriptions.push(clearKeyCommand);
   context.subscriptions.push(setTargetUrlCommand);
   context.subscriptions.push(analyzeProjectCommand);
-  context.subscriptions.push(analyzeBreadcrumbCommand);
-  context.subscriptions.push(analyzeLoadingCommand);
+  context.subscriptions.push(showScorecardCommand);
+  context.subscriptions.push(showTrendsCommand);
+  context.subscriptions.push(analyzeChangesCommand);
+  context.subscriptions.push(createBaselineCommand);
+  context.subscriptions.push(exportSarifCommand);
+  context.subscriptions.push(exportHtmlCommand);
   context.subscriptions.push(analyzeMatchSystemCommand);
-  context.subscriptions.push(analyzeControlExitCommand);
-  context.subscriptions.push(analyzePageConsistencyCommand);
-  context.subscriptions.push(analyzeErrorPreventionCommand);
-  context.subscriptions.push(analyzeRecognitionCommand);
-  context.subscriptions.push(analyzeShortcutsCommand);
   context.subscriptions.push(analyzeMinimalismCommand);
-  context.subscriptions.push(analyzeHelpErrorCommand);
-  context.subscriptions.push(analyzeHelpCommand);
   context.subscriptions.push(analyzeCustomRulesCommand);
+  context.subscriptions.push(...detectorCommands);
 
   console.log('✅ React UX Analyzer commands registered!');
 }
 
-function deactivate() {}
+function deactivate() {
+  pendingAnalyses.forEach(timeout => clearTimeout(timeout));
+  pendingAnalyses.clear();
+  return languageClient?.stop();
+}
 
 module.exports = { activate, deactivate };
\ No newline at end of file
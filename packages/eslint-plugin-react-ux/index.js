@@ -0,0 +1,3 @@
+// Entry of the bundle built by `npm run build`: the parser, registry and detectors of src/ are bundled into dist/,
+// so the plugin only depends on Babel. Services of the extension (puppeteer, image-js, LLM requests) stay external.
+module.exports = require('../../src/eslint-plugin');
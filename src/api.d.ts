@@ -0,0 +1,173 @@
+/**
+ * Typings of the programmatic API (`require('react-ux-analyzer')`) and of the detector contract
+ */
+
+export type Severity = 'error' | 'warning' | 'info' | 'hint';
+export type RuleSeverity = 'off' | Severity;
+
+/** Nielsen severity rating: 0 not a usability problem, 1 cosmetic, 2 minor, 3 major, 4 usability catastrophe */
+export type SeverityRating = 0 | 1 | 2 | 3 | 4;
+
+/** Value of a rule in the `react-ux-analyzer.rules` format, e.g. `"off"` or `["warning", { "maxItems": 9 }]` */
+export type RuleEntry = RuleSeverity | [RuleSeverity, Record<string, unknown>?];
+
+/** Replaces the characters `start`..`end` (offsets into the analyzed content) with `text` */
+export interface FixEdit {
+  start: number;
+  end: number;
+  text: string;
+}
+
+export interface Fix {
+  title: string;
+  edits: FixEdit[];
+}
+
+/** Issue as reported by a detector or custom rule, 1-based lines and 0-based columns */
+export interface Issue {
+  /** Issue type, e.g. `missing-breadcrumb` */
+  type?: string;
+  message?: string;
+  /** Alternative to `message` */
+  problem?: string;
+  action?: string;
+  why?: string;
+  severity?: Severity;
+  /** Overrides the rating of the issue type, defaults to a rating matching the severity for custom rules */
+  rating?: SeverityRating;
+  /** Documentation link overriding the one of the detector */
+  docs?: string;
+  line?: number;
+  column?: number;
+  endLine?: number;
+  endColumn?: number;
+  /** Code snippet of the issue */
+  content?: string;
+  /** Other locations explaining the issue */
+  related?: Array<{ message: string; line: number; column?: number; endLine?: number; endColumn?: number }>;
+  fix?: Fix;
+  /** Set by the analysis: detector type or `CUSTOM:<rule file>` */
+  analysisType?: string;
+}
+
+/** Normalized rules passed to detectors, see getRuleOptions() of utils/rules-config.js */
+export type NormalizedRules = Record<string, { severity?: RuleSeverity; options: Record<string, unknown> }>;
+
+export interface DetectorContext {
+  content: string;
+  fileName?: string;
+  rules: NormalizedRules;
+}
+
+/** Registry entry and analysis engine plugin of a detector, see heuristics/registry.js */
+export interface Detector {
+  /** analysisType of the reported issues, e.g. `BREADCRUMB` */
+  type: string;
+  /** Nielsen heuristic number (1-10) */
+  heuristic?: number;
+  name: string;
+  /** VS Code command analyzing the current file */
+  command?: string;
+  docs: string;
+  /** Detector guide relative to `src/heuristics`, its "Examples" section holds bad/good JSX per issue type */
+  guide?: string;
+  defaultSeverity: Severity;
+  /** Issue type -> code, e.g. `{ "missing-breadcrumb": "RUX101" }` */
+  codes: Record<string, string>;
+  /** Issue type -> Nielsen severity rating, e.g. `{ "missing-breadcrumb": 2 }` */
+  ratings: Record<string, SeverityRating>;
+  /** Babel visitor run in the shared traversal, omitted for #2 and #8 */
+  create?(context: DetectorContext): { visitor: Record<string, unknown>; finish(): Issue[] };
+}
+
+/** Custom rule module in the custom rule folder */
+export interface CustomRule {
+  detector(content: string, url?: string): Issue[] | Promise<Issue[]>;
+}
+
+export interface Position {
+  /** 1-based */
+  line: number;
+  /** 0-based */
+  column: number;
+}
+
+export interface Range {
+  start: Position;
+  end: Position;
+}
+
+export interface AnalysisIssue {
+  /** e.g. `RUX101`, `CUX-MYRULE` for custom rules */
+  code: string;
+  type?: string;
+  analysisType: string;
+  heuristic: {
+    /** null for custom rules and checks without heuristic */
+    number: number | null;
+    /** e.g. `Nielsen #1: Visibility of System Status` */
+    name: string;
+  };
+  severity: Severity;
+  /** Nielsen severity rating to prioritize issues, e.g. `{ score: 3, label: "Major usability problem" }` */
+  rating: { score: SeverityRating; label: string };
+  message: string;
+  action?: string;
+  why?: string;
+  /** Documentation URL */
+  docs: string;
+  /** Issues that only know their line span the whole line */
+  range: Range;
+  related: Array<{ message: string; range: Range }>;
+  fix?: Fix;
+}
+
+export interface FileResult {
+  /** Absolute path, null for `code` without `fileName` */
+  filePath: string | null;
+  issues: AnalysisIssue[];
+}
+
+export interface AnalysisError {
+  filePath?: string | null;
+  /** Detector type, `PARSE`, `CUSTOM:<rule file>` or `CUSTOM_RULES` for rules that could not be loaded */
+  source: string;
+  message: string;
+}
+
+export interface AnalysisResult {
+  files: FileResult[];
+  errors: AnalysisError[];
+}
+
+interface BaseOptions {
+  /** Folder that relative paths, globs and `customRulePath` are resolved against (default: `process.cwd()`) */
+  cwd?: string;
+  /** Issue types or `CUSTOM:<rule>` -> severity or `[severity, options]` */
+  rules?: Record<string, RuleEntry>;
+  /** Custom rule folder relative to `cwd`, no custom rules run without it */
+  customRulePath?: string;
+  /** URL passed to custom rules using `detector(content, url)` */
+  targetUrl?: string;
+}
+
+export interface AnalyzeFilesOptions extends BaseOptions {
+  /** Paths or globs relative to `cwd`, e.g. `["src/**\/*.tsx"]` */
+  files: string[];
+  code?: never;
+}
+
+export interface AnalyzeCodeOptions extends BaseOptions {
+  code: string;
+  /** Picks the parser plugins (e.g. TypeScript) and resolves imports of the code */
+  fileName?: string;
+  files?: never;
+}
+
+export type AnalyzeOptions = AnalyzeFilesOptions | AnalyzeCodeOptions;
+
+/**
+ * Runs the project detectors (all heuristics except #2 and #8) and custom rules
+ * @throws {TypeError} without `files` or `code` and for invalid rules
+ */
+export function analyze(options: AnalyzeOptions): Promise<AnalysisResult>;
@@ -0,0 +1,124 @@
+/**
+ * Programmatic API of React UX Analyzer, e.g. for dashboards and codemods
+ * - Runs the project detectors (all heuristics except #2 and #8) and custom rules without the VS Code API
+ * - Takes the rules in the format of the `react-ux-analyzer.rules` setting, no settings file is read
+ * - Returns plain JSON-serializable results, typed in api.d.ts
+ */
+const fs = require('fs');
+const path = require('path');
+const { SEVERITY_RATINGS, projectDetectors, getDetector, getHeuristicName, getIssueCode, getDocumentationUrl, getSeverity, getRating } = require('./heuristics/registry');
+const { analyzeFile } = require('./heuristics/analyze-file');
+const { loadCustomRules } = require('./heuristics/utils/load-custom-rules');
+const { normalizeRules } = require('./heuristics/utils/rules-config');
+const { isSourceFile } = require('./heuristics/utils/source-files');
+const { findFiles } = require('./cli/find-files');
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Source files of paths and globs relative to cwd
+ * @param {string[]} files
+ * @param {string} cwd
+ * @returns {string[]} absolute paths
+ */
+function resolveFiles(files, cwd) {
+  const paths = files.map(file => path.resolve(cwd, file));
+  const globs = files.filter((file, index) => !isFile(paths[index]));
+  const found = [...paths.filter(isFile), ...(globs.length > 0 ? findFiles(globs, cwd) : [])];
+  return [...new Set(found)].filter(isSourceFile);
+}
+
+/**
+ * 1-based lines and 0-based columns, issues that only know their line span the whole line
+ * @param {{ line?: number, column?: number, endLine?: number, endColumn?: number }} location
+ * @param {string[]} lines - lines of the analyzed content
+ */
+function toRange({ line = 1, column, endLine, endColumn }, lines) {
+  if (typeof column !== 'number') {
+    return { start: { line, column: 0 }, end: { line, column: (lines[line - 1] || '').length } };
+  }
+  return { start: { line, column }, end: { line: endLine ?? line, column: endColumn ?? column + 1 } };
+}
+
+/**
+ * @param {object} issue - issue of a detector or custom rule with its `analysisType`
+ * @param {string[]} lines
+ * @returns {import('./api').AnalysisIssue}
+ */
+function toAnalysisIssue(issue, lines) {
+  const rating = getRating(issue);
+  const result = {
+    code: getIssueCode(issue.analysisType, issue.type),
+    type: issue.type,
+    analysisType: issue.analysisType,
+    heuristic: { number: getDetector(issue.analysisType)?.heuristic ?? null, name: getHeuristicName(issue.analysisType) },
+    severity: getSeverity(issue),
+    rating: { score: rating, label: SEVERITY_RATINGS[rating] },
+    message: issue.message || issue.problem || 'UX issue detected',
+    docs: getDocumentationUrl(issue.analysisType, issue.docs),
+    range: toRange(issue, lines),
+    related: (issue.related || []).map(related => ({ message: related.message, range: toRange(related, lines) }))
+  };
+  if (issue.action) result.action = issue.action;
+  if (issue.why) result.why = issue.why;
+  if (issue.fix) {
+    result.fix = { title: issue.fix.title, edits: issue.fix.edits.map(({ start, end, text }) => ({ start, end, text })) };
+  }
+  return result;
+}
+
+/**
+ * Analyzes source code or files for usability issues
+ * @param {import('./api').AnalyzeOptions} options
+ * @returns {Promise<import('./api').AnalysisResult>}
+ */
+async function analyze({ files, code, fileName, cwd = process.cwd(), rules, customRulePath, targetUrl } = {}) {
+  if ((files === undefined) === (code === undefined)) {
+    throw new TypeError('analyze() needs either `files` or `code`');
+  }
+  if (files !== undefined && !Array.isArray(files)) {
+    throw new TypeError('`files` must be an array of paths or globs');
+  }
+
+  const root = path.resolve(cwd);
+  const errors = [];
+  const invalidRules = [];
+  const normalizedRules = normalizeRules(rules, (message) => invalidRules.push(message));
+  if (invalidRules.length > 0) {
+    throw new TypeError(invalidRules.join('\n'));
+  }
+
+  // load problems of custom rules are returned, rules that loaded still run
+  const report = (message) => errors.push({ source: 'CUSTOM_RULES', message });
+  const customRules = customRulePath
+    ? await loadCustomRules({ workspaceFolder: root, customRulePath, targetUrl, notify: { info: () => {}, warn: report, error: report }, logger: { log: () => {} } })
+    : [];
+
+  const inputs = code !== undefined
+    ? [{ filePath: fileName ? path.resolve(root, fileName) : null, content: code }]
+    : resolveFiles(files, root).map(filePath => ({ filePath, content: null }));
+
+  const results = [];
+  for (const { filePath, content: input } of inputs) {
+    const content = input ?? fs.readFileSync(filePath, 'utf-8');
+    const { issues } = await analyzeFile(content, {
+      detectors: projectDetectors,
+      customRules,
+      fileName: filePath || undefined,
+      rules: normalizedRules,
+      onError: (source, err) => errors.push({ filePath, source, message: err.message })
+    });
+    const lines = content.split(/\r?\n/);
+    results.push({ filePath, issues: issues.map(issue => toAnalysisIssue(issue, lines)) });
+  }
+
+  return { files: results, errors };
+}
+
+module.exports = { analyze };
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+// Folders never worth scanning, mirrors the `**/node_modules/**` exclude of the extension
+const skippedDirectories = new Set(['node_modules', '.git']);
+
+/**
+ * Converts a glob pattern (`**`, `*`, `?`, `{a,b}`) into a regular expression
+ * matched against forward-slash paths relative to the project root.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more directories, a trailing `**` matches everything
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      const options = pattern.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+      source += `(?:${options.join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Recursively collects files below `cwd` matching at least one of the glob patterns
+ * @param {string[]} patterns - globs relative to `cwd`, e.g. `src/**\/*.jsx`
+ * @param {string} cwd - project root
+ * @returns {string[]} absolute file paths, sorted
+ */
+function findFiles(patterns, cwd) {
+  const matchers = patterns.map(globToRegExp);
+  const files = [];
+
+  function walk(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!skippedDirectories.has(entry.name)) walk(fullPath);
+        continue;
+      }
+
+      const relativePath = path.relative(cwd, fullPath).split(path.sep).join('/');
+      if (entry.isFile() && matchers.some(matcher => matcher.test(relativePath))) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  walk(cwd);
+  return files.sort();
+}
+
+module.exports = { findFiles, globToRegExp };
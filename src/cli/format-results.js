@@ -0,0 +1,54 @@
+const path = require('path');
+const { SEVERITIES, getSeverity } = require('../heuristics/registry');
+
+/**
+ * Counts issues per severity, unknown severities count as warnings
+ * Issues without a severity use the default severity of their detector
+ * @param {Array<{ filePath: string, issues: Array }>} results
+ */
+function countSeverities(results) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  for (const { issues } of results) {
+    for (const issue of issues) {
+      const severity = getSeverity(issue);
+      counts[severity in counts ? severity : 'warning']++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Formats analysis results as plain text grouped by file (similar to ESLint's "stylish" output)
+ * @param {Array<{ filePath: string, issues: Array }>} results
+ * @param {string} cwd - paths are printed relative to this folder
+ * @returns {string}
+ */
+function formatResults(results, cwd) {
+  const lines = [];
+
+  for (const { filePath, issues } of results) {
+    if (issues.length === 0) continue;
+
+    lines.push(path.relative(cwd, filePath));
+    const sorted = [...issues].sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+    for (const issue of sorted) {
+      const line = String(issue.line ?? 1).padStart(5);
+      const severity = getSeverity(issue).padEnd(7);
+      const message = (issue.message || issue.problem || 'UX issue detected').replace(/\s*\n\s*/g, ' ');
+      lines.push(`${line}  ${severity}  ${message}  ${issue.type || 'issue'} (${issue.analysisType})`);
+    }
+    lines.push('');
+  }
+
+  const counts = countSeverities(results);
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (total === 0) {
+    lines.push('✅ No UI/UX issues found!');
+  } else {
+    lines.push(`✖ ${total} issue(s) (${counts.error} errors, ${counts.warning} warnings, ${counts.info} info, ${counts.hint} hints)`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { formatResults, countSeverities };
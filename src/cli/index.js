@@ -0,0 +1,251 @@
+/**
+ * React UX Analyzer CLI
+ * - Runs the same heuristic detectors as `Analyze UX Heuristics on React Files` outside VS Code
+ * - Loads custom rules from the configured customRulePath
+ * - Applies rule severities and options from react-ux-analyzer.rules and its per-glob overrides
+ * - Skips files matching react-ux-analyzer.exclude, .gitignore or .ruxignore
+ * - Analyzes each package of a pnpm/yarn workspace with the package's own settings and custom rules
+ * - Only reports issues missing from .rux-baseline.json, --update-baseline rewrites it
+ * - Appends a summary of the scan to .react-ux-analyzer/history.jsonl with --history
+ * - Only reports issues on lines changed since a base ref with --diff, --format markdown prints a PR summary
+ * - Writes SARIF 2.1.0 for code-scanning UIs with --format sarif
+ * - Writes a standalone HTML audit report with --format html
+ * - Prints results grouped by file and exits non-zero when warnings exceed --max-warnings
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { projectDetectors } = require('../heuristics');
+const { analyzeFile, addTimings, formatTimings } = require('../heuristics/analyze-file');
+const { loadCustomRules, getCustomRuleRoot } = require('../heuristics/utils/load-custom-rules');
+const { findWorkspacePackages, getPackageRoot } = require('../heuristics/utils/workspace-packages');
+const { findFiles } = require('./find-files');
+const { readProjectSettings, mergeProjectSettings } = require('./settings');
+const { formatResults, countSeverities } = require('./format-results');
+const { formatSarif } = require('../reporters/sarif');
+const { formatHtml, getWhitespaceScreenshotPath } = require('../reporters/html');
+const { SOURCE_FILE_GLOB, isSourceFile } = require('../heuristics/utils/source-files');
+const { createRuleResolver } = require('../heuristics/utils/rules-config');
+const { createFileFilter } = require('../heuristics/utils/file-filter');
+const { BASELINE_FILE, createBaseline, writeBaseline, loadBaseline, filterBaselineIssues } = require('../heuristics/utils/baseline');
+const { HISTORY_FILE, createHistoryEntry, appendHistory } = require('../heuristics/utils/history');
+const { getChangedLines, filterChangedIssues } = require('../heuristics/utils/git-diff');
+const { formatMarkdown } = require('../reporters/markdown');
+
+// --format name -> report text
+const FORMATTERS = {
+  stylish: (results, cwd) => `${formatResults(results, cwd)}\n`,
+  sarif: (results, cwd) => formatSarif(results, { root: cwd }),
+  html: (results, cwd) => formatHtml(results, { root: cwd, screenshotPath: getWhitespaceScreenshotPath(cwd) }),
+  markdown: (results, cwd, { baseRef }) => formatMarkdown(results, { root: cwd, baseRef })
+};
+
+const HELP = `Usage: react-ux-analyzer [options] [globs...]
+
+Analyzes React files for usability issues based on Nielsen's 10 heuristics.
+Globs are relative to --cwd and default to the react-ux-analyzer.include setting ("${SOURCE_FILE_GLOB}").
+Files matching react-ux-analyzer.exclude, .gitignore or .ruxignore are skipped.
+
+Options:
+  --cwd <dir>            Project root (default: current directory)
+  --max-warnings <n>     Exit with code 1 when more than n warnings are found (default: -1, no limit)
+  --rules-dir <path>     Custom rule folder, overrides react-ux-analyzer.customRulePath
+  --no-custom-rules      Do not load custom rules
+  --target-url <url>     URL passed to custom rules using detector(content, url)
+  --debug                Print custom rule loading details
+  --format <name>        Output format: stylish (default), sarif, html or markdown (PR summary)
+  --output <file>        Write the report to a file instead of stdout
+  --timing               Print the time spent in each detector and custom rule
+  --no-baseline          Report all issues, including the ones in ${BASELINE_FILE}
+  --update-baseline      Write all current issues of the project to ${BASELINE_FILE} and exit, not with --diff or globs
+  --diff <ref>           Only analyze files and report issues on lines changed since the merge base with <ref>
+  --history              Append issue counts per code and file to .react-ux-analyzer/history.jsonl
+  -h, --help             Show this help
+`;
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv - command line arguments without node and script path
+ * @param {{ stdout?: { write(chunk: string): unknown }, stderr?: { write(chunk: string): unknown } }} [io] - streams, only their write method is used
+ * @returns {Promise<number>} process exit code: 0 passed, 1 too many warnings or errors, 2 fatal error
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        cwd: { type: 'string' },
+        'max-warnings': { type: 'string' },
+        'rules-dir': { type: 'string' },
+        'no-custom-rules': { type: 'boolean' },
+        'target-url': { type: 'string' },
+        debug: { type: 'boolean' },
+        format: { type: 'string' },
+        output: { type: 'string' },
+        timing: { type: 'boolean' },
+        'no-baseline': { type: 'boolean' },
+        'update-baseline': { type: 'boolean' },
+        history: { type: 'boolean' },
+        diff: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    stderr.write(`❌ ${err.message}\n\n${HELP}`);
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    stdout.write(HELP);
+    return 0;
+  }
+
+  const maxWarnings = values['max-warnings'] === undefined ? -1 : Number(values['max-warnings']);
+  if (!Number.isInteger(maxWarnings)) {
+    stderr.write(`❌ --max-warnings must be an integer, got "${values['max-warnings']}"\n`);
+    return 2;
+  }
+
+  const format = values.format || 'stylish';
+  if (!FORMATTERS[format]) {
+    stderr.write(`❌ --format must be one of ${Object.keys(FORMATTERS).join(', ')}, got "${format}"\n`);
+    return 2;
+  }
+
+  // a baseline of a subset of the files would report the issues of all other files as new
+  if (values['update-baseline'] && (values.diff !== undefined || positionals.length > 0)) {
+    stderr.write('❌ --update-baseline always covers the whole project, it cannot be combined with --diff or globs\n');
+    return 2;
+  }
+
+  const cwd = path.resolve(values.cwd || process.cwd());
+  if (!fs.existsSync(cwd)) {
+    stderr.write(`❌ Folder not found: ${cwd}\n`);
+    return 2;
+  }
+
+  let changedLines = null;
+  if (values.diff !== undefined) {
+    try {
+      changedLines = getChangedLines(cwd, values.diff);
+    } catch (err) {
+      stderr.write(`❌ --diff: ${err.message}\n`);
+      return 2;
+    }
+  }
+
+  try {
+    const rootSettings = readProjectSettings(cwd);
+    const packages = findWorkspacePackages(cwd);
+    const notify = {
+      info: (message) => stderr.write(`${message}\n`),
+      warn: (message) => stderr.write(`${message}\n`),
+      error: (message) => stderr.write(`${message}\n`)
+    };
+
+    // packages of a pnpm/yarn workspace are analyzed with their own settings and custom rules
+    const projects = new Map();
+    const loadProject = async (root) => {
+      const settings = root === cwd ? rootSettings : mergeProjectSettings(rootSettings, readProjectSettings(root));
+      const customRulePath = values['rules-dir'] || settings.customRulePath;
+      const customRules = values['no-custom-rules'] ? [] : await loadCustomRules({
+        workspaceFolder: values['rules-dir'] ? cwd : getCustomRuleRoot([root, cwd], customRulePath),
+        customRulePath,
+        targetUrl: values['target-url'] || settings.targetUrl,
+        // a missing default rule folder is the normal case for the CLI
+        notify: customRulePath ? notify : { ...notify, warn: () => {} },
+        logger: values.debug ? { log: (...parts) => stderr.write(`${parts.join(' ')}\n`) } : { log: () => {} }
+      });
+      const getRules = createRuleResolver(settings, root, (message) => stderr.write(`${message}\n`));
+      const isAnalyzed = createFileFilter({
+        root,
+        // explicit globs replace the include setting
+        include: positionals.length > 0 ? null : settings.include,
+        exclude: settings.exclude,
+        ignoreDirs: [root, cwd]
+      });
+      return { customRules, getRules, isAnalyzed };
+    };
+    const getProject = (filePath) => {
+      const root = getPackageRoot(filePath, packages) || cwd;
+      if (!projects.has(root)) projects.set(root, loadProject(root));
+      return projects.get(root);
+    };
+
+    const files = findFiles(positionals.length > 0 ? positionals : ['**'], cwd)
+      .filter(filePath => isSourceFile(filePath) && (!changedLines || changedLines.has(filePath)));
+    const results = [];
+    /** @type {Object<string, number>} */
+    const timings = {};
+
+    for (const filePath of files) {
+      const { customRules, getRules, isAnalyzed } = await getProject(filePath);
+      if (!isAnalyzed(filePath)) continue;
+
+      const content = fs.readFileSync(filePath, 'utf-8');
+      const { issues, timings: fileTimings } = await analyzeFile(content, {
+        detectors: projectDetectors,
+        customRules,
+        fileName: filePath,
+        rules: getRules(filePath),
+        onError: (source, err) => stderr.write(`❌ ${source} failed on ${path.relative(cwd, filePath)}: ${err.message}\n`)
+      });
+      results.push({ filePath, content, issues: changedLines ? filterChangedIssues(issues, changedLines.get(filePath)) : issues });
+      addTimings(timings, fileTimings);
+    }
+
+    // a diff only covers changed lines, its counts would break the trends
+    if (values.history && !changedLines) {
+      // all issues, the baseline must not hide UX debt in the trends
+      appendHistory(cwd, createHistoryEntry(results, { root: cwd }));
+      stderr.write(`📈 Scan summary appended to ${HISTORY_FILE}\n`);
+    }
+
+    if (values['update-baseline']) {
+      const baseline = createBaseline(results, cwd);
+      writeBaseline(cwd, baseline);
+      const count = baseline.issues.reduce((sum, entry) => sum + entry.count, 0);
+      stdout.write(`📌 Baseline with ${count} issue(s) written to ${BASELINE_FILE}\n`);
+      return 0;
+    }
+
+    const baseline = values['no-baseline'] ? null : loadBaseline(cwd);
+    if (baseline) {
+      for (const result of results) {
+        result.issues = filterBaselineIssues(result.issues, baseline, result.filePath, result.content);
+      }
+      stderr.write(`📌 ${baseline.size} issue(s) in ${BASELINE_FILE} are not reported\n`);
+    }
+
+    const report = FORMATTERS[format](results, cwd, { baseRef: values.diff });
+    if (values.output) {
+      const outputPath = path.resolve(cwd, values.output);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, report);
+      stderr.write(`📄 Report written to ${path.relative(cwd, outputPath) || outputPath}\n`);
+    } else {
+      stdout.write(report);
+    }
+    if (values.timing) {
+      // keep machine-readable output on stdout valid
+      const timingStream = format === 'stylish' ? stdout : stderr;
+      timingStream.write(`\n⏱️ Timings for ${results.length} file(s):\n${formatTimings(timings).map(line => `  ${line}`).join('\n')}\n`);
+    }
+
+    const counts = countSeverities(results);
+    if (counts.error > 0) return 1;
+    if (maxWarnings >= 0 && counts.warning > maxWarnings) {
+      stderr.write(`❌ Too many warnings (${counts.warning}). Maximum allowed is ${maxWarnings}.\n`);
+      return 1;
+    }
+    return 0;
+  } catch (err) {
+    stderr.write(`❌ React UX Analyzer failed: ${err.message}\n`);
+    return 2;
+  }
+}
+
+module.exports = { main };
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Removes comments and trailing commas from JSONC (format of .vscode/settings.json)
+ * @param {string} text
+ * @returns {string}
+ */
+function stripJsonComments(text) {
+  let result = '';
+  let inString = false;
+  // index of the last comma in `result` followed only by whitespace and comments so far
+  let trailingComma = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += next ?? '';
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      trailingComma = -1;
+      result += char;
+    } else if (char === ',') {
+      trailingComma = result.length;
+      result += char;
+    } else if ((char === '}' || char === ']') && trailingComma !== -1) {
+      result = result.slice(0, trailingComma) + result.slice(trailingComma + 1) + char;
+      trailingComma = -1;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && next === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      if (!/\s/.test(char)) trailingComma = -1;
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Reads the `react-ux-analyzer.*` settings of a project from .vscode/settings.json,
+ * so the CLI picks up the same configuration as the extension.
+ * @param {string} cwd - project root
+ * @returns {{ customRulePath?: string, targetUrl?: string, rules?: object }}
+ */
+function readProjectSettings(cwd) {
+  const settingsPath = path.join(cwd, '.vscode', 'settings.json');
+  if (!fs.existsSync(settingsPath)) return {};
+
+  let settings;
+  try {
+    settings = JSON.parse(stripJsonComments(fs.readFileSync(settingsPath, 'utf-8')));
+  } catch (err) {
+    throw new Error(`Could not read ${settingsPath}: ${err.message}`);
+  }
+
+  const prefix = 'react-ux-analyzer.';
+  const result = {};
+  for (const [key, value] of Object.entries(settings || {})) {
+    if (key.startsWith(prefix)) result[key.slice(prefix.length)] = value;
+  }
+  return result;
+}
+
+/**
+ * Settings of a workspace package on top of the settings of the workspace root
+ * Rule entries are merged per rule, so a package only lists the rules it changes.
+ * @param {object} base - settings of the workspace root
+ * @param {object} override - settings of the package
+ * @returns {object}
+ */
+function mergeProjectSettings(base, override) {
+  const merged = { ...base, ...override };
+  if (base.rules || override.rules) merged.rules = { ...base.rules, ...override.rules };
+  return merged;
+}
+
+module.exports = { readProjectSettings, mergeProjectSettings, stripJsonComments };
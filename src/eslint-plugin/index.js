@@ -0,0 +1,105 @@
+/**
+ * ESLint plugin of React UX Analyzer, published as `eslint-plugin-react-ux`
+ * - Every issue type of the project detectors is a rule, e.g. `react-ux/missing-breadcrumb` or `react-ux/nav-overloaded`
+ * - Rules take the same options as `react-ux-analyzer.rules`, e.g. `["warn", { "maxItems": 9 }]`
+ * - Issues with a `fix` are fixed by `eslint --fix`
+ * - `configs.recommended` enables all rules for flat configs
+ * The rules run the detectors of the extension on the file text, the code is parsed by Babel once per file.
+ */
+const { projectDetectors, getHeuristicName, getIssueCode, getDocumentationUrl } = require('../heuristics/registry');
+const { runDetectorsOnAst } = require('../heuristics/analysis-engine');
+const { parseCode } = require('../heuristics/utils/parse-code');
+const { version } = require('../../package.json');
+
+const PLUGIN_NAME = 'react-ux';
+
+// SourceCode of the linted file -> { ast, issues: Map<string, Array> }, shared by the rules of one lint run
+const analyses = new WeakMap();
+
+/**
+ * Issues of one detector in the linted file, the detector runs once per file and distinct options
+ */
+function getIssues(context, detector, issueType, options) {
+  const { sourceCode } = context;
+  if (!analyses.has(sourceCode)) analyses.set(sourceCode, { ast: undefined, issues: new Map() });
+  const analysis = analyses.get(sourceCode);
+
+  const key = options ? `${detector.type}:${issueType}:${JSON.stringify(options)}` : detector.type;
+  if (analysis.issues.has(key)) return analysis.issues.get(key);
+
+  if (analysis.ast === undefined) {
+    try {
+      analysis.ast = parseCode(sourceCode.text, context.filename);
+    } catch {
+      analysis.ast = null; // syntax errors are reported by the ESLint parser
+    }
+  }
+
+  const rules = options ? { [issueType]: { options } } : {};
+  const issues = analysis.ast
+    ? runDetectorsOnAst(analysis.ast, [detector], { content: sourceCode.text, fileName: context.filename, rules }).issues
+    : [];
+  analysis.issues.set(key, issues);
+  return issues;
+}
+
+function toLoc({ line = 1, column, endLine, endColumn }) {
+  if (typeof column !== 'number') return { line, column: 0 };
+  return { start: { line, column }, end: { line: endLine ?? line, column: endColumn ?? column + 1 } };
+}
+
+/**
+ * @param {object} detector - registry entry with `create`
+ * @param {string} issueType - e.g. `missing-breadcrumb`
+ * @returns {import('eslint').Rule.RuleModule} ESLint rule
+ */
+function createRule(detector, issueType) {
+  return {
+    meta: {
+      type: 'suggestion',
+      docs: {
+        description: `${getHeuristicName(detector.type)}: ${issueType} (${getIssueCode(detector.type, issueType)})`,
+        url: getDocumentationUrl(detector.type)
+      },
+      // detectors attach fixes to single issues, which rules can fix is not declared upfront
+      fixable: 'code',
+      schema: [{ type: 'object' }]
+    },
+    create(context) {
+      return {
+        'Program:exit'() {
+          for (const issue of getIssues(context, detector, issueType, context.options[0])) {
+            if (issue.type !== issueType) continue;
+            context.report({
+              loc: toLoc(issue),
+              message: issue.message || issue.problem || 'UX issue detected',
+              fix: issue.fix && ((fixer) => issue.fix.edits.map(({ start, end, text }) => fixer.replaceTextRange([start, end], text)))
+            });
+          }
+        }
+      };
+    }
+  };
+}
+
+/** @type {Record<string, import('eslint').Rule.RuleModule>} */
+const rules = {};
+for (const detector of projectDetectors) {
+  for (const issueType of Object.keys(detector.codes)) {
+    rules[issueType] = createRule(detector, issueType);
+  }
+}
+
+const plugin = {
+  meta: { name: 'eslint-plugin-react-ux', version },
+  rules,
+  configs: {}
+};
+
+// detectors report warnings unless an issue is an error, ESLint cannot know that per issue
+plugin.configs.recommended = {
+  plugins: { [PLUGIN_NAME]: plugin },
+  rules: Object.fromEntries(Object.keys(rules).map(name => [`${PLUGIN_NAME}/${name}`, 'warn']))
+};
+
+module.exports = plugin;
@@ -1,101 +1,90 @@
 // breadcrumb-detector.js
-const { parse } = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
+const { runDetector } = require("../analysis-engine");
+const { getElementLocation } = require("../utils/location");
+const { importGraph } = require("../utils/import-graph");
 
-/**
- * detectBreadcrumbs - Detects missing breadcrumbs in critical page components <Page>, <Layout>, <Main>.
- * Heuristic: Nielsen #1 - Visibility of system status
- */
-function detectBreadcrumbs(content) {
-  const pageComponents = ["page", "layout", "main"];
-  //const breadcrumbComponents = ["breadcrumb", "breadcrumbs"];
-  const htmlBreadcrumbPatterns = [
-    /aria-label\s*=\s*["']breadcrumb["']/i,
-    /class(Name)?\s*=\s*["'][^"']*breadcrumb-list[^"']*["']/i
-  ];
-
-  const feedback = [];
+const htmlBreadcrumbPatterns = [
+  /aria-label\s*=\s*["']breadcrumb["']/i,
+  /class(Name)?\s*=\s*["'][^"']*breadcrumb-list[^"']*["']/i
+];
 
-  let ast;
-  try {
-    ast = parse(content, { sourceType: "module", plugins: ["jsx"], errorRecovery: true });
-  } catch (err) {
-    throw new Error("JSX code could not be parsed: " + err.message);
-  }
+// Helper: check if a JSXElement is a breadcrumb component case-insensitive
+function isBreadcrumbComponent(nameNode) {
+  return (
+    nameNode.type === "JSXIdentifier" &&
+    /breadcrumb/i.test(nameNode.name)
+  );
+}
 
-  // Helper: check if a JSXElement is a breadcrumb component case-insensitive
-  function isBreadcrumbComponent(nameNode) {
-    return (
-      nameNode.type === "JSXIdentifier" &&
-      /breadcrumb/i.test(nameNode.name)
-    );
+// Helper: check if a single JSXElement is a breadcrumb, children are checked by the import graph
+function isBreadcrumbElement(node) {
+  const name = node.openingElement.name;
+  if (isBreadcrumbComponent(name)) {
+    return true;
   }
 
-  // Helper: recursive check for any breadcrumb
-  function hasBreadcrumb(node) {
-    if (!node) return false;
-
-    // check if element or its children is a breadcrumb component
-    if (node.type === "JSXElement") {
-      const name = node.openingElement.name;
-      if (isBreadcrumbComponent(name)) {
+  // check for HTML-like breadcrumb patterns in aria-label or className and in combination with nav role
+  for (const attr of node.openingElement.attributes || []) {
+    if (attr.type === "JSXAttribute" && attr.name && attr.value) {
+      // Prüfe auf aria-label="breadcrumb"
+      if (
+        attr.name.name === "aria-label" &&
+        attr.value.type === "StringLiteral" &&
+        attr.value.value.toLowerCase() === "breadcrumb"
+      ) {
         return true;
       }
+      // Prüfe auf role="navigation"
+      if (
+        attr.name.name === "role" &&
+        attr.value.type === "StringLiteral" &&
+        attr.value.value.toLowerCase() === "navigation"
+      ) {
+        // Optional: kann als Breadcrumb gelten, wenn aria-label auch gesetzt ist
+        // Prüfe, ob aria-label="breadcrumb" ebenfalls vorhanden ist
+        const hasAriaLabel = node.openingElement.attributes.some(a =>
+          a.type === "JSXAttribute" &&
+          a.name.name === "aria-label" &&
+          a.value.type === "StringLiteral" &&
+          a.value.value.toLowerCase() === htmlBreadcrumbPatterns[0].source.match(/breadcrumb/)[0]
+        );
+        if (hasAriaLabel) return true;
+      }
+      // Prüfe auf className="breadcrumb-list"
+      if (
+        (attr.name.name === "className" || attr.name.name === "class") &&
+        attr.value.type === "StringLiteral" &&
+        attr.value.value.toLowerCase().includes(htmlBreadcrumbPatterns[1].source.match(/breadcrumb-list/)[0])
+      ) {
+        return true;
+      }
+    }
+  }
 
-        // check for HTML-like breadcrumb patterns in aria-label or className and in combination with nav role
-        for (const attr of node.openingElement.attributes || []) {
-          if (attr.type === "JSXAttribute" && attr.name && attr.value) {
-            // Prüfe auf aria-label="breadcrumb"
-            if (
-              attr.name.name === "aria-label" &&
-              attr.value.type === "StringLiteral" &&
-              attr.value.value.toLowerCase() === "breadcrumb"
-            ) {
-              return true;
-            }
-            // Prüfe auf role="navigation"
-            if (
-              attr.name.name === "role" &&
-              attr.value.type === "StringLiteral" &&
-              attr.value.value.toLowerCase() === "navigation"
-            ) {
-              // Optional: kann als Breadcrumb gelten, wenn aria-label auch gesetzt ist
-              // Prüfe, ob aria-label="breadcrumb" ebenfalls vorhanden ist
-              const hasAriaLabel = node.openingElement.attributes.some(a =>
-                a.type === "JSXAttribute" &&
-                a.name.name === "aria-label" &&
-                a.value.type === "StringLiteral" &&
-                a.value.value.toLowerCase() === htmlBreadcrumbPatterns[0].source.match(/breadcrumb/)[0]
-              );
-              if (hasAriaLabel) return true;
-            }
-            // Prüfe auf className="breadcrumb-list"
-            if (
-              (attr.name.name === "className" || attr.name.name === "class") &&
-              attr.value.type === "StringLiteral" &&
-              attr.value.value.toLowerCase().includes(htmlBreadcrumbPatterns[1].source.match(/breadcrumb-list/)[0])
-            ) {
-              return true;
-            }
-          }
-        }
+  return false;
+}
 
-      // recursively check children
-      return (node.children || []).some(hasBreadcrumb);
-    }
+/**
+ * createBreadcrumbDetector - Detects missing breadcrumbs in critical page components <Page>, <Layout>, <Main>.
+ * Components rendered inside them count too, also when they are imported from other files (see import-graph.js).
+ * Heuristic: Nielsen #1 - Visibility of system status
+ * @param {{ fileName?: string }} [context] - context of the analysis engine, imports are only followed with a file name
+ */
+function createBreadcrumbDetector({ fileName } = {}) {
+  const pageComponents = ["page", "layout", "main"];
+  //const breadcrumbComponents = ["breadcrumb", "breadcrumbs"];
 
-    return false;
-  }
+  const feedback = [];
 
-  traverse(ast, {
+  const visitor = {
     JSXElement(path) {
       const name = path.node.openingElement.name;
       if (name.type === "JSXIdentifier" && pageComponents.includes(name.name.toLowerCase())) {
         // when breadcrumb is missing push feedback
-        if (!hasBreadcrumb(path.node)) {
+        if (!importGraph.subtreeRenders(path, isBreadcrumbElement, fileName)) {
           feedback.push({
             type: "missing-breadcrumb",
-            line: path.node.loc.start.line,
+            ...getElementLocation(path.node),
             message: `Page component <${name.name}> has no breadcrumb. Add one for proper system status visibility. (Nielsen #1)`,
             severity: "warning",
             analysisType: "BREADCRUMB",
@@ -106,9 +95,36 @@ function detectBreadcrumbs(content) {
         }
       }
     }
-  });
+  };
+
+  return { visitor, finish: () => feedback };
+}
 
-  return feedback;
+// Registry entry: metadata used by the commands, the project scan and the FeedbackHandler
+const breadcrumbDetector = {
+  type: "BREADCRUMB",
+  heuristic: 1,
+  name: "Breadcrumb",
+  command: "react-ux-analyzer.analyzeBreadcrumbs",
+  docs: "https://www.nngroup.com/articles/breadcrumbs/",
+  guide: "1-visibility-system-status/BREADCRUMB-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "missing-breadcrumb": "RUX101"
+  },
+  ratings: {
+    "missing-breadcrumb": 2
+  },
+  create: createBreadcrumbDetector
+};
+
+/**
+ * detectBreadcrumbs - Runs the breadcrumb detector on its own
+ * @param {string} content
+ * @param {string} [fileName] - path of the file, needed to resolve imported components
+ */
+function detectBreadcrumbs(content, fileName) {
+  return runDetector(breadcrumbDetector, content, { fileName });
 }
 
-module.exports = { detectBreadcrumbs };
\ No newline at end of file
+module.exports = { detectBreadcrumbs, breadcrumbDetector };
\ No newline at end of file
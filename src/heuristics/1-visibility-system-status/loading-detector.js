@@ -1,11 +1,11 @@
-const { parse } = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
+const { runDetector } = require("../analysis-engine");
+const { getLocation, getElementLocation } = require("../utils/location");
 
 /**
- * detectLoadingPatterns - checks React code for missing loading indicators in network calls and buttons
+ * createLoadingDetector - checks React code for missing loading indicators in network calls and buttons
  * Heuristic: Nielsen #1 - Visibility of System Status
  */
-function detectLoadingPatterns(content) {
+function createLoadingDetector({ content }) {
   const feedback = [];
 
   const actionTextRegex = /\b(upload|login|register|logout|send|save|submit|next|continue|delete|remove|post|create|update)\b/i;
@@ -113,43 +113,32 @@ function detectLoadingPatterns(content) {
   // Only consider buttons with conditional rendering for fetch/axios feedback!
   let hasSubmitButtonWithConditionalLoading = false;
 
-  let ast;
-  try {
-    ast = parse(content, {
-      sourceType: "module",
-      plugins: ["jsx", "classProperties"],
-      errorRecovery: true
-    });
-  } catch (err) {
-    throw new Error("JS/JSX code could not be parsed: " + err.message);
-  }
+  // fetch/axios calls without loading state, reported once all submit buttons are known
+  const callsWithoutLoadingUI = [];
 
-  // Collect all submit buttons with conditional loading indicator (ternary only)
-  traverse(ast, {
-    JSXElement(path) {
-      const node = path.node;
-      if (
-        node.openingElement.name.type === "JSXIdentifier" &&
-        node.openingElement.name.name === "button"
-      ) {
-        const typeAttr = node.openingElement.attributes.find(
-          a => a.type === "JSXAttribute" && a.name.name === "type"
-        );
-        const typeValue =
-          typeAttr && typeAttr.type === "JSXAttribute" && typeAttr.value && typeAttr.value.type === "StringLiteral"
-            ? typeAttr.value.value
-            : undefined;
-        if (typeValue === "submit") {
-          if (containsConditionalLoading(node.children)) {
-            hasSubmitButtonWithConditionalLoading = true;
-          }
+  // Helper: collect submit buttons with conditional loading indicator (ternary only)
+  function collectSubmitButton(node) {
+    if (
+      node.openingElement.name.type === "JSXIdentifier" &&
+      node.openingElement.name.name === "button"
+    ) {
+      const typeAttr = node.openingElement.attributes.find(
+        a => a.type === "JSXAttribute" && a.name.name === "type"
+      );
+      const typeValue =
+        typeAttr && typeAttr.type === "JSXAttribute" && typeAttr.value && typeAttr.value.type === "StringLiteral"
+          ? typeAttr.value.value
+          : undefined;
+      if (typeValue === "submit") {
+        if (containsConditionalLoading(node.children)) {
+          hasSubmitButtonWithConditionalLoading = true;
         }
       }
     }
-  });
+  }
 
   // Analyze fetch/axios calls and their surrounding context
-  traverse(ast, {
+  const visitor = {
     CallExpression(path) {
       const callee = path.node.callee;
       const isFetch =
@@ -187,7 +176,7 @@ function detectLoadingPatterns(content) {
         if (!hasSetLoadingTrue) {
           feedback.push({
             type: "missing-loading-state",
-            line: path.node.loc.start.line,
+            ...getLocation(path.node.callee),
             content: content.slice(path.node.start, path.node.end),
             severity: "warning",
             message: "fetch/axios call detected without loading state.",
@@ -197,23 +186,14 @@ function detectLoadingPatterns(content) {
           });
         }
 
-        if (!hasSetLoadingTrue || !hasSubmitButtonWithConditionalLoading) {
-          feedback.push({
-            type: "missing-conditional-loading-ui",
-            line: path.node.loc.start.line,
-            content: content.slice(path.node.start, path.node.end),
-            severity: "warning",
-            message: "fetch/axios call detected without conditional loading UI in submit button (e.g. {loading ? Sending... : Send}).",
-            action: "Show a loading indicator inside a <button type='submit'> while the request is in progress, using {loading ? ... : ...}.",
-            why: "Users should see if system is processing."
-          });
-        }
+        callsWithoutLoadingUI.push({ node: path.node, hasSetLoadingTrue });
       }
     },
 
     // Keep your original button analysis logic for other feedback
     JSXElement(path) {
       const node = path.node;
+      collectSubmitButton(node);
 
       const buttonText = (node.children || [])
         .map(child => child.type === "JSXText" ? child.value : "")
@@ -251,7 +231,7 @@ function detectLoadingPatterns(content) {
           if (!childrenHaveLoading) {
             feedback.push({
               type: "missing-loading-indicator",
-              line: node.loc.start.line,
+              ...getElementLocation(node),
               content: content.slice(node.start, node.end),
               severity: "warning",
               message: "Button has no logical loading indicator.",
@@ -263,7 +243,7 @@ function detectLoadingPatterns(content) {
           if (!disabledAttr || (!hasDisabledIsLoading && !childrenHaveLoading)) {
             feedback.push({
               type: "missing-loading",
-              line: node.loc.start.line,
+              ...getElementLocation(node),
               content: content.slice(node.start, node.end),
               severity: "warning",
               message: "Button is missing `disabled={isLoading}`.",
@@ -274,9 +254,58 @@ function detectLoadingPatterns(content) {
         }
       }
     }
-  });
+  };
+
+  // Needs every submit button of the file, so runs after the traversal
+  function finish() {
+    for (const { node, hasSetLoadingTrue } of callsWithoutLoadingUI) {
+      if (!hasSetLoadingTrue || !hasSubmitButtonWithConditionalLoading) {
+        feedback.push({
+          type: "missing-conditional-loading-ui",
+          ...getLocation(node.callee),
+          content: content.slice(node.start, node.end),
+          severity: "warning",
+          message: "fetch/axios call detected without conditional loading UI in submit button (e.g. {loading ? Sending... : Send}).",
+          action: "Show a loading indicator inside a <button type='submit'> while the request is in progress, using {loading ? ... : ...}.",
+          why: "Users should see if system is processing."
+        });
+      }
+    }
+    return feedback;
+  }
+
+  return { visitor, finish };
+}
 
-  return feedback;
+// Registry entry: metadata used by the commands, the project scan and the FeedbackHandler
+const loadingDetector = {
+  type: "LOADING",
+  heuristic: 1,
+  name: "Loading",
+  command: "react-ux-analyzer.analyzeLoading",
+  docs: "https://medium.com/design-bootcamp/using-loaders-understanding-their-purpose-types-and-best-practices-a62ca991d472",
+  guide: "1-visibility-system-status/LOADING-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "missing-loading-state": "RUX102",
+    "missing-loading-indicator": "RUX103",
+    "missing-loading": "RUX104",
+    "missing-conditional-loading-ui": "RUX105"
+  },
+  ratings: {
+    "missing-loading-state": 3,
+    "missing-loading-indicator": 3,
+    "missing-loading": 3,
+    "missing-conditional-loading-ui": 2
+  },
+  create: createLoadingDetector
+};
+
+/**
+ * detectLoadingPatterns - Runs the loading detector on its own
+ */
+function detectLoadingPatterns(content) {
+  return runDetector(loadingDetector, content);
 }
 
-module.exports = { detectLoadingPatterns };
\ No newline at end of file
+module.exports = { detectLoadingPatterns, loadingDetector };
\ No newline at end of file
@@ -1,11 +1,12 @@
-const { parse } = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
+const { runDetector } = require("../analysis-engine");
+const { insertAfter } = require("../utils/fixes");
+const { getElementLocation } = require("../utils/location");
 
 /*
-    * detectHelpFeatures - Detects missing Help features like onboarding modals, help links, and icon only buttons
+    * createHelpDetector - Detects missing Help features like onboarding modals, help links, and icon only buttons
     * Based on Nielsen Heuristic #10: Help and Documentation
 */
-function detectHelpFeatures(content) {
+function createHelpDetector() {
   const feedback = [];
 
   const onboardingTextRegex = /\b(welcome|tour|guide|get started|walkthrough|intro|help)\b/i;
@@ -99,6 +100,28 @@ function detectHelpFeatures(content) {
     return false;
   }
 
+  // Helper: label suggested by the quick fix, <TrashIcon /> or <i className="icon-trash" /> -> "Trash"
+  function getIconLabel(node) {
+    const icon = (node.children || []).find(isIconElement);
+    const name = icon.openingElement.name;
+    const className = icon.openingElement.attributes.find(
+      attr => attr.type === "JSXAttribute" && attr.name.name === "className" && attr.value?.type === "StringLiteral"
+    )?.value.value;
+
+    const source = name.type === "JSXIdentifier" && name.name !== "svg" && name.name !== "i"
+      ? name.name
+      : (className || "").split(/\s+/).filter(cls => iconTags.test(cls)).pop() || "";
+    const words = source
+      .replace(/icon|svg/gi, " ")
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .split(/[\s_-]+/)
+      .filter(Boolean);
+
+    if (words.length === 0) return "Button label";
+    const label = words.join(" ").toLowerCase();
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
   // Helper: check if a button is icon-only
   function isIconOnlyButton(node) {
     if (node.type !== "JSXElement") return false;
@@ -150,18 +173,7 @@ function detectHelpFeatures(content) {
     return false;
   }
 
-  let ast;
-  try {
-    ast = parse(content, {
-      sourceType: "module",
-      plugins: ["jsx"],
-      errorRecovery: true,
-    });
-  } catch (err) {
-    throw new Error("Could not parse JSX content: " + err.message);
-  }
-
-  traverse(ast, {
+  const visitor = {
     JSXElement(path) {
       const node = path.node;
       const opening = path.node.openingElement;
@@ -173,7 +185,7 @@ function detectHelpFeatures(content) {
       const tag = nameNode?.type === "JSXIdentifier" ? nameNode.name.toLowerCase() : null;
       if (!tag) return;
      
-      const line = node.loc?.start?.line ?? null;
+      const location = getElementLocation(node);
 
       // Modal or Dialog components have onboarding content but no start button
       const isModalComponent = modalLikeTags.includes(tag);
@@ -185,7 +197,7 @@ function detectHelpFeatures(content) {
         if (!hasAction) {
           feedback.push({
             type: "missing-onboarding-action",
-            line,
+            ...location,
             message: `<${tag}> contains onboarding content but lacks an action button`,
             severity: "warning",
             why: "Users need guidance to proceed with onboarding.",
@@ -213,7 +225,7 @@ function detectHelpFeatures(content) {
         if (!hasHelpLink && !hasBreadcrumbAriaLabel) {
           feedback.push({
             type: "missing-help-link-in-menu",
-            line,
+            ...location,
             message: `Navigation block does not contain a link to Help, Support, or Documentation.`,
             severity: "warning",
             why: "Users need help resources from navigation.",
@@ -257,7 +269,7 @@ function detectHelpFeatures(content) {
         if (!hasHelpAttr) {
           feedback.push({
             type: "missing-tooltip",
-            line: path.node.loc?.start?.line ?? null,
+            ...location,
             message: `<${tag}> field of type '${inputType ?? "text"}' is missing help attributes.`,
             severity: "warning",
             why: "Users may need guidance on how to fill out critical form fields.",
@@ -268,22 +280,58 @@ function detectHelpFeatures(content) {
 
       // Icon-only buttons must have aria-label/title or be wrapped in Tooltip
       if (isIconOnlyButton(node)) {
-      const line = node.loc?.start?.line || null;
       if (!hasTitleAccessibleLabel(node) && !isWrappedInTooltip(path)) {
+        const label = getIconLabel(node);
         feedback.push({
           type: "missing-icon-button-label",
-          line,
+          ...location,
           message: `Icon-only button lacks accessible label or tooltip.`,
           severity: "warning",
           why: "Icon buttons need accessible labels for users and screen readers.",
           action: `Add 'aria-label' or 'title' attribute, or wrap the <${tag}> in a <Tooltip> component.`,
+          fix: {
+            title: `Add aria-label="${label}"`,
+            edits: [insertAfter(opening.name, ` aria-label="${label}"`)]
+          }
         });
       }
     }
     },
-  });
+  };
+
 
-  return feedback;
+  return { visitor, finish: () => feedback };
+}
+
+// Registry entry: metadata used by the commands, the project scan and the FeedbackHandler
+const helpDetector = {
+  type: "HELP",
+  heuristic: 10,
+  name: "Help Features",
+  command: "react-ux-analyzer.analyzeHelp",
+  docs: "https://www.nngroup.com/articles/help-and-documentation/",
+  guide: "10-help-and-documentation/HELP-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "missing-onboarding-action": "RUX1001",
+    "missing-help-link-in-menu": "RUX1002",
+    "missing-tooltip": "RUX1003",
+    "missing-icon-button-label": "RUX1004"
+  },
+  ratings: {
+    "missing-onboarding-action": 2,
+    "missing-help-link-in-menu": 1,
+    "missing-tooltip": 1,
+    "missing-icon-button-label": 3
+  },
+  create: createHelpDetector
+};
+
+/**
+ * detectHelpFeatures - Runs the help detector on its own
+ */
+function detectHelpFeatures(content) {
+  return runDetector(helpDetector, content);
 }
 
-module.exports = { detectHelpFeatures };
\ No newline at end of file
+module.exports = { detectHelpFeatures, helpDetector };
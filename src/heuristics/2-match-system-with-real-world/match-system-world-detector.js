@@ -23,7 +23,7 @@ async function detectMatchSystemwithRealWorld(visibleText, domain = 'general', a
   // tracks jargon matches to avoid duplicates
   const seenJargon = new Set();
 
-  for (const { text, line } of visibleText) {
+  for (const { text, ...location } of visibleText) {
     if (typeof text !== 'string') continue;
     const textLine = text.trim();
     if (textLine.length < 3) continue;
@@ -40,7 +40,7 @@ async function detectMatchSystemwithRealWorld(visibleText, domain = 'general', a
             seenJargon.add(match);
             feedback.push({
               type: 'jargon-detected',
-              line,
+              ...location,
               message: match, // e.g. "Jargon detected: Cloud Instance – technical cloud computing term, replace with "Cloud Server"
               severity: 'warning',
               why: 'Users should understand meaning without needing to look it up.',
@@ -50,11 +50,28 @@ async function detectMatchSystemwithRealWorld(visibleText, domain = 'general', a
         }
       }
     } catch (err) {
-      console.error(`❌ Jargon detection failed on line ${line}:`, err.message);
+      console.error(`❌ Jargon detection failed on line ${location.line}:`, err.message);
     }
   }
 
   return feedback;
 }
 
-module.exports = { detectMatchSystemwithRealWorld };
\ No newline at end of file
+// Registry entry, runs through its own command as it needs an external service
+const matchSystemDetector = {
+  type: "MATCH_SYSTEM_REAL_WORLD",
+  heuristic: 2,
+  name: "Match System with Real World",
+  command: "react-ux-analyzer.analyzeMatchSystem",
+  docs: "https://www.nngroup.com/articles/match-system-real-world/",
+  guide: "2-match-system-with-real-world/LANGUAGE-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "jargon-detected": "RUX201"
+  },
+  ratings: {
+    "jargon-detected": 2
+  }
+};
+
+module.exports = { detectMatchSystemwithRealWorld, matchSystemDetector };
\ No newline at end of file
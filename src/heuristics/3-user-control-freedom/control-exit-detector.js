@@ -1,13 +1,13 @@
-const { parse } = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
+const { runDetector } = require("../analysis-engine");
+const { getElementLocation, getRelatedLocation } = require("../utils/location");
 
 /**
- * detectControlExits - Detects missing exit mechanisms in modals and dialogs, missing Back buttons in multi-step flows, and missing Undo options for destructive actions.
+ * createControlExitDetector - Detects missing exit mechanisms in modals and dialogs, missing Back buttons in multi-step flows, and missing Undo options for destructive actions.
  * Nielsen Heuristic #3: User Control and Freedom
  */
-function detectControlExits(content) {
+function createControlExitDetector() {
   const feedback = [];
-  const nextButtonLines = [];
+  const nextButtons = [];
 
   let hasNextButton = false;
   let hasBackButton = false;
@@ -15,14 +15,7 @@ function detectControlExits(content) {
   const destructiveButtons = [];
   const undoButtons = [];
 
-  let ast;
-  try {
-    ast = parse(content, { sourceType: "module", plugins: ["jsx"], errorRecovery: true });
-  } catch (err) {
-    throw new Error("JSX code could not be parsed: " + err.message);
-  }
-
-  traverse(ast, {
+  const visitor = {
     JSXElement(path) {
       const node = path.node;
       const nameNode = node.openingElement.name;
@@ -37,7 +30,7 @@ function detectControlExits(content) {
         if (!hasOnClose) {
           feedback.push({
             type: "missing-control",
-            line: node.loc.start.line,
+            ...getElementLocation(node),
             message: `${elementName} is missing a close option for users.`,
             severity: "warning",
             action: "Add `onClose` prop to allow users to exit the modal/dialog.",
@@ -65,7 +58,7 @@ function detectControlExits(content) {
           // Push feedback at the location of the parent modal/dialog
           feedback.push({
             type: "missing-control",
-            line: node.loc.start.line,
+            ...getElementLocation(node),
             message: `${elementName} has no visible Close or Cancel button. Add a clear exit mechanism.`,
             severity: "warning",
             why: "Make sure the exit in the modal/dialog is clearly labeled and discoverable.",
@@ -85,7 +78,9 @@ function detectControlExits(content) {
         // multi-step form navigation
         if (buttonText.includes("next") || buttonText.includes("finish")) {
           hasNextButton = true;
-          nextButtonLines.push(node.loc.start.line);
+          // the enclosing element is where the Back button is missing
+          const container = path.findParent(parent => parent.isJSXElement())?.node;
+          nextButtons.push({ node, container });
         }
         if (buttonText.includes("back") || buttonText.includes("previous")) hasBackButton = true;
 
@@ -95,37 +90,68 @@ function detectControlExits(content) {
           undoButtons.push(node);
       }
     },
-  });
-
-  // multi-step forms next without back
-  if (hasNextButton && !hasBackButton) {
-    for (const line of nextButtonLines) {
-      feedback.push({
-        type: "missing-control",
-        line,
-        message: "Multi-step flow has Next/Finish button but no Back/Previous button. Provide a way to reverse steps.",
-        severity: "warning",
-        why: "Users may want to go back to previous steps in a multi-step process.",
-        action: "Add a Back or Previous button to allow users to navigate backwards.",
-      });
+  };
+
+  // Needs all buttons of the file, so runs after the traversal
+  function finish() {
+    // multi-step forms next without back
+    if (hasNextButton && !hasBackButton) {
+      for (const { node, container } of nextButtons) {
+        feedback.push({
+          type: "missing-control",
+          ...getElementLocation(node),
+          message: "Multi-step flow has Next/Finish button but no Back/Previous button. Provide a way to reverse steps.",
+          severity: "warning",
+          why: "Users may want to go back to previous steps in a multi-step process.",
+          action: "Add a Back or Previous button to allow users to navigate backwards.",
+          related: container ? [getRelatedLocation(container.openingElement.name, "Add the Back/Previous button to this container.")] : [],
+        });
+      }
     }
-  }
 
-  // destructive actions without undo
-  if (destructiveButtons.length > 0 && undoButtons.length === 0) {
-    for (const btn of destructiveButtons) {
-      feedback.push({
-        type: "missing-control",
-        line: btn.loc.start.line,
-        message: "Destructive action detected in button.",
-        severity: "warning",
-        why: "Users may accidentally trigger destructive actions and need a way to recover.",
-        action: "Add an 'Undo', 'Cancel', or 'Restore' option after destructive actions.",
-      });
+    // destructive actions without undo
+    if (destructiveButtons.length > 0 && undoButtons.length === 0) {
+      for (const btn of destructiveButtons) {
+        feedback.push({
+          type: "missing-control",
+          ...getElementLocation(btn),
+          message: "Destructive action detected in button.",
+          severity: "warning",
+          why: "Users may accidentally trigger destructive actions and need a way to recover.",
+          action: "Add an 'Undo', 'Cancel', or 'Restore' option after destructive actions.",
+        });
+      }
     }
+
+    return feedback;
   }
 
-  return feedback;
+  return { visitor, finish };
+}
+
+// Registry entry: metadata used by the commands, the project scan and the FeedbackHandler
+const controlExitDetector = {
+  type: "CONTROL",
+  heuristic: 3,
+  name: "Control Exit",
+  command: "react-ux-analyzer.analyzeControlExits",
+  docs: "https://www.nngroup.com/articles/user-control-and-freedom/",
+  guide: "3-user-control-freedom/CONTROL-EXIT-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "missing-control": "RUX301"
+  },
+  ratings: {
+    "missing-control": 3
+  },
+  create: createControlExitDetector
+};
+
+/**
+ * detectControlExits - Runs the control exit detector on its own
+ */
+function detectControlExits(content) {
+  return runDetector(controlExitDetector, content);
 }
 
-module.exports = { detectControlExits };
\ No newline at end of file
+module.exports = { detectControlExits, controlExitDetector };
\ No newline at end of file
@@ -1,32 +1,22 @@
-const { parse } = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
+const { runDetector } = require("../analysis-engine");
+const { getRuleOptions } = require("../utils/rules-config");
+const { insertBefore, insertAfter, replaceNode } = require("../utils/fixes");
+const { getLocation, getElementLocation, getOffsetLocation } = require("../utils/location");
 
 /**
- * detectPageConsistency - Detects inconsistencies in page structure and too many font styles
+ * detectCssFontConsistency - Detects too many font declarations in CSS/SCSS files
  * Nielsen Heuristic #4: Consistency & Standards
  */
-function detectPageConsistency(content, fileType = "jsx") {
+function detectCssFontConsistency(content) {
   const feedback = [];
 
-  const pageRegions = [
-    { element: "header", allowedRoles: ["banner"], found: false },
-    { element: "main", allowedRoles: ["main"], found: false },
-    { element: "nav", allowedRoles: ["navigation"], found: false },
-    { element: "footer", allowedRoles: ["contentinfo"], found: false },
-  ];
-
-  const fontsUsed = new Map();
-
-  // Helper: checks CSS font
-  if (fileType === "css" || fileType === "scss") {
     // Check all @font-face blocks
     const fontFaceBlocks = [...content.matchAll(/@font-face\s*{([\s\S]*?)}/gi)];
     if (fontFaceBlocks.length > 2) {
         fontFaceBlocks.forEach(block => {
-        const lineNumber = content.slice(0, block.index).split("\n").length;
         feedback.push({
             type: "too-many-fonts",
-            line: lineNumber,
+            ...getOffsetLocation(content, block.index, block.index + block[0].length),
             message: "More than 2 @font-face declarations in CSS. Maintain font consistency.",
             severity: "warning",
         });
@@ -38,10 +28,10 @@ function detectPageConsistency(content, fileType = "jsx") {
         const fontFamilyMatches = [...block[1].matchAll(/font-family\s*:\s*['"]?([^;'"]+)['"]?/gi)];
         if (fontFamilyMatches.length > 2) {
         fontFamilyMatches.forEach(match => {
-            const lineNumber = content.slice(0, block.index + match.index).split("\n").length;
+            const start = block.index + block[0].indexOf(block[1]) + match.index;
             feedback.push({
             type: "too-many-fonts",
-            line: lineNumber,
+            ...getOffsetLocation(content, start, start + match[0].length),
             message: `More than 2 font-family declarations found in project.`,
             severity: "warning",
             why: "Maintaining font consistency improves readability and UI consistency.",
@@ -55,10 +45,9 @@ function detectPageConsistency(content, fileType = "jsx") {
   const importMatches = [...content.matchAll(/@import\s+url\(["']?([^"')]+)["']?\)/gi)];
     if (importMatches.length > 2) {
         importMatches.forEach(match => {
-        const lineNumber = content.slice(0, match.index).split("\n").length;
         feedback.push({
             type: "too-many-fonts",
-            line: lineNumber,
+            ...getOffsetLocation(content, match.index, match.index + match[0].length),
             message: "More than 2 fonts imported via @import url(...). Maintain font consistency.",
             severity: "warning",
             why: "Maintaining font consistency improves readability and UI consistency.",
@@ -68,7 +57,33 @@ function detectPageConsistency(content, fileType = "jsx") {
   }
 
     return feedback;
-    }
+}
+
+/**
+ * createPageConsistencyDetector - Detects inconsistencies in page structure and too many font styles
+ * Nielsen Heuristic #4: Consistency & Standards
+ */
+function createPageConsistencyDetector({ content, rules }) {
+  const feedback = [];
+
+  // quick fix links the logo with the router already used by the file
+  const logoLink = /import\s*{[^}]*\bLink\b[^}]*}\s*from\s*["']react-router(-dom)?["']/.test(content)
+    ? { open: '<Link to="/">', close: "</Link>" }
+    : /import\s+Link\s+from\s*["']next\/link["']/.test(content)
+      ? { open: '<Link href="/">', close: "</Link>" }
+      : { open: '<a href="/">', close: "</a>" };
+
+  // configurable with react-ux-analyzer.rules
+  const { maxFonts } = getRuleOptions(rules, "too-many-fonts", { maxFonts: 2 });
+
+  const pageRegions = [
+    { element: "header", allowedRoles: ["banner"], found: false },
+    { element: "main", allowedRoles: ["main"], found: false },
+    { element: "nav", allowedRoles: ["navigation"], found: false },
+    { element: "footer", allowedRoles: ["contentinfo"], found: false },
+  ];
+
+  const fontsUsed = new Map();
 
   // Helper: check parents for a or link tag
    function isWrappedInLink(path) {
@@ -93,14 +108,7 @@ function detectPageConsistency(content, fileType = "jsx") {
       return false;
     }
 
-    let ast;
-    try {
-        ast = parse(content, { sourceType: "module", plugins: ["jsx"], errorRecovery: true });
-    } catch (err) {
-        throw new Error("JSX code could not be parsed: " + err.message);
-    }
-
-  traverse(ast, {
+  const visitor = {
     JSXElement(path) {
       const node = path.node;
       const nameNode = node.openingElement.name;
@@ -120,11 +128,15 @@ function detectPageConsistency(content, fileType = "jsx") {
           if (!roleAttr) {
             feedback.push({
               type: "missing-role",
-              line: node.loc.start.line,
+              ...getElementLocation(node),
               message: `<${region.element}> is missing a WAI-ARIA role. Recommended: ${region.allowedRoles.join(", ")}`,
               severity: "warning",
               action: `Add role='${region.allowedRoles[0]}' to <${region.element}>.`,
-              why: "Accessibility requires a role to be defined for screen readers."
+              why: "Accessibility requires a role to be defined for screen readers.",
+              fix: {
+                title: `Add role="${region.allowedRoles[0]}" to <${region.element}>`,
+                edits: [insertAfter(node.openingElement.name, ` role="${region.allowedRoles[0]}"`)]
+              }
             });
           } else {
             const roleValue =
@@ -132,11 +144,15 @@ function detectPageConsistency(content, fileType = "jsx") {
             if (!region.allowedRoles.includes(roleValue)) {
               feedback.push({
                 type: "invalid-role",
-                line: node.loc.start.line,
+                ...getLocation(roleAttr),
                 message: `<${region.element}> has an invalid role "${roleValue}". Recommended: ${region.allowedRoles.join(", ")}`,
                 severity: "warning",
                 why: `Accessibility requires a role to be defined for screen readers.`,
                 action: `Change role='${roleValue}' to role='${region.allowedRoles[0]}' on <${region.element}>.`,
+                fix: {
+                  title: `Change role to "${region.allowedRoles[0]}" on <${region.element}>`,
+                  edits: [replaceNode(roleAttr, `role="${region.allowedRoles[0]}"`)]
+                }
               });
             }
           }
@@ -160,11 +176,15 @@ function detectPageConsistency(content, fileType = "jsx") {
         if (!wrappedInLink) {
             feedback.push({
             type: "missing-logo-link",
-            line: child.loc.start.line,
+            ...getElementLocation(child),
             message: "Logo misses link to homepage.",
             severity: "warning",
             action: "Wrap the logo component in <a href='/'> or <Link to='/'> to link back to homepage.",
-            why: "Users expect clicking the logo to return to the homepage."
+            why: "Users expect clicking the logo to return to the homepage.",
+            fix: {
+              title: `Wrap logo in ${logoLink.open}`,
+              edits: [insertBefore(child, logoLink.open), insertAfter(child, logoLink.close)]
+            }
             });
         }
         }
@@ -191,21 +211,56 @@ function detectPageConsistency(content, fileType = "jsx") {
             fontsUsed.set(fontName, node.loc.start.line);
           }
         }
-        if (fontsUsed.size > 2) { // only trigger feedback if more than 2 fonts used
+        if (fontsUsed.size > maxFonts) { // only trigger feedback if more than maxFonts (default 2) fonts used
             feedback.push({
             type: "too-many-fonts",
-            line: node.loc.start.line,
+            ...getLocation(classAttr),
             message: `Too many included fonts.`,
             severity: "warning",
-            action: "Use maximum 2 fonts in the project for consistency.",
+            action: `Use maximum ${maxFonts} fonts in the project for consistency.`,
             why: "Maintaining font consistency improves readability and UI consistency."
             });
         }
     });
     }
     }
-  });
-  return feedback;
+  };
+
+  return { visitor, finish: () => feedback };
+}
+
+// Registry entry: metadata used by the commands, the project scan and the FeedbackHandler
+const pageConsistencyDetector = {
+  type: "CONSISTENCY",
+  heuristic: 4,
+  name: "Page Consistency",
+  command: "react-ux-analyzer.analyzePageConsistency",
+  docs: "https://www.nngroup.com/articles/consistency-and-standards/",
+  guide: "4-consistency-and-standards/PAGE-CONSISTENCY-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "missing-role": "RUX401",
+    "invalid-role": "RUX402",
+    "missing-logo-link": "RUX403",
+    "too-many-fonts": "RUX404"
+  },
+  ratings: {
+    "missing-role": 2,
+    "invalid-role": 2,
+    "missing-logo-link": 1,
+    "too-many-fonts": 1
+  },
+  create: createPageConsistencyDetector
+};
+
+/**
+ * detectPageConsistency - Runs the page consistency detector on JSX or the font checks on CSS/SCSS
+ */
+function detectPageConsistency(content, fileType = "jsx") {
+  if (fileType === "css" || fileType === "scss") {
+    return detectCssFontConsistency(content);
+  }
+  return runDetector(pageConsistencyDetector, content);
 }
 
-module.exports = { detectPageConsistency };
\ No newline at end of file
+module.exports = { detectPageConsistency, pageConsistencyDetector };
\ No newline at end of file
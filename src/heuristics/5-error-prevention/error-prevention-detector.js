@@ -1,11 +1,11 @@
-const { parse } = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
+const { runDetector } = require("../analysis-engine");
+const { getLocation, getElementLocation, getKeywordLocation } = require("../utils/location");
 
 /**
- * detectErrorPrevention - Detects meaningful user feedback and error prevention for fetch/axios calls
+ * createErrorPreventionDetector - Detects meaningful user feedback and error prevention for fetch/axios calls
  * Nielsen's Heuristic #5: Error Prevention
  */
-function detectErrorPrevention(content) {
+function createErrorPreventionDetector() {
   const feedback = [];
 
   const destructiveWords = /\b(delete|remove|clear|discard|trash|reset)\b/i;
@@ -150,14 +150,14 @@ function detectErrorPrevention(content) {
     }
 
     // Helper: extract feedback for catch blocks or .catch handlers
-    function analyzeErrorHandlerCatchStatements(statements, line, feedback) {
+    function analyzeErrorHandlerCatchStatements(statements, location, feedback) {
     const onlyDevLogs = statements.length > 0 && statements.every(isDevOnlyFeedback);
     const hasUserFeedback = statements.some(isUserFeedback);
 
     if (onlyDevLogs && !hasUserFeedback) {
         feedback.push({
         type: "dev-only-error-handling",
-        line,
+        ...location,
         message: `Error handler contains only console log.`,
         severity: "warning",
         why: "This provides no feedback to users when an error occurs.",
@@ -193,18 +193,7 @@ function detectErrorPrevention(content) {
   }
 
 
-  let ast;
-  try {
-    ast = parse(content, {
-      sourceType: "module",
-      plugins: ["jsx"],
-      errorRecovery: true,
-    });
-  } catch (err) {
-    throw new Error("Could not parse JSX content: " + err.message);
-  }
-
-  traverse(ast, {
+  const visitor = {
     JSXElement(path) {
       const node = path.node;
       const tagNode = path.node.openingElement?.name;
@@ -212,7 +201,7 @@ function detectErrorPrevention(content) {
 
       const tag = tagNode.name.toLowerCase();
       const children = Array.isArray(node.children) ? node.children : [];
-      const line = node.loc?.start?.line ?? null;
+      const location = getElementLocation(node);
     
     // Check for destructive text in modals missing cancel option
     if (modalLikeTags.includes(tag)) {
@@ -221,7 +210,7 @@ function detectErrorPrevention(content) {
         if (!cancelExists) {
           feedback.push({
             type: "missing-cancel-option",
-            line,
+            ...location,
             message: `Dialog contains destructive action text.`,
             severity: "warning",
             why: "Users need second chance to confirm if they want to continue with destructive operations.",
@@ -243,7 +232,7 @@ function detectErrorPrevention(content) {
         if (!hasTooltipAttr) {
           feedback.push({
             type: "missing-context-hint",
-            line,
+            ...location,
             message: `<${tag}> field is missing contextual help.`,
             severity: "warning",
             why: "Users may not understand the purpose of the field without additional context.",
@@ -259,16 +248,13 @@ function detectErrorPrevention(content) {
     const node = path.node;
     if (!isNetworkCall(node)) return;
 
-    const line = node.loc?.start?.line ?? null;
-    const feedbackLine = line || path.node.start;
-
     const insideTry = isInsideTryCatch(path);
     const catchPath = findCatchHandler(path);
 
     if (!insideTry && !catchPath) {
         feedback.push({
         type: "network-missing-catch",
-        line: feedbackLine,
+        ...getLocation(node.callee),
         message: `AJAX call (fetch/axios) is missing error handling.`,
         severity: "warning",
         why: "Network requests can fail, and unhandled errors may lead to poor user experience.",
@@ -280,6 +266,8 @@ function detectErrorPrevention(content) {
     // analyze .catch(fn) if present
     if (catchPath?.node?.arguments?.length > 0) {
         const handler = catchPath.node.arguments[0];
+        // `catch` of `.catch(handler)`
+        const catchLocation = getLocation(catchPath.node.callee.property || handler);
 
         if (
         handler.type === "ArrowFunctionExpression" ||
@@ -287,12 +275,12 @@ function detectErrorPrevention(content) {
         ) {
         if (handler.body.type === "BlockStatement") {
             const statements = handler.body.body;
-            analyzeErrorHandlerCatchStatements(statements, handler.loc?.start?.line, feedback);
+            analyzeErrorHandlerCatchStatements(statements, catchLocation, feedback);
         } else {
             // e => console.log(e)
             analyzeErrorHandlerCatchStatements(
             [{ type: "ExpressionStatement", expression: handler.body }],
-            handler.loc?.start?.line,
+            catchLocation,
             feedback
             );
         }
@@ -303,15 +291,13 @@ function detectErrorPrevention(content) {
     // Analyze try-catch blocks for dev-only error handling usign console.logs
     CatchClause(path) {
     const catchBody = path.node.body?.body ?? [];
-    const line = path.node.loc?.start?.line ?? null;
-
     const onlyDevLogs = catchBody.length > 0 && catchBody.every(isDevOnlyFeedback);
     const hasUserFeedback = catchBody.some(isUserFeedback);
 
     if (onlyDevLogs && !hasUserFeedback) {
         feedback.push({
         type: "dev-only-error-handling",
-        line,
+        ...getKeywordLocation(path.node, "catch"),
         message: `Catch block only logs errors using console.log. Consider providing user-facing feedback.`,
         severity: "warning",
         why: "This provides no feedback to users when an error occurs.",
@@ -324,12 +310,11 @@ function detectErrorPrevention(content) {
     TryStatement(path) {
     const node = path.node;
     const hasCatch = Boolean(node.handler);
-    const line = node.loc?.start?.line;
 
     if (!hasCatch) {
         feedback.push({
         type: "missing-catch-in-try",
-        line,
+        ...getKeywordLocation(node, "try"),
         message: `Try block is missing a catch handler. Errors inside may go unhandled.`,
         severity: "warning",
         why: "Unhandled errors can lead to poor user experience.",
@@ -337,10 +322,42 @@ function detectErrorPrevention(content) {
         });
     }
     }
-    });
+  };
 
+  return { visitor, finish: () => feedback };
+}
+
+// Registry entry: metadata used by the commands, the project scan and the FeedbackHandler
+const errorPreventionDetector = {
+  type: "ERROR_PREVENTION",
+  heuristic: 5,
+  name: "Error Prevention",
+  command: "react-ux-analyzer.analyzeErrorPrevention",
+  docs: "https://www.nngroup.com/articles/error-prevention/",
+  guide: "5-error-prevention/ERROR-PREVENTION-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "network-missing-catch": "RUX501",
+    "missing-catch-in-try": "RUX502",
+    "dev-only-error-handling": "RUX503",
+    "missing-cancel-option": "RUX504",
+    "missing-context-hint": "RUX505"
+  },
+  ratings: {
+    "network-missing-catch": 4,
+    "missing-catch-in-try": 3,
+    "dev-only-error-handling": 3,
+    "missing-cancel-option": 3,
+    "missing-context-hint": 2
+  },
+  create: createErrorPreventionDetector
+};
 
-  return feedback;
+/**
+ * detectErrorPrevention - Runs the error prevention detector on its own
+ */
+function detectErrorPrevention(content) {
+  return runDetector(errorPreventionDetector, content);
 }
 
-module.exports = { detectErrorPrevention };
\ No newline at end of file
+module.exports = { detectErrorPrevention, errorPreventionDetector };
\ No newline at end of file
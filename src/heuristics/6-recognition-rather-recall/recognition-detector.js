@@ -1,13 +1,20 @@
-const { parse } = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
+const { runDetector } = require("../analysis-engine");
+const { getRuleOptions } = require("../utils/rules-config");
+const { insertAfter } = require("../utils/fixes");
+const { getElementLocation } = require("../utils/location");
+
 /*
-    * detectRecognitionCues - Detects nav overload and missing placeholders for form input types
+    * createRecognitionDetector - Detects nav overload and missing placeholders for form input types
     * Based on Nielsen Heuristic #6: Recognition Rather Than Recall
 */
-function detectRecognitionCues(content) {
+function createRecognitionDetector({ rules }) {
   const feedback = [];
 
-  const criticalInputTypes = ["tel", "date", "email", "url", "password", "phone"];
+  // configurable with react-ux-analyzer.rules
+  const { inputTypes: criticalInputTypes } = getRuleOptions(rules, "missing-placeholder", {
+    inputTypes: ["tel", "date", "email", "url", "password", "phone"]
+  });
+  const { maxItems } = getRuleOptions(rules, "nav-overloaded", { maxItems: 7 });
 
   // Helper: to count menu items li, a, button recursively
   function countMenuItemsRecursively(children) {
@@ -78,19 +85,7 @@ function detectRecognitionCues(content) {
     return false;
   }
 
-  let ast;
-  try {
-    ast = parse(content, {
-      sourceType: "module",
-      plugins: ["jsx"],
-      errorRecovery: true,
-    });
-  } catch (err) {
-    console.error("AST Parse error:", err.message);
-    throw new Error("Could not parse JSX content: " + err.message);
-  }
-
-  traverse(ast, {
+  const visitor = {
     JSXElement(path) {
       const node = path.node;
       const opening = node.openingElement;
@@ -102,7 +97,7 @@ function detectRecognitionCues(content) {
       const tag = tagName;
       const tagLower = tagName.toLowerCase();
       const children = Array.isArray(node.children) ? node.children : [];
-      const line = node.loc?.start?.line ?? null;
+      const location = getElementLocation(node);
 
       // Critical input types need placeholders
       if (tag === "input") {
@@ -126,24 +121,28 @@ function detectRecognitionCues(content) {
         if (needsPlaceholder && !hasPlaceholder) {
           feedback.push({
             type: "missing-placeholder",
-            line,
+            ...location,
             message: `<input type='${typeValue}'> is missing a placeholder attribute.`,
             severity: "warning",
             why: `Placeholders help users recognize the expected input format.`,
             action: `Add a descriptive placeholder, e.g. <input type='${typeValue}' placeholder='Enter your ${typeValue}'>`,
+            fix: {
+              title: `Add placeholder="Enter your ${typeValue}"`,
+              edits: [insertAfter(opening.name, ` placeholder="Enter your ${typeValue}"`)]
+            }
           });
         }
       }
 
-      // More than 7 items in nav/menu is considered overloaded
+      // More than 7 (maxItems) items in nav/menu is considered overloaded
       if (["nav", "menu", "routes"].includes(tag)) {
         // counts how many direct child elements inside are also <nav> or <menu>
         const itemCount = countMenuItemsRecursively(children);
 
-        if (itemCount > 7) {
+        if (itemCount > maxItems) {
           feedback.push({
             type: "nav-overloaded",
-            line,
+            ...location,
             message: `<${tag}> contains ${itemCount} items.`,
             severity: "warning",
             why: "Users can only remember 7 items in short-term memory.",
@@ -159,7 +158,7 @@ function detectRecognitionCues(content) {
         if (!hasNav) {
           feedback.push({
             type: "footer-nav",
-            line,
+            ...location,
             message: `Footer elements should include a <nav> or <menu> for quick navigation.`,
             severity: "warning",
             why: "Footers are expected to provide navigation options to users.",
@@ -183,7 +182,7 @@ function detectRecognitionCues(content) {
         if (hasNested && !hasIcon) {
           feedback.push({
             type: "missing-caret",
-            line,
+            ...location,
             message: `<li> contains submenu but no icon to signify dropdown is present.`,
             severity: "warning",
             why: "Users may not recognize that a submenu exists without visual cues.",
@@ -192,9 +191,40 @@ function detectRecognitionCues(content) {
         }
       }
     },
-  });
+  };
+
+  return { visitor, finish: () => feedback };
+}
 
-  return feedback;
+// Registry entry: metadata used by the commands, the project scan and the FeedbackHandler
+const recognitionDetector = {
+  type: "RECOGNITION",
+  heuristic: 6,
+  name: "Recognition Cues",
+  command: "react-ux-analyzer.analyzeRecognition",
+  docs: "https://www.nngroup.com/articles/recognition-and-recall/",
+  guide: "6-recognition-rather-recall/RECOGNITION-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "nav-overloaded": "RUX601",
+    "footer-nav": "RUX602",
+    "missing-caret": "RUX603",
+    "missing-placeholder": "RUX604"
+  },
+  ratings: {
+    "nav-overloaded": 2,
+    "footer-nav": 1,
+    "missing-caret": 1,
+    "missing-placeholder": 2
+  },
+  create: createRecognitionDetector
+};
+
+/**
+ * detectRecognitionCues - Runs the recognition detector on its own
+ */
+function detectRecognitionCues(content) {
+  return runDetector(recognitionDetector, content);
 }
 
-module.exports = { detectRecognitionCues };
+module.exports = { detectRecognitionCues, recognitionDetector };
@@ -1,21 +1,50 @@
-const { parse } = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
+const { runDetector } = require("../analysis-engine");
+const { insertAfter, getIndentation } = require("../utils/fixes");
+const { getLocation, getOffsetLocation, getRelatedLocation } = require("../utils/location");
 
 /**
- * detectShortcuts - Detects presence of keyboard shortcut handling in fetch and useEffect, and visible shortcut hints in menus
+ * createShortcutDetector - Detects presence of keyboard shortcut handling in fetch and useEffect, and visible shortcut hints in menus
  * Based on Nielsen Heuristic #7: Flexibility & Efficiency of Use
  */
-function detectShortcuts(content) {
+function createShortcutDetector({ content }) {
   const feedback = [];
 
-  let ast;
-  try {
-    ast = parse(content, { sourceType: "module", plugins: ["jsx"], errorRecovery: true });
-  } catch (err) {
-    throw new Error("JSX code could not be parsed: " + err.message);
+  // Quick fix: remove the same handler in the cleanup, only possible for named handlers
+  function getRemoveListenerFix(addListenerStmt, handlerName, returnStmt, effectBody) {
+    if (!handlerName) return undefined;
+
+    const eventName = content.slice(addListenerStmt.expression.arguments[0].start, addListenerStmt.expression.arguments[0].end);
+    const removeCall = `document.removeEventListener(${eventName}, ${handlerName});`;
+    const title = `Remove the keydown listener in the cleanup function`;
+
+    // no cleanup yet: return one after the last statement of the effect
+    if (!returnStmt) {
+      const lastStmt = effectBody[effectBody.length - 1];
+      const indent = getIndentation(content, lastStmt.start);
+      return {
+        title,
+        edits: [insertAfter(lastStmt, `\n${indent}return () => {\n${indent}  ${removeCall}\n${indent}};`)]
+      };
+    }
+
+    const cleanup = returnStmt.argument;
+    if (cleanup?.type !== "ArrowFunctionExpression" || cleanup.body.type !== "BlockStatement") return undefined;
+
+    const lastCleanupStmt = cleanup.body.body[cleanup.body.body.length - 1];
+    if (lastCleanupStmt) {
+      return {
+        title,
+        edits: [insertAfter(lastCleanupStmt, `\n${getIndentation(content, lastCleanupStmt.start)}${removeCall}`)]
+      };
+    }
+    const indent = getIndentation(content, returnStmt.start);
+    return {
+      title,
+      edits: [{ start: cleanup.body.start + 1, end: cleanup.body.start + 1, text: `\n${indent}  ${removeCall}\n${indent}` }]
+    };
   }
 
-  traverse(ast, {
+  const visitor = {
     CallExpression(path) {
     const callee = path.node.callee;
 
@@ -43,6 +72,8 @@ function detectShortcuts(content) {
         let hasAddKeyListener = false;
         let hasRemoveKeyListener = false;
         let handlerName = null;
+        let addListenerStmt = null;
+        let returnStmt = null;
 
         // loops through each statement inside the useEffect block
         for (const stmt of effectBody) {
@@ -61,6 +92,7 @@ function detectShortcuts(content) {
             expr.arguments?.[0]?.value === "keydown"
             ) {
             hasAddKeyListener = true;
+            addListenerStmt = stmt;
             // store handler name to match later in removeEventListener
             if (expr.arguments[1]?.type === "Identifier") {
                 handlerName = expr.arguments[1].name;
@@ -71,6 +103,7 @@ function detectShortcuts(content) {
         // does useEffect have document.removeEventListener
         if (stmt.type === "ReturnStatement") {
             const fn = stmt.argument;
+            returnStmt = stmt;
 
             if (fn?.type === "ArrowFunctionExpression" && fn.body.type === "BlockStatement") {
             for (const cleanupStmt of fn.body.body) {
@@ -98,14 +131,13 @@ function detectShortcuts(content) {
          }
         }
 
-        const line = path.node.loc?.start.line ?? 1;
+        const location = getLocation(callee);
 
         // any keyboard handling in useEffect but no keydown listener event found, warn
         if (intendedShortcut && !hasAddKeyListener) {
-          const line = path.node.loc?.start.line ?? 1;
           feedback.push({
             type: "missing-keydown",
-            line,
+            ...location,
             message:
               "This `useEffect` looks like it handles keyboard input, but no `keydown` event listener was found.",
             severity: "warning",
@@ -118,51 +150,88 @@ function detectShortcuts(content) {
         if (hasAddKeyListener && !hasRemoveKeyListener) {
         feedback.push({
           type: "missing-remove-keydown",
-          line,
+          ...location,
           message:
             "`keydown` listener was added via `addEventListener`, but no `removeEventListener` found in cleanup.",
           severity: "warning",
           action: "Add `document.removeEventListener('keydown', handler)` in the cleanup function.",
           why: "Keyboard shortcuts need to be removed when the component unmounts.",
+          fix: getRemoveListenerFix(addListenerStmt, handlerName, returnStmt, effectBody),
+          related: [getRelatedLocation(addListenerStmt.expression, "The keydown listener is added here.")],
         });
       }
 
       }
     }
   },
-  });
-
-  // Regex-based menu/nav shortcut hint detection
-  // Looks for <nav> or <menu> blocks with action keywords but no visible shortcut hints like "Ctrl+S"
-  const shortcutRegex = /\b(Ctrl|Cmd|⌘|Alt|Option|Shift)\s*\+?\s*\w+/i;
-  const navOrMenuBlocks = [...content.matchAll(/<(nav|link|menu)[^>]*>([\s\S]*?)<\/\1>/gi)];
-
-  const keywords = ["save", "open", "new", "print", "copy", "paste", "search", "close"];
-
-  navOrMenuBlocks.forEach((block) => {
-    const tag = block[1];            // "nav" or "menu"
-    const innerContent = block[2];   // the inner text
-    const blockStartIndex = block.index;
-    const lineNumber = content.slice(0, blockStartIndex).split("\n").length;
-
-    const lower = innerContent.toLowerCase();
-    const containsKeyword = keywords.some((word) => lower.includes(word));
-    const hasShortcutHint = shortcutRegex.test(innerContent);
-
-    // if it has action keywords but no shortcut hints, warn
-    if (containsKeyword && !hasShortcutHint) {
-      feedback.push({
-        type: "missing-shortcut-hint",
-        line: lineNumber,
-        message: `No visible shortcut hints found in <${tag}> with action items like "save" or "open".`,
-        severity: "warning",
-        action: `Add visible shortcut hints (e.g. "Ctrl+S") next to action items.`,
-        why: "Visible shortcut hints help users discover keyboard shortcuts for efficiency.",
-      });
-    }
-      });
+  };
+
 
-  return feedback;
+  // Regex checks on the raw content, run after the traversal
+  function finish() {
+    // Regex-based menu/nav shortcut hint detection
+    // Looks for <nav> or <menu> blocks with action keywords but no visible shortcut hints like "Ctrl+S"
+    const shortcutRegex = /\b(Ctrl|Cmd|⌘|Alt|Option|Shift)\s*\+?\s*\w+/i;
+    const navOrMenuBlocks = [...content.matchAll(/<(nav|link|menu)[^>]*>([\s\S]*?)<\/\1>/gi)];
+
+    const keywords = ["save", "open", "new", "print", "copy", "paste", "search", "close"];
+
+    navOrMenuBlocks.forEach((block) => {
+      const tag = block[1];            // "nav" or "menu"
+      const innerContent = block[2];   // the inner text
+      // the tag name after "<"
+      const location = getOffsetLocation(content, block.index + 1, block.index + 1 + tag.length);
+
+      const lower = innerContent.toLowerCase();
+      const containsKeyword = keywords.some((word) => lower.includes(word));
+      const hasShortcutHint = shortcutRegex.test(innerContent);
+
+      // if it has action keywords but no shortcut hints, warn
+      if (containsKeyword && !hasShortcutHint) {
+        feedback.push({
+          type: "missing-shortcut-hint",
+          ...location,
+          message: `No visible shortcut hints found in <${tag}> with action items like "save" or "open".`,
+          severity: "warning",
+          action: `Add visible shortcut hints (e.g. "Ctrl+S") next to action items.`,
+          why: "Visible shortcut hints help users discover keyboard shortcuts for efficiency.",
+        });
+      }
+        });
+
+    return feedback;
+  }
+
+  return { visitor, finish };
+}
+
+// Registry entry: metadata used by the commands, the project scan and the FeedbackHandler
+const shortcutDetector = {
+  type: "FLEXIBILITY_EFFICIENCY",
+  heuristic: 7,
+  name: "Shortcuts",
+  command: "react-ux-analyzer.analyzeShortcuts",
+  docs: "https://www.nngroup.com/articles/ui-copy/#toc-guidelines-for-command-shortcuts-3",
+  guide: "7-flexibility-and-efficiency-of-use/SHORTCUT-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "missing-keydown": "RUX701",
+    "missing-remove-keydown": "RUX702",
+    "missing-shortcut-hint": "RUX703"
+  },
+  ratings: {
+    "missing-keydown": 1,
+    "missing-remove-keydown": 2,
+    "missing-shortcut-hint": 1
+  },
+  create: createShortcutDetector
+};
+
+/**
+ * detectShortcuts - Runs the shortcut detector on its own
+ */
+function detectShortcuts(content) {
+  return runDetector(shortcutDetector, content);
 }
 
-module.exports = { detectShortcuts };
\ No newline at end of file
+module.exports = { detectShortcuts, shortcutDetector };
@@ -1,8 +1,7 @@
 // aesthetic-minimalistic-detector.js
-const vscode = require('vscode');
-const { parse } = require("@babel/parser");
+const { parseCode } = require("../utils/parse-code");
+const { getElementLocation, getRelatedLocation } = require("../utils/location");
 const traverse = require("@babel/traverse").default;
-const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
 const { drawElementAreas } = require('./draw-element-areas');
@@ -10,8 +9,11 @@ const { drawElementAreas } = require('./draw-element-areas');
 /**
  * detectAestheticMinimalism - Detects color overload, confusing clickable styles, and low whitespace ratio
  * Heuristic: Nielsen #8 - Aesthetic and Minimalist Design
+ * @param {string} content
+ * @param {string} url - page measured for whitespace
+ * @param {string} [root] - project receiving the screenshots, defaults to the first workspace folder
  */
-async function detectAestheticMinimalism(content, url) {
+async function detectAestheticMinimalism(content, url, root) {
   const feedback = [];
 
   //const colorRegex = /(?:text|bg|border|fill|stroke)-(red|blue|green|yellow|purple|pink|orange|teal|cyan|indigo|amber|lime|emerald|fuchsia|violet|rose|sky|slate|gray|zinc|neutral|stone)-(\d{2,3})/gi;
@@ -19,7 +21,8 @@ async function detectAestheticMinimalism(content, url) {
   const inlineColorSet = new Set();
 
   const styleMap = new Map();
-  let primaryColorLine = null;
+  /** @type {{ line?: number, column?: number, endLine?: number, endColumn?: number } | null} */
+  let primaryColorLocation = null;
 
   // Helper: get tailwind color names from className
     function extractColorName(cls) {
@@ -62,11 +65,7 @@ async function detectAestheticMinimalism(content, url) {
 
   let ast;
   try {
-    ast = parse(content, {
-      sourceType: "module",
-      plugins: ["jsx"],
-      errorRecovery: true,
-    });
+    ast = parseCode(content);
   } catch (err) {
     throw new Error("Could not parse JSX content: " + err.message);
   }
@@ -79,7 +78,7 @@ async function detectAestheticMinimalism(content, url) {
       if (!tagNode || tagNode.type !== "JSXIdentifier") return;
       const tagName = tagNode.name;
 
-      const line = node.loc?.start?.line ?? 1;
+      const location = getElementLocation(node);
 
       let className = '';
       let styleKey = '';
@@ -91,7 +90,7 @@ async function detectAestheticMinimalism(content, url) {
       styles.classes.forEach((cls) => {
         const colorName = extractColorName(cls);
         if (colorName && colorName !== "black" && colorName !== "white") {
-          if (!primaryColorLine) primaryColorLine = line;
+          if (!primaryColorLocation) primaryColorLocation = location;
           tailwindColorSet.add(colorName);
         }
       });
@@ -100,7 +99,7 @@ async function detectAestheticMinimalism(content, url) {
       styles.inlineColors.forEach((color) => {
         const colorLower = color.toLowerCase();
         if (colorLower !== "black" && colorLower !== "white") {
-          if (!primaryColorLine) primaryColorLine = line;
+          if (!primaryColorLocation) primaryColorLocation = location;
           inlineColorSet.add(colorLower);
         }
       });
@@ -153,17 +152,17 @@ async function detectAestheticMinimalism(content, url) {
       if (!visualKey) return;
 
       if (!styleMap.has(visualKey)) styleMap.set(visualKey, []);
-      styleMap.get(visualKey).push({ isClickable, line });
+      styleMap.get(visualKey).push({ isClickable, location, tagNode });
     },
 
   });
 
   // If too many primary colors used, warn
   const totalColorsUsed = new Set([...tailwindColorSet, ...inlineColorSet]);
-  if (totalColorsUsed.size > 3 && primaryColorLine) {
+  if (totalColorsUsed.size > 3 && primaryColorLocation) {
     feedback.push({
       type: "too-many-colors",
-      line: primaryColorLine,
+      ...primaryColorLocation,
       message: `Detected ${totalColorsUsed.size} distinct primary color styles.`,
       severity: "warning",
       why: `Using too many primary colors can overwhelm users as colors do compete for attention.`,
@@ -177,14 +176,16 @@ async function detectAestheticMinimalism(content, url) {
     const hasNonClickable = elements.some(e => !e.isClickable);
 
     if (hasClickable && hasNonClickable) {
-      const line = elements.find(e => !e.isClickable)?.line ?? 1;
       feedback.push({
         type: 'confusing-style',
-        line,
+        ...elements.find(e => !e.isClickable).location,
         message: `Visual style "${visualKey}" used for both clickable and non-clickable elements.`,
         severity: 'warning',
         why: 'Make clickable elements clearly recognizable to avoid user confusion or unexpected behavior.',
         action: 'Highlight clickable elements using distinct visual styles from non-clickable ones.',
+        related: elements
+          .filter(e => e.isClickable)
+          .map(e => getRelatedLocation(e.tagNode, 'Clickable element with the same style.')),
       });
     }
   }
@@ -194,8 +195,8 @@ async function detectAestheticMinimalism(content, url) {
  /*const utilsDir = path.resolve(__dirname, 'utils');
   if (!fs.existsSync(utilsDir)) fs.mkdirSync(utilsDir, { recursive: true });*/
 
-  // Get workspace root path
-  const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+  // Get project root path
+  const workspaceRoot = root || require('vscode').workspace.workspaceFolders?.[0]?.uri.fsPath;
   if (!workspaceRoot) {
     throw new Error('No workspace folder opened. Please open your React project folder.');
   }
@@ -216,7 +217,7 @@ async function detectAestheticMinimalism(content, url) {
   const debugImagePath = path.join(utilsDir, 'debug-whitespace.png');*/
 
   // start puppeteer to screenshot and dom analysis
-  const browser = await puppeteer.launch({ headless: true });
+  const browser = await require('puppeteer').launch({ headless: true });
   const page = await browser.newPage();
 
   await page.goto(url, { waitUntil: 'networkidle2' });
@@ -262,11 +263,6 @@ async function detectAestheticMinimalism(content, url) {
   await page.screenshot({ path: screenshotPath });
   await browser.close();
 
-  // Write element heights and widths to mask.json
-  fs.writeFileSync(maskPath, JSON.stringify({ boxes, layoutHeight: measuredHeight }, null, 2));
-  // Draw rectangles on debug screenshot for visual debugging
-  await drawElementAreas(screenshotPath, maskPath, debugImagePath);
-
   // Get total area of elements vs total layout area
   const layoutArea = layoutWidth * measuredHeight;
   const elementArea = boxes.reduce((sum, box) => {
@@ -280,6 +276,11 @@ async function detectAestheticMinimalism(content, url) {
   // 1 - (elementArea / layoutArea) gives the ratio of whitespace area
   const whitespaceRatio = 1 - (elementArea / layoutArea);
 
+  // Write element heights and widths to mask.json, the whitespace ratio is shown by the UX scorecard
+  fs.writeFileSync(maskPath, JSON.stringify({ boxes, layoutHeight: measuredHeight, whitespaceRatio }, null, 2));
+  // Draw rectangles on debug screenshot for visual debugging
+  await drawElementAreas(screenshotPath, maskPath, debugImagePath);
+
   // If low whitespace ratio, warn
   if (whitespaceRatio < 0.2) { // Less than 20% of layout area is whitespace
     feedback.push({
@@ -295,4 +296,25 @@ async function detectAestheticMinimalism(content, url) {
   return feedback;
 }
 
-module.exports = { detectAestheticMinimalism };
\ No newline at end of file
+// Registry entry, runs through its own command as it needs an external service
+const aestheticMinimalismDetector = {
+  type: "AESTHETIC_MINIMALISM",
+  heuristic: 8,
+  name: "Aesthetic Minimalism",
+  command: "react-ux-analyzer.analyzeMinimalism",
+  docs: "https://www.nngroup.com/articles/aesthetic-minimalist-design/",
+  guide: "8-aesthetic-minimalist-design/AESTHETIC-MINIMALSIM-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "too-many-colors": "RUX801",
+    "confusing-style": "RUX802",
+    "low-whitespace": "RUX803"
+  },
+  ratings: {
+    "too-many-colors": 1,
+    "confusing-style": 2,
+    "low-whitespace": 1
+  }
+};
+
+module.exports = { detectAestheticMinimalism, aestheticMinimalismDetector };
\ No newline at end of file
@@ -1,11 +1,11 @@
-const { parse } = require("@babel/parser");
-const traverse = require("@babel/traverse").default;
+const { runDetector } = require("../analysis-engine");
+const { getElementLocation } = require("../utils/location");
 
 /**
- * detectHelpErrorRecognition - Detects technical jargon in user-facing errors and lack of visual error cues
+ * createHelpErrorRecognitionDetector - Detects technical jargon in user-facing errors and lack of visual error cues
  * Nielsen's Heuristic #9: Help Users Recognize, Diagnose, and Recover from Errors
  */
-function detectHelpErrorRecognition(content) {
+function createHelpErrorRecognitionDetector() {
   const feedback = [];
 
   const technicalErrorRegex = /\b(error\s*\d{3,4}|api error|err_?[a-z0-9_]+|code\s*\d+|network error|request failed|failed to fetch)\b/i;
@@ -57,18 +57,7 @@ function detectHelpErrorRecognition(content) {
     return false;
   }
 
-  let ast;
-  try {
-    ast = parse(content, {
-      sourceType: "module",
-      plugins: ["jsx"],
-      errorRecovery: true,
-    });
-  } catch (err) {
-    throw new Error("Could not parse JSX content: " + err.message);
-  }
-
-  traverse(ast, {
+  const visitor = {
     JSXElement(path) {
       const node = path.node;
       const opening = node.openingElement;
@@ -76,7 +65,7 @@ function detectHelpErrorRecognition(content) {
       if (!tagNode || tagNode.type !== "JSXIdentifier") return;
 
       const tagName = tagNode.name.toLowerCase();
-      const line = node.loc?.start?.line ?? null;
+      const location = getElementLocation(node);
 
       const attrs = opening?.attributes ?? [];
 
@@ -101,7 +90,7 @@ function detectHelpErrorRecognition(content) {
       if (matchesTechnical) {
         feedback.push({
           type: "technical-error-message",
-          line,
+          ...location,
           message: `User-facing error contains technical jargon or error code.`,
           severity: "warning",
           why: "Technical error messages can confuse users and hinder their ability to recover from errors.",
@@ -113,7 +102,7 @@ function detectHelpErrorRecognition(content) {
       if (!hasVisualStyle(node)) {
         feedback.push({
           type: "error-lacks-visual-style",
-          line,
+          ...location,
           message: "Error message detected but lacks visual cues like red color and bold font.",
           severity: "warning",
           why: "Errors should be visually distinct to help users quickly recognize them.",
@@ -121,9 +110,37 @@ function detectHelpErrorRecognition(content) {
         });
       }
     }
-  });
+  };
+
+
+  return { visitor, finish: () => feedback };
+}
+
+// Registry entry: metadata used by the commands, the project scan and the FeedbackHandler
+const helpErrorRecognitionDetector = {
+  type: "ERROR_RECOVERY",
+  heuristic: 9,
+  name: "Help Error Recognition",
+  command: "react-ux-analyzer.analyzeHelpError",
+  docs: "https://www.nngroup.com/articles/error-message-guidelines/",
+  guide: "9-help-recognize-diagnose-recover-errors/HELP-RECOGNIZE-ERRORS-DETECTION.md",
+  defaultSeverity: "warning",
+  codes: {
+    "technical-error-message": "RUX901",
+    "error-lacks-visual-style": "RUX902"
+  },
+  ratings: {
+    "technical-error-message": 3,
+    "error-lacks-visual-style": 2
+  },
+  create: createHelpErrorRecognitionDetector
+};
 
-  return feedback;
+/**
+ * detectHelpErrorRecognition - Runs the error recognition detector on its own
+ */
+function detectHelpErrorRecognition(content) {
+  return runDetector(helpErrorRecognitionDetector, content);
 }
 
-module.exports = { detectHelpErrorRecognition };
\ No newline at end of file
+module.exports = { detectHelpErrorRecognition, helpErrorRecognitionDetector };
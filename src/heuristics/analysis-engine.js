@@ -0,0 +1,124 @@
+/**
+ * Analysis Engine - parses a file once and runs all detectors as visitor plugins in a single traversal.
+ *
+ * A detector plugin declares its `type` (the analysisType of its issues) and a `create(context)`
+ * function returning a Babel visitor plus a `finish()` callback that returns the collected feedback:
+ *
+ * const breadcrumbDetector = {
+ *   type: "BREADCRUMB",
+ *   create({ content, fileName, rules }) {
+ *     const feedback = [];
+ *     return {
+ *       visitor: { JSXElement(path) { ... feedback.push(...) } },
+ *       finish: () => feedback
+ *     };
+ *   }
+ * };
+ */
+const traverse = require('@babel/traverse').default;
+const { parseCode } = require('./utils/parse-code');
+
+/**
+ * Runs detectors on already parsed code
+ * @param {import('@babel/types').File} ast
+ * @param {Array<{ type: string, create: Function }>} detectors
+ * @param {{ content: string, fileName?: string, rules?: object }} context - `rules` holds the normalized rule options
+ * @returns {{ issues: Array, timings: Object<string, number>, errors: Array<{ type: string, error: Error }> }}
+ */
+function runDetectorsOnAst(ast, detectors, context) {
+  /** @type {Object<string, number>} */
+  const timings = {};
+  const errors = [];
+  const failed = new Set();
+  const instances = [];
+
+  // Measures time spent in a detector and disables it after its first error
+  function track(detector, fn) {
+    if (failed.has(detector)) return undefined;
+    const start = performance.now();
+    try {
+      return fn();
+    } catch (error) {
+      failed.add(detector);
+      errors.push({ type: detector.type, error });
+      return undefined;
+    } finally {
+      timings[detector.type] = (timings[detector.type] || 0) + performance.now() - start;
+    }
+  }
+
+  for (const detector of detectors) {
+    const instance = track(detector, () => detector.create(context));
+    if (instance) instances.push({ detector, instance });
+  }
+
+  // Merge all visitors: node type -> handlers of every detector in registration order
+  const handlers = {};
+  for (const { detector, instance } of instances) {
+    for (const [nodeType, visit] of Object.entries(instance.visitor || {})) {
+      const { enter, exit } = typeof visit === 'function' ? { enter: visit, exit: undefined } : visit;
+      handlers[nodeType] = handlers[nodeType] || { enter: [], exit: [] };
+      if (enter) handlers[nodeType].enter.push({ detector, fn: enter });
+      if (exit) handlers[nodeType].exit.push({ detector, fn: exit });
+    }
+  }
+
+  const visitor = {};
+  for (const [nodeType, { enter, exit }] of Object.entries(handlers)) {
+    visitor[nodeType] = {
+      enter(path) {
+        for (const handler of enter) track(handler.detector, () => handler.fn(path));
+      },
+      exit(path) {
+        for (const handler of exit) track(handler.detector, () => handler.fn(path));
+      }
+    };
+  }
+
+  traverse(ast, visitor);
+
+  const issues = [];
+  for (const { detector, instance } of instances) {
+    const feedback = track(detector, () => instance.finish());
+    if (!Array.isArray(feedback)) continue;
+    issues.push(...feedback.map(issue => ({
+      ...issue,
+      analysisType: detector.type
+    })));
+  }
+
+  return { issues, timings, errors };
+}
+
+/**
+ * Parses the content once and runs every detector plugin on the same AST
+ * @param {string} content - source code
+ * @param {Array<{ type: string, create: Function }>} detectors
+ * @param {{ fileName?: string, rules?: object }} [options]
+ * @returns {{ issues: Array, timings: Object<string, number>, errors: Array<{ type: string, error: Error }>, comments: Array }} comments of the AST, e.g. for rux-disable directives
+ */
+function analyzeContent(content, detectors, { fileName, rules = {} } = {}) {
+  let ast;
+  try {
+    ast = parseCode(content, fileName);
+  } catch (err) {
+    throw new Error("Code could not be parsed: " + err.message);
+  }
+
+  return { ...runDetectorsOnAst(ast, detectors, { content, fileName, rules }), comments: ast.comments || [] };
+}
+
+/**
+ * Runs a single detector plugin, used by the `detect...(content)` functions of each heuristic
+ * @param {{ type: string, create: Function }} detector
+ * @param {string} content
+ * @param {{ fileName?: string, rules?: object }} [options]
+ * @returns {Array} issues of the detector, throws if the detector failed
+ */
+function runDetector(detector, content, options) {
+  const { issues, errors } = analyzeContent(content, [detector], options);
+  if (errors.length > 0) throw errors[0].error;
+  return issues;
+}
+
+module.exports = { analyzeContent, runDetectorsOnAst, runDetector };
@@ -0,0 +1,103 @@
+const { analyzeContent } = require('./analysis-engine');
+const { applyRuleConfig } = require('./utils/rules-config');
+const { applySuppressions, getSuppressionIds } = require('./utils/suppressions');
+const { getIssueCode } = require('./registry');
+
+/**
+ * analyzeFile - runs heuristic detectors and custom rules on the content of one file
+ * Shared by the project scan in extension.js and the CLI, so it must not require the VS Code API.
+ * The file is parsed once and all detector plugins share a single traversal.
+ * Issues suppressed by rux-disable comments are dropped, unused suppressions are reported.
+ *
+ * @param {string} content - source code of the file
+ * @param {object} options
+ * @param {Array<{ type: string, codes?: Object<string, string>, create: Function }>} options.detectors - detector plugins to run, e.g. `projectDetectors`
+ * @param {Array<{ name: string, run: Function, acceptsUrl: boolean, overrideUrl?: string }>} [options.customRules] - rules returned by `loadCustomRules`
+ * @param {string} [options.fileName] - used to pick the parser plugins
+ * @param {object} [options.rules] - rules normalized by `normalizeRules`, disabled issues are dropped and severities overridden
+ * @param {(source: string, err: Error) => void} [options.onError] - called when parsing, a detector or a rule throws
+ * @returns {Promise<{ issues: Array, timings: Object<string, number> }>} issues tagged with their `analysisType` and milliseconds spent per detector or rule
+ */
+async function analyzeFile(content, { detectors, customRules = [], fileName, rules = {}, onError = logError }) {
+  const issues = [];
+  /** @type {Object<string, number>} */
+  const timings = {};
+  let comments;
+
+  // Detectors with every issue type turned off are not run at all
+  const enabledDetectors = detectors.filter(detector =>
+    !detector.codes || Object.keys(detector.codes).some(type => rules[type]?.severity !== 'off')
+  );
+
+  if (enabledDetectors.length > 0) {
+    try {
+      const result = analyzeContent(content, enabledDetectors, { fileName, rules });
+      issues.push(...result.issues);
+      Object.assign(timings, result.timings);
+      comments = result.comments;
+      result.errors.forEach(({ type, error }) => onError(type, error));
+    } catch (err) {
+      onError('PARSE', err);
+    }
+  }
+
+  const checkedIds = getSuppressionIds(enabledDetectors);
+
+  for (const rule of customRules) {
+    const source = `CUSTOM:${rule.name}`;
+    if (rules[source]?.severity === 'off') continue;
+    checkedIds.add(getIssueCode(source));
+
+    const start = performance.now();
+    try {
+      // If a rule acceptsURL is true, pass url; otherwise just pass content
+      const result = rule.acceptsUrl
+        ? await rule.run(content, rule.overrideUrl)
+        : await rule.run(content);
+
+      if (Array.isArray(result)) {
+        issues.push(...result.map(issue => ({
+          ...issue,
+          analysisType: source
+        })));
+      }
+    } catch (err) {
+      onError(source, err);
+    } finally {
+      timings[source] = performance.now() - start;
+    }
+  }
+
+  const remaining = applySuppressions(issues, content, { checkedIds, fileName, comments });
+  return { issues: applyRuleConfig(remaining, rules), timings };
+}
+
+/**
+ * Adds the timings of one file to the running totals of a scan
+ * @param {Object<string, number>} totals
+ * @param {Object<string, number>} timings
+ * @returns {Object<string, number>} totals
+ */
+function addTimings(totals, timings) {
+  for (const [source, ms] of Object.entries(timings)) {
+    totals[source] = (totals[source] || 0) + ms;
+  }
+  return totals;
+}
+
+/**
+ * Formats timings slowest first, e.g. `LOADING 12.3ms`
+ * @param {Object<string, number>} timings
+ * @returns {string[]}
+ */
+function formatTimings(timings) {
+  return Object.entries(timings)
+    .sort((a, b) => b[1] - a[1])
+    .map(([source, ms]) => `${source} ${ms.toFixed(1)}ms`);
+}
+
+function logError(source, err) {
+  console.error(`❌ Detector "${source}" failed:`, err);
+}
+
+module.exports = { analyzeFile, addTimings, formatTimings };
@@ -0,0 +1,18 @@
+/**
+ * Worker thread of the analysis pool, see worker-pool.js
+ * Runs the project detectors on every file it receives and posts the issues back,
+ * with the imports it resolved on the way so the calling thread knows which files depend on which.
+ */
+const { parentPort } = require('worker_threads');
+const { projectDetectors } = require('./registry');
+const { analyzeFile } = require('./analyze-file');
+const { importGraph } = require('./utils/import-graph');
+
+parentPort.on('message', async ({ id, content, fileName, rules }) => {
+  try {
+    const { issues, timings } = await analyzeFile(content, { detectors: projectDetectors, fileName, rules });
+    parentPort.postMessage({ id, issues, timings, imports: importGraph.takeImports() });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
@@ -1,4 +1,13 @@
 const vscode = require('vscode');
+const { getSeverity } = require('./registry');
+const { DIAGNOSTIC_SEVERITIES, toDiagnostic } = require('./utils/diagnostics');
+
+const VSCODE_SEVERITIES = {
+  [DIAGNOSTIC_SEVERITIES.error]: vscode.DiagnosticSeverity.Error,
+  [DIAGNOSTIC_SEVERITIES.warning]: vscode.DiagnosticSeverity.Warning,
+  [DIAGNOSTIC_SEVERITIES.info]: vscode.DiagnosticSeverity.Information,
+  [DIAGNOSTIC_SEVERITIES.hint]: vscode.DiagnosticSeverity.Hint
+};
 
 /**
  * FeedbackHandler - centralizes feedback display for React UX Analyzer + NIMA
@@ -7,159 +16,73 @@ class FeedbackHandler {
   constructor() {
     this.diagnostics = vscode.languages.createDiagnosticCollection('react-ux-analyzer');
     //this.outputChannel = vscode.window.createOutputChannel('React UX Analyzer');
-  }
-
-  /**
-   * Display detector results in Problems panel and optionally output channel
-   * @param {string} filePath - full path of analyzed file
-   * @param {Array} issues - array of issue objects with {line, type, severity, content, message, analysisType}
-   */
-  showResults(filePath, issues) {
-    const uri = vscode.Uri.file(filePath);
-
-    const diagnostics = issues.map(issue => {
-      const range = new vscode.Range(issue.line - 1, 0, issue.line - 1, 1000); // line range (0-1000 chars)
-      let severity = vscode.DiagnosticSeverity.Warning 
-      if (issue.severity === "info") severity = vscode.DiagnosticSeverity.Information;
-
-      const diagnostic = new vscode.Diagnostic(
-        range,
-        this._formatMessage(issue),
-        severity
-      );
-
-      diagnostic.source = 'React UX Analyzer';
-      diagnostic.code = {
-        value: this._getHeuristicCode(issue.analysisType),
-        target: this._getDocumentationLink(issue.analysisType, issue.docs)
-      };
-      return diagnostic;
-    });
 
-    this.diagnostics.set(uri, diagnostics);
-    this._showNotification(issues);
+    // issues per file path, shown by the UX Issues view
+    this.results = new Map();
+    this._onDidChangeResults = new vscode.EventEmitter();
+    this.onDidChangeResults = this._onDidChangeResults.event;
   }
 
   /**
-   * Clear all diagnostics from all files
+   * Current issues per file path, as passed to showResults() and updateResults()
+   * @returns {Map<string, Array>}
    */
-  clearAll() {
-    this.diagnostics.clear();
+  getResults() {
+    return this.results;
   }
 
   /**
- * Map detector severity to VS Code DiagnosticSeverity
- */
-  _mapSeverity() {
-    return vscode.DiagnosticSeverity.Warning;
-  }
-
-  /**
-   * Format a single issue message with problem + solution + why + heuristic
+   * Display detector results in Problems panel and optionally output channel
+   * @param {string} filePath - full path of analyzed file
+   * @param {Array} issues - array of issue objects with {line, column, endLine, endColumn, related, type, severity, content, message, analysisType}
    */
-  _formatMessage(issue) {
-   const heuristic = this._getHeuristicName(issue.analysisType);
-  const heuristicCode = this._getHeuristicCode(issue.analysisType);
-  const docLink = this._getDocumentationLink(issue.analysisType, issue.docs);
-
-  // Problem description
-  const problem = issue.problem || issue.message || "UX issue detected";
-
-  // Actionable advice
-  const action = issue.action || "Please review and apply UX best practices.";
-
-  // Why it helps users
-  const why = issue.why || "Improves user experience and usability.";
-
-  return `${problem}\nAction: ${action}\nWhy: ${why}\nHeuristic: ${heuristic} (${heuristicCode})\nMore info: ${docLink}`;
+  showResults(filePath, issues) {
+    this.updateResults(filePath, issues);
+    this._showNotification(issues);
   }
 
   /**
-   * Heuristic Overview of their labels assigned to analysis types
+   * Replace the diagnostics of one file without a notification, diagnostics of other files are kept
+   * Used for the diagnostics published by the language server for open documents.
+   * @param {string} filePath - full path of analyzed file
+   * @param {Array} issues
    */
-  _getHeuristicName(analysisType) {
-    const heuristics = {
-      'BREADCRUMB': 'Nielsen #1: Visibility of System Status',
-      'LOADING': 'Nielsen #1: Visibility of System Status',
-      'MATCH_SYSTEM_REAL_WORLD': 'Nielsen #2: Match Between System and the Real World',
-      'CONTROL': 'Nielsen #3: User Control and Freedom',
-      'CONSISTENCY': 'Nielsen #4: Consistency and Standards',
-      'ERROR_PREVENTION': 'Nielsen #5: Error Prevention',
-      'RECOGNITION': 'Nielsen #6: Recognition Rather Than Recall',
-      'FLEXIBILITY_EFFICIENCY': 'Nielsen #7: Flexibility and Efficiency of Use',
-      'AESTHETIC_MINIMALISM': 'Nielsen #8: Aesthetic and Minimalist Design',
-      'ERROR_RECOVERY': 'Nielsen #9: Help Users Recognize, Diagnose, and Recover from Errors',
-      'HELP': 'Nielsen #10: Help and Documentation',
-      'NIMA': 'NIMA Visual Quality Score'
-    };
-
-    if (analysisType?.startsWith('CUSTOM:')) {
-      const customName = analysisType.split(':')[1]?.replace('.cjs', '');
-      return `Custom UX Rule: ${customName || 'Unnamed Rule'}`;
-    }
+  updateResults(filePath, issues) {
+    const uri = vscode.Uri.file(filePath);
+    const diagnostics = issues.map(issue => this._toVscodeDiagnostic(toDiagnostic(issue, uri.toString())));
 
-    return heuristics[analysisType] || 'Nielsen Heuristic';
+    this.diagnostics.set(uri, diagnostics);
+    if (issues.length > 0) this.results.set(filePath, issues);
+    else this.results.delete(filePath);
+    this._onDidChangeResults.fire();
   }
 
   /**
-   * Heuristic Codes for quick reference
+   * Clear all diagnostics from all files
    */
-  _getHeuristicCode(analysisType) {
-    const codes = {
-      'BREADCRUMB': 'RUX101',
-      'LOADING': 'RUX102',
-      'MATCH_SYSTEM_REAL_WORLD': 'RUX201',
-      'CONTROL': 'RUX301',
-      'CONSISTENCY': 'RUX401',
-      'ERROR_PREVENTION': 'RUX501',
-      'RECOGNITION': 'RUX601',
-      'FLEXIBILITY_EFFICIENCY': 'RUX701',
-      'AESTHETIC_MINIMALISM': 'RUX801',
-      'ERROR_RECOVERY': 'RUX901',
-      'HELP': 'RUX1001',
-      'NIMA': 'VQA001'
-    };
-
-    if (analysisType?.startsWith('CUSTOM:')) {
-      const customCode = analysisType.split(':')[1]?.replace('.cjs', '').toUpperCase();
-      return `CUX-${customCode || 'UNKNOWN'}`;
-    }
-
-    return codes[analysisType] || 'RUX000';
+  clearAll() {
+    this.diagnostics.clear();
+    this.results.clear();
+    this._onDidChangeResults.fire();
   }
 
   /**
-   * Heuristic Learning Material Links
+   * VS Code diagnostic of a diagnostic formatted by utils/diagnostics.js, the same text the language server publishes
    */
-  _getDocumentationLink(analysisType, docsOverride) {
-
-    // custom rule with docs link
-  if (docsOverride) {
-    return vscode.Uri.parse(docsOverride);
-  }
-
-   // custom rule link fallback
-  if (analysisType?.startsWith('CUSTOM:')) {
-    return vscode.Uri.parse('https://github.com/your-org/react-ux-analyzer#custom-rules');
+  _toVscodeDiagnostic({ range, severity, code, codeDescription, source, message, relatedInformation }) {
+    const diagnostic = new vscode.Diagnostic(this._toRange(range), message, VSCODE_SEVERITIES[severity]);
+    diagnostic.source = source;
+    diagnostic.code = { value: code, target: vscode.Uri.parse(codeDescription.href) };
+    if (relatedInformation) {
+      diagnostic.relatedInformation = relatedInformation.map(({ location, message }) =>
+        new vscode.DiagnosticRelatedInformation(new vscode.Location(vscode.Uri.parse(location.uri), this._toRange(location.range)), message)
+      );
+    }
+    return diagnostic;
   }
 
-    // Standard heuristic links
-    const links = {
-      'BREADCRUMB': 'https://www.nngroup.com/articles/breadcrumbs/',
-      'LOADING': 'https://medium.com/design-bootcamp/using-loaders-understanding-their-purpose-types-and-best-practices-a62ca991d472',
-      'MATCH_SYSTEM_REAL_WORLD': 'https://www.nngroup.com/articles/match-system-real-world/',
-      'CONTROL': 'https://www.nngroup.com/articles/user-control-and-freedom/',
-      'CONSISTENCY': 'https://www.nngroup.com/articles/consistency-and-standards/',
-      'ERROR_PREVENTION': 'https://www.nngroup.com/articles/error-prevention/',
-      'RECOGNITION': 'https://www.nngroup.com/articles/recognition-and-recall/',
-      'FLEXIBILITY_EFFICIENCY': 'https://www.nngroup.com/articles/ui-copy/#toc-guidelines-for-command-shortcuts-3',
-      'AESTHETIC_MINIMALISM': 'https://www.nngroup.com/articles/aesthetic-minimalist-design/',
-      'ERROR_RECOVERY': 'https://www.nngroup.com/articles/error-message-guidelines/',
-      'HELP': 'https://www.nngroup.com/articles/help-and-documentation/',
-      'NIMA': 'https://arxiv.org/abs/1709.05424'
-    };
-
-    return vscode.Uri.parse(links[analysisType] || 'https://www.nngroup.com/articles/ten-usability-heuristics/');
+  _toRange({ start, end }) {
+    return new vscode.Range(start.line, start.character, end.line, end.character);
   }
 
   _showNotification(issues) {
@@ -170,16 +93,18 @@ class FeedbackHandler {
       return;
     };
 
-      // check if issue has severity warning or info
-    const hasWarning = issues.some(issue => issue.severity !== "info");
-    const hasInfo = issues.every(issue => issue.severity === "info");
+    // the notification matches the most severe issue
+    const severities = new Set(issues.map(issue => getSeverity(issue)));
+    const message = `React UX Analyzer found ${issues.length} issue(s).`;
 
-    if (hasWarning && issues.length > 0) {
-      vscode.window.showWarningMessage(`React UX Analyzer found ${issues.length} issue(s).`);
-    }
-    
-    if (hasInfo && issues.length > 0) {
+    if (severities.has("error")) {
+      vscode.window.showErrorMessage(message);
+    } else if (severities.has("warning")) {
+      vscode.window.showWarningMessage(message);
+    } else if (issues.every(issue => issue.analysisType === "NIMA")) {
       vscode.window.showInformationMessage(`View NIMA results in problem channel.`);
+    } else {
+      vscode.window.showInformationMessage(message);
     }
   }
 
@@ -0,0 +1,35 @@
+const vscode = require('vscode');
+const { getDetector } = require('./registry');
+const { toRange, formatHover } = require('./utils/diagnostics');
+
+// #2, #8 and NIMA run through their own commands, the language server does not know their findings
+function isOnDemandIssue(issue) {
+  const detector = getDetector(issue.analysisType);
+  return Boolean(detector?.command && !detector.create);
+}
+
+/**
+ * HoverProvider - documentation of on-demand findings kept by the FeedbackHandler
+ * Findings of the project detectors and custom rules are hovered by the language server with the same markdown,
+ * as it runs both on open documents. Custom rules that require the `vscode` module do not load there and get no hover.
+ */
+class HoverProvider {
+  /**
+   * @param {{ getResults: () => Map<string, Array> }} feedbackHandler
+   */
+  constructor(feedbackHandler) {
+    this.feedbackHandler = feedbackHandler;
+  }
+
+  provideHover(document, position) {
+    const issues = (this.feedbackHandler.getResults().get(document.uri.fsPath) || []).filter(issue => {
+      const { start, end } = toRange(issue);
+      return isOnDemandIssue(issue) && new vscode.Range(start.line, start.character, end.line, end.character).contains(position);
+    });
+    if (issues.length === 0) return undefined;
+
+    return new vscode.Hover(new vscode.MarkdownString(issues.map(formatHover).join('\n\n---\n\n')));
+  }
+}
+
+module.exports = HoverProvider;
@@ -16,8 +16,7 @@ const { detectShortcuts } = require('./7-flexibility-and-efficiency-of-use/short
 const { detectAestheticMinimalism } = require('./8-aesthetic-minimalist-design/aesthetic-minimalistic-detector');
 const { detectHelpErrorRecognition } = require('./9-help-recognize-diagnose-recover-errors/help-recognize-errors-detector');
 const { detectHelpFeatures } = require('./10-help-and-documentation/help-detector');
-
-const FeedbackHandler = require('./feedback-handler');
+const { detectors, projectDetectors } = require('./registry');
 
 module.exports = {
   // Function-based detector
@@ -32,7 +31,19 @@ module.exports = {
   detectAestheticMinimalism,
   detectHelpErrorRecognition,
   detectHelpFeatures,
-  
-  // Class-based handler
-  FeedbackHandler
+
+  // Registry entries of all detectors, see registry.js
+  detectors,
+  projectDetectors,
+
+  // Class-based handler, loaded lazily as it requires the VS Code API
+  get FeedbackHandler() {
+    return require('./feedback-handler');
+  },
+  get IssuesTreeProvider() {
+    return require('./issues-tree-provider');
+  },
+  get HoverProvider() {
+    return require('./hover-provider');
+  }
 };
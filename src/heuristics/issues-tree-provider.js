@@ -0,0 +1,129 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getDetector, getSeverity } = require('./registry');
+const { SEVERITIES, groupIssues } = require('./utils/issue-groups');
+
+// Streaming scans update many files in a row, the tree is rebuilt once they settle
+const REFRESH_DELAY_MS = 100;
+
+const SEVERITY_ICONS = {
+  error: new vscode.ThemeIcon('error', new vscode.ThemeColor('problemsErrorIcon.foreground')),
+  warning: new vscode.ThemeIcon('warning', new vscode.ThemeColor('problemsWarningIcon.foreground')),
+  info: new vscode.ThemeIcon('info', new vscode.ThemeColor('problemsInfoIcon.foreground')),
+  hint: new vscode.ThemeIcon('lightbulb', new vscode.ThemeColor('editorHint.foreground'))
+};
+
+/**
+ * IssuesTreeProvider - UX Issues view grouping the results of FeedbackHandler by heuristic -> issue type -> file
+ * File nodes of built-in heuristics can be analyzed again with the `rerunHeuristic` command.
+ */
+class IssuesTreeProvider {
+  /**
+   * @param {{ getResults: () => Map<string, Array>, onDidChangeResults: vscode.Event<void> }} feedbackHandler
+   */
+  constructor(feedbackHandler) {
+    this.feedbackHandler = feedbackHandler;
+    this.severities = [...SEVERITIES];
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this._subscription = feedbackHandler.onDidChangeResults(() => this.refresh());
+  }
+
+  /**
+   * Shows only issues with one of the severities
+   * @param {string[]} severities
+   */
+  setSeverities(severities) {
+    this.severities = severities;
+    this._onDidChangeTreeData.fire();
+  }
+
+  refresh() {
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = setTimeout(() => this._onDidChangeTreeData.fire(), REFRESH_DELAY_MS);
+  }
+
+  /**
+   * Number of issues matching the severity filter, shown as badge of the view
+   */
+  getCount() {
+    return groupIssues(this.feedbackHandler.getResults(), { severities: this.severities })
+      .reduce((sum, group) => sum + group.count, 0);
+  }
+
+  getChildren(node) {
+    if (!node) {
+      return groupIssues(this.feedbackHandler.getResults(), { severities: this.severities })
+        .map(group => ({ kind: 'heuristic', group }));
+    }
+    if (node.kind === 'heuristic') {
+      return node.group.types.map(type => ({ kind: 'type', type, group: node.group }));
+    }
+    if (node.kind === 'type') {
+      return node.type.files.map(file => ({ kind: 'file', file, group: node.group }));
+    }
+    if (node.kind === 'file') {
+      return node.file.issues.map(issue => ({ kind: 'issue', issue, filePath: node.file.filePath }));
+    }
+    return [];
+  }
+
+  getTreeItem(node) {
+    if (node.kind === 'heuristic') {
+      const { name, count, counts } = node.group;
+      const item = new vscode.TreeItem(name, vscode.TreeItemCollapsibleState.Expanded);
+      item.description = `${count}`;
+      item.tooltip = `${name}\n${SEVERITIES.map(severity => `${counts[severity]} ${severity}`).join(', ')}`;
+      item.iconPath = SEVERITY_ICONS[SEVERITIES.find(severity => counts[severity] > 0)];
+      item.contextValue = 'uxHeuristic';
+      return item;
+    }
+
+    if (node.kind === 'type') {
+      const { type, code, count } = node.type;
+      const item = new vscode.TreeItem(type, vscode.TreeItemCollapsibleState.Collapsed);
+      item.description = `${code} · ${count}`;
+      item.contextValue = 'uxIssueType';
+      return item;
+    }
+
+    if (node.kind === 'file') {
+      const { filePath, issues } = node.file;
+      const uri = vscode.Uri.file(filePath);
+      const item = new vscode.TreeItem(uri, vscode.TreeItemCollapsibleState.Collapsed);
+      const folder = vscode.workspace.getWorkspaceFolder(uri);
+      const dir = folder ? path.dirname(path.relative(folder.uri.fsPath, filePath)) : '.';
+      item.description = dir === '.' ? `${issues.length}` : `${dir} · ${issues.length}`;
+      // #2, #8, NIMA and custom rules need their own command, the project detectors can run on the file again
+      const rerunnable = node.group.analysisTypes.every(analysisType => typeof getDetector(analysisType)?.create === 'function');
+      item.contextValue = rerunnable ? 'uxIssueFile.rerunnable' : 'uxIssueFile';
+      return item;
+    }
+
+    const { issue, filePath } = node;
+    const message = (issue.problem || issue.message || 'UX issue detected').split('\n')[0];
+    const item = new vscode.TreeItem(message, vscode.TreeItemCollapsibleState.None);
+    item.description = issue.line ? `Ln ${issue.line}` : '';
+    item.tooltip = [message, issue.action && `Action: ${issue.action}`, issue.why && `Why: ${issue.why}`].filter(Boolean).join('\n');
+    item.iconPath = SEVERITY_ICONS[getSeverity(issue)] || SEVERITY_ICONS.warning;
+    if (issue.line) {
+      const start = new vscode.Position(issue.line - 1, issue.column ?? 0);
+      const end = typeof issue.column === 'number' ? new vscode.Position((issue.endLine ?? issue.line) - 1, issue.endColumn ?? issue.column + 1) : start;
+      item.command = {
+        command: 'vscode.open',
+        title: 'Open',
+        arguments: [vscode.Uri.file(filePath), { selection: new vscode.Range(start, end) }]
+      };
+    }
+    item.contextValue = 'uxIssue';
+    return item;
+  }
+
+  dispose() {
+    clearTimeout(this._refreshTimer);
+    this._subscription.dispose();
+    this._onDidChangeTreeData.dispose();
+  }
+}
+
+module.exports = IssuesTreeProvider;
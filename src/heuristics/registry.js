@@ -0,0 +1,226 @@
+/**
+ * Detector Registry - single source of heuristic names, RUX codes, severities, severity ratings and documentation links
+ *
+ * Every detector module declares its own registry entry next to its implementation:
+ * {
+ *   type: 'BREADCRUMB',                               // analysisType of the reported issues
+ *   heuristic: 1,                                     // Nielsen heuristic number
+ *   name: 'Breadcrumb',                               // label used in messages
+ *   command: 'react-ux-analyzer.analyzeBreadcrumbs',  // command analyzing the current file
+ *   docs: 'https://www.nngroup.com/articles/breadcrumbs/',
+ *   guide: '1-visibility-system-status/BREADCRUMB-DETECTION.md', // detector docs with bad/good examples per issue type
+ *   defaultSeverity: 'warning',                       // used when an issue has no severity
+ *   codes: { 'missing-breadcrumb': 'RUX101' },        // issue type -> code
+ *   ratings: { 'missing-breadcrumb': 2 },             // issue type -> Nielsen severity rating (0-4)
+ *   create                                            // analysis engine plugin, omitted for #2 and #8
+ * }
+ */
+const { breadcrumbDetector } = require('./1-visibility-system-status/breadcrumb-detector');
+const { loadingDetector } = require('./1-visibility-system-status/loading-detector');
+const { matchSystemDetector } = require('./2-match-system-with-real-world/match-system-world-detector');
+const { controlExitDetector } = require('./3-user-control-freedom/control-exit-detector');
+const { pageConsistencyDetector } = require('./4-consistency-and-standards/page-consistency-detector');
+const { errorPreventionDetector } = require('./5-error-prevention/error-prevention-detector');
+const { recognitionDetector } = require('./6-recognition-rather-recall/recognition-detector');
+const { shortcutDetector } = require('./7-flexibility-and-efficiency-of-use/shortcut-detector');
+const { aestheticMinimalismDetector } = require('./8-aesthetic-minimalist-design/aesthetic-minimalistic-detector');
+const { helpErrorRecognitionDetector } = require('./9-help-recognize-diagnose-recover-errors/help-recognize-errors-detector');
+const { helpDetector } = require('./10-help-and-documentation/help-detector');
+const { repository } = require('../../package.json');
+
+// GitHub page of the project, documents suppressions, custom rules and the detector guides
+const REPOSITORY_URL = repository.url.replace(/^git\+/, '').replace(/\.git$/, '');
+
+// Nielsen's 10 usability heuristics
+const HEURISTICS = {
+  1: 'Visibility of System Status',
+  2: 'Match Between System and the Real World',
+  3: 'User Control and Freedom',
+  4: 'Consistency and Standards',
+  5: 'Error Prevention',
+  6: 'Recognition Rather Than Recall',
+  7: 'Flexibility and Efficiency of Use',
+  8: 'Aesthetic and Minimalist Design',
+  9: 'Help Users Recognize, Diagnose, and Recover from Errors',
+  10: 'Help and Documentation'
+};
+
+// Severities of issues, most severe first, mapped to the DiagnosticSeverity of the editor
+const SEVERITIES = ['error', 'warning', 'info', 'hint'];
+
+// Nielsen's severity ratings for usability problems, see https://www.nngroup.com/articles/how-to-rate-the-severity-of-usability-problems/
+const SEVERITY_RATINGS = {
+  0: 'Not a usability problem',
+  1: 'Cosmetic problem',
+  2: 'Minor usability problem',
+  3: 'Major usability problem',
+  4: 'Usability catastrophe'
+};
+
+// rating of issues whose detector does not rate their type, e.g. custom rules without `rating`
+const DEFAULT_RATINGS = { error: 3, warning: 2, info: 1, hint: 1 };
+
+// NIMA scores a screenshot of the running app, it is not tied to a heuristic
+const nimaDetector = {
+  type: 'NIMA',
+  name: 'NIMA Visual Quality Score',
+  command: 'react-ux-analyzer.analyzeVisualQuality',
+  docs: 'https://arxiv.org/abs/1709.05424',
+  defaultSeverity: 'info',
+  codes: { 'nima-score': 'VQA001' },
+  ratings: { 'nima-score': 1 }
+};
+
+// Reports rux-disable comments that no longer suppress anything, see utils/suppressions.js
+const suppressionDetector = {
+  type: 'SUPPRESSION',
+  name: 'Suppression Comments',
+  docs: `${REPOSITORY_URL}#suppressing-issues`,
+  defaultSeverity: 'warning',
+  codes: { 'unused-suppression': 'RUX001' },
+  ratings: { 'unused-suppression': 0 }
+};
+
+// article on the 10 heuristics, also the documentation of unknown analysis types
+const HEURISTICS_DOCS = 'https://www.nngroup.com/articles/ten-usability-heuristics/';
+const CUSTOM_RULE_DOCS = `${REPOSITORY_URL}#custom-rules`;
+
+/**
+ * All built-in detectors in heuristic order
+ */
+const detectors = [
+  breadcrumbDetector,
+  loadingDetector,
+  matchSystemDetector,
+  controlExitDetector,
+  pageConsistencyDetector,
+  errorPreventionDetector,
+  recognitionDetector,
+  shortcutDetector,
+  aestheticMinimalismDetector,
+  helpErrorRecognitionDetector,
+  helpDetector,
+  nimaDetector,
+  suppressionDetector
+];
+
+/**
+ * Detector plugins run by the project-wide scan (extension command, on-save and CLI) in a single traversal.
+ * #2 (LLM) and #8 (Puppeteer) need external services and only run on demand.
+ */
+const projectDetectors = detectors.filter(detector => 'create' in detector);
+
+/**
+ * @param {string} analysisType
+ * @returns {object|undefined} registry entry of a built-in detector
+ */
+function getDetector(analysisType) {
+  return detectors.find(detector => detector.type === analysisType);
+}
+
+// `CUSTOM:my-rule.cjs` -> `my-rule`
+function getCustomRuleName(analysisType) {
+  return analysisType.split(':')[1]?.replace('.cjs', '');
+}
+
+/**
+ * Heuristic label of an analysis type, e.g. `Nielsen #1: Visibility of System Status`
+ * @param {string} analysisType
+ * @returns {string}
+ */
+function getHeuristicName(analysisType) {
+  if (analysisType?.startsWith('CUSTOM:')) {
+    return `Custom UX Rule: ${getCustomRuleName(analysisType) || 'Unnamed Rule'}`;
+  }
+
+  const detector = getDetector(analysisType);
+  if (!detector) return 'Nielsen Heuristic';
+  if (!detector.heuristic) return detector.name;
+  return `Nielsen #${detector.heuristic}: ${HEURISTICS[detector.heuristic]}`;
+}
+
+/**
+ * Position of an analysis type in lists grouped by heuristic
+ * Custom rules and detectors without heuristic (NIMA, suppressions) are listed after #1-#10.
+ * @param {string} analysisType
+ * @returns {number}
+ */
+function getHeuristicOrder(analysisType) {
+  return getDetector(analysisType)?.heuristic || (analysisType?.startsWith('CUSTOM:') ? 11 : 12);
+}
+
+/**
+ * Code of an issue, e.g. `RUX402` for an invalid-role issue of the CONSISTENCY detector
+ * Falls back to the first code of the detector for issue types it does not declare.
+ * @param {string} analysisType
+ * @param {string} [issueType]
+ * @returns {string}
+ */
+function getIssueCode(analysisType, issueType) {
+  if (analysisType?.startsWith('CUSTOM:')) {
+    return `CUX-${getCustomRuleName(analysisType)?.toUpperCase() || 'UNKNOWN'}`;
+  }
+
+  const detector = getDetector(analysisType);
+  if (!detector) return 'RUX000';
+  return detector.codes[issueType] || Object.values(detector.codes)[0];
+}
+
+/**
+ * Learning material for an analysis type, `docs` of an issue takes precedence
+ * @param {string} analysisType
+ * @param {string} [docsOverride]
+ * @returns {string} URL
+ */
+function getDocumentationUrl(analysisType, docsOverride) {
+  if (docsOverride) return docsOverride;
+  if (analysisType?.startsWith('CUSTOM:')) return CUSTOM_RULE_DOCS;
+  return getDetector(analysisType)?.docs || HEURISTICS_DOCS;
+}
+
+/**
+ * Severity of an issue, the default severity of its detector applies when the issue has none
+ * @param {{ analysisType: string, severity?: string }} issue
+ * @returns {string}
+ */
+function getSeverity(issue) {
+  return issue.severity || getDetector(issue.analysisType)?.defaultSeverity || 'warning';
+}
+
+/**
+ * Nielsen severity rating of an issue: `rating` of the issue, the rating of its type or a rating matching its severity
+ * 0 = not a usability problem, 1 = cosmetic, 2 = minor, 3 = major, 4 = usability catastrophe
+ * @param {{ analysisType: string, type?: string, severity?: string, rating?: number }} issue
+ * @returns {number}
+ */
+function getRating(issue) {
+  if (Number.isInteger(issue.rating) && issue.rating in SEVERITY_RATINGS) return issue.rating;
+  return getDetector(issue.analysisType)?.ratings?.[issue.type] ?? DEFAULT_RATINGS[getSeverity(issue)] ?? DEFAULT_RATINGS.warning;
+}
+
+/**
+ * @param {object} issue
+ * @returns {string} rating and its label, e.g. `3 - Major usability problem`
+ */
+function formatRating(issue) {
+  const rating = getRating(issue);
+  return `${rating} - ${SEVERITY_RATINGS[rating]}`;
+}
+
+module.exports = {
+  HEURISTICS,
+  HEURISTICS_DOCS,
+  REPOSITORY_URL,
+  SEVERITIES,
+  SEVERITY_RATINGS,
+  detectors,
+  projectDetectors,
+  getDetector,
+  getHeuristicName,
+  getHeuristicOrder,
+  getIssueCode,
+  getDocumentationUrl,
+  getSeverity,
+  getRating,
+  formatRating
+};
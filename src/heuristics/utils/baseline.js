@@ -0,0 +1,129 @@
+/**
+ * Baseline of accepted findings stored in `.rux-baseline.json` at the project root.
+ * Issues are fingerprinted by file, issue type and the normalized code snippet instead of the line number,
+ * so findings keep matching when code above them moves. Scans then only surface new issues.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE_FILE = '.rux-baseline.json';
+
+/**
+ * Code of an issue with collapsed whitespace, the `content` of the issue or else its source line
+ * @param {{ line?: number, content?: string }} issue
+ * @param {string} content - source code of the file
+ * @returns {string}
+ */
+function getNormalizedSnippet(issue, content) {
+  const snippet = issue.content || content.split('\n')[(issue.line || 1) - 1] || '';
+  return snippet.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {{ type: string, analysisType: string, line?: number, content?: string }} issue
+ * @param {string} file - path relative to the project root with forward slashes
+ * @param {string} content - source code of the file
+ * @returns {string}
+ */
+function fingerprintIssue(issue, file, content) {
+  return crypto
+    .createHash('sha1')
+    .update([file, issue.analysisType, issue.type, getNormalizedSnippet(issue, content)].join('\n'))
+    .digest('hex');
+}
+
+function toRelativePath(root, filePath) {
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Creates the baseline content from scan results, identical issues are counted
+ * @param {Array<{ filePath: string, content: string, issues: Array }>} results
+ * @param {string} root - project root
+ * @returns {{ version: number, issues: Array<{ file: string, analysisType: string, type: string, fingerprint: string, count: number }> }}
+ */
+function createBaseline(results, root) {
+  const entries = new Map();
+
+  for (const { filePath, content, issues } of results) {
+    const file = toRelativePath(root, filePath);
+    for (const issue of issues) {
+      const fingerprint = fingerprintIssue(issue, file, content);
+      const entry = entries.get(fingerprint) || { file, analysisType: issue.analysisType, type: issue.type, fingerprint, count: 0 };
+      entry.count++;
+      entries.set(fingerprint, entry);
+    }
+  }
+
+  // sorted for stable diffs when the baseline is committed
+  const issues = [...entries.values()].sort((a, b) =>
+    a.file.localeCompare(b.file) || a.type.localeCompare(b.type) || a.fingerprint.localeCompare(b.fingerprint)
+  );
+  return { version: 1, issues };
+}
+
+/**
+ * @param {string} root - project root
+ * @param {ReturnType<typeof createBaseline>} baseline
+ * @returns {string} path of the written file
+ */
+function writeBaseline(root, baseline) {
+  const baselinePath = path.join(root, BASELINE_FILE);
+  fs.writeFileSync(baselinePath, `${JSON.stringify(baseline, null, 2)}\n`);
+  return baselinePath;
+}
+
+/**
+ * Reads `.rux-baseline.json` of a project
+ * @param {string} root - project root
+ * @returns {{ root: string, counts: Map<string, number>, size: number } | null} null if the project has no baseline
+ */
+function loadBaseline(root) {
+  const baselinePath = path.join(root, BASELINE_FILE);
+  if (!fs.existsSync(baselinePath)) return null;
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read ${baselinePath}: ${err.message}`);
+  }
+
+  const counts = new Map();
+  for (const entry of baseline.issues || []) {
+    counts.set(entry.fingerprint, (counts.get(entry.fingerprint) || 0) + (entry.count || 1));
+  }
+  return { root, counts, size: [...counts.values()].reduce((sum, count) => sum + count, 0) };
+}
+
+/**
+ * Removes issues of one file that are part of the baseline
+ * @param {Array} issues
+ * @param {ReturnType<typeof loadBaseline>} baseline
+ * @param {string} filePath
+ * @param {string} content - source code of the file
+ * @returns {Array} issues not in the baseline
+ */
+function filterBaselineIssues(issues, baseline, filePath, content) {
+  if (!baseline) return issues;
+
+  const file = toRelativePath(baseline.root, filePath);
+  const remaining = new Map();
+
+  return issues.filter(issue => {
+    const fingerprint = fingerprintIssue(issue, file, content);
+    const left = remaining.has(fingerprint) ? remaining.get(fingerprint) : baseline.counts.get(fingerprint) || 0;
+    remaining.set(fingerprint, left - 1);
+    return left <= 0;
+  });
+}
+
+module.exports = {
+  BASELINE_FILE,
+  fingerprintIssue,
+  createBaseline,
+  writeBaseline,
+  loadBaseline,
+  filterBaselineIssues
+};
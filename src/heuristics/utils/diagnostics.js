@@ -0,0 +1,106 @@
+/**
+ * Diagnostics of issues in the shape of the Language Server Protocol (0-based ranges, numeric severities)
+ * Shared by the language server and the FeedbackHandler of the VS Code extension, so every editor shows the same text.
+ */
+const { HEURISTICS_DOCS, getDetector, getHeuristicName, getIssueCode, getDocumentationUrl, getSeverity, formatRating } = require('../registry');
+const { getGuideUrl, getIssueExample } = require('./issue-examples');
+
+const SOURCE = 'React UX Analyzer';
+
+// DiagnosticSeverity of the protocol
+const DIAGNOSTIC_SEVERITIES = { error: 1, warning: 2, info: 3, hint: 4 };
+
+/**
+ * Exact range of the AST node, whole line (0-1000 chars) for issues that only know their line
+ * @param {{ line?: number, column?: number, endLine?: number, endColumn?: number }} location
+ * @returns {{ start: { line: number, character: number }, end: { line: number, character: number } }}
+ */
+function toRange({ line = 1, column, endLine, endColumn }) {
+  if (typeof column !== 'number') {
+    return { start: { line: line - 1, character: 0 }, end: { line: line - 1, character: 1000 } };
+  }
+  return {
+    start: { line: line - 1, character: column },
+    end: { line: (endLine ?? line) - 1, character: endColumn ?? column + 1 }
+  };
+}
+
+/**
+ * Problem + solution + why + heuristic + severity rating of a single issue
+ * @param {object} issue
+ * @returns {string}
+ */
+function formatMessage(issue) {
+  const heuristic = getHeuristicName(issue.analysisType);
+  const heuristicCode = getIssueCode(issue.analysisType, issue.type);
+  const docLink = getDocumentationUrl(issue.analysisType, issue.docs);
+
+  // Problem description
+  const problem = issue.problem || issue.message || 'UX issue detected';
+
+  // Actionable advice
+  const action = issue.action || 'Please review and apply UX best practices.';
+
+  // Why it helps users
+  const why = issue.why || 'Improves user experience and usability.';
+
+  return `${problem}\nAction: ${action}\nWhy: ${why}\nHeuristic: ${heuristic} (${heuristicCode})\nSeverity rating: ${formatRating(issue)}\nMore info: ${docLink}`;
+}
+
+function formatCode(label, code) {
+  return `${label}\n\`\`\`jsx\n${code}\n\`\`\``;
+}
+
+/**
+ * Markdown documentation of an issue, shown when hovering its range:
+ * heuristic, problem, rationale, bad/good example of the issue type from the detector guide and links
+ * @param {object} issue
+ * @returns {string}
+ */
+function formatHover(issue) {
+  const code = getIssueCode(issue.analysisType, issue.type);
+  const example = getIssueExample(issue);
+  const guide = getGuideUrl(issue.analysisType);
+  const links = [
+    `[More info](${getDocumentationUrl(issue.analysisType, issue.docs)})`,
+    guide && `[Detector guide](${guide})`,
+    getDetector(issue.analysisType)?.heuristic && `[Nielsen's 10 heuristics](${HEURISTICS_DOCS})`
+  ];
+
+  return [
+    `**${getHeuristicName(issue.analysisType)}** (${code})`,
+    issue.problem || issue.message || 'UX issue detected',
+    issue.why && `**Why:** ${issue.why}`,
+    issue.action && `**Action:** ${issue.action}`,
+    `**Severity rating:** ${formatRating(issue)}`,
+    example && formatCode('❌ **Bad**', example.bad),
+    example && formatCode('✅ **Good**', example.good),
+    links.filter(Boolean).join(' · ')
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * @param {object} issue - issue with its `analysisType`
+ * @param {string} uri - document of the issue, related locations point into it
+ * @returns {object} Diagnostic, the issue itself is kept as `data` for code actions and the UX Issues view
+ */
+function toDiagnostic(issue, uri) {
+  const diagnostic = {
+    range: toRange(issue),
+    severity: DIAGNOSTIC_SEVERITIES[getSeverity(issue)] || DIAGNOSTIC_SEVERITIES.warning,
+    code: getIssueCode(issue.analysisType, issue.type),
+    codeDescription: { href: getDocumentationUrl(issue.analysisType, issue.docs) },
+    source: SOURCE,
+    message: formatMessage(issue),
+    data: issue
+  };
+  if (issue.related?.length) {
+    diagnostic.relatedInformation = issue.related.map(related => ({
+      location: { uri, range: toRange(related) },
+      message: related.message
+    }));
+  }
+  return diagnostic;
+}
+
+module.exports = { SOURCE, DIAGNOSTIC_SEVERITIES, toRange, formatMessage, formatHover, toDiagnostic };
@@ -3,20 +3,17 @@
  * This function parses the JSX code and collects text from JSX elements,
  * ignoring code, comments, and non-visible elements, like tags or function names.
  */
-const { parse } = require('@babel/parser');
+const { parseCode } = require('./parse-code');
 const traverse = require('@babel/traverse').default;
 const { getTextFromJSX } = require('./getTextFromJSX');
+const { getElementLocation } = require('./location');
 
 function extractVisibleTextFromCode(code) {
   const collected = [];
 
   let ast;
   try {
-    ast = parse(code, {
-      sourceType: 'module',
-      plugins: ['jsx'],
-      errorRecovery: true,
-    });
+    ast = parseCode(code);
   } catch (err) {
     console.warn('Skipping invalid JSX file during domain detection', err.message);
     return [];
@@ -25,8 +22,6 @@ function extractVisibleTextFromCode(code) {
   traverse(ast, {
     JSXElement(path) {
       const node = path.node;
-      const line = node.loc?.start?.line;
-
       // Only process JSX elements with direct visible text children
       const directText = node.children
         .filter(child => child.type === 'JSXText' && child.value.trim().length >= 3)
@@ -39,14 +34,14 @@ function extractVisibleTextFromCode(code) {
       if (directText.length === 0) return;
 
       const text = directText;
-      collected.push({ text, line });
+      collected.push({ text, ...getElementLocation(node) });
     },
   });
 
   /** Construct example 
    * [
-   * { text: "Initiate RMA due to inventory mismatch", line: 5 },
-   * { text: "Backordered from West Coast fulfillment center", line: 6 },
+   * { text: "Initiate RMA due to inventory mismatch", line: 5, column: 6, endLine: 5, endColumn: 12 },
+   * { text: "Backordered from West Coast fulfillment center", line: 6, column: 6, endLine: 6, endColumn: 9 },
    * ...
    * ]
    */
@@ -0,0 +1,102 @@
+/**
+ * Decides which files of a project are analyzed: `include`/`exclude` settings,
+ * .gitignore and .ruxignore. Shared by the extension and the CLI.
+ */
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('../../cli/find-files');
+const { SOURCE_FILE_GLOB, DEFAULT_EXCLUDE } = require('./source-files');
+
+// Ignore files read from the project root, both use .gitignore syntax
+const IGNORE_FILES = ['.gitignore', '.ruxignore'];
+
+/**
+ * Parses .gitignore syntax: comments, `!` negation, trailing `/` for folders,
+ * patterns with a slash are relative to the ignore file, others match at any depth
+ * @param {string} text
+ * @returns {Array<{ matcher: RegExp, negated: boolean, directoryOnly: boolean }>}
+ */
+function parseIgnoreFile(text) {
+  return text.split(/\r?\n/).flatMap(line => {
+    let pattern = line.replace(/\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return [];
+
+    const negated = pattern.startsWith('!');
+    if (negated) pattern = pattern.slice(1);
+    pattern = pattern.replace(/^\\([#!])/, '$1');
+
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (!pattern) return [];
+
+    return [{ matcher: globToRegExp(anchored ? pattern : `**/${pattern}`), negated, directoryOnly }];
+  });
+}
+
+/**
+ * Checks a path against ignore rules, the last matching rule wins
+ * As in git, files of an ignored folder cannot be included again.
+ * @param {string} relativePath - forward-slash path relative to the ignore file
+ * @param {Array<{ matcher: RegExp, negated: boolean, directoryOnly: boolean }>} rules
+ * @returns {boolean}
+ */
+function isIgnored(relativePath, rules) {
+  const segments = relativePath.split('/');
+  for (let i = 1; i <= segments.length; i++) {
+    const current = segments.slice(0, i).join('/');
+    const isDirectory = i < segments.length;
+
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.matcher.test(current)) ignored = !rule.negated;
+    }
+    if (ignored) return true;
+  }
+  return false;
+}
+
+/**
+ * Ignore rules of .gitignore and .ruxignore in a folder
+ * @param {string} dir
+ */
+function readIgnoreRules(dir) {
+  return IGNORE_FILES
+    .map(file => path.join(dir, file))
+    .filter(file => fs.existsSync(file))
+    .flatMap(file => parseIgnoreFile(fs.readFileSync(file, 'utf-8')));
+}
+
+function toRelativePath(root, filePath) {
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Creates the filter deciding if a file of a project is analyzed
+ * @param {object} options
+ * @param {string} options.root - project root the globs are relative to
+ * @param {string[] | null} [options.include] - globs of analyzed files, `null` skips the check (e.g. for explicit CLI globs)
+ * @param {string[]} [options.exclude] - globs of skipped files
+ * @param {string[]} [options.ignoreDirs] - folders whose .gitignore and .ruxignore apply, defaults to the root
+ * @returns {(filePath: string) => boolean}
+ */
+function createFileFilter({ root, include = [SOURCE_FILE_GLOB], exclude = DEFAULT_EXCLUDE, ignoreDirs = [root] }) {
+  const includes = include?.map(globToRegExp);
+  const excludes = exclude.map(globToRegExp);
+  const ignores = [...new Set(ignoreDirs)].map(dir => ({ dir, rules: readIgnoreRules(dir) }));
+
+  return (filePath) => {
+    const relativePath = toRelativePath(root, filePath);
+    if (includes && !includes.some(matcher => matcher.test(relativePath))) return false;
+    if (excludes.some(matcher => matcher.test(relativePath))) return false;
+
+    return !ignores.some(({ dir, rules }) => {
+      const ignorePath = toRelativePath(dir, filePath);
+      return rules.length > 0 && !ignorePath.startsWith('..') && isIgnored(ignorePath, rules);
+    });
+  };
+}
+
+module.exports = { IGNORE_FILES, createFileFilter, isIgnored, parseIgnoreFile };
@@ -0,0 +1,90 @@
+/**
+ * Helpers for quick fixes. Detectors attach `fix: { title, edits }` to issues that can be fixed mechanically,
+ * each edit replaces the characters `start`..`end` (offsets into the analyzed content) with `text`.
+ */
+
+/**
+ * @param {{ start: number, end: number }} node - Babel node
+ * @param {string} text
+ */
+function insertBefore(node, text) {
+  return { start: node.start, end: node.start, text };
+}
+
+/**
+ * @param {{ start: number, end: number }} node - Babel node
+ * @param {string} text
+ */
+function insertAfter(node, text) {
+  return { start: node.end, end: node.end, text };
+}
+
+/**
+ * @param {{ start: number, end: number }} node - Babel node
+ * @param {string} text
+ */
+function replaceNode(node, text) {
+  return { start: node.start, end: node.end, text };
+}
+
+/**
+ * Leading whitespace of the line containing `offset`
+ * @param {string} content
+ * @param {number} offset
+ * @returns {string}
+ */
+function getIndentation(content, offset) {
+  const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+  return content.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Picks fixes whose edits do not overlap with an earlier fix, e.g. for "fix all in file"
+ * @param {Array<{ title: string, edits: Array<{ start: number, end: number, text: string }> }>} fixes
+ * @returns {Array} fixes that can be applied together
+ */
+function selectCompatibleFixes(fixes) {
+  const selected = [];
+  const taken = [];
+
+  for (const fix of fixes) {
+    if (fix.edits.some(edit => taken.some(other => overlaps(edit, other)))) continue;
+    selected.push(fix);
+    taken.push(...fix.edits);
+  }
+  return selected;
+}
+
+/**
+ * Applies all compatible fixes to the content
+ * @param {string} content
+ * @param {Array<{ title: string, edits: Array }>} fixes
+ * @returns {{ output: string, applied: number }}
+ */
+function applyFixes(content, fixes) {
+  const selected = selectCompatibleFixes(fixes);
+  // from the end so earlier offsets stay valid, insertions at the same offset keep their order
+  const edits = selected
+    .flatMap(fix => fix.edits)
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => b.start - a.start || b.end - a.end || b.index - a.index);
+
+  let output = content;
+  for (const { start, end, text } of edits) {
+    output = output.slice(0, start) + text + output.slice(end);
+  }
+  return { output, applied: selected.length };
+}
+
+module.exports = {
+  insertBefore,
+  insertAfter,
+  replaceNode,
+  getIndentation,
+  selectCompatibleFixes,
+  applyFixes
+};
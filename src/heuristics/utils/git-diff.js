@@ -0,0 +1,92 @@
+/**
+ * Changed lines of the current branch from local git, for reviews that only care about new findings.
+ * The working tree is compared with the merge base of a base ref, so uncommitted changes count as changed
+ * and untracked files are changed as a whole.
+ */
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+const GIT_TIMEOUT_MS = 30000;
+
+function git(args, cwd) {
+  return execFileSync('git', ['-c', 'core.quotePath=false', ...args], { cwd, stdio: ['ignore', 'pipe', 'pipe'], timeout: GIT_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 }).toString();
+}
+
+/**
+ * Added and modified lines per file of a unified diff with `--unified=0`
+ * @param {string} diff
+ * @returns {Map<string, Array<[number, number]>>} path from `+++ b/` -> 1-based line ranges, deleted files are skipped
+ */
+function parseDiff(diff) {
+  const files = new Map();
+  let ranges = null;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).replace(/^"|"$/g, '');
+      ranges = target === '/dev/null' ? null : [];
+      if (ranges) files.set(target.replace(/^b\//, ''), ranges);
+      continue;
+    }
+    const hunk = ranges && /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (!hunk) continue;
+
+    const start = Number(hunk[1]);
+    const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+    // pure deletions leave no line to report on
+    if (count > 0) ranges.push([start, start + count - 1]);
+  }
+  return files;
+}
+
+/**
+ * Files changed since the merge base of `baseRef` and HEAD, including uncommitted and untracked files
+ * @param {string} root - folder inside the git repository
+ * @param {string} baseRef - branch, tag or commit, e.g. `main` or `origin/main`
+ * @returns {Map<string, Array<[number, number]> | null>} absolute path -> changed line ranges, null for untracked files
+ * @throws {Error} outside of git repositories or for unknown refs
+ */
+function getChangedLines(root, baseRef) {
+  try {
+    git(['rev-parse', '--is-inside-work-tree'], root);
+  } catch {
+    throw new Error(`${root} is not inside a git repository`);
+  }
+
+  let mergeBase;
+  try {
+    mergeBase = git(['merge-base', baseRef, 'HEAD'], root).trim();
+  } catch {
+    throw new Error(`Unknown git ref "${baseRef}"`);
+  }
+
+  // --relative and ls-files list the files below root with paths relative to it,
+  // explicit prefixes override diff.noprefix and diff.mnemonicPrefix of the user's git config
+  const changed = new Map();
+  const diff = git(['diff', '--relative', '--unified=0', '--no-color', '--no-ext-diff', '--no-renames', '--src-prefix=a/', '--dst-prefix=b/', mergeBase], root);
+  for (const [file, ranges] of parseDiff(diff)) {
+    changed.set(path.join(root, file), ranges);
+  }
+  for (const file of git(['ls-files', '--others', '--exclude-standard'], root).split('\n').filter(Boolean)) {
+    changed.set(path.join(root, file), null);
+  }
+  return changed;
+}
+
+/**
+ * Keeps the issues on changed lines, multi-line issues count when any of their lines changed
+ * @param {Array<{ line?: number, endLine?: number }>} issues
+ * @param {Array<[number, number]> | null | undefined} ranges - from getChangedLines(), null keeps all issues of the file
+ * @returns {Array}
+ */
+function filterChangedIssues(issues, ranges) {
+  if (ranges === null) return issues;
+  if (!ranges) return [];
+  return issues.filter(issue => {
+    const start = issue.line || 1;
+    const end = Math.max(start, issue.endLine || start);
+    return ranges.some(([from, to]) => start <= to && end >= from);
+  });
+}
+
+module.exports = { parseDiff, getChangedLines, filterChangedIssues };
@@ -0,0 +1,161 @@
+/**
+ * Scan history stored in `.react-ux-analyzer/history.jsonl` at the project root, one summary per full scan.
+ * Summaries count issues per RUX code and per file, so trends and regressions can be shown without the source.
+ */
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES, getIssueCode, getSeverity } = require('../registry');
+
+const HISTORY_FILE = path.join('.react-ux-analyzer', 'history.jsonl');
+
+/**
+ * Current git commit of a project
+ * @param {string} root - project root
+ * @returns {string | null} null outside of git repositories
+ */
+function getGitCommit(root) {
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: root, stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).toString().trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function sortKeys(counts) {
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true })));
+}
+
+/**
+ * Summary of a full scan
+ * @param {Array<{ filePath: string, issues: Array }>} results - all issues, not filtered by the baseline
+ * @param {{ root: string, commit?: string | null, nimaScore?: { mean: number, std: number, url?: string }, date?: Date }} options
+ * @returns {{ date: string, commit: string | null, analyzedFiles: number, total: number, severities: object, codes: object, files: object, nima?: { mean: number, std: number } }}
+ */
+function createHistoryEntry(results, { root, commit = getGitCommit(root), nimaScore, date = new Date() }) {
+  const severities = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  const codes = {};
+  const files = {};
+
+  for (const { filePath, issues } of results) {
+    const file = path.relative(root, filePath).split(path.sep).join('/');
+    for (const issue of issues) {
+      const severity = getSeverity(issue);
+      severities[severity in severities ? severity : 'warning']++;
+      increment(codes, getIssueCode(issue.analysisType, issue.type));
+      increment(files, file);
+    }
+  }
+
+  return {
+    date: date.toISOString(),
+    commit,
+    analyzedFiles: results.length,
+    total: Object.values(codes).reduce((sum, count) => sum + count, 0),
+    severities,
+    codes: sortKeys(codes),
+    files: sortKeys(files),
+    ...(nimaScore && { nima: { mean: nimaScore.mean, std: nimaScore.std } })
+  };
+}
+
+/**
+ * @param {string} root - project root
+ * @param {ReturnType<typeof createHistoryEntry>} entry
+ * @returns {string} path of the history file
+ */
+function appendHistory(root, entry) {
+  const historyPath = path.join(root, HISTORY_FILE);
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.appendFileSync(historyPath, `${JSON.stringify(entry)}\n`);
+  return historyPath;
+}
+
+/**
+ * Reads the scan history of a project, oldest first. Lines that are not valid JSON are skipped.
+ * @param {string} root - project root
+ * @returns {Array<ReturnType<typeof createHistoryEntry>>}
+ */
+function readHistory(root) {
+  const historyPath = path.join(root, HISTORY_FILE);
+  if (!fs.existsSync(historyPath)) return [];
+
+  return fs.readFileSync(historyPath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * Whether a commit is an ancestor of (or equal to) another commit
+ * @param {string} root - project root
+ * @returns {boolean} false outside of git repositories and for unknown commits
+ */
+function isGitAncestor(root, ancestor, commit) {
+  try {
+    execFileSync('git', ['merge-base', '--is-ancestor', ancestor, commit], { cwd: root, stdio: 'ignore', timeout: 5000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Entry the latest scan is compared with: the last scan at a commit, or else the previous scan
+ * Without a scan at the commit, the last scan at one of its ancestors is used when `root` is a git repository.
+ * @param {Array<ReturnType<typeof createHistoryEntry>>} history
+ * @param {string} [commit] - full or abbreviated commit hash
+ * @param {{ root?: string }} [options]
+ * @returns {ReturnType<typeof createHistoryEntry> | undefined}
+ */
+function findComparisonEntry(history, commit, { root } = {}) {
+  const earlier = history.slice(0, -1);
+  if (!commit) return earlier[earlier.length - 1];
+  const exact = earlier.filter(entry => entry.commit?.startsWith(commit)).pop();
+  if (exact || !root) return exact;
+  return earlier.reverse().find(entry => entry.commit && isGitAncestor(root, entry.commit, commit));
+}
+
+function diffCounts(before = {}, after = {}) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .map(key => ({ key, before: before[key] || 0, after: after[key] || 0, delta: (after[key] || 0) - (before[key] || 0) }))
+    .filter(change => change.delta !== 0)
+    .sort((a, b) => b.delta - a.delta || a.key.localeCompare(b.key));
+}
+
+/**
+ * Changes between two scans, positive deltas are regressions
+ * @param {ReturnType<typeof createHistoryEntry>} before
+ * @param {ReturnType<typeof createHistoryEntry>} after
+ * @returns {{ total: { before: number, after: number, delta: number }, codes: Array<{ key: string, before: number, after: number, delta: number }>, files: Array, nima?: { before: number, after: number, delta: number } }}
+ */
+function compareEntries(before, after) {
+  return {
+    total: { before: before.total, after: after.total, delta: after.total - before.total },
+    codes: diffCounts(before.codes, after.codes),
+    files: diffCounts(before.files, after.files),
+    ...(before.nima && after.nima && {
+      nima: { before: before.nima.mean, after: after.nima.mean, delta: after.nima.mean - before.nima.mean }
+    })
+  };
+}
+
+module.exports = {
+  HISTORY_FILE,
+  getGitCommit,
+  createHistoryEntry,
+  appendHistory,
+  readHistory,
+  findComparisonEntry,
+  compareEntries
+};
@@ -0,0 +1,423 @@
+/**
+ * Import graph of local React components, so detectors can check what a JSX subtree renders across files.
+ * JSX tags are resolved through Babel scope bindings: components declared in the same file, default, named
+ * and namespace imports, index barrels and re-exports, and path aliases from the nearest tsconfig.json/jsconfig.json.
+ * Packages from node_modules are not followed. Resolved imports are kept as reverse edges, so callers can find the
+ * files whose results depend on a changed file.
+ */
+const fs = require('fs');
+const path = require('path');
+const { isMainThread } = require('worker_threads');
+const traverse = require('@babel/traverse').default;
+const { parseCode } = require('./parse-code');
+const { stripJsonComments } = require('../../cli/settings');
+
+const EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js'];
+// memo(Header), forwardRef(Header) and higher-order components like withRouter(Header)
+const WRAPPER_PATTERN = /^(memo|forwardRef|with[A-Z]\w*)$/;
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+// parsed programs kept at once, the least recently used one is dropped first (long-running language server)
+const MAX_MODULES = 200;
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Existing source file of an import path: the file itself, with a source extension or its index file
+ * @param {string} base - absolute path without extension
+ * @returns {string | null}
+ */
+function resolveFile(base) {
+  const candidates = [
+    ...(EXTENSIONS.includes(path.extname(base)) ? [base] : []),
+    ...EXTENSIONS.map(extension => `${base}${extension}`),
+    ...EXTENSIONS.map(extension => path.join(base, `index${extension}`))
+  ];
+  return candidates.find(isFile) || null;
+}
+
+/**
+ * `compilerOptions` of a tsconfig/jsconfig file, merged with the configs it extends
+ * @param {string} configPath
+ * @param {Set<string>} [seen] - stops `extends` cycles
+ * @returns {{ baseUrl?: string, paths?: Object<string, string[]>, pathsBase: string }} baseUrl as absolute path
+ */
+function readCompilerOptions(configPath, seen = new Set()) {
+  if (seen.has(configPath)) return { pathsBase: path.dirname(configPath) };
+  seen.add(configPath);
+
+  let config;
+  try {
+    config = JSON.parse(stripJsonComments(fs.readFileSync(configPath, 'utf-8')));
+  } catch {
+    return { pathsBase: path.dirname(configPath) };
+  }
+
+  const dir = path.dirname(configPath);
+  // only relative `extends`, shared configs from packages do not define project aliases
+  const parentPath = typeof config.extends === 'string' && config.extends.startsWith('.')
+    ? path.resolve(dir, config.extends.endsWith('.json') ? config.extends : `${config.extends}.json`)
+    : null;
+  const parent = parentPath && isFile(parentPath) ? readCompilerOptions(parentPath, seen) : { pathsBase: dir };
+
+  const { baseUrl, paths } = config.compilerOptions || {};
+  const options = { ...parent };
+  if (baseUrl) {
+    options.baseUrl = path.resolve(dir, baseUrl);
+    options.pathsBase = options.baseUrl;
+  }
+  if (paths) {
+    options.paths = paths;
+    options.pathsBase = options.baseUrl || dir;
+  }
+  return options;
+}
+
+/**
+ * Creates an import graph. Parsed files are cached until their modification time changes or they are invalidated,
+ * at most `maxModules` of them.
+ * @param {object} [options]
+ * @param {boolean} [options.trackImports] - collect new imports for takeImports(), e.g. in worker threads
+ * @param {number} [options.maxModules] - parsed files kept in memory
+ * @returns {{
+ *   resolveImport: (fromFile: string, specifier: string) => string | null,
+ *   resolveComponent: (scope: object, name: string | object, fileName?: string) => { path: object, fileName?: string } | null,
+ *   subtreeRenders: (elementPath: object, predicate: (node: object) => boolean, fileName?: string) => boolean,
+ *   getImporters: (filePath: string) => string[],
+ *   takeImports: () => Array<[string, string]>,
+ *   addImports: (imports: Array<[string, string]>) => void,
+ *   invalidate: (filePath: string) => void,
+ *   clear: () => void
+ * }}
+ */
+function createImportGraph({ trackImports = false, maxModules = MAX_MODULES } = {}) {
+  // file path -> { mtimeMs, program }, in order of last use
+  const modules = new Map();
+  const configs = new Map();
+  // predicate -> declaration node -> result, reset whenever a file is parsed as results depend on other files
+  let renderCache = new WeakMap();
+  // imported file -> importing files, kept when a module is invalidated
+  const importers = new Map();
+  // [importing file, imported file] found since the last takeImports()
+  let newImports = [];
+
+  function addImport(fromFile, toFile) {
+    if (!importers.has(toFile)) importers.set(toFile, new Set());
+    const files = importers.get(toFile);
+    if (files.has(fromFile)) return false;
+    files.add(fromFile);
+    return true;
+  }
+
+  /**
+   * Compiler options of the nearest tsconfig.json or jsconfig.json above a folder
+   */
+  function getCompilerOptions(dir) {
+    if (configs.has(dir)) return configs.get(dir);
+    const configPath = CONFIG_FILES.map(file => path.join(dir, file)).find(isFile);
+    const parent = path.dirname(dir);
+    const options = configPath ? readCompilerOptions(configPath) : parent === dir ? null : getCompilerOptions(parent);
+    configs.set(dir, options);
+    return options;
+  }
+
+  /**
+   * @param {string} fromFile - absolute path of the importing file
+   * @param {string} specifier - e.g. `./Header`, `@/components/Header` or `components/Header` with a baseUrl
+   * @returns {string | null} absolute path, null for packages and missing files
+   */
+  function resolveImport(fromFile, specifier) {
+    const resolved = resolveSpecifier(fromFile, specifier);
+    if (resolved && addImport(fromFile, resolved) && trackImports) newImports.push([fromFile, resolved]);
+    return resolved;
+  }
+
+  function resolveSpecifier(fromFile, specifier) {
+    if (!fromFile) return null;
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+      return resolveFile(path.resolve(path.dirname(fromFile), specifier));
+    }
+
+    const options = getCompilerOptions(path.dirname(fromFile));
+    if (!options) return null;
+    for (const [pattern, targets] of Object.entries(options.paths || {})) {
+      const [prefix, suffix = ''] = pattern.split('*');
+      const wildcard = pattern.includes('*');
+      const matches = wildcard
+        ? specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length
+        : specifier === pattern;
+      if (!matches) continue;
+
+      const rest = wildcard ? specifier.slice(prefix.length, specifier.length - suffix.length) : '';
+      for (const target of targets) {
+        const resolved = resolveFile(path.resolve(options.pathsBase, target.replace('*', rest)));
+        if (resolved) return resolved;
+      }
+    }
+    return options.baseUrl ? resolveFile(path.resolve(options.baseUrl, specifier)) : null;
+  }
+
+  /**
+   * Program path of a parsed file
+   * @param {string} filePath
+   * @returns {object | null} null for files that cannot be read or parsed
+   */
+  function loadModule(filePath) {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch {
+      modules.delete(filePath);
+      return null;
+    }
+    const cached = modules.get(filePath);
+    modules.delete(filePath);
+    if (cached?.mtimeMs === mtimeMs) {
+      modules.set(filePath, cached);
+      return cached.program;
+    }
+
+    let program = null;
+    try {
+      traverse(parseCode(fs.readFileSync(filePath, 'utf-8'), filePath), {
+        Program(programPath) {
+          program = programPath;
+          programPath.stop();
+        }
+      });
+    } catch {
+      program = null;
+    }
+    modules.set(filePath, { mtimeMs, program });
+    // results of other declarations are cached by node, they stay valid while the dropped program is unused
+    if (modules.size > maxModules) modules.delete(modules.keys().next().value);
+    renderCache = new WeakMap();
+    return program;
+  }
+
+  /**
+   * Declaration of an export, following re-exports and `export *` of barrel files
+   * @returns {{ path: object, fileName?: string } | null}
+   */
+  function resolveExport(filePath, exportName, seen = new Set()) {
+    const key = `${filePath}#${exportName}`;
+    if (!filePath || seen.has(key)) return null;
+    seen.add(key);
+
+    const program = loadModule(filePath);
+    if (!program) return null;
+
+    for (const statement of program.get('body')) {
+      const { node } = statement;
+
+      if (statement.isExportDefaultDeclaration() && exportName === 'default') {
+        return node.declaration.type === 'Identifier'
+          ? resolveComponent(program.scope, node.declaration.name, filePath, seen)
+          : { path: statement.get('declaration'), fileName: filePath };
+      }
+
+      if (statement.isExportNamedDeclaration()) {
+        const declaration = statement.get('declaration');
+        if (declaration.node?.id?.name === exportName) {
+          return { path: declaration, fileName: filePath };
+        }
+        if (declaration.isVariableDeclaration()) {
+          const declarator = declaration.get('declarations').find(item => item.node.id.name === exportName);
+          if (declarator) return { path: declarator, fileName: filePath };
+        }
+
+        for (const specifier of node.specifiers || []) {
+          const exported = specifier.exported.name ?? specifier.exported.value;
+          if (exported !== exportName) continue;
+          if (node.source) {
+            const imported = specifier.type === 'ExportNamespaceSpecifier' ? null : specifier.local.name;
+            return imported && resolveExport(resolveImport(filePath, node.source.value), imported, seen);
+          }
+          return resolveComponent(program.scope, specifier.local.name, filePath, seen);
+        }
+      }
+
+      if (statement.isExportAllDeclaration() && exportName !== 'default') {
+        const resolved = resolveExport(resolveImport(filePath, node.source.value), exportName, seen);
+        if (resolved) return resolved;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Declaration of a JSX tag: a local component or the export behind an import
+   * @param {object} scope - Babel scope of the JSX element
+   * @param {string | object} name - identifier name or the JSXMemberExpression of `<UI.Header>`
+   * @param {string} [fileName] - absolute path of the file, imports are not followed without it
+   * @returns {{ path: object, fileName?: string } | null}
+   */
+  function resolveComponent(scope, name, fileName, seen = new Set()) {
+    // <UI.Header> of `import * as UI from './ui'`
+    if (typeof name !== 'string') {
+      if (name.object?.type !== 'JSXIdentifier') return null;
+      const binding = scope.getBinding(name.object.name);
+      if (binding?.path.node.type !== 'ImportNamespaceSpecifier') return null;
+      return resolveExport(resolveImport(fileName, binding.path.parent.source.value), name.property.name, seen);
+    }
+
+    const binding = scope.getBinding(name);
+    if (!binding) return null;
+    if (binding.kind !== 'module') return { path: binding.path, fileName };
+
+    const specifier = binding.path.node;
+    if (specifier.type === 'ImportNamespaceSpecifier') return null;
+    const imported = specifier.type === 'ImportDefaultSpecifier' ? 'default' : specifier.imported.name ?? specifier.imported.value;
+    return resolveExport(resolveImport(fileName, binding.path.parent.source.value), imported, seen);
+  }
+
+  function getComponentName(node) {
+    const name = node.openingElement.name;
+    if (name.type === 'JSXIdentifier') return /^[A-Z]/.test(name.name) ? name.name : null;
+    return name.type === 'JSXMemberExpression' ? name : null;
+  }
+
+  /**
+   * Whether a component declaration renders a matching element, directly or through other components
+   */
+  function declarationRenders(declaration, predicate, visiting) {
+    const { node } = declaration.path;
+    let cache = renderCache.get(predicate);
+    if (!cache) renderCache.set(predicate, cache = new WeakMap());
+    if (cache.has(node)) return cache.get(node);
+    if (visiting.has(node)) return false;
+    visiting.add(node);
+
+    // traverse() skips the node it starts at, e.g. the call of `export default memo(AppHeader)`
+    let found = declaration.path.isCallExpression() && wrapperRenders(declaration.path, predicate, declaration.fileName, visiting);
+    if (!found) {
+      declaration.path.traverse({
+        JSXElement(elementPath) {
+          if (elementRenders(elementPath, predicate, declaration.fileName, visiting)) {
+            found = true;
+            elementPath.stop();
+          }
+        },
+        CallExpression(callPath) {
+          if (wrapperRenders(callPath, predicate, declaration.fileName, visiting)) {
+            found = true;
+            callPath.stop();
+          }
+        }
+      });
+    }
+
+    visiting.delete(node);
+    cache.set(node, found);
+    return found;
+  }
+
+  /**
+   * Whether a wrapper call like memo(Header) or withRouter(Header) wraps a component that renders a matching element
+   */
+  function wrapperRenders(callPath, predicate, fileName, visiting) {
+    const { callee } = callPath.node;
+    const calleeName = callee.type === 'MemberExpression' ? callee.property.name : callee.name;
+    if (!WRAPPER_PATTERN.test(calleeName || '')) return false;
+    return callPath.node.arguments.some(argument => {
+      if (argument.type !== 'Identifier') return false;
+      const wrapped = resolveComponent(callPath.scope, argument.name, fileName);
+      return Boolean(wrapped && declarationRenders(wrapped, predicate, visiting));
+    });
+  }
+
+  function elementRenders(elementPath, predicate, fileName, visiting) {
+    if (predicate(elementPath.node)) return true;
+    const name = getComponentName(elementPath.node);
+    const declaration = name && resolveComponent(elementPath.scope, name, fileName);
+    return Boolean(declaration && declarationRenders(declaration, predicate, visiting));
+  }
+
+  /**
+   * Whether a JSX element, its children or any component they render (in any local file) match the predicate
+   * @param {object} elementPath - Babel path of a JSXElement
+   * @param {(node: object) => boolean} predicate - checks a single JSXElement node, reuse the same function for caching
+   * @param {string} [fileName] - absolute path of the analyzed file
+   * @returns {boolean}
+   */
+  function subtreeRenders(elementPath, predicate, fileName) {
+    const filePath = fileName && path.resolve(fileName);
+    const visiting = new Set();
+    if (elementRenders(elementPath, predicate, filePath, visiting)) return true;
+
+    let found = false;
+    elementPath.traverse({
+      JSXElement(childPath) {
+        if (elementRenders(childPath, predicate, filePath, visiting)) {
+          found = true;
+          childPath.stop();
+        }
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Files importing a file, directly or through other files, as far as their imports were resolved
+   * @param {string} filePath
+   * @returns {string[]} absolute paths, without the file itself
+   */
+  function getImporters(filePath) {
+    const start = path.resolve(filePath);
+    const found = new Set();
+    const queue = [start];
+    while (queue.length > 0) {
+      for (const importer of importers.get(queue.pop()) || []) {
+        if (found.has(importer) || importer === start) continue;
+        found.add(importer);
+        queue.push(importer);
+      }
+    }
+    return [...found];
+  }
+
+  /**
+   * Imports resolved since the last call, worker threads pass them to the graph of the calling thread
+   * @returns {Array<[string, string]>} [importing file, imported file]
+   */
+  function takeImports() {
+    const taken = newImports;
+    newImports = [];
+    return taken;
+  }
+
+  /**
+   * @param {Array<[string, string]>} imports - see takeImports()
+   */
+  function addImports(imports) {
+    imports.forEach(([fromFile, toFile]) => addImport(fromFile, toFile));
+  }
+
+  /**
+   * Drops the parsed program of a changed file, it is parsed again when another file needs it
+   * @param {string} filePath
+   */
+  function invalidate(filePath) {
+    if (modules.delete(path.resolve(filePath))) renderCache = new WeakMap();
+  }
+
+  function clear() {
+    modules.clear();
+    configs.clear();
+    importers.clear();
+    newImports = [];
+    renderCache = new WeakMap();
+  }
+
+  return { resolveImport, resolveComponent, subtreeRenders, getImporters, takeImports, addImports, invalidate, clear };
+}
+
+// Shared by all detectors of a thread, files are parsed once per scan
+const importGraph = createImportGraph({ trackImports: !isMainThread });
+
+module.exports = { createImportGraph, importGraph };
@@ -0,0 +1,64 @@
+/**
+ * Bad/good JSX examples per issue type, read from the "Examples" section of the detector guides (`guide` of the registry)
+ * Each issue type is a "### `issue-type`" heading followed by a ❌ and a ✅ jsx code block.
+ */
+const fs = require('fs');
+const path = require('path');
+const { REPOSITORY_URL, getDetector } = require('../registry');
+
+const HEURISTICS_DIR = path.join(__dirname, '..');
+const GUIDES_URL = `${REPOSITORY_URL}/blob/main/src/heuristics`;
+
+// guide file -> examples per issue type, guides are read once per process
+const cache = new Map();
+
+/**
+ * @param {string} markdown - detector guide
+ * @returns {Object<string, { bad: string, good: string }>} examples per issue type
+ */
+function parseExamples(markdown) {
+  const section = markdown.split(/^## Examples[ \t]*$/m)[1]?.split(/^## /m)[0] || '';
+  /** @type {Object<string, { bad: string, good: string }>} */
+  const examples = {};
+
+  for (const block of section.split(/^### /m).slice(1)) {
+    const type = block.match(/^`([\w-]+)`/)?.[1];
+    const bad = block.match(/❌.*\n```jsx\n([\s\S]*?)\n```/)?.[1];
+    const good = block.match(/✅.*\n```jsx\n([\s\S]*?)\n```/)?.[1];
+    if (type && bad && good) examples[type] = { bad, good };
+  }
+  return examples;
+}
+
+function readExamples(guide) {
+  if (!cache.has(guide)) {
+    try {
+      cache.set(guide, parseExamples(fs.readFileSync(path.join(HEURISTICS_DIR, guide), 'utf-8')));
+    } catch {
+      cache.set(guide, {});
+    }
+  }
+  return cache.get(guide);
+}
+
+/**
+ * Link to the guide of a built-in detector
+ * @param {string} analysisType
+ * @returns {string | undefined} URL
+ */
+function getGuideUrl(analysisType) {
+  const guide = getDetector(analysisType)?.guide;
+  return guide && `${GUIDES_URL}/${guide}`;
+}
+
+/**
+ * @param {{ analysisType: string, type?: string }} issue
+ * @returns {{ bad: string, good: string } | undefined} examples of built-in issue types
+ */
+function getIssueExample(issue) {
+  const guide = getDetector(issue.analysisType)?.guide;
+  if (!guide || !issue.type) return undefined;
+  return readExamples(guide)[issue.type];
+}
+
+module.exports = { parseExamples, getGuideUrl, getIssueExample };
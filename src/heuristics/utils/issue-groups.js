@@ -0,0 +1,67 @@
+/**
+ * Groups findings by Nielsen heuristic -> issue type -> file for the UX Issues view
+ */
+const { SEVERITIES, getDetector, getHeuristicName, getHeuristicOrder, getIssueCode, getSeverity } = require('../registry');
+
+function countSeverities(issues) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  for (const issue of issues) {
+    const severity = getSeverity(issue);
+    counts[severity in counts ? severity : 'warning']++;
+  }
+  return counts;
+}
+
+/**
+ * @param {Map<string, Array> | Array<[string, Array]>} results - file path -> issues, as passed to FeedbackHandler
+ * @param {{ severities?: string[] }} [options] - only issues with one of these severities are grouped
+ * @returns {Array<{
+ *   name: string, order: number, heuristic?: number, analysisTypes: string[], count: number, counts: object,
+ *   types: Array<{ type: string, code: string, count: number, files: Array<{ filePath: string, issues: Array }> }>
+ * }>} heuristics in heuristic order, issue types by code, files by path
+ */
+function groupIssues(results, { severities = SEVERITIES } = {}) {
+  const groups = new Map();
+
+  for (const [filePath, issues] of results) {
+    for (const issue of issues) {
+      if (!severities.includes(getSeverity(issue))) continue;
+
+      const name = getHeuristicName(issue.analysisType);
+      if (!groups.has(name)) {
+        groups.set(name, { name, order: getHeuristicOrder(issue.analysisType), analysisTypes: new Set(), issues: [], types: new Map() });
+      }
+      const group = groups.get(name);
+      group.analysisTypes.add(issue.analysisType);
+      group.issues.push(issue);
+
+      const code = getIssueCode(issue.analysisType, issue.type);
+      const typeKey = `${code}:${issue.type}`;
+      if (!group.types.has(typeKey)) group.types.set(typeKey, { type: issue.type || code, code, files: new Map() });
+      const files = group.types.get(typeKey).files;
+      if (!files.has(filePath)) files.set(filePath, []);
+      files.get(filePath).push(issue);
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name))
+    .map(group => ({
+      name: group.name,
+      order: group.order,
+      heuristic: getDetector([...group.analysisTypes][0])?.heuristic,
+      analysisTypes: [...group.analysisTypes],
+      count: group.issues.length,
+      counts: countSeverities(group.issues),
+      types: [...group.types.values()]
+        .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }) || a.type.localeCompare(b.type))
+        .map(type => {
+          const files = [...type.files.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([filePath, issues]) => ({ filePath, issues: [...issues].sort((a, b) => (a.line || 0) - (b.line || 0)) }));
+          return { type: type.type, code: type.code, count: files.reduce((sum, file) => sum + file.issues.length, 0), files };
+        })
+    }));
+}
+
+module.exports = { SEVERITIES, groupIssues };
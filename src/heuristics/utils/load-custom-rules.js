@@ -1,33 +1,51 @@
 const fs = require('fs');
 const path = require('path');
-const vscode = require('vscode');
+
+// Rule folder used when customRulePath is not configured
+const DEFAULT_RULE_PATH = 'public/custom-ux-rules';
+
+// Default reporter when no editor UI is available (e.g. CLI)
+const consoleNotify = {
+  info: (message) => console.info(message),
+  warn: (message) => console.warn(message),
+  error: (message) => console.error(message)
+};
 
 /**
  * Loads custom UX rules from user-specified path in .vscode/settings.json
  * Each rule module must export a `detector(content)` or `detector(content, url)` function.
+ * Does not depend on the VS Code API, the caller passes the resolved settings.
  *
+ * @param {object} options
+ * @param {string} [options.workspaceFolder] - project root the rule path is resolved against
+ * @param {string} [options.customRulePath] - rule folder relative to the project root
+ * @param {string} [options.targetUrl] - URL passed to rules with a `detector(content, url)` signature
+ * @param {{ info: Function, warn: Function, error: Function }} [options.notify] - reports load problems to the user
+ * @param {{ log: Function }} [options.logger] - receives debug output while loading
  * @returns {Promise<Array<{ name: string, run: Function, acceptsUrl: boolean }>>}
  */
-async function loadCustomRules() {
+async function loadCustomRules(options = {}) {
+  const notify = options.notify || consoleNotify;
+  const logger = options.logger || console;
+
   try {
-    const config = vscode.workspace.getConfiguration('react-ux-analyzer');
-    const fallbackRuleDir = config.get('customRulePath') || 'public/custom-ux-rules';
-    const fallbackUrl = config.get('targetUrl') || 'http://localhost:3000';
+    const fallbackRuleDir = options.customRulePath || DEFAULT_RULE_PATH;
+    const fallbackUrl = options.targetUrl || 'http://localhost:3000';
 
     if (!fallbackRuleDir) {
-      vscode.window.showInformationMessage('ℹ️ No customRulePath configured in .vscode/settings.json');
+      notify.info('ℹ️ No customRulePath configured in .vscode/settings.json');
       return [];
     }
 
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    const workspaceFolder = options.workspaceFolder;
     if (!workspaceFolder) {
-      vscode.window.showWarningMessage('⚠️ No workspace folder open. Cannot load custom rules.');
+      notify.warn('⚠️ No workspace folder open. Cannot load custom rules.');
       return [];
     }
 
     const resolvedDir = path.join(workspaceFolder, fallbackRuleDir);
     if (!fs.existsSync(resolvedDir)) {
-      vscode.window.showWarningMessage(`⚠️ Custom rule folder not found at: ${resolvedDir}`);
+      notify.warn(`⚠️ Custom rule folder not found at: ${resolvedDir}`);
       return [];
     }
 
@@ -42,7 +60,7 @@ async function loadCustomRules() {
       const filePath = path.join(resolvedDir, file);
 
       try {
-        console.log('🔍 Loading custom rule from:', filePath);
+        logger.log('🔍 Loading custom rule from:', filePath);
 
         if (!fs.existsSync(filePath)) {
           throw new Error(`File not found: ${filePath}`);
@@ -54,26 +72,26 @@ try {
   rule = require(path.resolve(filePath));
 } catch (requireErr) {
   // Fallback: manual execution with Extension's dependencies
-  console.log('🔄 Direct require failed, trying manual execution...', requireErr.message);
+  logger.log('🔄 Direct require failed, trying manual execution...', requireErr.message);
   
   try {
     const code = fs.readFileSync(filePath, 'utf-8');
     
     // Provide Extension's dependencies to custom rules
     const customRequire = (moduleName) => {
-      console.log(`🔍 Custom rule requesting: ${moduleName}`);
+      logger.log(`🔍 Custom rule requesting: ${moduleName}`);
       
       // Provide Extension's Babel dependencies
       switch (moduleName) {
         case '@babel/parser':
-          console.log('✅ Providing @babel/parser from Extension');
+          logger.log('✅ Providing @babel/parser from Extension');
           return require('@babel/parser');
         case '@babel/traverse':
-          console.log('✅ Providing @babel/traverse from Extension');
+          logger.log('✅ Providing @babel/traverse from Extension');
           return require('@babel/traverse');
         case 'vscode':
-          console.log('✅ Providing vscode API from Extension');
-          return vscode;
+          logger.log('✅ Providing vscode API from Extension');
+          return require('vscode');
         // Add more dependencies as needed
         case 'fs':
           return require('fs');
@@ -96,14 +114,14 @@ try {
     moduleFunc(module, module.exports, customRequire, filePath, path.dirname(filePath));
     rule = module.exports;
     
-    console.log('✅ Custom rule loaded with Extension dependencies');
+    logger.log('✅ Custom rule loaded with Extension dependencies');
   } catch (manualErr) {
     throw new Error(`Failed to load custom rule: ${manualErr.message}`);
   }
 }
 
-        console.log('🔍 Rule loaded, structure:', Object.keys(rule));
-        console.log('🔍 Detector type:', typeof rule.detector);
+        logger.log('🔍 Rule loaded, structure:', Object.keys(rule));
+        logger.log('🔍 Detector type:', typeof rule.detector);
 
         // Validate rule structure
         if (typeof rule.detector === 'function') {
@@ -116,19 +134,30 @@ try {
             overrideUrl: acceptsUrl ? fallbackUrl : undefined // pass URL if detector accepts it
           });
         } else {
-          vscode.window.showWarningMessage(`⚠️ Skipped ${file}: missing exported 'detector(content)' function.`);
+          notify.warn(`⚠️ Skipped ${file}: missing exported 'detector(content)' function.`);
         }
       } catch (err) {
-        vscode.window.showErrorMessage(`❌ Error loading custom rule '${file}': ${err.message}`);
+        notify.error(`❌ Error loading custom rule '${file}': ${err.message}`);
       }
     }
 
     // Return the loaded rule modules
     return ruleModules;
   } catch (err) {
-    vscode.window.showErrorMessage(`❌ Failed to load custom UX rules: ${err.message}`);
+    notify.error(`❌ Failed to load custom UX rules: ${err.message}`);
     return [];
   }
 }
 
-module.exports = { loadCustomRules };
\ No newline at end of file
+/**
+ * Folder the custom rule path of a workspace package is resolved against
+ * A package with its own rule folder uses it, otherwise it shares the rules of the workspace root.
+ * @param {string[]} roots - candidate folders, innermost first (package root, workspace root)
+ * @param {string} [customRulePath]
+ * @returns {string}
+ */
+function getCustomRuleRoot(roots, customRulePath = DEFAULT_RULE_PATH) {
+  return roots.find(root => fs.existsSync(path.join(root, customRulePath || DEFAULT_RULE_PATH))) || roots[0];
+}
+
+module.exports = { loadCustomRules, getCustomRuleRoot };
\ No newline at end of file
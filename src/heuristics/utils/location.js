@@ -0,0 +1,64 @@
+/**
+ * Source locations of issues. Besides `line` issues carry `column`, `endLine` and `endColumn`
+ * (1-based lines, 0-based columns like Babel's `loc`), so the editor can underline the exact code.
+ */
+
+/**
+ * @param {{ loc?: { start: { line: number, column: number }, end: { line: number, column: number } } }} node - Babel node
+ * @returns {{ line: number, column: number, endLine: number, endColumn: number } | {}}
+ */
+function getLocation(node) {
+  if (!node?.loc) return {};
+  return {
+    line: node.loc.start.line,
+    column: node.loc.start.column,
+    endLine: node.loc.end.line,
+    endColumn: node.loc.end.column
+  };
+}
+
+/**
+ * Location of a JSX element finding: the tag name of its opening element, e.g. `Modal` in `<Modal open>`
+ * @param {object} node - JSXElement
+ */
+function getElementLocation(node) {
+  return getLocation(node.openingElement?.name || node);
+}
+
+/**
+ * Location of the keyword a statement starts with, e.g. `try` of a TryStatement
+ * @param {object} node - Babel node
+ * @param {string} keyword
+ */
+function getKeywordLocation(node, keyword) {
+  if (!node?.loc) return {};
+  const { line, column } = node.loc.start;
+  return { line, column, endLine: line, endColumn: column + keyword.length };
+}
+
+/**
+ * Location of a character range, for findings of regular expressions on the raw content
+ * @param {string} content
+ * @param {number} start - offset of the first character
+ * @param {number} end - offset after the last character
+ */
+function getOffsetLocation(content, start, end) {
+  const toPosition = (offset) => {
+    const before = content.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length };
+  };
+  const from = toPosition(start);
+  const to = toPosition(end);
+  return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column };
+}
+
+/**
+ * Related location shown with the diagnostic, e.g. the container missing a Back button
+ * @param {object} node - Babel node
+ * @param {string} message
+ */
+function getRelatedLocation(node, message) {
+  return { ...getLocation(node), message };
+}
+
+module.exports = { getLocation, getElementLocation, getKeywordLocation, getOffsetLocation, getRelatedLocation };
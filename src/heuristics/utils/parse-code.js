@@ -0,0 +1,36 @@
+/**
+ * Parse JS, JSX, TS and TSX source code into a Babel AST.
+ * All detectors use this helper so TypeScript syntax (generics, `as` casts,
+ * `satisfies`, type annotations) no longer breaks the analysis.
+ */
+const { parse } = require('@babel/parser');
+
+/** @type {{ sourceType: 'module' | 'script' | 'unambiguous', errorRecovery: boolean }} */
+const baseOptions = {
+  sourceType: 'module',
+  errorRecovery: true,
+};
+
+/**
+ * @param {string} content - source code
+ * @param {string} [fileName] - used to pick the parser plugins, `.ts` files are parsed without JSX
+ * @returns {import('@babel/parser').ParseResult<import('@babel/types').File>} AST with the `errors` recovered from
+ */
+function parseCode(content, fileName) {
+  if (fileName && /\.[cm]?ts$/i.test(fileName)) {
+    return parse(content, { ...baseOptions, plugins: ['typescript'] });
+  }
+
+  try {
+    return parse(content, { ...baseOptions, plugins: ['jsx', 'typescript'] });
+  } catch (err) {
+    // `<T>value` type assertions in plain .ts code only parse without the JSX plugin
+    try {
+      return parse(content, { ...baseOptions, plugins: ['typescript'] });
+    } catch {
+      throw err;
+    }
+  }
+}
+
+module.exports = { parseCode };
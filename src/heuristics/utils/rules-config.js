@@ -0,0 +1,118 @@
+/**
+ * Per-rule configuration from the `react-ux-analyzer.rules` setting
+ *
+ * Keys are issue types (e.g. `missing-placeholder`) or custom rules (`CUSTOM:my-rule`).
+ * Values are a severity or a `[severity, options]` pair:
+ * {
+ *   "footer-nav": "off",
+ *   "missing-catch-in-try": "info",
+ *   "nav-overloaded": ["error", { "maxItems": 9 }]
+ * }
+ *
+ * `react-ux-analyzer.overrides` changes rules for files matching globs relative to the project root,
+ * later entries win:
+ * [{ "files": ["src/components/**"], "rules": { "missing-breadcrumb": "off" } }]
+ */
+const path = require('path');
+const { globToRegExp } = require('../../cli/find-files');
+
+const RULE_SEVERITIES = ['off', 'hint', 'info', 'warning', 'error'];
+
+/**
+ * Validates the raw setting, invalid entries are reported and skipped
+ * @param {object} [rawRules] - value of the `react-ux-analyzer.rules` setting
+ * @param {(message: string) => void} [onInvalid] - called for every invalid entry
+ * @returns {Object<string, { severity?: string, options: object }>}
+ */
+function normalizeRules(rawRules, onInvalid = () => {}) {
+  /** @type {Object<string, { severity?: string, options: object }>} */
+  const rules = {};
+  if (!rawRules || typeof rawRules !== 'object' || Array.isArray(rawRules)) return rules;
+
+  for (const [key, value] of Object.entries(rawRules)) {
+    const [severity, options = {}] = Array.isArray(value) ? value : [value];
+
+    if (!RULE_SEVERITIES.includes(severity)) {
+      onInvalid(`⚠️ Ignoring rule "${key}": severity must be one of ${RULE_SEVERITIES.join(', ')}, got ${JSON.stringify(severity)}`);
+      continue;
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      onInvalid(`⚠️ Ignoring options of rule "${key}": options must be an object`);
+      rules[key] = { severity, options: {} };
+      continue;
+    }
+
+    rules[key] = { severity, options };
+  }
+
+  return rules;
+}
+
+/**
+ * Options of a rule merged over the detector defaults
+ * @param {Object<string, { options: object }> | undefined} rules - normalized rules, undefined uses the defaults
+ * @param {string} issueType
+ * @param {object} defaults
+ * @returns {object}
+ */
+function getRuleOptions(rules, issueType, defaults) {
+  return { ...defaults, ...rules?.[issueType]?.options };
+}
+
+/**
+ * Drops disabled issues and applies severity overrides, the issue type wins over the custom rule key
+ * @param {Array} issues
+ * @param {Object<string, { severity?: string }>} [rules] - normalized rules
+ * @returns {Array}
+ */
+function applyRuleConfig(issues, rules) {
+  if (!rules || Object.keys(rules).length === 0) return issues;
+
+  return issues.flatMap(issue => {
+    const rule = rules[issue.type] || rules[issue.analysisType];
+    if (!rule) return [issue];
+    if (rule.severity === 'off') return [];
+    return [{ ...issue, severity: rule.severity }];
+  });
+}
+
+/**
+ * Validates the `react-ux-analyzer.overrides` setting, invalid entries are reported and skipped
+ * @param {Array} [rawOverrides]
+ * @param {(message: string) => void} [onInvalid]
+ * @returns {Array<{ matchers: RegExp[], rules: object }>}
+ */
+function normalizeOverrides(rawOverrides, onInvalid = () => {}) {
+  if (!Array.isArray(rawOverrides)) return [];
+
+  return rawOverrides.flatMap((override, index) => {
+    const files = typeof override?.files === 'string' ? [override.files] : override?.files;
+    if (!Array.isArray(files) || files.length === 0 || !files.every(file => typeof file === 'string')) {
+      onInvalid(`⚠️ Ignoring override #${index + 1}: "files" must be a glob or a list of globs`);
+      return [];
+    }
+    return [{ matchers: files.map(globToRegExp), rules: normalizeRules(override.rules, onInvalid) }];
+  });
+}
+
+/**
+ * Creates the lookup of the rules of each file: the `rules` setting with all matching overrides applied on top
+ * @param {{ rules?: object, overrides?: Array }} settings - raw settings of a project
+ * @param {string} [root] - project root the override globs are relative to
+ * @param {(message: string) => void} [onInvalid]
+ * @returns {(filePath?: string) => Object<string, { severity?: string, options: object }>} without a file only the `rules` setting applies
+ */
+function createRuleResolver(settings, root, onInvalid) {
+  const rules = normalizeRules(settings.rules, onInvalid);
+  const overrides = normalizeOverrides(settings.overrides, onInvalid);
+
+  return (filePath) => {
+    if (!filePath || !root || overrides.length === 0) return rules;
+    const relativePath = path.relative(root, filePath).split(path.sep).join('/');
+    return overrides
+      .filter(override => override.matchers.some(matcher => matcher.test(relativePath)))
+      .reduce((merged, override) => ({ ...merged, ...override.rules }), rules);
+  };
+}
+
+module.exports = { RULE_SEVERITIES, normalizeRules, normalizeOverrides, createRuleResolver, getRuleOptions, applyRuleConfig };
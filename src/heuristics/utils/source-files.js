@@ -0,0 +1,30 @@
+/**
+ * Which files React UX Analyzer scans, shared by the extension and the CLI
+ */
+
+// Glob used for the project scan
+const SOURCE_FILE_GLOB = '**/*.{js,jsx,ts,tsx}';
+
+// Files skipped by default, overridden with the `react-ux-analyzer.exclude` setting
+const DEFAULT_EXCLUDE = [
+  '**/node_modules/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**',
+  '**/*.stories.{js,jsx,ts,tsx}',
+  '**/__fixtures__/**'
+];
+
+// Language ids of documents analyzed on save
+const SOURCE_LANGUAGE_IDS = ['javascript', 'javascriptreact', 'typescript', 'typescriptreact'];
+
+/**
+ * Checks if a file is a JS/JSX/TS/TSX source file, type declaration files are skipped
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isSourceFile(fileName) {
+  return /\.(js|jsx|ts|tsx)$/i.test(fileName) && !/\.d\.ts$/i.test(fileName);
+}
+
+module.exports = { SOURCE_FILE_GLOB, DEFAULT_EXCLUDE, SOURCE_LANGUAGE_IDS, isSourceFile };
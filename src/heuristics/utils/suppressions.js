@@ -0,0 +1,128 @@
+// Inline suppression comments
+//
+//   // rux-disable-next-line RUX301             -> next line, only the listed codes or issue types
+//   {/* rux-disable-line missing-control */}    -> same line, works inside JSX
+//   /* rux-disable */                           -> whole file, optionally limited to codes or issue types
+//
+// Everything after `--` is a free text reason: `// rux-disable-next-line RUX301 -- closed by the parent route`
+// Suppressions that match no issue are reported as `unused-suppression`.
+const { projectDetectors, getIssueCode } = require('../registry');
+const { getOffsetLocation } = require('./location');
+const { parseCode } = require('./parse-code');
+
+const DIRECTIVE_REGEX = /^rux-disable(?:-(next-line|line))?(?![\w-])(.*)$/s;
+
+/**
+ * Comments of the parsed code, `//` in strings and JSX attributes is not a comment
+ * @returns {Array<import('@babel/types').Comment>}
+ */
+function getComments(content, fileName) {
+  try {
+    return parseCode(content, fileName).comments || [];
+  } catch {
+    return []; // directives of code that cannot be parsed are not known
+  }
+}
+
+/**
+ * Finds all rux-disable directives in line and block comments
+ * @param {string} content - source code
+ * @param {object} [options]
+ * @param {string} [options.fileName] - used to pick the parser plugins
+ * @param {Array} [options.comments] - comments of an AST of the content, it is parsed without them
+ * @returns {Array<{ directive: string, line: number, location: object, targetLine?: number, ids: string[], used: boolean }>}
+ */
+function parseSuppressions(content, { fileName, comments = getComments(content, fileName) } = {}) {
+  const suppressions = [];
+
+  for (const comment of comments) {
+    const directiveMatch = comment.value.trim().match(DIRECTIVE_REGEX);
+    if (!directiveMatch) continue;
+
+    const [, scope, rest] = directiveMatch;
+    const line = comment.loc.start.line;
+    const ids = rest.split('--')[0].split(/[\s,]+/).filter(Boolean);
+
+    suppressions.push({
+      directive: scope ? `rux-disable-${scope}` : 'rux-disable',
+      line,
+      location: getOffsetLocation(content, comment.start, comment.end),
+      // file-level directives have no target line
+      targetLine: scope === 'next-line' ? line + 1 : scope === 'line' ? line : undefined,
+      ids,
+      used: false
+    });
+  }
+
+  return suppressions;
+}
+
+/**
+ * Issue types and codes of the given detectors, only suppressions for these ids can be reported as unused
+ * @param {Array<{ codes?: Object<string, string> }>} detectors - registry entries
+ * @returns {Set<string>}
+ */
+function getSuppressionIds(detectors) {
+  const ids = new Set();
+  for (const detector of detectors) {
+    for (const [issueType, code] of Object.entries(detector.codes || {})) {
+      ids.add(issueType);
+      ids.add(code.toUpperCase());
+    }
+  }
+  return ids;
+}
+
+// A directive without ids applies to every detector, so it is only unused if all project detectors ran
+function isChecked(suppression, checkedIds) {
+  if (suppression.ids.length === 0) {
+    return [...getSuppressionIds(projectDetectors)].every(id => checkedIds.has(id));
+  }
+  return suppression.ids.every(id => checkedIds.has(id) || checkedIds.has(id.toUpperCase()));
+}
+
+function matchesIssue(suppression, issue) {
+  if (suppression.targetLine !== undefined && suppression.targetLine !== issue.line) return false;
+  if (suppression.ids.length === 0) return true;
+
+  const code = getIssueCode(issue.analysisType, issue.type).toUpperCase();
+  return suppression.ids.some(id => id === issue.type || id.toUpperCase() === code);
+}
+
+/**
+ * Removes suppressed issues and reports unused suppressions
+ * @param {Array} issues - issues of one file
+ * @param {string} content - source code of the file
+ * @param {object} [options]
+ * @param {Set<string>} [options.checkedIds] - ids of the detectors that ran, unused suppressions are not reported without it
+ * @param {string} [options.fileName] - used to pick the parser plugins
+ * @param {Array} [options.comments] - comments of an AST of the content, e.g. from analyzeContent()
+ * @returns {Array} remaining issues plus one `unused-suppression` issue per unused directive
+ */
+function applySuppressions(issues, content, { checkedIds, fileName, comments } = {}) {
+  const suppressions = parseSuppressions(content, { fileName, comments });
+  if (suppressions.length === 0) return issues;
+
+  const remaining = issues.filter(issue => {
+    const matching = suppressions.filter(suppression => matchesIssue(suppression, issue));
+    matching.forEach(suppression => { suppression.used = true; });
+    return matching.length === 0;
+  });
+
+  if (!checkedIds) return remaining;
+
+  // A suppression can only be unused if every detector it refers to ran
+  const unused = suppressions.filter(suppression => !suppression.used && isChecked(suppression, checkedIds));
+
+  return remaining.concat(unused.map(suppression => ({
+    type: 'unused-suppression',
+    ...suppression.location,
+    message: `Unused ${suppression.directive} directive${suppression.ids.length ? ` for ${suppression.ids.join(', ')}` : ''}, no matching issue was found.`,
+    severity: 'warning',
+    why: 'Outdated suppressions hide new issues on the same line or file.',
+    action: `Remove the ${suppression.directive} comment or update its rule ids.`,
+    analysisType: 'SUPPRESSION'
+  })));
+}
+
+module.exports = { parseSuppressions, getSuppressionIds, applySuppressions };
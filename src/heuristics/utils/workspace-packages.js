@@ -0,0 +1,114 @@
+/**
+ * Packages of a pnpm, yarn or npm workspace (monorepo)
+ * Each package is analyzed as its own project: settings, custom rules and screenshots are resolved against the package root.
+ */
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('../../cli/find-files');
+
+// Folders never containing workspace packages
+const skippedDirectories = new Set(['node_modules', '.git']);
+
+/**
+ * Reads the `packages:` list of a pnpm-workspace.yaml
+ * Only the block or flow list of `packages` is needed, so no YAML parser is loaded.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parsePnpmWorkspace(text) {
+  const patterns = [];
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex(line => /^packages\s*:/.test(line));
+  if (start === -1) return patterns;
+
+  const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const inline = lines[start].replace(/^packages\s*:/, '').replace(/#.*$/, '').trim();
+  if (inline.startsWith('[')) {
+    return inline.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean);
+  }
+
+  for (const line of lines.slice(start + 1)) {
+    if (/^\S/.test(line)) break; // next top-level key
+    const item = line.match(/^\s*-\s*(.+?)\s*(?:#.*)?$/);
+    if (item) patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+/**
+ * Package globs of a workspace root from pnpm-workspace.yaml and the `workspaces` field of package.json (yarn, npm)
+ * @param {string} root
+ * @returns {string[]}
+ */
+function readWorkspacePatterns(root) {
+  const patterns = [];
+
+  const pnpmPath = path.join(root, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmPath)) {
+    patterns.push(...parsePnpmWorkspace(fs.readFileSync(pnpmPath, 'utf-8')));
+  }
+
+  const packagePath = path.join(root, 'package.json');
+  if (fs.existsSync(packagePath)) {
+    try {
+      const { workspaces } = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+      // yarn also accepts { packages: [...], nohoist: [...] }
+      const list = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+      if (Array.isArray(list)) patterns.push(...list.filter(pattern => typeof pattern === 'string'));
+    } catch {
+      // an invalid package.json is reported by the package manager, not here
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * Finds the package folders of a workspace root, i.e. folders with a package.json matching the workspace globs
+ * Patterns starting with `!` exclude folders.
+ * @param {string} root
+ * @returns {string[]} absolute package folders, sorted; empty if the root is no workspace
+ */
+function findWorkspacePackages(root) {
+  const patterns = readWorkspacePatterns(root).map(pattern => pattern.replace(/^\.\//, '').replace(/\/+$/, ''));
+  const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(globToRegExp);
+  const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(pattern.slice(1)));
+  if (includes.length === 0) return [];
+
+  const packages = [];
+  function walk(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || skippedDirectories.has(entry.name)) continue;
+
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+      if (includes.some(matcher => matcher.test(relativePath))
+        && !excludes.some(matcher => matcher.test(relativePath))
+        && fs.existsSync(path.join(fullPath, 'package.json'))) {
+        packages.push(fullPath);
+      }
+      walk(fullPath);
+    }
+  }
+
+  walk(root);
+  return packages.sort();
+}
+
+/**
+ * Innermost package containing a file
+ * @param {string} filePath
+ * @param {string[]} packages - see findWorkspacePackages()
+ * @returns {string | null}
+ */
+function getPackageRoot(filePath, packages) {
+  let match = null;
+  for (const packageRoot of packages) {
+    const relativePath = path.relative(packageRoot, filePath);
+    const inside = relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+    if (inside && (!match || packageRoot.length > match.length)) match = packageRoot;
+  }
+  return match;
+}
+
+module.exports = { findWorkspacePackages, getPackageRoot, parsePnpmWorkspace, readWorkspacePatterns };
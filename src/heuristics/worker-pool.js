@@ -0,0 +1,123 @@
+/**
+ * Worker Pool - analyzes many files in parallel worker threads
+ * Parsing and traversal happen off the calling thread, so the editor stays responsive during a project scan.
+ * Custom rules are not run here as they may require the VS Code API, which is not available in workers.
+ * Imports resolved by the workers are added to the import graph of the calling thread, see getImporters().
+ */
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { addTimings } = require('./analyze-file');
+const { importGraph } = require('./utils/import-graph');
+
+const WORKER_SCRIPT = path.join(__dirname, 'analyze-worker.js');
+const MAX_WORKERS = 4;
+
+/**
+ * One core stays free for the caller, at least one worker runs
+ * @param {number} fileCount
+ * @returns {number}
+ */
+function getPoolSize(fileCount) {
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, Math.min(cores - 1, MAX_WORKERS, fileCount));
+}
+
+/**
+ * Runs the project detectors on all files across a pool of worker threads
+ * Results are passed to `onResult` as soon as a file is done, in completion order. A file that cannot be read
+ * or analyzed, or whose worker crashes, is collected in `errors` and the scan goes on with a new worker.
+ *
+ * @param {string[]} filePaths
+ * @param {object} options
+ * @param {(filePath: string) => Promise<string>} options.readFile - content of a file, e.g. including unsaved editor changes
+ * @param {object | ((filePath: string) => object)} [options.rules] - rules normalized by `normalizeRules`, or the rules of each file (see `createRuleResolver`)
+ * @param {number} [options.size] - number of workers, defaults to the available cores minus one (max 4)
+ * @param {(result: { filePath: string, content: string, issues: Array }, done: number) => void} [options.onResult]
+ * @param {AbortSignal} [options.signal] - cancels the scan, running workers are terminated and their files dropped
+ * @returns {Promise<{ results: Array<{ filePath: string, content: string, issues: Array }>, errors: Array<{ filePath: string, error: Error }>, timings: Object<string, number>, cancelled: boolean }>}
+ */
+async function analyzeFilesInWorkers(filePaths, { readFile, rules = {}, size, onResult = () => {}, signal }) {
+  const results = [];
+  const errors = [];
+  /** @type {Object<string, number>} */
+  const timings = {};
+  let next = 0;
+  let cancelled = Boolean(signal?.aborted);
+  if (filePaths.length === 0 || cancelled) {
+    return { results, errors, timings, cancelled };
+  }
+
+  const getRules = typeof rules === 'function' ? rules : () => rules;
+  const slots = Array.from({ length: size || getPoolSize(filePaths.length) }, () => ({ worker: new Worker(WORKER_SCRIPT) }));
+
+  const cancel = () => {
+    cancelled = true;
+    slots.forEach(slot => slot.worker.terminate());
+  };
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  // posts one file to the worker of a slot and waits for its issues, a crashed worker is replaced
+  function analyzeInWorker(slot, filePath, content) {
+    // threadId is -1 once a worker stopped, e.g. when it crashed between two files
+    if (slot.worker.threadId === -1) slot.worker = new Worker(WORKER_SCRIPT);
+    const { worker } = slot;
+    return new Promise((resolve, reject) => {
+      const settle = (callback, value) => {
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        worker.off('exit', onExit);
+        callback(value);
+      };
+      const onMessage = (message) => {
+        if (message.error) settle(reject, new Error(message.error));
+        else settle(resolve, message);
+      };
+      const onError = (err) => {
+        if (!cancelled) slot.worker = new Worker(WORKER_SCRIPT);
+        settle(reject, err);
+      };
+      const onExit = (code) => {
+        if (!cancelled) slot.worker = new Worker(WORKER_SCRIPT);
+        settle(reject, new Error(`Worker stopped with exit code ${code}`));
+      };
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('exit', onExit);
+      worker.postMessage({ id: filePath, content, fileName: filePath, rules: getRules(filePath) });
+    });
+  }
+
+  // every slot takes the next file until none are left
+  async function run(slot) {
+    while (next < filePaths.length && !cancelled) {
+      const filePath = filePaths[next++];
+      try {
+        const content = await readFile(filePath);
+        if (cancelled) return;
+        const { issues, timings: fileTimings, imports } = await analyzeInWorker(slot, filePath, content);
+        importGraph.addImports(imports || []);
+        if (cancelled) return;
+
+        addTimings(timings, fileTimings);
+        const result = { filePath, content, issues };
+        results.push(result);
+        onResult(result, results.length);
+      } catch (error) {
+        if (cancelled) return;
+        errors.push({ filePath, error });
+      }
+    }
+  }
+
+  try {
+    await Promise.all(slots.map(run));
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+    await Promise.all(slots.map(slot => slot.worker.terminate()));
+  }
+
+  return { results, errors, timings, cancelled };
+}
+
+module.exports = { analyzeFilesInWorkers, getPoolSize };
@@ -0,0 +1,194 @@
+/**
+ * Self-contained HTML audit report to review findings outside of VS Code
+ * Findings are grouped by Nielsen heuristic and listed by severity rating, images are embedded as data URIs so the file can be shared as is.
+ */
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES, SEVERITY_RATINGS, getHeuristicName, getHeuristicOrder, getIssueCode, getDocumentationUrl, getSeverity, getRating } = require('../heuristics/registry');
+const { version } = require('../../package.json');
+
+/**
+ * Debug image of the last whitespace analysis (Heuristic #8), see aesthetic-minimalistic-detector.js
+ * @param {string} root - project root
+ * @returns {string}
+ */
+function getWhitespaceScreenshotPath(root) {
+  return path.join(root, 'public', 'react-ux-screenshots', 'mark-elements-screenshot.png');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Groups all issues by heuristic in heuristic order, issues of a heuristic by severity rating, highest first
+ * @param {Array<{ filePath: string, content?: string, issues: Array }>} results
+ * @param {string} root
+ * @returns {Array<{ name: string, order: number, counts: { error: number, warning: number, info: number, hint: number }, items: Array }>}
+ */
+function groupByHeuristic(results, root) {
+  const groups = new Map();
+
+  for (const { filePath, content, issues } of results) {
+    const file = path.relative(root, filePath).split(path.sep).join('/');
+    const lines = content?.split('\n');
+
+    for (const issue of issues) {
+      const name = getHeuristicName(issue.analysisType);
+      if (!groups.has(name)) {
+        groups.set(name, { name, order: getHeuristicOrder(issue.analysisType), counts: Object.fromEntries(SEVERITIES.map(severity => [severity, 0])), items: [] });
+      }
+
+      const group = groups.get(name);
+      const severity = getSeverity(issue);
+      group.counts[severity in group.counts ? severity : 'warning']++;
+      group.items.push({
+        issue,
+        file,
+        severity,
+        rating: getRating(issue),
+        snippet: issue.content || lines?.[(issue.line || 1) - 1]?.trim() || ''
+      });
+    }
+  }
+
+  for (const group of groups.values()) {
+    group.items.sort((a, b) => b.rating - a.rating);
+  }
+  return [...groups.values()].sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+function renderIssue({ issue, file, severity, rating, snippet }) {
+  const code = getIssueCode(issue.analysisType, issue.type);
+  return `
+      <li class="issue ${escapeHtml(severity)}">
+        <div class="issue-header">
+          <span class="badge ${escapeHtml(severity)}">${escapeHtml(severity)}</span>
+          <span class="rating rating-${rating}" title="Nielsen severity rating">${rating} · ${escapeHtml(SEVERITY_RATINGS[rating])}</span>
+          <a href="${escapeHtml(getDocumentationUrl(issue.analysisType, issue.docs))}">${escapeHtml(code)}</a>
+          <span class="location">${escapeHtml(file)}:${issue.line || 1}</span>
+        </div>
+        <p class="message">${escapeHtml(issue.message || issue.problem || 'UX issue detected')}</p>
+        ${snippet ? `<pre><code>${escapeHtml(snippet)}</code></pre>` : ''}
+        ${issue.action ? `<p><strong>Action:</strong> ${escapeHtml(issue.action)}</p>` : ''}
+        ${issue.why ? `<p><strong>Why:</strong> ${escapeHtml(issue.why)}</p>` : ''}
+      </li>`;
+}
+
+function renderGroup(group, index) {
+  return `
+    <section id="heuristic-${index}">
+      <h2>${escapeHtml(group.name)} <span class="count">${group.items.length}</span></h2>
+      <ul>${group.items.map(renderIssue).join('')}
+      </ul>
+    </section>`;
+}
+
+function renderVisualQuality({ nimaScore, screenshot }) {
+  if (!nimaScore && !screenshot) return '';
+
+  const score = nimaScore
+    ? `<p class="nima"><strong>NIMA Visual Quality Score:</strong> ${nimaScore.mean.toFixed(2)} (±${nimaScore.std.toFixed(2)})${nimaScore.url ? ` for ${escapeHtml(nimaScore.url)}` : ''}</p>`
+    : '';
+  const image = screenshot
+    ? `<figure><img src="${screenshot}" alt="Elements marked by the whitespace analysis"><figcaption>Whitespace analysis: marked elements count as content area.</figcaption></figure>`
+    : '';
+
+  return `
+    <section id="visual-quality">
+      <h2>Visual Quality</h2>
+      ${score}
+      ${image}
+    </section>`;
+}
+
+function readScreenshot(screenshotPath) {
+  if (!screenshotPath || !fs.existsSync(screenshotPath)) return null;
+  return `data:image/png;base64,${fs.readFileSync(screenshotPath).toString('base64')}`;
+}
+
+/**
+ * Renders analysis results as a standalone HTML page
+ * @param {Array<{ filePath: string, content?: string, issues: Array }>} results - `content` adds snippets for issues without one
+ * @param {{ root: string, title?: string, nimaScore?: { mean: number, std: number, url?: string }, screenshotPath?: string }} options
+ * @returns {string} HTML document
+ */
+function formatHtml(results, { root, title = 'React UX Audit Report', nimaScore, screenshotPath }) {
+  const groups = groupByHeuristic(results, root);
+  const total = groups.reduce((sum, group) => sum + group.items.length, 0);
+  const fileCount = results.filter(result => result.issues.length > 0).length;
+
+  const summaryRows = groups.map((group, index) => `
+        <tr>
+          <td><a href="#heuristic-${index}">${escapeHtml(group.name)}</a></td>
+          <td>${group.counts.error}</td>
+          <td>${group.counts.warning}</td>
+          <td>${group.counts.info}</td>
+          <td>${group.counts.hint}</td>
+          <td>${group.items.length}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2328; margin: 0 auto; max-width: 960px; padding: 32px 24px; line-height: 1.5; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 6px; margin-top: 40px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #d0d7de; padding: 6px 10px; text-align: left; }
+    td:not(:first-child), th:not(:first-child) { text-align: right; }
+    ul { list-style: none; padding: 0; }
+    .meta { color: #59636e; }
+    .count { background: #eff2f5; border-radius: 12px; font-size: 0.7em; padding: 2px 10px; vertical-align: middle; }
+    .issue { border: 1px solid #d0d7de; border-left-width: 4px; border-radius: 6px; margin-bottom: 12px; padding: 10px 14px; }
+    .issue.error { border-left-color: #cf222e; }
+    .issue.warning { border-left-color: #bf8700; }
+    .issue.info { border-left-color: #0969da; }
+    .issue.hint { border-left-color: #818b98; }
+    .issue-header { display: flex; gap: 10px; align-items: center; }
+    .issue p { margin: 6px 0; }
+    .message { font-weight: 600; }
+    .location { color: #59636e; font-family: monospace; }
+    .badge { border-radius: 4px; color: #fff; font-size: 0.75em; padding: 1px 6px; text-transform: uppercase; }
+    .badge.error { background: #cf222e; }
+    .badge.warning { background: #9a6700; }
+    .badge.info { background: #0969da; }
+    .badge.hint { background: #59636e; }
+    .rating { border: 1px solid #d0d7de; border-radius: 4px; font-size: 0.75em; padding: 0 6px; }
+    .rating-3, .rating-4 { border-color: #cf222e; color: #cf222e; }
+    pre { background: #f6f8fa; border-radius: 6px; overflow-x: auto; padding: 10px; white-space: pre-wrap; }
+    img { border: 1px solid #d0d7de; max-width: 100%; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <p class="meta">${total} issue(s) in ${fileCount} file(s) · ${escapeHtml(path.basename(root))} · React UX Analyzer ${escapeHtml(version)} · ${new Date().toLocaleString('en-US')}</p>
+  </header>
+  <main>
+    <section id="summary">
+      <h2>Summary</h2>
+      ${groups.length === 0 ? '<p>🎉 No UX issues found.</p>' : `<table>
+        <thead><tr><th>Heuristic</th><th>Errors</th><th>Warnings</th><th>Info</th><th>Hints</th><th>Total</th></tr></thead>
+        <tbody>${summaryRows}
+        </tbody>
+      </table>`}
+    </section>
+    ${renderVisualQuality({ nimaScore, screenshot: readScreenshot(screenshotPath) })}
+    ${groups.map(renderGroup).join('')}
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = { escapeHtml, formatHtml, getWhitespaceScreenshotPath };
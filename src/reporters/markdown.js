@@ -0,0 +1,54 @@
+/**
+ * Markdown summary of findings to paste into a pull request description
+ * Lists the issue counts per severity and every issue with its Nielsen severity rating and RUX code, linked to the documentation.
+ */
+const path = require('path');
+const { SEVERITIES, getIssueCode, getDocumentationUrl, getSeverity, getRating } = require('../heuristics/registry');
+
+const SEVERITY_ICONS = { error: '🔴', warning: '🟡', info: '🔵', hint: '⚪' };
+
+// table cells end at | and line breaks
+function escapeCell(value) {
+  return String(value ?? '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * @param {Array<{ filePath: string, issues: Array }>} results
+ * @param {{ root: string, baseRef?: string }} options - paths are relative to root, baseRef names the compared branch
+ * @returns {string}
+ */
+function formatMarkdown(results, { root, baseRef }) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  const rows = [];
+
+  for (const { filePath, issues } of results) {
+    const file = path.relative(root, filePath).split(path.sep).join('/');
+    for (const issue of [...issues].sort((a, b) => (a.line ?? 0) - (b.line ?? 0))) {
+      const severity = getSeverity(issue);
+      counts[severity in counts ? severity : 'warning']++;
+      const code = getIssueCode(issue.analysisType, issue.type);
+      rows.push(`| ${SEVERITY_ICONS[severity] || SEVERITY_ICONS.warning} ${severity} | ${getRating(issue)} | [${code}](${getDocumentationUrl(issue.analysisType, issue.docs)}) | \`${escapeCell(file)}:${issue.line || 1}\` | ${escapeCell(issue.message || issue.problem || 'UX issue detected')} |`);
+    }
+  }
+
+  const total = rows.length;
+  const scope = baseRef ? ` on lines changed since \`${baseRef}\`` : '';
+  const lines = ['### React UX Analyzer', ''];
+
+  if (total === 0) {
+    lines.push(`✅ No UX issues${scope} (${results.length} file(s) analyzed).`);
+  } else {
+    lines.push(
+      `Found **${total} UX issue(s)**${scope} in ${results.length} file(s) analyzed: ${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} info, ${counts.hint} hint(s).`,
+      '',
+      '| Severity | Rating | Code | Location | Issue |',
+      '|----------|--------|------|----------|-------|',
+      ...rows,
+      '',
+      '_Rating: Nielsen severity rating from 0 (not a usability problem) to 4 (usability catastrophe)._'
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { formatMarkdown };
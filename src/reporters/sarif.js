@@ -0,0 +1,138 @@
+/**
+ * SARIF 2.1.0 writer for code-scanning UIs (e.g. GitHub code scanning) and build archives
+ * Each issue type becomes a rule identified by its RUX code, with the docs link as helpUri.
+ * The Nielsen severity rating (0-4) of an issue is its `rank` (0-100) so code-scanning UIs can sort by it.
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { REPOSITORY_URL, getHeuristicName, getIssueCode, getDocumentationUrl, getSeverity, getRating } = require('../heuristics/registry');
+const { fingerprintIssue } = require('../heuristics/utils/baseline');
+const { version } = require('../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF has no "info" or "hint" level, "note" is the closest match
+const LEVELS = { error: 'error', warning: 'warning', info: 'note', hint: 'note' };
+
+function toLevel(issue) {
+  return LEVELS[getSeverity(issue)] || 'warning';
+}
+
+function toRank(issue) {
+  return getRating(issue) * 25;
+}
+
+// SARIF columns are 1-based, issue columns 0-based like Babel's loc
+function toRegion({ line, column, endLine, endColumn }) {
+  const region = { startLine: Math.max(line || 1, 1) };
+  if (typeof column === 'number') {
+    region.startColumn = column + 1;
+    region.endLine = endLine ?? region.startLine;
+    region.endColumn = (endColumn ?? column + 1) + 1;
+  }
+  return region;
+}
+
+function toRule(issue, code) {
+  const name = issue.type || issue.analysisType;
+  const why = issue.why || 'Improves user experience and usability.';
+  const action = issue.action || 'Please review and apply UX best practices.';
+
+  return {
+    id: code,
+    name,
+    shortDescription: { text: `${name} (${getHeuristicName(issue.analysisType)})` },
+    fullDescription: { text: why },
+    helpUri: getDocumentationUrl(issue.analysisType, issue.docs),
+    help: {
+      text: `${action}\nWhy: ${why}`,
+      markdown: `**Action:** ${action}\n\n**Why:** ${why}`
+    },
+    defaultConfiguration: { level: toLevel(issue), rank: toRank(issue) },
+    properties: {
+      analysisType: issue.analysisType,
+      heuristic: getHeuristicName(issue.analysisType),
+      severityRating: getRating(issue),
+      tags: ['ux', 'usability']
+    }
+  };
+}
+
+/**
+ * Converts analysis results into a SARIF log
+ * @param {Array<{ filePath: string, content?: string, issues: Array }>} results - `content` adds stable fingerprints
+ * @param {{ root: string }} options - file locations are relative to this folder
+ * @returns {object} SARIF 2.1.0 log
+ */
+function toSarif(results, { root }) {
+  const rules = [];
+  const ruleIndexes = new Map();
+  const sarifResults = [];
+
+  for (const { filePath, content, issues } of results) {
+    const uri = path.relative(root, filePath).split(path.sep).join('/');
+
+    for (const issue of issues) {
+      const code = getIssueCode(issue.analysisType, issue.type);
+      if (!ruleIndexes.has(code)) {
+        ruleIndexes.set(code, rules.length);
+        rules.push(toRule(issue, code));
+      }
+
+      const result = {
+        ruleId: code,
+        ruleIndex: ruleIndexes.get(code),
+        level: toLevel(issue),
+        rank: toRank(issue),
+        message: { text: issue.message || issue.problem || 'UX issue detected' },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+            region: toRegion(issue)
+          }
+        }]
+      };
+      if (issue.related?.length) {
+        result.relatedLocations = issue.related.map((related, id) => ({
+          id,
+          physicalLocation: { artifactLocation: { uri, uriBaseId: '%SRCROOT%' }, region: toRegion(related) },
+          message: { text: related.message }
+        }));
+      }
+      if (content !== undefined) {
+        result.partialFingerprints = { 'ruxFingerprint/v1': fingerprintIssue(issue, uri, content) };
+      }
+      sarifResults.push(result);
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'React UX Analyzer',
+          version,
+          informationUri: REPOSITORY_URL,
+          rules
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: pathToFileURL(root).href.replace(/\/?$/, '/') }
+      },
+      results: sarifResults
+    }]
+  };
+}
+
+/**
+ * @param {Array<{ filePath: string, content?: string, issues: Array }>} results
+ * @param {{ root: string }} options
+ * @returns {string} SARIF log as formatted JSON
+ */
+function formatSarif(results, options) {
+  return `${JSON.stringify(toSarif(results, options), null, 2)}\n`;
+}
+
+module.exports = { toSarif, formatSarif };
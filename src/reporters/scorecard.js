@@ -0,0 +1,255 @@
+/**
+ * UX scorecard per Nielsen heuristic, shown in the scorecard dashboard webview
+ * A heuristic scores 100 without issues and drops with the severity-weighted issues per analyzed component:
+ * score = 100 / (1 + weighted issues / components)
+ */
+const fs = require('fs');
+const path = require('path');
+const { HEURISTICS, SEVERITIES, detectors, getDetector, getSeverity } = require('../heuristics/registry');
+const { escapeHtml } = require('./html');
+
+const SEVERITY_WEIGHTS = { error: 3, warning: 2, info: 1, hint: 0.5 };
+const TOP_FILES = 10;
+
+// Capitalized function, class and variable declarations, e.g. `function Home`, `const NavBar =`
+const COMPONENT_PATTERN = /\b(?:function|class|const|let|var)\s+([A-Z][A-Za-z0-9_]*)\b/g;
+
+/**
+ * Estimates the React components of a file: capitalized declarations in files containing JSX
+ * @param {string} [content]
+ * @returns {number}
+ */
+function countComponents(content) {
+  if (!content || !/<[A-Za-z>]/.test(content)) return 0;
+  return Math.max(1, (content.match(COMPONENT_PATTERN) || []).length);
+}
+
+function getWeight(issue) {
+  return SEVERITY_WEIGHTS[getSeverity(issue)] ?? SEVERITY_WEIGHTS.warning;
+}
+
+function toScore(weighted, components) {
+  return Math.round(100 / (1 + weighted / components));
+}
+
+/**
+ * Whitespace ratio measured by the last Aesthetic & Minimalism analysis (Heuristic #8) of a project
+ * @param {string} root - project root
+ * @returns {number | null} 0-1
+ */
+function readWhitespaceRatio(root) {
+  const maskPath = path.join(root, 'public', 'react-ux-screenshots', 'elements-mask.json');
+  if (!fs.existsSync(maskPath)) return null;
+  try {
+    const { whitespaceRatio } = JSON.parse(fs.readFileSync(maskPath, 'utf-8'));
+    return typeof whitespaceRatio === 'number' ? whitespaceRatio : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {Array<{ filePath: string, content?: string, issues: Array }>} results - scan results, `content` is needed to count components
+ * @param {object} [options]
+ * @param {(filePath: string) => string} [options.relativePath] - label of a file
+ * @param {Iterable<string>} [options.analyzedTypes] - analysis types that ran besides the project detectors, e.g. `AESTHETIC_MINIMALISM`
+ * @param {{ mean: number, std: number }} [options.nimaScore]
+ * @param {number | null} [options.whitespaceRatio]
+ * @returns {{
+ *   files: number, components: number, overall: number | null,
+ *   heuristics: Array<{ heuristic: number, name: string, analyzed: boolean, count: number, weighted: number, score: number | null, topFile?: { filePath: string, file: string, line: number } }>,
+ *   topFiles: Array<{ filePath: string, file: string, line: number, count: number, weighted: number, counts: object }>,
+ *   nimaScore?: { mean: number, std: number }, whitespaceRatio: number | null
+ * }}
+ */
+function computeScorecard(results, { relativePath = (filePath) => filePath, analyzedTypes = [], nimaScore, whitespaceRatio = null } = {}) {
+  const components = Math.max(1, results.reduce((sum, result) => sum + countComponents(result.content), 0));
+  const analyzed = new Set([...detectors.filter(detector => typeof detector.create === 'function').map(detector => detector.type), ...analyzedTypes]);
+
+  const heuristics = Object.entries(HEURISTICS).map(([number, name]) => ({
+    heuristic: Number(number),
+    name,
+    analyzed: detectors.some(detector => detector.heuristic === Number(number) && analyzed.has(detector.type)),
+    count: 0,
+    weighted: 0,
+    files: new Map()
+  }));
+
+  const topFiles = [];
+  for (const { filePath, issues } of results) {
+    const file = { filePath, file: relativePath(filePath), line: 1, count: 0, weighted: 0, counts: Object.fromEntries(SEVERITIES.map(severity => [severity, 0])) };
+    let worst = 0;
+
+    for (const issue of issues) {
+      const detector = getDetector(issue.analysisType);
+      if (!detector?.heuristic) continue; // custom rules, NIMA and suppressions are not scored
+
+      const weight = getWeight(issue);
+      const entry = heuristics[detector.heuristic - 1];
+      entry.analyzed = true;
+      entry.count++;
+      entry.weighted += weight;
+      entry.files.set(filePath, (entry.files.get(filePath) || 0) + weight);
+
+      file.count++;
+      file.weighted += weight;
+      const severity = getSeverity(issue);
+      file.counts[severity in file.counts ? severity : 'warning']++;
+      if (weight > worst) {
+        worst = weight;
+        file.line = issue.line || 1;
+      }
+    }
+    if (file.count > 0) topFiles.push(file);
+  }
+
+  const scored = heuristics.map(({ files, ...entry }) => {
+    const [worstFile] = [...files.entries()].sort((a, b) => b[1] - a[1]);
+    const fileEntry = worstFile && topFiles.find(file => file.filePath === worstFile[0]);
+    return {
+      ...entry,
+      score: entry.analyzed ? toScore(entry.weighted, components) : null,
+      ...(fileEntry && { topFile: { filePath: fileEntry.filePath, file: fileEntry.file, line: fileEntry.line } })
+    };
+  });
+  const scores = scored.filter(entry => entry.score !== null).map(entry => entry.score);
+
+  return {
+    files: results.length,
+    components,
+    overall: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+    heuristics: scored,
+    topFiles: topFiles.sort((a, b) => b.weighted - a.weighted || a.file.localeCompare(b.file)).slice(0, TOP_FILES),
+    nimaScore,
+    whitespaceRatio
+  };
+}
+
+/**
+ * Radar chart of the ten heuristic scores as inline SVG, heuristics that did not run are drawn at 0
+ * @param {Array<{ heuristic: number, score: number | null }>} heuristics
+ * @returns {string}
+ */
+function renderRadar(heuristics) {
+  const size = 320;
+  const center = size / 2;
+  const radius = 120;
+  const point = (index, value) => {
+    const angle = (Math.PI * 2 * index) / heuristics.length - Math.PI / 2;
+    return [center + Math.cos(angle) * radius * value, center + Math.sin(angle) * radius * value].map(n => n.toFixed(1)).join(',');
+  };
+
+  const rings = [0.25, 0.5, 0.75, 1]
+    .map(value => `<polygon class="ring" points="${heuristics.map((_, index) => point(index, value)).join(' ')}" />`)
+    .join('');
+  const axes = heuristics
+    .map((entry, index) => `<line class="axis" x1="${center}" y1="${center}" x2="${point(index, 1).replace(',', '" y2="')}" />
+      <text x="${point(index, 1.15).replace(',', '" y="')}">#${entry.heuristic}${entry.score === null ? ' n/a' : ''}</text>`)
+    .join('');
+  const area = heuristics.map((entry, index) => point(index, (entry.score ?? 0) / 100)).join(' ');
+
+  return `<svg class="radar" viewBox="0 0 ${size} ${size}" role="img" aria-label="Radar chart of the heuristic scores">
+      ${rings}${axes}
+      <polygon class="area" points="${area}" />
+    </svg>`;
+}
+
+function renderFileLink({ filePath, file, line }) {
+  return `<a href="#" data-file="${escapeHtml(filePath)}" data-line="${line}">${escapeHtml(file)}</a>`;
+}
+
+/**
+ * Renders the scorecard for the dashboard webview
+ * Links post `{ command: 'open', filePath, line }`, the refresh button `{ command: 'refresh' }`.
+ * @param {ReturnType<typeof computeScorecard>} scorecard
+ * @param {{ cspSource: string, nonce: string }} webview - content security policy of the webview
+ * @returns {string} HTML document
+ */
+function formatScorecardHtml(scorecard, { cspSource, nonce }) {
+  const heuristicRows = scorecard.heuristics.map(entry => `
+        <tr>
+          <td>#${entry.heuristic} ${escapeHtml(entry.name)}</td>
+          <td>${entry.score === null ? '<span class="muted">not analyzed</span>' : `<meter min="0" max="100" low="50" high="80" optimum="100" value="${entry.score}"></meter> ${entry.score}`}</td>
+          <td>${entry.count}</td>
+          <td>${entry.topFile ? renderFileLink(entry.topFile) : ''}</td>
+        </tr>`).join('');
+
+  const fileRows = scorecard.topFiles.map(file => `
+        <tr>
+          <td>${renderFileLink(file)}</td>
+          <td>${file.counts.error}</td>
+          <td>${file.counts.warning}</td>
+          <td>${file.counts.info}</td>
+          <td>${file.counts.hint}</td>
+          <td>${file.weighted}</td>
+        </tr>`).join('');
+
+  const nima = scorecard.nimaScore
+    ? `${scorecard.nimaScore.mean.toFixed(2)} <span class="muted">±${scorecard.nimaScore.std.toFixed(2)}</span>`
+    : '<span class="muted">Run "Analyze Visual Quality (NIMA)"</span>';
+  const whitespace = typeof scorecard.whitespaceRatio === 'number'
+    ? `${(scorecard.whitespaceRatio * 100).toFixed(1)}%`
+    : '<span class="muted">Run "Analyze Aesthetic &amp; Minimalist Design"</span>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${cspSource} 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>UX Scorecard</title>
+  <style nonce="${nonce}">
+    body { color: var(--vscode-foreground); font-family: var(--vscode-font-family); padding: 16px 24px; }
+    a { color: var(--vscode-textLink-foreground); text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid var(--vscode-panel-border); padding: 4px 8px; text-align: left; }
+    .muted { color: var(--vscode-descriptionForeground); }
+    .cards { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 16px; }
+    .card { border: 1px solid var(--vscode-panel-border); border-radius: 6px; min-width: 140px; padding: 8px 14px; }
+    .card strong { display: block; font-size: 1.6em; }
+    .layout { display: flex; flex-wrap: wrap; gap: 24px; align-items: flex-start; }
+    .radar { max-width: 320px; width: 100%; }
+    .radar .ring, .radar .axis { fill: none; stroke: var(--vscode-panel-border); }
+    .radar .area { fill: var(--vscode-charts-blue); fill-opacity: 0.35; stroke: var(--vscode-charts-blue); stroke-width: 2; }
+    .radar text { fill: var(--vscode-foreground); font-size: 11px; text-anchor: middle; dominant-baseline: middle; }
+    .scores { flex: 1; min-width: 360px; }
+    button { background: var(--vscode-button-background); border: none; color: var(--vscode-button-foreground); cursor: pointer; padding: 4px 12px; }
+  </style>
+</head>
+<body>
+  <h1>UX Scorecard</h1>
+  <p class="muted">${scorecard.files} file(s) · ${scorecard.components} component(s) · score = 100 / (1 + issues weighted by severity per component) · <button id="refresh">Refresh</button></p>
+  <div class="cards">
+    <div class="card">Overall score<strong>${scorecard.overall ?? '–'}</strong></div>
+    <div class="card">NIMA mean<strong>${nima}</strong></div>
+    <div class="card">Whitespace ratio<strong>${whitespace}</strong></div>
+  </div>
+  <div class="layout">
+    ${renderRadar(scorecard.heuristics)}
+    <table class="scores">
+      <thead><tr><th>Heuristic</th><th>Score</th><th>Issues</th><th>Top file</th></tr></thead>
+      <tbody>${heuristicRows}
+      </tbody>
+    </table>
+  </div>
+  <h2>Top Offending Files</h2>
+  ${scorecard.topFiles.length === 0 ? '<p>🎉 No UX issues found.</p>' : `<table>
+    <thead><tr><th>File</th><th>Errors</th><th>Warnings</th><th>Info</th><th>Hints</th><th>Weighted</th></tr></thead>
+    <tbody>${fileRows}
+    </tbody>
+  </table>`}
+  <script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    document.querySelectorAll('[data-file]').forEach(link => link.addEventListener('click', (event) => {
+      event.preventDefault();
+      vscode.postMessage({ command: 'open', filePath: link.dataset.file, line: Number(link.dataset.line) });
+    }));
+    document.getElementById('refresh').addEventListener('click', () => vscode.postMessage({ command: 'refresh' }));
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { SEVERITY_WEIGHTS, computeScorecard, countComponents, formatScorecardHtml, readWhitespaceRatio };
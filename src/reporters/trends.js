@@ -0,0 +1,180 @@
+/**
+ * UX trends of the scan history (.react-ux-analyzer/history.jsonl), shown in the trends webview
+ * Charts the issues per severity over time and highlights regressions since the previous scan or a chosen commit.
+ */
+const { escapeHtml } = require('./html');
+const { findComparisonEntry, compareEntries } = require('../heuristics/utils/history');
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = 32;
+
+// chart lines, the total is drawn on top
+const SERIES = [
+  { key: 'hint', label: 'Hints', value: (entry) => entry.severities?.hint || 0 },
+  { key: 'info', label: 'Info', value: (entry) => entry.severities?.info || 0 },
+  { key: 'warning', label: 'Warnings', value: (entry) => entry.severities?.warning || 0 },
+  { key: 'error', label: 'Errors', value: (entry) => entry.severities?.error || 0 },
+  { key: 'total', label: 'Total', value: (entry) => entry.total || 0 }
+];
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function shortCommit(commit) {
+  return commit ? commit.slice(0, 7) : 'no commit';
+}
+
+function formatDelta(delta, digits = 0) {
+  if (delta === 0) return '±0';
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(digits)}`;
+}
+
+/**
+ * Line chart of the issues per severity and in total, one point per scan
+ * @param {Array} history
+ * @returns {string}
+ */
+function renderChart(history) {
+  const max = Math.max(1, ...history.map(entry => entry.total || 0));
+  const step = history.length > 1 ? (CHART_WIDTH - CHART_PADDING * 2) / (history.length - 1) : 0;
+  const x = (index) => (CHART_PADDING + index * step).toFixed(1);
+  const y = (value) => (CHART_HEIGHT - CHART_PADDING - (value / max) * (CHART_HEIGHT - CHART_PADDING * 2)).toFixed(1);
+
+  const lines = SERIES.map(series => `<polyline class="series ${series.key}" points="${history.map((entry, index) => `${x(index)},${y(series.value(entry))}`).join(' ')}" />`).join('');
+  const points = history.map((entry, index) => `<circle cx="${x(index)}" cy="${y(entry.total || 0)}" r="3">
+      <title>${escapeHtml(formatDate(entry.date))} · ${escapeHtml(shortCommit(entry.commit))} · ${entry.total} issue(s)</title>
+    </circle>`).join('');
+  const legend = SERIES.map(series => `<span><i class="${series.key}"></i>${series.label}</span>`).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Issues per scan">
+      <line class="axis" x1="${CHART_PADDING}" y1="${CHART_HEIGHT - CHART_PADDING}" x2="${CHART_WIDTH - CHART_PADDING}" y2="${CHART_HEIGHT - CHART_PADDING}" />
+      <text x="${CHART_PADDING - 6}" y="${y(max)}" text-anchor="end">${max}</text>
+      <text x="${CHART_PADDING - 6}" y="${y(0)}" text-anchor="end">0</text>
+      ${lines}${points}
+    </svg>
+    <p class="legend">${legend}</p>`;
+}
+
+function renderChanges(title, changes, { link = false } = {}) {
+  if (changes.length === 0) return '';
+  const rows = changes.map(change => `
+        <tr>
+          <td>${link ? `<a href="#" data-file="${escapeHtml(change.key)}">${escapeHtml(change.key)}</a>` : escapeHtml(change.key)}</td>
+          <td>${change.before}</td>
+          <td>${change.after}</td>
+          <td class="${change.delta > 0 ? 'worse' : 'better'}">${formatDelta(change.delta)}</td>
+        </tr>`).join('');
+  return `<h3>${escapeHtml(title)}</h3>
+  <table>
+    <thead><tr><th>${link ? 'File' : 'Code'}</th><th>Before</th><th>Now</th><th>Change</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>`;
+}
+
+/**
+ * Renders the trends for the webview
+ * Files post `{ command: 'open', file }` (relative to the project root), the comparison picker `{ command: 'compare', commit }`.
+ * @param {Array} history - entries of history.jsonl, oldest first
+ * @param {{ commit?: string, root?: string, cspSource: string, nonce: string }} options - commit to compare with, defaults to the previous scan,
+ * the git repository at `root` finds the closest earlier scan of a commit without one
+ * @returns {string} HTML document
+ */
+function formatTrendsHtml(history, { commit, root, cspSource, nonce }) {
+  const latest = history[history.length - 1];
+  const before = latest && findComparisonEntry(history, commit, { root });
+  const comparison = before && compareEntries(before, latest);
+
+  // the last scan of each earlier commit can be compared with
+  const commits = [...new Map(history.slice(0, -1).filter(entry => entry.commit).map(entry => [entry.commit, entry])).values()].reverse();
+  const options = [
+    `<option value="">Previous scan</option>`,
+    ...commits.map(entry => `<option value="${escapeHtml(entry.commit)}"${entry.commit === commit ? ' selected' : ''}>${escapeHtml(shortCommit(entry.commit))} · ${escapeHtml(formatDate(entry.date))}</option>`)
+  ].join('');
+
+  let body;
+  if (!latest) {
+    body = '<p>No scans recorded yet. Run "Analyze UX Heuristics on React Files" to record the first one.</p>';
+  } else if (!comparison) {
+    body = `<p>${history.length === 1 ? 'Only one scan recorded so far, trends show up after the next scan.' : `No scan found at commit ${escapeHtml(commit)} or an earlier commit, trends are compared with scans recorded in this repository only.`}</p>`;
+  } else {
+    const regressions = [
+      renderChanges('Codes with more issues', comparison.codes.filter(change => change.delta > 0)),
+      renderChanges('Files with more issues', comparison.files.filter(change => change.delta > 0), { link: true })
+    ].join('');
+    const improvements = [
+      renderChanges('Codes with fewer issues', comparison.codes.filter(change => change.delta < 0)),
+      renderChanges('Files with fewer issues', comparison.files.filter(change => change.delta < 0), { link: true })
+    ].join('');
+
+    body = `<div class="cards">
+    <div class="card">Issues<strong>${latest.total}</strong><span class="${comparison.total.delta > 0 ? 'worse' : 'better'}">${formatDelta(comparison.total.delta)}</span></div>
+    ${comparison.nima ? `<div class="card">NIMA mean<strong>${comparison.nima.after.toFixed(2)}</strong><span class="${comparison.nima.delta < 0 ? 'worse' : 'better'}">${formatDelta(comparison.nima.delta, 2)}</span></div>` : ''}
+  </div>
+  <p class="muted">${commit && !before.commit?.startsWith(commit) ? `No scan at commit ${escapeHtml(shortCommit(commit))}, compared with the closest earlier scan` : 'Compared with the scan'} of ${escapeHtml(formatDate(before.date))} (${escapeHtml(shortCommit(before.commit))}).</p>
+  <h2>⚠️ Regressions</h2>
+  ${regressions || '<p>🎉 No regressions.</p>'}
+  <h2>✅ Improvements</h2>
+  ${improvements || '<p class="muted">No improvements.</p>'}`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${cspSource} 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>UX Trends</title>
+  <style nonce="${nonce}">
+    body { color: var(--vscode-foreground); font-family: var(--vscode-font-family); padding: 16px 24px; }
+    a { color: var(--vscode-textLink-foreground); text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    table { border-collapse: collapse; margin-bottom: 12px; width: 100%; }
+    th, td { border-bottom: 1px solid var(--vscode-panel-border); padding: 4px 8px; text-align: left; }
+    .muted { color: var(--vscode-descriptionForeground); }
+    .worse { color: var(--vscode-charts-red); }
+    .better { color: var(--vscode-charts-green); }
+    .cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 16px 0 8px; }
+    .card { border: 1px solid var(--vscode-panel-border); border-radius: 6px; min-width: 140px; padding: 8px 14px; }
+    .card strong { display: block; font-size: 1.6em; }
+    .chart { max-width: ${CHART_WIDTH}px; width: 100%; }
+    .chart .axis { stroke: var(--vscode-panel-border); }
+    .chart .series { fill: none; stroke-width: 2; }
+    .chart circle { fill: var(--vscode-foreground); }
+    .chart text { fill: var(--vscode-descriptionForeground); font-size: 11px; }
+    .legend span { margin-right: 12px; }
+    .legend i { display: inline-block; height: 10px; margin-right: 4px; width: 10px; }
+    .series.hint { stroke: var(--vscode-charts-purple); }
+    .series.info { stroke: var(--vscode-charts-blue); }
+    .series.warning { stroke: var(--vscode-charts-yellow); }
+    .series.error { stroke: var(--vscode-charts-red); }
+    .series.total { stroke: var(--vscode-foreground); }
+    .legend .hint { background: var(--vscode-charts-purple); }
+    .legend .info { background: var(--vscode-charts-blue); }
+    .legend .warning { background: var(--vscode-charts-yellow); }
+    .legend .error { background: var(--vscode-charts-red); }
+    .legend .total { background: var(--vscode-foreground); }
+    select { background: var(--vscode-dropdown-background); border: 1px solid var(--vscode-dropdown-border); color: var(--vscode-dropdown-foreground); }
+  </style>
+</head>
+<body>
+  <h1>UX Trends</h1>
+  <p class="muted">${history.length} scan(s) recorded · Compare with <select id="compare">${options}</select></p>
+  ${history.length > 0 ? renderChart(history) : ''}
+  ${body}
+  <script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    document.querySelectorAll('[data-file]').forEach(link => link.addEventListener('click', (event) => {
+      event.preventDefault();
+      vscode.postMessage({ command: 'open', file: link.dataset.file });
+    }));
+    document.getElementById('compare').addEventListener('change', (event) => vscode.postMessage({ command: 'compare', commit: event.target.value }));
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { formatTrendsHtml };
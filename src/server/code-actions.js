@@ -0,0 +1,74 @@
+/**
+ * Code actions of the language server: the `fix` edits of issues as quick fixes and "fix all in file"
+ */
+const { getIssueCode } = require('../heuristics/registry');
+const { selectCompatibleFixes } = require('../heuristics/utils/fixes');
+const { SOURCE } = require('../heuristics/utils/diagnostics');
+
+const QUICK_FIX_KIND = 'quickfix';
+const FIX_ALL_KIND = 'source.fixAll.reactUxAnalyzer';
+
+/**
+ * Whether a requested kind like `source` or `source.fixAll` includes the kind
+ */
+function includesKind(only, kind) {
+  return !only || only.some(requested => kind === requested || kind.startsWith(`${requested}.`));
+}
+
+function matches(fix, diagnostic) {
+  return diagnostic.code === fix.code && diagnostic.range.start.line === fix.line - 1;
+}
+
+function createEdit(document, fixes) {
+  const edits = fixes.flatMap(fix => fix.edits).map(({ start, end, text }) => ({
+    range: { start: document.positionAt(start), end: document.positionAt(end) },
+    newText: text
+  }));
+  return { changes: { [document.uri]: edits } };
+}
+
+/**
+ * @param {import('vscode-languageserver-textdocument').TextDocument} document - the text the issues were found in
+ * @param {Array} issues - current issues of the document
+ * @param {{ diagnostics: Array, only?: string[] }} context - of the code action request
+ * @returns {Array} CodeActions
+ */
+function getCodeActions(document, issues, { diagnostics, only }) {
+  const fixes = issues
+    .filter(issue => issue.fix)
+    .map(issue => ({ ...issue.fix, code: getIssueCode(issue.analysisType, issue.type), line: issue.line }));
+  if (fixes.length === 0) return [];
+
+  const selected = selectCompatibleFixes(fixes);
+  const fixAll = (kind) => ({
+    title: `Fix all auto-fixable UX issues in file (${selected.length})`,
+    kind,
+    edit: createEdit(document, selected)
+  });
+
+  // e.g. "source.fixAll" of editor.codeActionsOnSave
+  if (only && !includesKind(only, QUICK_FIX_KIND)) {
+    return includesKind(only, FIX_ALL_KIND) ? [fixAll(FIX_ALL_KIND)] : [];
+  }
+
+  const actions = [];
+  for (const diagnostic of diagnostics.filter(d => d.source === SOURCE)) {
+    const matching = fixes.filter(fix => matches(fix, diagnostic));
+    for (const fix of matching) {
+      actions.push({
+        title: fix.title,
+        kind: QUICK_FIX_KIND,
+        diagnostics: [diagnostic],
+        isPreferred: matching.length === 1,
+        edit: createEdit(document, [fix])
+      });
+    }
+  }
+
+  if (actions.length > 0 && fixes.length > 1) {
+    actions.push(fixAll(QUICK_FIX_KIND));
+  }
+  return actions;
+}
+
+module.exports = { QUICK_FIX_KIND, FIX_ALL_KIND, getCodeActions };
@@ -0,0 +1,244 @@
+/**
+ * React UX Analyzer Language Server
+ * - Runs the project detectors (all heuristics except #2 and #8) and the project's custom rules on open documents,
+ *   including unsaved changes. Custom rules taking a URL or requiring the `vscode` module are not run here.
+ * - Publishes the issues as diagnostics on open and save, while typing with react-ux-analyzer.analyzeOnType
+ * - Analyzes the files importing a saved file again, their results may depend on it (see import-graph.js)
+ * - Applies the settings, rules, ignore files and baseline of the document's project, like the extension and the CLI
+ * - Offers the `fix` edits of issues as quick fixes and "fix all in file" (source.fixAll.reactUxAnalyzer)
+ * - Shows the documentation of the issues under the cursor on hover
+ * Started with `react-ux-analyzer-lsp --stdio` in any LSP client, the VS Code extension connects over IPC.
+ */
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+const { createConnection, ProposedFeatures, TextDocuments, TextDocumentSyncKind } = require('vscode-languageserver/node');
+const { TextDocument } = require('vscode-languageserver-textdocument');
+const { projectDetectors } = require('../heuristics/registry');
+const { analyzeFile } = require('../heuristics/analyze-file');
+const { isSourceFile } = require('../heuristics/utils/source-files');
+const { importGraph } = require('../heuristics/utils/import-graph');
+const { BASELINE_FILE, filterBaselineIssues } = require('../heuristics/utils/baseline');
+const { IGNORE_FILES } = require('../heuristics/utils/file-filter');
+const { toRange, toDiagnostic, formatHover } = require('../heuristics/utils/diagnostics');
+const { createProjects } = require('./projects');
+const { QUICK_FIX_KIND, FIX_ALL_KIND, getCodeActions } = require('./code-actions');
+
+const SECTION = 'react-ux-analyzer';
+// Saves in quick succession (e.g. "Save All") trigger one analysis per file
+const SAVE_DELAY_MS = 300;
+// Analysis while typing waits for a pause
+const TYPE_DELAY_MS = 500;
+// Files that change what is analyzed or reported in every open document
+const PROJECT_FILES = [BASELINE_FILE, ...IGNORE_FILES, 'settings.json', 'package.json', 'pnpm-workspace.yaml'];
+
+function toFilePath(uri) {
+  try {
+    return fileURLToPath(uri);
+  } catch {
+    return null; // untitled documents and other schemes
+  }
+}
+
+function containsPosition({ start, end }, position) {
+  const afterStart = position.line > start.line || (position.line === start.line && position.character >= start.character);
+  const beforeEnd = position.line < end.line || (position.line === end.line && position.character <= end.character);
+  return afterStart && beforeEnd;
+}
+
+/**
+ * Starts the server on the transport given on the command line: --stdio, --node-ipc or --socket=<port>
+ * @returns {object} the connection
+ */
+function startServer() {
+  const connection = createConnection(ProposedFeatures.all);
+  const documents = new TextDocuments(TextDocument);
+  // uri -> { version, issues } of the last analysis
+  const results = new Map();
+  const pendingAnalyses = new Map();
+  // uris with published diagnostics, closed ones are analyzed from disk when a file they import is saved
+  const publishedUris = new Set();
+  // uri -> version the document was opened with, its first change event is the open
+  const openedVersions = new Map();
+  let hasConfiguration = false;
+  let hasWorkspaceFolders = false;
+  let pushedSettings = null;
+
+  const projects = createProjects({
+    getFolderSettings: async (folder) => {
+      if (hasConfiguration) return connection.workspace.getConfiguration({ scopeUri: folder.uri, section: SECTION });
+      return pushedSettings;
+    },
+    warn: (message) => connection.window.showWarningMessage(message)
+  });
+
+  /**
+   * Issues of the current text of a document after rules, suppressions and baseline
+   * @returns {Promise<Array | null>} null for documents that are not analyzed, e.g. type declarations
+   */
+  async function analyzeDocument(document) {
+    const filePath = toFilePath(document.uri);
+    if (!filePath || !isSourceFile(filePath)) return null;
+
+    const project = await projects.getProject(filePath);
+    // excluded or ignored files keep no diagnostics, e.g. after adding them to .ruxignore
+    if (project && !project.isAnalyzed(filePath)) return [];
+
+    const content = document.getText();
+    const { issues } = await analyzeFile(content, {
+      detectors: projectDetectors,
+      customRules: project ? project.customRules : [],
+      fileName: filePath,
+      rules: project ? project.rules(filePath) : {}
+    });
+    return filterBaselineIssues(issues, project?.baseline, filePath, content);
+  }
+
+  function readDocument(uri) {
+    try {
+      return TextDocument.create(uri, 'javascriptreact', 0, fs.readFileSync(toFilePath(uri), 'utf-8'));
+    } catch {
+      return null; // deleted in the meantime
+    }
+  }
+
+  async function publish(uri) {
+    const isOpen = Boolean(documents.get(uri));
+    const document = isOpen ? documents.get(uri) : publishedUris.has(uri) && readDocument(uri);
+    if (!document) return;
+    const version = isOpen ? document.version : undefined;
+    const issues = await analyzeDocument(document);
+
+    // the document changed, opened or closed in the meantime, its next analysis is already scheduled
+    if (issues === null || documents.get(uri)?.version !== version) return;
+    if (isOpen) results.set(uri, { version, issues });
+    publishedUris.add(uri);
+    await connection.sendDiagnostics({ uri, version, diagnostics: issues.map(issue => toDiagnostic(issue, uri)) });
+  }
+
+  /**
+   * Schedules a saved document and the files importing it, open or with published diagnostics
+   */
+  function analyzeSaved(uri) {
+    schedule(uri, SAVE_DELAY_MS);
+    const filePath = toFilePath(uri);
+    if (!filePath) return;
+
+    importGraph.invalidate(filePath);
+    const importers = new Set(importGraph.getImporters(filePath));
+    const uris = new Set([...documents.keys(), ...publishedUris]);
+    uris.forEach(item => importers.has(toFilePath(item)) && schedule(item, SAVE_DELAY_MS));
+  }
+
+  /**
+   * Runs the analysis of a document once no further change or save happened for `delay` ms
+   */
+  function schedule(uri, delay) {
+    clearTimeout(pendingAnalyses.get(uri));
+    pendingAnalyses.set(uri, setTimeout(() => {
+      pendingAnalyses.delete(uri);
+      publish(uri).catch(err => connection.console.error(`Analysis of ${uri} failed: ${err.stack || err}`));
+    }, delay));
+  }
+
+  function analyzeAll() {
+    projects.clear();
+    documents.all().forEach(document => schedule(document.uri, SAVE_DELAY_MS));
+  }
+
+  /**
+   * Issues of the current text, code actions and hovers need offsets of exactly this version
+   */
+  async function getCurrentIssues(document) {
+    const result = results.get(document.uri);
+    if (result?.version === document.version) return result.issues;
+    return (await analyzeDocument(document)) || [];
+  }
+
+  connection.onInitialize(({ capabilities, workspaceFolders, rootUri }) => {
+    hasConfiguration = Boolean(capabilities.workspace?.configuration);
+    hasWorkspaceFolders = Boolean(capabilities.workspace?.workspaceFolders);
+    const folders = workspaceFolders || (rootUri ? [{ uri: rootUri }] : []);
+    projects.setFolders(folders.map(({ uri }) => ({ uri, root: toFilePath(uri) })).filter(folder => folder.root));
+
+    return {
+      capabilities: {
+        textDocumentSync: { openClose: true, change: TextDocumentSyncKind.Incremental, save: { includeText: false } },
+        codeActionProvider: { codeActionKinds: [QUICK_FIX_KIND, FIX_ALL_KIND] },
+        hoverProvider: true,
+        workspace: { workspaceFolders: { supported: true, changeNotifications: true } }
+      },
+      serverInfo: { name: 'React UX Analyzer' }
+    };
+  });
+
+  connection.onInitialized(() => {
+    if (!hasWorkspaceFolders) return;
+    connection.workspace.onDidChangeWorkspaceFolders(({ added, removed }) => {
+      const removedUris = new Set(removed.map(folder => folder.uri));
+      const folders = [...projects.getFolders().filter(folder => !removedUris.has(folder.uri)), ...added.map(({ uri }) => ({ uri, root: toFilePath(uri) }))];
+      projects.setFolders(folders.filter(folder => folder.root));
+      analyzeAll();
+    });
+  });
+
+  // Clients without workspace/configuration push their settings, e.g. { "react-ux-analyzer": { "analyzeOnType": true } }
+  connection.onDidChangeConfiguration(({ settings }) => {
+    pushedSettings = settings?.[SECTION] || null;
+    analyzeAll();
+  });
+
+  connection.onDidChangeWatchedFiles(({ changes }) => {
+    if (changes.some(({ uri }) => PROJECT_FILES.some(file => uri.endsWith(`/${file}`)))) analyzeAll();
+  });
+
+  documents.onDidOpen(({ document }) => {
+    openedVersions.set(document.uri, document.version);
+    schedule(document.uri, 0);
+  });
+  documents.onDidSave(({ document }) => analyzeSaved(document.uri));
+
+  // Analyze as you type, enabled with react-ux-analyzer.analyzeOnType
+  documents.onDidChangeContent(async ({ document }) => {
+    const filePath = toFilePath(document.uri);
+    if (!filePath || openedVersions.get(document.uri) === document.version) return;
+    const project = await projects.getProject(filePath);
+    if ((project ? project.settings : pushedSettings || {}).analyzeOnType) schedule(document.uri, TYPE_DELAY_MS);
+  });
+
+  // Diagnostics of closed documents are kept, like the results of a project scan
+  documents.onDidClose(({ document }) => {
+    clearTimeout(pendingAnalyses.get(document.uri));
+    pendingAnalyses.delete(document.uri);
+    openedVersions.delete(document.uri);
+    results.delete(document.uri);
+  });
+
+  connection.onCodeAction(async ({ textDocument, context }) => {
+    const document = documents.get(textDocument.uri);
+    if (!document) return [];
+    return getCodeActions(document, await getCurrentIssues(document), context);
+  });
+
+  connection.onHover(async ({ textDocument, position }) => {
+    const document = documents.get(textDocument.uri);
+    if (!document) return null;
+    const issues = (await getCurrentIssues(document)).filter(issue => containsPosition(toRange(issue), position));
+    if (issues.length === 0) return null;
+    return { contents: { kind: 'markdown', value: issues.map(formatHover).join('\n\n---\n\n') } };
+  });
+
+  connection.onShutdown(() => {
+    pendingAnalyses.forEach(timeout => clearTimeout(timeout));
+    pendingAnalyses.clear();
+  });
+
+  documents.listen(connection);
+  connection.listen();
+  return connection;
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { startServer };
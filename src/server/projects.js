@@ -0,0 +1,109 @@
+/**
+ * Projects of the language server: the innermost pnpm/yarn workspace package of a file, otherwise its workspace folder
+ * Each project is analyzed with its own settings, rules, custom rules, ignore files and baseline, like in the extension and the CLI.
+ */
+const path = require('path');
+const { findWorkspacePackages, getPackageRoot } = require('../heuristics/utils/workspace-packages');
+const { readProjectSettings, mergeProjectSettings } = require('../cli/settings');
+const { createRuleResolver } = require('../heuristics/utils/rules-config');
+const { createFileFilter } = require('../heuristics/utils/file-filter');
+const { BASELINE_FILE, loadBaseline } = require('../heuristics/utils/baseline');
+const { loadCustomRules, getCustomRuleRoot } = require('../heuristics/utils/load-custom-rules');
+
+function isInside(dir, filePath) {
+  const relativePath = path.relative(dir, filePath);
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+/**
+ * @param {object} options
+ * @param {(folder: { uri: string, root: string }) => Promise<object | null>} options.getFolderSettings - `react-ux-analyzer.*`
+ * settings of a workspace folder from the editor, null reads the folder's .vscode/settings.json like the CLI
+ * @param {(message: string) => void} options.warn - invalid settings, rules, baselines and custom rules that cannot be loaded
+ */
+function createProjects({ getFolderSettings, warn }) {
+  let folders = [];
+  // folder root -> package roots
+  const packages = new Map();
+  // project root -> Promise of { root, folder, settings, rules, customRules, isAnalyzed, baseline }
+  const projects = new Map();
+
+  /**
+   * @param {Array<{ uri: string, root: string }>} workspaceFolders - root is the file system path of the folder uri
+   */
+  function setFolders(workspaceFolders) {
+    folders = workspaceFolders;
+    clear();
+  }
+
+  function getFolders() {
+    return folders;
+  }
+
+  async function loadProject(root, folder) {
+    let settings = {};
+    try {
+      settings = (await getFolderSettings(folder)) || readProjectSettings(folder.root);
+      if (root !== folder.root) settings = mergeProjectSettings(settings, readProjectSettings(root));
+    } catch (err) {
+      warn(`⚠️ ${err.message}`);
+    }
+
+    let baseline = null;
+    try {
+      baseline = loadBaseline(folder.root);
+    } catch (err) {
+      warn(`⚠️ Ignoring ${BASELINE_FILE} of ${folder.root}: ${err.message}`);
+    }
+
+    const { include, exclude, customRulePath, targetUrl } = settings;
+    const customRules = await loadCustomRules({
+      workspaceFolder: getCustomRuleRoot([root, folder.root], customRulePath),
+      customRulePath,
+      targetUrl,
+      // a missing default rule folder is the normal case
+      notify: { info: () => {}, warn: customRulePath ? warn : () => {}, error: warn },
+      logger: { log: () => {} }
+    });
+
+    return {
+      root,
+      folder,
+      settings,
+      rules: createRuleResolver(settings, root, warn),
+      // rules taking a URL may load the live page, too slow for every open, change and save
+      customRules: customRules.filter(rule => !rule.acceptsUrl),
+      isAnalyzed: createFileFilter({ root, include, exclude, ignoreDirs: [root, folder.root] }),
+      baseline
+    };
+  }
+
+  /**
+   * Project of a file, loaded once until clear() is called
+   * @param {string} filePath
+   * @returns {Promise<object | null>} null for files outside of the workspace folders
+   */
+  function getProject(filePath) {
+    const folder = folders
+      .filter(item => isInside(item.root, filePath))
+      .sort((a, b) => b.root.length - a.root.length)[0];
+    if (!folder) return Promise.resolve(null);
+
+    if (!packages.has(folder.root)) packages.set(folder.root, findWorkspacePackages(folder.root));
+    const root = getPackageRoot(filePath, packages.get(folder.root)) || folder.root;
+    if (!projects.has(root)) projects.set(root, loadProject(root, folder));
+    return projects.get(root);
+  }
+
+  /**
+   * Forgets settings, packages, ignore files and baselines, e.g. after the configuration changed
+   */
+  function clear() {
+    packages.clear();
+    projects.clear();
+  }
+
+  return { setFolders, getFolders, getProject, clear };
+}
+
+module.exports = { createProjects };
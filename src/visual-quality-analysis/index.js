@@ -1,7 +1,11 @@
 const runNimaCheck = require('./run-nima-check');
 
-async function runVisualQualityCheck() {
-  return await runNimaCheck();
+/**
+ * @param {string} [url] - page to score, defaults to the targetUrl setting
+ * @param {string} [root] - project root receiving the screenshot
+ */
+async function runVisualQualityCheck(url, root) {
+  return await runNimaCheck(url, root);
 }
 
 module.exports = {
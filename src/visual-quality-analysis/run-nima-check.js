@@ -5,7 +5,27 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const takeFullPageScreenshot = require('./screenshot/take-screenshot');
 
-async function runNimaCheck(url) {
+/**
+ * Finds the Python of a virtual environment in the project root or one of its parent folders,
+ * so the packages of a monorepo can share the venv of the repository root
+ * @param {string} root
+ * @returns {string | null}
+ */
+function findVenvPython(root) {
+  for (let dir = root; ; dir = path.dirname(dir)) {
+    const venvPythonPath = path.resolve(dir, 'venv/bin/python3'); // Mac/Linux
+    // const venvPythonPath = path.resolve(dir, 'venv/Scripts/python.exe'); // Windows
+    if (fs.existsSync(venvPythonPath)) return venvPythonPath;
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * Scores a screenshot of the running app with NIMA
+ * @param {string} [url] - defaults to the targetUrl setting
+ * @param {string} [root] - project the screenshot is saved in, defaults to the first workspace folder
+ */
+async function runNimaCheck(url, root) {
   try {
       // Load URL from .env or fallback
       //const url = process.env.REACT_APP_URL || 'http://localhost:3000';
@@ -22,18 +42,17 @@ async function runNimaCheck(url) {
       //const debugPythonPath = path.resolve(__dirname, process.env.PYTHON_PATH);
       //const pythonPath = debugPythonPath;
 
-      // Get workspace root 
-      const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+      // Get project root
+      const workspaceRoot = root || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
       if (!workspaceRoot) {
           throw new Error('No workspace folder opened. Please open your React project folder.');
       }
 
-      // Adjust the python path according to your OS for venv location in project root
-      const venvPythonPath = path.resolve(workspaceRoot, 'venv/bin/python3'); // Mac/Linux
-      // const venvPythonPath = path.resolve(workspaceRoot, 'venv/Scripts/python.exe'); // Windows
+      // Adjust the python path in findVenvPython() according to your OS for venv location in project root
+      const venvPythonPath = findVenvPython(workspaceRoot);
 
-        if (!fs.existsSync(venvPythonPath)) {
-          throw new Error(`Virtual environment not found at: ${venvPythonPath}`);
+        if (!venvPythonPath) {
+          throw new Error(`Virtual environment not found at: ${path.resolve(workspaceRoot, 'venv/bin/python3')}`);
         }
 
       const pythonPath = venvPythonPath;
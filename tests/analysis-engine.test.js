@@ -0,0 +1,95 @@
+/**
+ * Analysis Engine Test Suite
+ *
+ * Validates the single-parse engine:
+ * - All project detectors report the same issues as running them one by one
+ * - Each detector gets its own timing
+ * - A throwing detector does not stop the others
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const heuristics = require('../src/heuristics');
+const { analyzeContent } = require('../src/heuristics/analysis-engine');
+const { analyzeFile } = require('../src/heuristics/analyze-file');
+
+const fixture = path.join(__dirname, 'test-typescript', 'bad-typescript-page.tsx');
+
+// Stable sort key so issue order does not matter
+function key(issue) {
+    return `${issue.analysisType}|${issue.type}|${issue.line}|${issue.message}`;
+}
+
+function test_single_parse_matches_detectors() {
+    console.log('\n=== Testing single parse vs. separate detectors ===');
+    const content = fs.readFileSync(fixture, 'utf8');
+    const detectFunctions = {
+        BREADCRUMB: heuristics.detectBreadcrumbs,
+        LOADING: heuristics.detectLoadingPatterns,
+        CONTROL: heuristics.detectControlExits,
+        CONSISTENCY: heuristics.detectPageConsistency,
+        ERROR_PREVENTION: heuristics.detectErrorPrevention,
+        RECOGNITION: heuristics.detectRecognitionCues,
+        FLEXIBILITY_EFFICIENCY: heuristics.detectShortcuts,
+        ERROR_RECOVERY: heuristics.detectHelpErrorRecognition,
+        HELP: heuristics.detectHelpFeatures
+    };
+
+    const separate = Object.entries(detectFunctions)
+        .flatMap(([type, fn]) => fn(content).map(issue => ({ ...issue, analysisType: type })));
+    const { issues, errors } = analyzeContent(content, heuristics.projectDetectors);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(issues.map(key).sort(), separate.map(key).sort());
+    console.log(`✓ Single parse passed (${issues.length} issues)`);
+}
+
+function test_timings_per_detector() {
+    console.log('\n=== Testing detector timings ===');
+    const content = fs.readFileSync(fixture, 'utf8');
+    const { timings } = analyzeContent(content, heuristics.projectDetectors);
+
+    for (const detector of heuristics.projectDetectors) {
+        assert.strictEqual(typeof timings[detector.type], 'number', `${detector.type} timed`);
+    }
+    console.log('✓ Timing tests passed');
+}
+
+async function test_error_isolation() {
+    console.log('\n=== Testing detector error isolation ===');
+    const broken = {
+        type: 'BROKEN',
+        create: () => ({
+            visitor: { JSXElement() { throw new Error('boom'); } },
+            finish: () => []
+        })
+    };
+    const failures = [];
+
+    const { issues } = await analyzeFile('const Page = () => <main><h1>Home</h1></main>;', {
+        detectors: [broken, ...heuristics.projectDetectors],
+        onError: (source, err) => failures.push(`${source}: ${err.message}`)
+    });
+
+    assert.deepStrictEqual(failures, ['BROKEN: boom']);
+    assert.ok(issues.some(issue => issue.type === 'missing-role'), 'other detectors still ran');
+
+    const unparsable = [];
+    await analyzeFile('const = <', { detectors: heuristics.projectDetectors, onError: (source) => unparsable.push(source) });
+    assert.deepStrictEqual(unparsable, ['PARSE']);
+    console.log('✓ Error isolation tests passed');
+}
+
+async function runAllTests() {
+    try {
+        test_single_parse_matches_detectors();
+        test_timings_per_detector();
+        await test_error_isolation();
+        console.log('\n🎉 All analysis engine tests passed!');
+    } catch (error) {
+        console.log(`✗ Analysis engine test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
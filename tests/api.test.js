@@ -0,0 +1,107 @@
+/**
+ * Node API Test Suite
+ *
+ * Validates `analyze()` of the package entry point:
+ * - Code and files (paths and globs) are analyzed without the VS Code API
+ * - Issues carry code, heuristic, severity, severity rating, range, action/why/docs and fixes, results survive JSON
+ * - Rules turn off issue types and pass options, invalid rules and options throw
+ * - Custom rules run from customRulePath, load problems are returned as errors
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyze } = require('../src/api');
+
+const header = 'export default function Home() {\n  return <header><h1>Home</h1></header>;\n}\n';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-api-'));
+fs.mkdirSync(path.join(root, 'src'));
+fs.mkdirSync(path.join(root, 'rules'));
+fs.writeFileSync(path.join(root, 'src', 'Home.jsx'), header);
+fs.writeFileSync(path.join(root, 'src', 'About.tsx'), 'export const About = (): JSX.Element => <main />;\n');
+fs.writeFileSync(path.join(root, 'src', 'notes.md'), '# Notes\n');
+fs.writeFileSync(path.join(root, 'rules', 'no-lorem.cjs'), `
+module.exports.detector = (content) => content.includes('Lorem')
+    ? [{ line: 1, message: 'Placeholder text', why: 'Users read it' }]
+    : [];
+`);
+fs.writeFileSync(path.join(root, 'rules', 'broken.cjs'), 'module.exports = {};\n');
+
+async function test_analyze_code() {
+    console.log('\n=== Testing code analysis ===');
+    const { files, errors } = await analyze({ code: header, fileName: 'Home.jsx', cwd: root });
+    assert.strictEqual(files.length, 1);
+    assert.strictEqual(files[0].filePath, path.join(root, 'Home.jsx'));
+    assert.deepStrictEqual(errors, []);
+
+    const role = files[0].issues.find(issue => issue.type === 'missing-role');
+    assert.strictEqual(role.code, 'RUX401');
+    assert.deepStrictEqual(role.heuristic, { number: 4, name: 'Nielsen #4: Consistency and Standards' });
+    assert.strictEqual(role.severity, 'warning');
+    assert.deepStrictEqual(role.rating, { score: 2, label: 'Minor usability problem' });
+    assert.deepStrictEqual(role.range, { start: { line: 2, column: 10 }, end: { line: 2, column: 16 } });
+    assert.ok(role.docs.startsWith('https://'));
+    assert.ok(role.fix.edits[0].text.includes('role="banner"'));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(files)), files, 'serializable');
+
+    const anonymous = await analyze({ code: header });
+    assert.strictEqual(anonymous.files[0].filePath, null, 'code without file name');
+    console.log('✓ Code analysis tests passed');
+}
+
+async function test_analyze_files() {
+    console.log('\n=== Testing file analysis ===');
+    const { files } = await analyze({ files: ['src/**', path.join(root, 'src', 'Home.jsx')], cwd: root });
+    assert.deepStrictEqual(files.map(file => path.basename(file.filePath)).sort(), ['About.tsx', 'Home.jsx'], 'globs and paths, source files only');
+
+    const { files: none } = await analyze({ files: ['src/**/*.vue'], cwd: root });
+    assert.deepStrictEqual(none, []);
+    console.log('✓ File analysis tests passed');
+}
+
+async function test_rules() {
+    console.log('\n=== Testing rules ===');
+    const { files } = await analyze({ code: header, rules: { 'missing-role': 'off', 'missing-breadcrumb': 'error' } });
+    assert.ok(!files[0].issues.some(issue => issue.type === 'missing-role'), 'rule turned off');
+
+    const { files: hints } = await analyze({ code: header, rules: { 'missing-role': 'hint' } });
+    assert.strictEqual(hints[0].issues[0].severity, 'hint');
+
+    // invalid options on purpose, as passed by plain JavaScript callers
+    /** @type {any[]} */
+    const invalid = [{ code: header, rules: { 'missing-role': 'loud' } }, {}, { code: header, files: [] }, { files: 'src/**' }];
+    await assert.rejects(analyze(invalid[0]), /severity must be one of/);
+    await assert.rejects(analyze(invalid[1]), /either `files` or `code`/);
+    await assert.rejects(analyze(invalid[2]), /either `files` or `code`/);
+    await assert.rejects(analyze(invalid[3]), /array of paths or globs/);
+    console.log('✓ Rule tests passed');
+}
+
+async function test_custom_rules() {
+    console.log('\n=== Testing custom rules ===');
+    const { files, errors } = await analyze({ code: '<p>Lorem ipsum</p>;\n', cwd: root, customRulePath: 'rules' });
+    const custom = files[0].issues.find(issue => issue.analysisType === 'CUSTOM:no-lorem');
+    assert.strictEqual(custom.code, 'CUX-NO-LOREM');
+    assert.strictEqual(custom.heuristic.number, null);
+    assert.strictEqual(custom.why, 'Users read it');
+    assert.deepStrictEqual(custom.range, { start: { line: 1, column: 0 }, end: { line: 1, column: 19 } }, 'whole line');
+    assert.deepStrictEqual(errors.map(error => error.source), ['CUSTOM_RULES'], 'rule without detector');
+    assert.ok(errors[0].message.includes('broken.cjs'));
+    console.log('✓ Custom rule tests passed');
+}
+
+async function runAllTests() {
+    try {
+        await test_analyze_code();
+        await test_analyze_files();
+        await test_rules();
+        await test_custom_rules();
+        console.log('\n🎉 All Node API tests passed!');
+    } catch (error) {
+        console.log(`✗ Node API test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
@@ -0,0 +1,307 @@
+/**
+ * CLI Test Suite
+ *
+ * Runs the react-ux-analyzer CLI outside VS Code and validates:
+ * - Results are grouped by file
+ * - Custom rules from --rules-dir are applied
+ * - Exit code reflects the --max-warnings threshold
+ * - react-ux-analyzer.rules from .vscode/settings.json is applied
+ * - Issues in .rux-baseline.json are not reported
+ * - --format sarif writes a SARIF 2.1.0 log
+ * - Packages of a yarn/npm workspace use their own settings and custom rules
+ * - exclude, .gitignore, .ruxignore and per-glob rule overrides are applied
+ * - --history appends a scan summary to .react-ux-analyzer/history.jsonl
+ * - --diff only reports issues on lines changed since a git ref, --format markdown prints a PR summary
+ */
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../src/cli');
+const { stripJsonComments } = require('../src/cli/settings');
+const { readHistory } = require('../src/heuristics/utils/history');
+
+// Collects everything written to stdout/stderr
+function createStream() {
+    const chunks = [];
+    return { write: (chunk) => chunks.push(chunk), text: () => chunks.join('') };
+}
+
+function createProject() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-cli-'));
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.mkdirSync(path.join(dir, 'rules'));
+    fs.writeFileSync(path.join(dir, 'src', 'Page.jsx'), `
+        export default function Home() {
+            return <Page><h1>Home</h1><img src="/hero.png" /></Page>;
+        }
+    `);
+    fs.writeFileSync(path.join(dir, 'rules', 'missing-alt.cjs'), `
+        module.exports = {
+            detector(content) {
+                return content.includes('<img') && !content.includes('alt=')
+                    ? [{ type: 'missing-alt', line: 3, message: 'img misses alt', severity: 'warning' }]
+                    : [];
+            }
+        };
+    `);
+    return dir;
+}
+
+async function test_results_grouped_by_file() {
+    console.log('\n=== Testing CLI output ===');
+    const cwd = createProject();
+    const stdout = createStream();
+    const stderr = createStream();
+
+    const exitCode = await main(['--cwd', cwd, '--rules-dir', 'rules'], { stdout, stderr });
+
+    assert.strictEqual(exitCode, 0, stderr.text());
+    assert.ok(stdout.text().includes(path.join('src', 'Page.jsx')), 'file header printed');
+    assert.ok(stdout.text().includes('missing-breadcrumb (BREADCRUMB)'), 'heuristic detector ran');
+    assert.ok(stdout.text().includes('missing-alt (CUSTOM:missing-alt)'), 'custom rule ran');
+    console.log('✓ CLI output tests passed');
+}
+
+async function test_max_warnings_exit_code() {
+    console.log('\n=== Testing --max-warnings ===');
+    const cwd = createProject();
+
+    const failing = await main(['--cwd', cwd, '--no-custom-rules', '--max-warnings', '0'], { stdout: createStream(), stderr: createStream() });
+    assert.strictEqual(failing, 1);
+
+    const passing = await main(['--cwd', cwd, '--no-custom-rules', '--max-warnings', '10'], { stdout: createStream(), stderr: createStream() });
+    assert.strictEqual(passing, 0);
+
+    const invalid = await main(['--cwd', cwd, '--max-warnings', 'many'], { stdout: createStream(), stderr: createStream() });
+    assert.strictEqual(invalid, 2);
+    console.log('✓ --max-warnings tests passed');
+}
+
+async function test_rules_setting() {
+    console.log('\n=== Testing react-ux-analyzer.rules ===');
+    const cwd = createProject();
+    fs.mkdirSync(path.join(cwd, '.vscode'));
+    fs.writeFileSync(path.join(cwd, '.vscode', 'settings.json'), `{
+        // breadcrumbs are mandatory in this project
+        "react-ux-analyzer.rules": { "missing-breadcrumb": "error", "CUSTOM:missing-alt": "off" }
+    }`);
+    const stdout = createStream();
+
+    const exitCode = await main(['--cwd', cwd, '--rules-dir', 'rules'], { stdout, stderr: createStream() });
+
+    assert.strictEqual(exitCode, 1, 'error severity fails the run');
+    assert.ok(/error\s+.*missing-breadcrumb/.test(stdout.text()), 'severity overridden');
+    assert.ok(!stdout.text().includes('missing-alt'), 'custom rule turned off');
+
+    const jsonc = '{ "url": "http://a,}", "list": [1, 2, /* last */ ], // comment\n }';
+    assert.deepStrictEqual(JSON.parse(stripJsonComments(jsonc)), { url: 'http://a,}', list: [1, 2] }, 'trailing commas only outside strings');
+    console.log('✓ Rules setting tests passed');
+}
+
+async function test_baseline() {
+    console.log('\n=== Testing .rux-baseline.json ===');
+    const cwd = createProject();
+
+    const update = createStream();
+    assert.strictEqual(await main(['--cwd', cwd, '--no-custom-rules', '--update-baseline'], { stdout: update, stderr: createStream() }), 0);
+    assert.ok(fs.existsSync(path.join(cwd, '.rux-baseline.json')), 'baseline written');
+
+    // partial baselines would report the issues of all other files as new
+    for (const partial of [['src/Page.jsx'], ['--diff', 'main']]) {
+        const stderr = createStream();
+        assert.strictEqual(await main(['--cwd', cwd, '--update-baseline', ...partial], { stdout: createStream(), stderr }), 2);
+        assert.ok(stderr.text().includes('cannot be combined with --diff or globs'));
+    }
+
+    // moving the code down keeps the fingerprint, a new page is reported
+    const pagePath = path.join(cwd, 'src', 'Page.jsx');
+    fs.writeFileSync(pagePath, `// moved\n\n${fs.readFileSync(pagePath, 'utf-8')}`);
+    fs.writeFileSync(path.join(cwd, 'src', 'About.jsx'), 'export const About = () => <Page><h1>About</h1></Page>;');
+
+    const stdout = createStream();
+    assert.strictEqual(await main(['--cwd', cwd, '--no-custom-rules', '--max-warnings', '0'], { stdout, stderr: createStream() }), 1);
+    assert.ok(stdout.text().includes(path.join('src', 'About.jsx')), 'new issue reported');
+    assert.ok(!stdout.text().includes(path.join('src', 'Page.jsx')), 'baseline issue hidden');
+
+    const all = createStream();
+    await main(['--cwd', cwd, '--no-custom-rules', '--no-baseline'], { stdout: all, stderr: createStream() });
+    assert.ok(all.text().includes(path.join('src', 'Page.jsx')), '--no-baseline reports everything');
+    console.log('✓ Baseline tests passed');
+}
+
+async function test_sarif_format() {
+    console.log('\n=== Testing --format sarif ===');
+    const cwd = createProject();
+
+    const stdout = createStream();
+    const exitCode = await main(['--cwd', cwd, '--rules-dir', 'rules', '--format', 'sarif'], { stdout, stderr: createStream() });
+    assert.strictEqual(exitCode, 0);
+
+    const sarif = JSON.parse(stdout.text());
+    const [run] = sarif.runs;
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(run.tool.driver.informationUri, 'https://github.com/CyberSpaceEsli/react-ux-analyzer');
+    const breadcrumbRule = run.tool.driver.rules.find(rule => rule.id === 'RUX101');
+    assert.strictEqual(breadcrumbRule.helpUri, 'https://www.nngroup.com/articles/breadcrumbs/');
+    assert.ok(breadcrumbRule.help.text.includes('Why:'), 'why/action in help text');
+    assert.ok(run.tool.driver.rules.some(rule => rule.id === 'CUX-MISSING-ALT'), 'custom rule exported');
+
+    const result = run.results.find(item => item.ruleId === 'RUX101');
+    assert.strictEqual(result.locations[0].physicalLocation.artifactLocation.uri, 'src/Page.jsx');
+    assert.strictEqual(run.tool.driver.rules[result.ruleIndex].id, 'RUX101');
+    assert.deepStrictEqual(result.locations[0].physicalLocation.region, { startLine: 3, startColumn: 21, endLine: 3, endColumn: 25 }, 'exact range of <Page>');
+
+    assert.strictEqual(await main(['--cwd', cwd, '--format', 'sarif', '--output', 'reports/ux.sarif'], { stdout: createStream(), stderr: createStream() }), 0);
+    assert.ok(fs.existsSync(path.join(cwd, 'reports', 'ux.sarif')), '--output writes the report');
+
+    assert.strictEqual(await main(['--cwd', cwd, '--format', 'xml'], { stdout: createStream(), stderr: createStream() }), 2);
+    console.log('✓ SARIF format tests passed');
+}
+
+async function test_html_format() {
+    console.log('\n=== Testing --format html ===');
+    const cwd = createProject();
+    fs.mkdirSync(path.join(cwd, 'public', 'react-ux-screenshots'), { recursive: true });
+    fs.writeFileSync(path.join(cwd, 'public', 'react-ux-screenshots', 'mark-elements-screenshot.png'), 'png');
+
+    const stdout = createStream();
+    assert.strictEqual(await main(['--cwd', cwd, '--rules-dir', 'rules', '--format', 'html'], { stdout, stderr: createStream() }), 0);
+
+    const html = stdout.text();
+    assert.ok(html.startsWith('<!DOCTYPE html>'), 'standalone document');
+    assert.ok(html.includes('Nielsen #1: Visibility of System Status'), 'grouped by heuristic');
+    assert.ok(html.includes('Custom UX Rule: missing-alt'), 'custom rules included');
+    assert.ok(html.includes('&lt;img src=&quot;/hero.png&quot; /&gt;'), 'escaped code snippet');
+    assert.ok(html.includes('data:image/png;base64,'), 'whitespace screenshot embedded');
+    assert.ok(html.indexOf('Nielsen #1') < html.indexOf('Custom UX Rule'), 'heuristic order');
+    console.log('✓ HTML format tests passed');
+}
+
+async function test_workspace_packages() {
+    console.log('\n=== Testing workspace packages ===');
+    const cwd = createProject();
+    fs.writeFileSync(path.join(cwd, 'package.json'), JSON.stringify({ private: true, workspaces: ['packages/*'] }));
+    fs.mkdirSync(path.join(cwd, '.vscode'));
+    fs.writeFileSync(path.join(cwd, '.vscode', 'settings.json'), '{ "react-ux-analyzer.rules": { "missing-breadcrumb": "off" } }');
+
+    const page = 'export const Home = () => <Page><h1>Home</h1><img src="/a.png" /></Page>;';
+    for (const name of ['web', 'admin']) {
+        fs.mkdirSync(path.join(cwd, 'packages', name, 'src'), { recursive: true });
+        fs.writeFileSync(path.join(cwd, 'packages', name, 'package.json'), JSON.stringify({ name }));
+        fs.writeFileSync(path.join(cwd, 'packages', name, 'src', 'Home.jsx'), page);
+    }
+    // web turns breadcrumbs back on and brings its own rule folder
+    fs.mkdirSync(path.join(cwd, 'packages', 'web', '.vscode'));
+    fs.writeFileSync(path.join(cwd, 'packages', 'web', '.vscode', 'settings.json'), JSON.stringify({
+        'react-ux-analyzer.rules': { 'missing-breadcrumb': 'error' },
+        'react-ux-analyzer.customRulePath': 'rules'
+    }));
+    fs.cpSync(path.join(cwd, 'rules'), path.join(cwd, 'packages', 'web', 'rules'), { recursive: true });
+
+    const stdout = createStream();
+    const stderr = createStream();
+    const exitCode = await main(['--cwd', cwd, 'packages/**/*.jsx'], { stdout, stderr });
+    // files are sorted, admin comes first
+    const [admin, web] = stdout.text().split(path.join('packages', 'web', 'src', 'Home.jsx'));
+
+    assert.strictEqual(exitCode, 1, stderr.text());
+    assert.ok(/error\s+.*missing-breadcrumb/.test(web) && web.includes('missing-alt'), 'package settings and rules');
+    assert.ok(!admin.includes('missing-breadcrumb') && !admin.includes('missing-alt'), 'root settings for other packages');
+    console.log('✓ Workspace package tests passed');
+}
+
+async function test_ignored_files_and_overrides() {
+    console.log('\n=== Testing ignored files and overrides ===');
+    const cwd = createProject();
+    const page = 'export const Home = () => <Page><h1>Home</h1></Page>;';
+    for (const file of ['dist/Page.js', 'src/legacy/Old.jsx', 'src/generated/Icons.jsx', 'src/components/Card.jsx']) {
+        fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+        fs.writeFileSync(path.join(cwd, file), page);
+    }
+    fs.writeFileSync(path.join(cwd, '.gitignore'), 'src/generated/\n');
+    fs.writeFileSync(path.join(cwd, '.ruxignore'), '# old pages\nlegacy/\n');
+    fs.mkdirSync(path.join(cwd, '.vscode'));
+    fs.writeFileSync(path.join(cwd, '.vscode', 'settings.json'), JSON.stringify({
+        'react-ux-analyzer.overrides': [{ files: ['src/components/**'], rules: { 'missing-breadcrumb': 'off' } }]
+    }));
+
+    const stdout = createStream();
+    assert.strictEqual(await main(['--cwd', cwd, '--no-custom-rules'], { stdout, stderr: createStream() }), 0);
+    const output = stdout.text();
+    assert.ok(output.includes(path.join('src', 'Page.jsx')));
+    assert.ok(!output.includes('dist'), 'default exclude');
+    assert.ok(!output.includes('Old.jsx'), '.ruxignore');
+    assert.ok(!output.includes('Icons.jsx'), '.gitignore');
+    assert.ok(!output.includes('Card.jsx'), 'override turned the rule off');
+
+    const explicit = createStream();
+    await main(['--cwd', cwd, '--no-custom-rules', 'src/legacy/*.jsx'], { stdout: explicit, stderr: createStream() });
+    assert.ok(!explicit.text().includes('Old.jsx'), 'ignore files apply to explicit globs');
+    console.log('✓ Ignored file and override tests passed');
+}
+
+async function test_history() {
+    console.log('\n=== Testing --history ===');
+    const cwd = createProject();
+    const run = () => main(['--cwd', cwd, '--no-custom-rules', '--history'], { stdout: createStream(), stderr: createStream() });
+
+    await run();
+    fs.writeFileSync(path.join(cwd, 'src', 'About.jsx'), 'export const About = () => <Page><h1>About</h1></Page>;');
+    await run();
+
+    const history = readHistory(cwd);
+    assert.strictEqual(history.length, 2);
+    assert.strictEqual(history[0].commit, null, 'not a git repository');
+    assert.ok(history[1].files['src/About.jsx'] > 0, 'counts per file');
+    assert.ok(history[1].total > history[0].total);
+    console.log('✓ History tests passed');
+}
+
+async function test_diff() {
+    console.log('\n=== Testing --diff ===');
+    const cwd = createProject();
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd, stdio: 'ignore', timeout: 10000 });
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+    git('tag', 'base');
+
+    // a comment above the existing issues and a new untracked page
+    const pagePath = path.join(cwd, 'src', 'Page.jsx');
+    fs.writeFileSync(pagePath, `// changed\n${fs.readFileSync(pagePath, 'utf-8')}`);
+    fs.writeFileSync(path.join(cwd, 'src', 'About.jsx'), 'export const About = () => <Page><h1>About</h1></Page>;');
+
+    const stdout = createStream();
+    assert.strictEqual(await main(['--cwd', cwd, '--diff', 'base', '--format', 'markdown'], { stdout, stderr: createStream() }), 0);
+    assert.ok(stdout.text().includes('changed since `base`'), 'PR summary names the base ref');
+    assert.ok(stdout.text().includes('`src/About.jsx:1`'), 'issues of new files reported');
+    assert.ok(!stdout.text().includes('src/Page.jsx'), 'issues on unchanged lines hidden');
+
+    const stderr = createStream();
+    assert.strictEqual(await main(['--cwd', cwd, '--diff', 'missing-branch'], { stdout: createStream(), stderr }), 2);
+    assert.ok(stderr.text().includes('Unknown git ref "missing-branch"'));
+    console.log('✓ Diff tests passed');
+}
+
+async function runAllTests() {
+    try {
+        await test_results_grouped_by_file();
+        await test_max_warnings_exit_code();
+        await test_rules_setting();
+        await test_baseline();
+        await test_sarif_format();
+        await test_html_format();
+        await test_workspace_packages();
+        await test_ignored_files_and_overrides();
+        await test_history();
+        await test_diff();
+        console.log('\n🎉 All CLI tests passed!');
+    } catch (error) {
+        console.log(`✗ CLI test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
@@ -0,0 +1,113 @@
+/**
+ * ESLint Plugin Test Suite
+ *
+ * Validates eslint-plugin-react-ux:
+ * - Every issue type of the project detectors is a rule with a documentation link
+ * - Rules report only their own issue type at the detector's location
+ * - Rule options are passed to the detectors
+ * - `eslint --fix` applies the quick fixes of the detectors
+ * - The recommended config enables all rules
+ * - The published package bundles the detectors and only depends on Babel
+ */
+const assert = require('assert');
+const path = require('path');
+const { Linter } = require('eslint');
+const plugin = require('../src/eslint-plugin');
+const { projectDetectors } = require('../src/heuristics/registry');
+
+const nav = `export default function Nav() {
+  const load = () => fetch("/api").then(res => res.json());
+  return (
+    <header>
+      <nav>
+        <a href="/a">A</a><a href="/b">B</a><a href="/c">C</a><a href="/d">D</a>
+        <a href="/e">E</a><a href="/f">F</a><a href="/g">G</a><a href="/h">H</a>
+      </nav>
+    </header>
+  );
+}
+`;
+
+function createConfig(rules) {
+    return {
+        files: ['**/*.jsx'],
+        plugins: { 'react-ux': plugin },
+        languageOptions: { parserOptions: { ecmaFeatures: { jsx: true } } },
+        rules
+    };
+}
+
+function lint(code, rules) {
+    return new Linter().verify(code, createConfig(rules), 'src/Nav.jsx');
+}
+
+function test_rules() {
+    console.log('\n=== Testing rule list ===');
+    const issueTypes = projectDetectors.flatMap(detector => Object.keys(detector.codes));
+    assert.deepStrictEqual(Object.keys(plugin.rules).sort(), issueTypes.sort(), 'one rule per issue type');
+    assert.ok(plugin.rules['missing-breadcrumb'].meta.docs.description.includes('RUX101'));
+    assert.ok(plugin.rules['network-missing-catch'].meta.docs.url.startsWith('https://'));
+    console.log('✓ Rule list tests passed');
+}
+
+function test_reports() {
+    console.log('\n=== Testing reported issues ===');
+    const messages = lint(nav, { 'react-ux/network-missing-catch': 'error', 'react-ux/nav-overloaded': 'warn' });
+    assert.deepStrictEqual(messages.map(m => [m.ruleId, m.line, m.column, m.severity]), [
+        ['react-ux/network-missing-catch', 2, 22, 2],
+        ['react-ux/nav-overloaded', 5, 8, 1]
+    ], 'other issue types of the same detectors are not reported');
+    assert.strictEqual(messages[1].message, '<nav> contains 8 items.');
+    console.log('✓ Reported issue tests passed');
+}
+
+function test_options() {
+    console.log('\n=== Testing rule options ===');
+    assert.strictEqual(lint(nav, { 'react-ux/nav-overloaded': ['warn', { maxItems: 9 }] }).length, 0, 'maxItems raised');
+    assert.strictEqual(lint(nav, { 'react-ux/nav-overloaded': ['warn', { maxItems: 5 }] }).length, 1);
+    console.log('✓ Rule option tests passed');
+}
+
+function test_fix() {
+    console.log('\n=== Testing eslint --fix ===');
+    const { output, messages } = new Linter().verifyAndFix(nav, createConfig({ 'react-ux/missing-role': 'warn' }), 'src/Nav.jsx');
+    assert.ok(output.includes('<header role="banner">'));
+    assert.ok(output.includes('<nav role="navigation">'));
+    assert.strictEqual(messages.length, 0);
+    console.log('✓ Fix tests passed');
+}
+
+function test_recommended_config() {
+    console.log('\n=== Testing recommended config ===');
+    const { plugins, rules } = plugin.configs.recommended;
+    assert.strictEqual(plugins['react-ux'], plugin);
+    assert.strictEqual(Object.keys(rules).length, Object.keys(plugin.rules).length);
+    assert.strictEqual(rules['react-ux/missing-breadcrumb'], 'warn');
+    console.log('✓ Recommended config tests passed');
+}
+
+function test_package() {
+    console.log('\n=== Testing plugin package ===');
+    const manifest = require('../packages/eslint-plugin-react-ux/package.json');
+    assert.strictEqual(require('../packages/eslint-plugin-react-ux/index.js'), plugin, 'bundle entry exports the plugin');
+    assert.deepStrictEqual(Object.keys(manifest.dependencies), ['@babel/parser', '@babel/traverse']);
+    assert.ok(!Object.keys(require.cache).some(file => file.includes(`${path.sep}node_modules${path.sep}puppeteer`)), 'puppeteer is not loaded');
+    console.log('✓ Plugin package tests passed');
+}
+
+function runAllTests() {
+    try {
+        test_rules();
+        test_reports();
+        test_options();
+        test_fix();
+        test_recommended_config();
+        test_package();
+        console.log('\n🎉 All ESLint plugin tests passed!');
+    } catch (error) {
+        console.log(`✗ ESLint plugin test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
@@ -0,0 +1,119 @@
+/**
+ * File Filter Test Suite
+ *
+ * Validates which files a project scan analyzes:
+ * - include/exclude globs, with build output and stories excluded by default
+ * - .gitignore and .ruxignore, including negation and folder patterns
+ * - Per-glob rule overrides from react-ux-analyzer.overrides
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileFilter, isIgnored, parseIgnoreFile } = require('../src/heuristics/utils/file-filter');
+const { createRuleResolver } = require('../src/heuristics/utils/rules-config');
+
+function createProject(files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-filter-'));
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    }
+    return root;
+}
+
+function test_include_exclude() {
+    console.log('\n=== Testing include/exclude ===');
+    const root = createProject({});
+    const file = (relativePath) => path.join(root, relativePath);
+
+    const byDefault = createFileFilter({ root });
+    assert.ok(byDefault(file('src/App.jsx')));
+    assert.ok(!byDefault(file('dist/App.js')), 'build output');
+    assert.ok(!byDefault(file('src/Button.stories.tsx')), 'storybook stories');
+    assert.ok(!byDefault(file('src/__fixtures__/Page.jsx')), 'test fixtures');
+
+    const custom = createFileFilter({ root, include: ['src/**/*.jsx'], exclude: ['**/legacy/**'] });
+    assert.ok(custom(file('src/pages/Home.jsx')));
+    assert.ok(!custom(file('scripts/build.js')), 'not included');
+    assert.ok(!custom(file('src/legacy/Old.jsx')), 'excluded');
+
+    assert.ok(createFileFilter({ root, include: null })(file('scripts/build.js')), 'include check skipped');
+    console.log('✓ Include/exclude tests passed');
+}
+
+function test_ignore_syntax() {
+    console.log('\n=== Testing .gitignore syntax ===');
+    const rules = parseIgnoreFile(`
+# generated
+*.generated.jsx
+!keep.generated.jsx
+/out
+src/icons/
+\\#hash.jsx
+`);
+    assert.ok(isIgnored('src/a.generated.jsx', rules), 'pattern without slash matches at any depth');
+    assert.ok(!isIgnored('src/keep.generated.jsx', rules), 'negation');
+    assert.ok(isIgnored('out/App.jsx', rules), 'anchored folder');
+    assert.ok(!isIgnored('src/out/App.jsx', rules), 'anchored to the ignore file');
+    assert.ok(isIgnored('src/icons/Home.jsx', rules), 'folder pattern');
+    assert.ok(!isIgnored('src/icons', rules), 'trailing slash only matches folders');
+    assert.ok(isIgnored('#hash.jsx', rules), 'escaped #');
+    assert.ok(!isIgnored('src/App.jsx', rules));
+
+    const reinclude = parseIgnoreFile('build/\n!build/App.jsx');
+    assert.ok(isIgnored('build/App.jsx', reinclude), 'files of ignored folders stay ignored');
+    console.log('✓ Ignore syntax tests passed');
+}
+
+function test_ignore_files() {
+    console.log('\n=== Testing .gitignore and .ruxignore ===');
+    const root = createProject({
+        '.gitignore': 'generated/\n',
+        'packages/web/.ruxignore': 'src/legacy/**\n'
+    });
+    const web = path.join(root, 'packages', 'web');
+    const isAnalyzed = createFileFilter({ root: web, ignoreDirs: [web, root] });
+
+    assert.ok(isAnalyzed(path.join(web, 'src', 'App.jsx')));
+    assert.ok(!isAnalyzed(path.join(web, 'src', 'legacy', 'Old.jsx')), '.ruxignore of the package');
+    assert.ok(!isAnalyzed(path.join(web, 'generated', 'Icons.jsx')), '.gitignore of the workspace folder');
+    console.log('✓ Ignore file tests passed');
+}
+
+function test_rule_overrides() {
+    console.log('\n=== Testing rule overrides ===');
+    const root = path.join(os.tmpdir(), 'project');
+    const messages = [];
+    const getRules = createRuleResolver({
+        rules: { 'missing-breadcrumb': 'warning', 'nav-overloaded': 'info' },
+        overrides: [
+            { files: ['src/components/**'], rules: { 'missing-breadcrumb': 'off' } },
+            { files: 'src/components/nav/*.jsx', rules: { 'nav-overloaded': ['error', { maxItems: 3 }] } },
+            { files: [], rules: {} }
+        ]
+    }, root, (message) => messages.push(message));
+
+    assert.deepStrictEqual(getRules(path.join(root, 'src', 'pages', 'Home.jsx'))['missing-breadcrumb'], { severity: 'warning', options: {} });
+    const nav = getRules(path.join(root, 'src', 'components', 'nav', 'Menu.jsx'));
+    assert.strictEqual(nav['missing-breadcrumb'].severity, 'off');
+    assert.deepStrictEqual(nav['nav-overloaded'], { severity: 'error', options: { maxItems: 3 } }, 'later overrides win');
+    assert.strictEqual(getRules()['missing-breadcrumb'].severity, 'warning', 'no file, no overrides');
+    assert.strictEqual(messages.length, 1, 'invalid override reported');
+    console.log('✓ Rule override tests passed');
+}
+
+function runAllTests() {
+    try {
+        test_include_exclude();
+        test_ignore_syntax();
+        test_ignore_files();
+        test_rule_overrides();
+        console.log('\n🎉 All file filter tests passed!');
+    } catch (error) {
+        console.log(`✗ File filter test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
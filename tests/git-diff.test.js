@@ -0,0 +1,135 @@
+/**
+ * Git Diff Test Suite
+ *
+ * Validates the diff mode for code reviews:
+ * - Changed line ranges are parsed from `git diff --unified=0`
+ * - Only issues on changed lines are kept, untracked files keep all issues
+ * - Changed lines are read from local git, including uncommitted and untracked files
+ * - The markdown PR summary lists counts and every issue with its code
+ */
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDiff, getChangedLines, filterChangedIssues } = require('../src/heuristics/utils/git-diff');
+const { formatMarkdown } = require('../src/reporters/markdown');
+
+function test_parse_diff() {
+    console.log('\n=== Testing diff parsing ===');
+    const changed = parseDiff(`diff --git a/src/Home.jsx b/src/Home.jsx
+index 1111111..2222222 100644
+--- a/src/Home.jsx
++++ b/src/Home.jsx
+@@ -3 +3 @@ export default function Home() {
+-      <h1>Home</h1>
++      <h1>Welcome</h1>
+@@ -10,0 +11,3 @@
++      <form>
++      </form>
++      <p />
+@@ -20,2 +23,0 @@
+-      <br />
+-      <br />
+diff --git a/src/Old.jsx b/src/Old.jsx
+deleted file mode 100644
+--- a/src/Old.jsx
++++ /dev/null
+@@ -1,2 +0,0 @@
+-export const Old = () => null;
+-
+`);
+    assert.deepStrictEqual([...changed.keys()], ['src/Home.jsx'], 'deleted files skipped');
+    assert.deepStrictEqual(changed.get('src/Home.jsx'), [[3, 3], [11, 13]], 'pure deletions have no lines');
+    console.log('✓ Diff parsing tests passed');
+}
+
+function test_filter_issues() {
+    console.log('\n=== Testing changed line filter ===');
+    const issues = [{ line: 2 }, { line: 3 }, { line: 9, endLine: 12 }, { line: 14 }, {}];
+    /** @type {Array<[number, number]>} */
+    const ranges = [[3, 3], [11, 13]];
+
+    assert.deepStrictEqual(filterChangedIssues(issues, ranges).map(issue => issue.line), [3, 9], 'multi-line issues overlapping a hunk');
+    assert.strictEqual(filterChangedIssues(issues, null).length, 5, 'untracked file');
+    assert.deepStrictEqual(filterChangedIssues(issues, undefined), [], 'unchanged file');
+    assert.strictEqual(filterChangedIssues([{}], [[1, 1]]).length, 1, 'issues without line are on line 1');
+    console.log('✓ Changed line filter tests passed');
+}
+
+function test_changed_lines() {
+    console.log('\n=== Testing changed lines from git ===');
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-diff-'));
+    assert.throws(() => getChangedLines(root, 'main'), /not inside a git repository/);
+
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: root, stdio: 'ignore', timeout: 10000 });
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.writeFileSync(path.join(root, 'src', 'Home.jsx'), 'a\nb\nc\n');
+    fs.writeFileSync(path.join(root, 'src', 'Same.jsx'), 'a\n');
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+    git('tag', 'base');
+
+    fs.writeFileSync(path.join(root, 'src', 'Home.jsx'), 'a\nb\nb2\nc\n');
+    git('commit', '-q', '-am', 'feature');
+    fs.appendFileSync(path.join(root, 'src', 'Home.jsx'), 'd\n');
+    fs.writeFileSync(path.join(root, 'src', 'New.jsx'), 'new\n');
+
+    const changed = getChangedLines(root, 'base');
+    assert.deepStrictEqual(changed.get(path.join(root, 'src', 'Home.jsx')), [[3, 3], [5, 5]], 'committed and uncommitted changes');
+    assert.strictEqual(changed.get(path.join(root, 'src', 'New.jsx')), null, 'untracked file');
+    assert.ok(!changed.has(path.join(root, 'src', 'Same.jsx')));
+
+    // prefixes of the user's git config do not change the paths
+    for (const [key, value] of [['diff.mnemonicPrefix', 'true'], ['diff.noprefix', 'true']]) {
+        git('config', key, value);
+        assert.deepStrictEqual(getChangedLines(root, 'base').get(path.join(root, 'src', 'Home.jsx')), [[3, 3], [5, 5]], key);
+        git('config', '--unset', key);
+    }
+
+    const src = getChangedLines(path.join(root, 'src'), 'base');
+    assert.ok(src.has(path.join(root, 'src', 'Home.jsx')), 'paths below a subfolder');
+    assert.throws(() => getChangedLines(root, 'missing'), /Unknown git ref "missing"/);
+    console.log('✓ Changed lines tests passed');
+}
+
+function test_markdown_summary() {
+    console.log('\n=== Testing PR summary ===');
+    const root = path.join(os.tmpdir(), 'project');
+    const markdown = formatMarkdown([
+        {
+            filePath: path.join(root, 'src', 'Home.jsx'),
+            issues: [
+                { analysisType: 'LOADING', type: 'missing-loading', line: 9, severity: 'error', message: 'No loading | state\nshown' },
+                { analysisType: 'BREADCRUMB', type: 'missing-breadcrumb', line: 4 }
+            ]
+        },
+        { filePath: path.join(root, 'src', 'About.jsx'), issues: [] }
+    ], { root, baseRef: 'main' });
+
+    assert.ok(markdown.includes('**2 UX issue(s)** on lines changed since `main` in 2 file(s) analyzed: 1 error(s), 1 warning(s), 0 info'));
+    const rows = markdown.split('\n').filter(line => line.startsWith('| 🔴') || line.startsWith('| 🟡'));
+    assert.deepStrictEqual(rows.map(row => row.split('|')[4].trim()), ['`src/Home.jsx:4`', '`src/Home.jsx:9`'], 'sorted by line');
+    assert.deepStrictEqual(rows.map(row => row.split('|')[2].trim()), ['2', '3'], 'severity ratings of the issue types');
+    assert.ok(rows[0].includes('[RUX101]('), 'code linked to its docs');
+    assert.ok(rows[1].includes('No loading \\| state shown'), 'cells escaped');
+
+    assert.ok(formatMarkdown([], { root }).includes('✅ No UX issues (0 file(s) analyzed)'));
+    console.log('✓ PR summary tests passed');
+}
+
+function runAllTests() {
+    try {
+        test_parse_diff();
+        test_filter_issues();
+        test_changed_lines();
+        test_markdown_summary();
+        console.log('\n🎉 All git diff tests passed!');
+    } catch (error) {
+        console.log(`✗ Git diff test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
@@ -0,0 +1,163 @@
+/**
+ * History Test Suite
+ *
+ * Validates the scan history behind the UX Trends view:
+ * - Scan summaries count issues per RUX code, file and severity with the git commit and NIMA score
+ * - history.jsonl is appended to and read back, broken lines are skipped
+ * - Scans are compared with the previous scan or the last scan at a commit, or at its closest earlier commit
+ * - The trends HTML charts the scans and lists regressions and improvements
+ */
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HISTORY_FILE, getGitCommit, createHistoryEntry, appendHistory, readHistory, findComparisonEntry, compareEntries } = require('../src/heuristics/utils/history');
+const { formatTrendsHtml } = require('../src/reporters/trends');
+
+const root = path.join(os.tmpdir(), 'project');
+
+const results = [
+    {
+        filePath: path.join(root, 'src', 'Home.jsx'),
+        issues: [
+            { analysisType: 'BREADCRUMB', type: 'missing-breadcrumb', line: 4 },
+            { analysisType: 'LOADING', type: 'missing-loading', line: 9, severity: 'error' },
+            { analysisType: 'CUSTOM:missing-alt', type: 'missing-alt', line: 2, severity: 'info' }
+        ]
+    },
+    { filePath: path.join(root, 'src', 'About.jsx'), issues: [] }
+];
+
+/**
+ * @param {number} total
+ * @param {{ commit?: string | null, date?: string, codes?: Object<string, number>, files?: Object<string, number> }} [options]
+ */
+function createEntry(total, { commit = null, date = '2026-01-01T10:00:00.000Z', codes = { RUX101: total }, files = { 'src/Home.jsx': total } } = {}) {
+    return { date, commit, analyzedFiles: 1, total, severities: { error: 0, warning: total, info: 0 }, codes, files };
+}
+
+function test_create_entry() {
+    console.log('\n=== Testing scan summary ===');
+    const entry = createHistoryEntry(results, { root, commit: 'abc1234', nimaScore: { mean: 5.2, std: 1.1, url: 'http://localhost:5173' }, date: new Date('2026-01-01T10:00:00Z') });
+
+    assert.strictEqual(entry.date, '2026-01-01T10:00:00.000Z');
+    assert.strictEqual(entry.commit, 'abc1234');
+    assert.strictEqual(entry.analyzedFiles, 2);
+    assert.strictEqual(entry.total, 3);
+    assert.deepStrictEqual(entry.severities, { error: 1, warning: 1, info: 1, hint: 0 }, 'default severity of the detector');
+    assert.deepStrictEqual(entry.codes, { 'CUX-MISSING-ALT': 1, RUX101: 1, RUX104: 1 });
+    assert.deepStrictEqual(entry.files, { 'src/Home.jsx': 3 }, 'relative paths with forward slashes');
+    assert.deepStrictEqual(entry.nima, { mean: 5.2, std: 1.1 });
+    assert.strictEqual(createHistoryEntry([], { root, commit: null }).nima, undefined);
+    console.log('✓ Scan summary tests passed');
+}
+
+function test_read_write() {
+    console.log('\n=== Testing history.jsonl ===');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-history-'));
+    assert.deepStrictEqual(readHistory(dir), [], 'no history yet');
+
+    appendHistory(dir, createEntry(3));
+    fs.appendFileSync(path.join(dir, HISTORY_FILE), '{ broken\n\n');
+    appendHistory(dir, createEntry(5));
+    assert.deepStrictEqual(readHistory(dir).map(entry => entry.total), [3, 5], 'oldest first, broken lines skipped');
+    console.log('✓ History file tests passed');
+}
+
+function test_git_commit() {
+    console.log('\n=== Testing git commit ===');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-git-'));
+    assert.strictEqual(getGitCommit(dir), null, 'not a git repository');
+
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, stdio: 'ignore', timeout: 10000 });
+    git('init', '-q');
+    git('commit', '-q', '--allow-empty', '-m', 'initial');
+    assert.ok(/^[0-9a-f]{40}$/.test(getGitCommit(dir)));
+    console.log('✓ Git commit tests passed');
+}
+
+function test_compare() {
+    console.log('\n=== Testing comparison ===');
+    const history = [
+        createEntry(4, { commit: 'aaa1111' }),
+        createEntry(2, { commit: 'bbb2222' }),
+        createEntry(6, { commit: 'bbb2222', codes: { RUX101: 2, RUX104: 4 }, files: { 'src/Home.jsx': 2, 'src/About.jsx': 4 } })
+    ];
+
+    assert.strictEqual(findComparisonEntry(history), history[1], 'previous scan');
+    assert.strictEqual(findComparisonEntry(history, 'aaa'), history[0], 'abbreviated commit');
+    assert.strictEqual(findComparisonEntry(history, 'ccc'), undefined);
+    assert.strictEqual(findComparisonEntry(history.slice(0, 1)), undefined, 'only one scan');
+
+    const comparison = compareEntries(history[0], history[2]);
+    assert.deepStrictEqual(comparison.total, { before: 4, after: 6, delta: 2 });
+    assert.deepStrictEqual(comparison.codes, [
+        { key: 'RUX104', before: 0, after: 4, delta: 4 },
+        { key: 'RUX101', before: 4, after: 2, delta: -2 }
+    ], 'regressions first');
+    assert.deepStrictEqual(comparison.files.map(change => change.key), ['src/About.jsx', 'src/Home.jsx']);
+    assert.strictEqual(comparison.nima, undefined, 'no NIMA score');
+
+    const nima = compareEntries({ ...history[0], nima: { mean: 5, std: 1 } }, { ...history[2], nima: { mean: 4.5, std: 1 } });
+    assert.deepStrictEqual(nima.nima, { before: 5, after: 4.5, delta: -0.5 });
+    console.log('✓ Comparison tests passed');
+}
+
+function test_trends_html() {
+    console.log('\n=== Testing trends HTML ===');
+    const history = [
+        createEntry(4, { commit: 'aaa1111' }),
+        createEntry(6, { commit: 'bbb2222', codes: { RUX101: 2, RUX104: 4 }, files: { 'src/Home.jsx': 2, 'src/<About>.jsx': 4 } })
+    ];
+    const html = formatTrendsHtml(history, { cspSource: 'vscode-resource:', nonce: 'abc123' });
+
+    assert.ok(html.includes('<svg class="chart"'), 'trend chart');
+    assert.ok(html.includes('Codes with more issues') && html.includes('RUX104'), 'code regression');
+    assert.ok(html.includes('data-file="src/&lt;About&gt;.jsx"'), 'regressed file links, escaped');
+    assert.ok(html.includes('Codes with fewer issues'), 'improvements');
+    assert.ok(html.includes('<option value="aaa1111">aaa1111'), 'earlier commits can be compared with');
+    assert.ok(!html.includes('<option value="bbb2222"'), 'not the commit of the latest scan');
+    assert.ok(html.includes('<script nonce="abc123">'));
+
+    assert.ok(formatTrendsHtml(history.slice(1), { cspSource: '', nonce: 'n' }).includes('Only one scan recorded'));
+    assert.ok(formatTrendsHtml([], { cspSource: '', nonce: 'n' }).includes('No scans recorded yet'));
+    assert.ok(formatTrendsHtml(history, { commit: 'fff', cspSource: '', nonce: 'n' }).includes('No scan found at commit fff'));
+    console.log('✓ Trends HTML tests passed');
+}
+
+function test_compare_unscanned_commit() {
+    console.log('\n=== Testing comparison with a commit without scan ===');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-git-'));
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, timeout: 10000 }).toString().trim();
+    git('init', '-q');
+    const commits = ['first', 'second', 'third'].map(message => {
+        git('commit', '-q', '--allow-empty', '-m', message);
+        return git('rev-parse', 'HEAD');
+    });
+    const history = [createEntry(4, { commit: commits[0] }), createEntry(6, { commit: commits[2] })];
+
+    assert.strictEqual(findComparisonEntry(history, commits[1]), undefined, 'only exact commits without a repository');
+    assert.strictEqual(findComparisonEntry(history, commits[1], { root: dir }), history[0], 'closest earlier scan');
+    assert.strictEqual(findComparisonEntry(history, 'fff', { root: dir }), undefined, 'unknown commit');
+    const html = formatTrendsHtml(history, { commit: commits[1], root: dir, cspSource: '', nonce: 'n' });
+    assert.ok(html.includes(`No scan at commit ${commits[1].slice(0, 7)}, compared with the closest earlier scan`), 'fallback explained');
+    console.log('✓ Comparison with a commit without scan tests passed');
+}
+
+function runAllTests() {
+    try {
+        test_create_entry();
+        test_read_write();
+        test_git_commit();
+        test_compare();
+        test_trends_html();
+        test_compare_unscanned_commit();
+        console.log('\n🎉 All history tests passed!');
+    } catch (error) {
+        console.log(`✗ History test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
@@ -0,0 +1,151 @@
+/**
+ * Import Graph Test Suite
+ *
+ * Validates cross-file component resolution used by the breadcrumb check:
+ * - Relative imports, index barrels, path aliases and baseUrl from tsconfig.json (with extends)
+ * - A <Layout> rendering an imported <AppHeader> with a breadcrumb is not flagged
+ * - Same-file components, namespace imports, memo() wrappers (also as default export) and import cycles
+ * - Changed files are parsed again, at most maxModules parsed files are kept
+ * - Importers of a file are found through the reverse edges, also when workers resolved the imports
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createImportGraph, importGraph } = require('../src/heuristics/utils/import-graph');
+const traverse = require('@babel/traverse').default;
+const { parseCode } = require('../src/heuristics/utils/parse-code');
+const { detectBreadcrumbs } = require('../src/heuristics/1-visibility-system-status/breadcrumb-detector');
+
+function createProject(files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-graph-'));
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    }
+    return root;
+}
+
+const root = createProject({
+    'tsconfig.base.json': '{ "compilerOptions": { "baseUrl": "." } }',
+    // comments are allowed in tsconfig.json
+    'tsconfig.json': '{ "extends": "./tsconfig.base", "compilerOptions": { /* aliases */ "paths": { "@/*": ["src/*"] } } }',
+    'src/components/AppHeader.jsx': 'export function AppHeader() { return <header><Breadcrumbs /></header>; }',
+    'src/components/Footer.jsx': 'export default function Footer() { return <footer />; }',
+    'src/components/MemoHeader.jsx': "import { memo } from 'react';\nfunction AppHeader() { return <header><Breadcrumbs /></header>; }\nexport default memo(AppHeader);",
+    'src/components/RouterHeader.jsx': "function Header() { return <header><Breadcrumbs /></header>; }\nexport default withRouter(Header);",
+    'src/components/index.js': "export * from './AppHeader';\nexport { default as Footer } from './Footer';",
+    'src/layouts/Layout.jsx': "import { AppHeader } from '@/components';\nexport default function Layout({ children }) { return <div><AppHeader />{children}</div>; }",
+    'src/pages/Cycle.jsx': "import { Other } from './Other';\nexport function Cycle() { return <Other />; }",
+    'src/pages/Other.jsx': "import { Cycle } from './Cycle';\nexport function Other() { return <Cycle />; }"
+});
+
+const read = (file) => path.join(root, file);
+const missing = (content, file = 'src/pages/Page.jsx') => detectBreadcrumbs(content, read(file)).length;
+
+function test_resolve_imports() {
+    console.log('\n=== Testing import resolution ===');
+    const graph = createImportGraph();
+    const from = read('src/pages/Home.jsx');
+
+    assert.strictEqual(graph.resolveImport(from, '../layouts/Layout'), read('src/layouts/Layout.jsx'), 'relative import with extension lookup');
+    assert.strictEqual(graph.resolveImport(from, '@/components'), read('src/components/index.js'), 'path alias to an index barrel');
+    assert.strictEqual(graph.resolveImport(from, 'src/components/Footer'), read('src/components/Footer.jsx'), 'baseUrl of the extended config');
+    assert.strictEqual(graph.resolveImport(from, 'react'), null, 'packages are not followed');
+    assert.strictEqual(graph.resolveImport(from, './Missing'), null);
+    assert.strictEqual(graph.resolveImport(undefined, './Layout'), null, 'no file name');
+    console.log('✓ Import resolution tests passed');
+}
+
+function test_cross_file_breadcrumbs() {
+    console.log('\n=== Testing cross-file breadcrumbs ===');
+    assert.strictEqual(missing("import Layout from '../layouts/Layout';\nexport default () => <Layout><h1>Home</h1></Layout>;"), 0, 'Layout renders AppHeader with a breadcrumb');
+    assert.strictEqual(missing("import { AppHeader } from '@/components';\nexport default () => <Page><AppHeader /></Page>;"), 0, 'child from a barrel');
+    assert.strictEqual(missing("import * as UI from '@/components';\nexport default () => <Main><UI.AppHeader /></Main>;"), 0, 'namespace import');
+    assert.strictEqual(missing("import AppHeader from '@/components/MemoHeader';\nexport default () => <Layout><AppHeader /></Layout>;"), 0, 'export default memo(AppHeader)');
+    assert.strictEqual(missing("import Header from '../components/RouterHeader';\nexport default () => <Layout><Header /></Layout>;"), 0, 'export default withRouter(Header)');
+    assert.strictEqual(missing("import { Footer } from '@/components';\nexport default () => <Page><Footer /></Page>;"), 1, 'no breadcrumb anywhere');
+    assert.strictEqual(missing("import { Cycle } from './Cycle';\nexport default () => <Page><Cycle /></Page>;"), 1, 'import cycles end');
+    console.log('✓ Cross-file breadcrumb tests passed');
+}
+
+function test_same_file_components() {
+    console.log('\n=== Testing same-file components ===');
+    const local = `
+        const Header = () => <nav aria-label="breadcrumb" />;
+        function Inner() { return <Breadcrumbs />; }
+        const Memoized = React.memo(Inner);
+        export const Home = () => <Main><Header /></Main>;
+        export const About = () => <Page><Memoized /></Page>;
+        export const Contact = () => <Page><Unknown /></Page>;
+    `;
+    const issues = detectBreadcrumbs(local);
+    assert.deepStrictEqual(issues.map(issue => issue.line), [7], 'only the unresolved component, also without a file name');
+    console.log('✓ Same-file component tests passed');
+}
+
+function test_changed_files() {
+    console.log('\n=== Testing changed files ===');
+    const page = "import { Footer } from '@/components';\nexport default () => <Page><Footer /></Page>;";
+    assert.strictEqual(missing(page), 1);
+
+    const footerPath = read('src/components/Footer.jsx');
+    fs.writeFileSync(footerPath, 'export default function Footer() { return <footer><nav aria-label="breadcrumb" /></footer>; }');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(footerPath, later, later);
+    assert.strictEqual(missing(page), 0, 'Footer parsed again');
+
+    // Page -> Layout -> barrel -> AppHeader needs more files than the graph keeps
+    const small = createImportGraph({ maxModules: 1 });
+    const firstElement = (content) => {
+        let found;
+        traverse(parseCode(content, read('src/pages/Home.jsx')), { JSXElement(elementPath) { found = found || elementPath; } });
+        return found;
+    };
+    const isBreadcrumbs = (node) => node.openingElement.name.name === 'Breadcrumbs';
+    const layoutPage = "import Layout from '../layouts/Layout';\nexport default () => <Layout><h1>Home</h1></Layout>;";
+    assert.ok(small.subtreeRenders(firstElement(layoutPage), isBreadcrumbs, read('src/pages/Home.jsx')), 'resolved with evicted files');
+    assert.ok(small.subtreeRenders(firstElement(layoutPage), isBreadcrumbs, read('src/pages/Home.jsx')), 'evicted files parsed again');
+    console.log('✓ Changed file tests passed');
+}
+
+function test_importers() {
+    console.log('\n=== Testing importers ===');
+    missing("import Layout from '../layouts/Layout';\nexport default () => <Layout><h1>Home</h1></Layout>;", 'src/pages/Home.jsx');
+    const importers = importGraph.getImporters(read('src/components/AppHeader.jsx'));
+    assert.deepStrictEqual(importers.sort(), ['src/components/index.js', 'src/layouts/Layout.jsx', 'src/pages/Home.jsx', 'src/pages/Page.jsx'].map(read), 'through the barrel and Layout');
+    assert.deepStrictEqual(importGraph.getImporters(read('src/pages/Home.jsx')), [], 'nothing imports the page');
+    assert.deepStrictEqual(importGraph.getImporters(read('src/pages/Cycle.jsx')).sort(), [read('src/pages/Other.jsx'), read('src/pages/Page.jsx')], 'cycles end without the file itself');
+
+    importGraph.invalidate(read('src/components/AppHeader.jsx'));
+    assert.strictEqual(importGraph.getImporters(read('src/components/AppHeader.jsx')).length, 4, 'edges are kept when a module is invalidated');
+
+    // a graph in a worker thread hands its new imports to the graph of the calling thread
+    const worker = createImportGraph({ trackImports: true });
+    const from = read('src/pages/Home.jsx');
+    worker.resolveImport(from, '../layouts/Layout');
+    worker.resolveImport(from, '../layouts/Layout');
+    const imports = worker.takeImports();
+    assert.deepStrictEqual(imports, [[from, read('src/layouts/Layout.jsx')]], 'each import once');
+    assert.deepStrictEqual(worker.takeImports(), [], 'taken');
+    const main = createImportGraph();
+    main.addImports(imports);
+    assert.deepStrictEqual(main.getImporters(read('src/layouts/Layout.jsx')), [from]);
+    console.log('✓ Importer tests passed');
+}
+
+function runAllTests() {
+    try {
+        test_resolve_imports();
+        test_cross_file_breadcrumbs();
+        test_same_file_components();
+        test_changed_files();
+        test_importers();
+        console.log('\n🎉 All import graph tests passed!');
+    } catch (error) {
+        console.log(`✗ Import graph test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
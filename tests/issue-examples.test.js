@@ -0,0 +1,88 @@
+/**
+ * Issue Examples Test Suite
+ *
+ * Validates the bad/good examples of the detector guides shown on hover:
+ * - Every issue type of a detector with a guide has an example
+ * - Bad examples are reported by their detector, good examples are not
+ * - Hovers combine heuristic, rationale, example and links, custom rules get no example
+ */
+const assert = require('assert');
+const { detectors, projectDetectors } = require('../src/heuristics/registry');
+const { analyzeFile } = require('../src/heuristics/analyze-file');
+const { parseExamples, getIssueExample, getGuideUrl } = require('../src/heuristics/utils/issue-examples');
+const { formatHover } = require('../src/heuristics/utils/diagnostics');
+
+function test_parse_examples() {
+    console.log('\n=== Testing example parsing ===');
+    const markdown = [
+        '## Examples', '', '### `missing-thing` (RUX999)', '❌ Bad', '```jsx', '<div />', '```', '✅ Good', '```jsx', '<div>', '  <Thing />', '</div>', '```', '',
+        '### `no-good-example`', '❌ Bad', '```jsx', '<span />', '```', '',
+        '## Why Detector Matters', '### `outside-section`', '❌ Bad', '```jsx', '<p />', '```', '✅ Good', '```jsx', '<p />', '```'
+    ].join('\n');
+    assert.deepStrictEqual(parseExamples(markdown), { 'missing-thing': { bad: '<div />', good: '<div>\n  <Thing />\n</div>' } });
+    assert.deepStrictEqual(parseExamples('# No examples'), {});
+    console.log('✓ Example parsing tests passed');
+}
+
+function test_guides_cover_issue_types() {
+    console.log('\n=== Testing guide coverage ===');
+    for (const detector of detectors.filter(detector => detector.guide)) {
+        for (const type of Object.keys(detector.codes)) {
+            assert.ok(getIssueExample({ analysisType: detector.type, type }), `${type} has an example in ${detector.guide}`);
+        }
+        assert.ok(getGuideUrl(detector.type).endsWith(detector.guide));
+    }
+    assert.strictEqual(getGuideUrl('BREADCRUMB'), 'https://github.com/CyberSpaceEsli/react-ux-analyzer/blob/main/src/heuristics/1-visibility-system-status/BREADCRUMB-DETECTION.md', 'repository of package.json');
+    assert.strictEqual(getIssueExample({ analysisType: 'CUSTOM:missing-alt.cjs', type: 'missing-role' }), undefined, 'custom rules');
+    console.log('✓ Guide coverage tests passed');
+}
+
+async function test_examples_match_detectors() {
+    console.log('\n=== Testing examples against the detectors ===');
+    for (const detector of projectDetectors) {
+        for (const type of Object.keys(detector.codes)) {
+            const { bad, good } = getIssueExample({ analysisType: detector.type, type });
+            const report = async (code) => (await analyzeFile(code, { detectors: [detector], fileName: 'Example.jsx' })).issues.map(issue => issue.type);
+            assert.ok((await report(bad)).includes(type), `bad example of ${type} is reported`);
+            assert.ok(!(await report(good)).includes(type), `good example of ${type} passes`);
+        }
+    }
+    console.log('✓ Detector example tests passed');
+}
+
+function test_hover() {
+    console.log('\n=== Testing hover markdown ===');
+    const hover = formatHover({
+        analysisType: 'LOADING',
+        type: 'missing-loading',
+        message: 'Button is missing `disabled={isLoading}`.',
+        why: 'Users need feedback.',
+        action: 'Add `disabled={isLoading}`.'
+    });
+    assert.ok(hover.startsWith('**Nielsen #1: Visibility of System Status** (RUX104)'));
+    assert.ok(hover.includes('**Why:** Users need feedback.'));
+    assert.ok(hover.includes('**Severity rating:** 3 - Major usability problem'));
+    assert.ok(hover.includes('❌ **Bad**\n```jsx\n<button type="submit">Save</button>\n```'));
+    assert.ok(hover.includes('✅ **Good**\n```jsx\n<button type="submit" disabled={loading}>'));
+    assert.ok(hover.includes('[Detector guide](https://github.com/CyberSpaceEsli/react-ux-analyzer/blob/main/src/heuristics/1-visibility-system-status/LOADING-DETECTION.md)'));
+
+    const custom = formatHover({ analysisType: 'CUSTOM:missing-alt.cjs', message: '<img> tag missing alt attribute.' });
+    assert.ok(!custom.includes('```'), 'no example for custom rules');
+    assert.ok(!custom.includes('Detector guide'));
+    console.log('✓ Hover markdown tests passed');
+}
+
+async function runAllTests() {
+    try {
+        test_parse_examples();
+        test_guides_cover_issue_types();
+        await test_examples_match_detectors();
+        test_hover();
+        console.log('\n🎉 All issue example tests passed!');
+    } catch (error) {
+        console.log(`✗ Issue example test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
@@ -0,0 +1,75 @@
+/**
+ * Issue Groups Test Suite
+ *
+ * Validates the grouping behind the UX Issues view:
+ * - Heuristic -> issue type -> file, in heuristic order with counts per severity
+ * - Custom rules and NIMA are listed after Nielsen #1-#10
+ * - The severity filter drops issues and empty groups
+ */
+const assert = require('assert');
+const { groupIssues } = require('../src/heuristics/utils/issue-groups');
+
+const results = new Map([
+    ['/app/src/Home.jsx', [
+        { analysisType: 'LOADING', type: 'missing-loading', line: 9, severity: 'warning' },
+        { analysisType: 'BREADCRUMB', type: 'missing-breadcrumb', line: 4 },
+        { analysisType: 'CUSTOM:missing-alt', type: 'missing-alt', line: 2, severity: 'error' }
+    ]],
+    ['/app/src/About.jsx', [
+        { analysisType: 'BREADCRUMB', type: 'missing-breadcrumb', line: 3, severity: 'info' },
+        { analysisType: 'RECOGNITION', type: 'missing-placeholder', line: 12, severity: 'error' },
+        { analysisType: 'RECOGNITION', type: 'missing-placeholder', line: 5, severity: 'error' }
+    ]],
+    ['Visual Quality Analysis', [
+        { analysisType: 'NIMA', type: 'nima-score', line: 1 }
+    ]]
+]);
+
+function test_grouping() {
+    console.log('\n=== Testing heuristic grouping ===');
+    const groups = groupIssues(results);
+
+    assert.deepStrictEqual(groups.map(group => group.name), [
+        'Nielsen #1: Visibility of System Status',
+        'Nielsen #6: Recognition Rather Than Recall',
+        'Custom UX Rule: missing-alt',
+        'NIMA Visual Quality Score'
+    ]);
+
+    const [visibility, recognition] = groups;
+    assert.strictEqual(visibility.heuristic, 1);
+    assert.strictEqual(visibility.count, 3);
+    assert.deepStrictEqual(visibility.counts, { error: 0, warning: 2, info: 1, hint: 0 }, 'default severity of the detector');
+    assert.deepStrictEqual(visibility.types.map(type => `${type.code} ${type.type} ${type.count}`), ['RUX101 missing-breadcrumb 2', 'RUX104 missing-loading 1']);
+    assert.deepStrictEqual(visibility.types[0].files.map(file => file.filePath), ['/app/src/About.jsx', '/app/src/Home.jsx'], 'files sorted by path');
+
+    const placeholder = recognition.types[0].files[0];
+    assert.deepStrictEqual(placeholder.issues.map(issue => issue.line), [5, 12], 'issues sorted by line');
+    assert.strictEqual(groups[2].heuristic, undefined, 'custom rules belong to no heuristic');
+    console.log('✓ Grouping tests passed');
+}
+
+function test_severity_filter() {
+    console.log('\n=== Testing severity filter ===');
+    const errors = groupIssues(results, { severities: ['error'] });
+    assert.deepStrictEqual(errors.map(group => group.name), ['Nielsen #6: Recognition Rather Than Recall', 'Custom UX Rule: missing-alt']);
+    assert.strictEqual(errors[0].count, 2);
+
+    const info = groupIssues(results, { severities: ['info'] });
+    assert.deepStrictEqual(info.map(group => group.count), [1, 1], 'breadcrumb info and NIMA');
+    assert.deepStrictEqual(groupIssues(results, { severities: [] }), []);
+    console.log('✓ Severity filter tests passed');
+}
+
+function runAllTests() {
+    try {
+        test_grouping();
+        test_severity_filter();
+        console.log('\n🎉 All issue group tests passed!');
+    } catch (error) {
+        console.log(`✗ Issue group test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
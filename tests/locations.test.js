@@ -0,0 +1,93 @@
+/**
+ * Issue Location Test Suite
+ *
+ * Validates the exact ranges carried by issues:
+ * - Element findings point to the tag name, network findings to the callee
+ * - Related locations, e.g. the container missing a Back button
+ * - Regex findings and unused suppressions get columns from their offsets
+ */
+const assert = require('assert');
+const { projectDetectors } = require('../src/heuristics');
+const { analyzeFile } = require('../src/heuristics/analyze-file');
+const { getOffsetLocation } = require('../src/heuristics/utils/location');
+
+const page = `export default function Checkout() {
+  const submit = async () => {
+    await fetch("/api/order");
+  };
+  return (
+    <Page>
+      <Modal open>
+        <p>Order placed</p>
+      </Modal>
+      <form onSubmit={submit}>
+        <button>Next</button>
+      </form>
+    </Page>
+  );
+}
+`;
+
+async function analyze(content, types) {
+    const detectors = projectDetectors.filter(detector => types.includes(detector.type));
+    const { issues } = await analyzeFile(content, { detectors, fileName: 'Checkout.jsx' });
+    return issues;
+}
+
+async function test_node_locations() {
+    console.log('\n=== Testing node locations ===');
+    const issues = await analyze(page, ['BREADCRUMB', 'CONTROL', 'ERROR_PREVENTION']);
+
+    const breadcrumb = issues.find(issue => issue.type === 'missing-breadcrumb');
+    assert.deepStrictEqual(
+        { line: breadcrumb.line, column: breadcrumb.column, endLine: breadcrumb.endLine, endColumn: breadcrumb.endColumn },
+        { line: 6, column: 5, endLine: 6, endColumn: 9 },
+        'tag name of <Page>'
+    );
+
+    const network = issues.find(issue => issue.type === 'network-missing-catch');
+    assert.deepStrictEqual([network.line, network.column, network.endColumn], [3, 10, 15], 'fetch callee');
+
+    const modal = issues.filter(issue => issue.type === 'missing-control' && issue.line === 7);
+    assert.strictEqual(modal.length, 2);
+    assert.ok(modal.every(issue => issue.column === 7 && issue.endColumn === 12), 'tag name of <Modal>');
+    console.log('✓ Node location tests passed');
+}
+
+async function test_related_locations() {
+    console.log('\n=== Testing related locations ===');
+    const issues = await analyze(page, ['CONTROL']);
+    const next = issues.find(issue => issue.message.startsWith('Multi-step flow'));
+
+    assert.deepStrictEqual([next.line, next.column], [11, 9], 'Next button');
+    assert.strictEqual(next.related.length, 1);
+    assert.strictEqual(next.related[0].line, 10, '<form> container');
+    assert.strictEqual(next.related[0].column, 7);
+    assert.ok(next.related[0].message.includes('Back'));
+    console.log('✓ Related location tests passed');
+}
+
+async function test_offset_locations() {
+    console.log('\n=== Testing offset locations ===');
+    assert.deepStrictEqual(getOffsetLocation('ab\ncdef', 4, 6), { line: 2, column: 1, endLine: 2, endColumn: 3 });
+
+    const unused = `const a = 1;\n  // rux-disable-next-line RUX301\nconst Page = () => <div />;`;
+    const [issue] = await analyze(unused, ['CONTROL']);
+    assert.strictEqual(issue.type, 'unused-suppression');
+    assert.deepStrictEqual([issue.line, issue.column, issue.endLine, issue.endColumn], [2, 2, 2, 33]);
+    console.log('✓ Offset location tests passed');
+}
+
+async function runAllTests() {
+    try {
+        await test_node_locations();
+        await test_related_locations();
+        await test_offset_locations();
+        console.log('\n🎉 All location tests passed!');
+    } catch (error) {
+        console.log(`✗ Location test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
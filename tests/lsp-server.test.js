@@ -0,0 +1,224 @@
+/**
+ * Language Server Test Suite
+ *
+ * Validates the LSP server started with `react-ux-analyzer-lsp --stdio`:
+ * - Opened documents get diagnostics with RUX codes, documentation links and the issue as `data`
+ * - Messages carry the Nielsen severity rating, `hint` maps to DiagnosticSeverity.Hint
+ * - Rules from the client configuration apply, files in .ruxignore get no diagnostics
+ * - Custom rules of the react-ux-analyzer.customRulePath folder run like in the extension and the CLI, with hovers,
+ *   except rules taking a URL
+ * - Quick fixes and "fix all in file" code actions carry the `fix` edits
+ * - Hover shows the documentation and the bad/good example of the issue under the cursor
+ * - Saving a file analyzes the open and closed files importing it again
+ */
+const assert = require('assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createMessageConnection, StreamMessageReader, StreamMessageWriter } = require('vscode-languageserver/node');
+
+const SERVER = path.join(__dirname, '..', 'bin', 'react-ux-analyzer-lsp.js');
+const TIMEOUT_MS = 20000;
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-lsp-'));
+fs.writeFileSync(path.join(root, '.ruxignore'), 'src/generated/\n');
+const uriOf = (file) => pathToFileURL(path.join(root, file)).href;
+
+const home = 'export default function Home() {\n  return <header><h1>Home</h1></header>;\n}\n';
+
+function startServer(settings) {
+    const child = spawn(process.execPath, [SERVER, '--stdio'], { stdio: ['pipe', 'pipe', 'inherit'] });
+    const connection = createMessageConnection(new StreamMessageReader(child.stdout), new StreamMessageWriter(child.stdin));
+    const diagnostics = new Map();
+    const waiting = new Map();
+
+    connection.onNotification('textDocument/publishDiagnostics', ({ uri, diagnostics: items }) => {
+        diagnostics.set(uri, items);
+        waiting.get(uri)?.(items);
+    });
+    connection.onNotification('window/showMessage', ({ message }) => console.log(`  server: ${message}`));
+    connection.onRequest('workspace/configuration', ({ items }) => items.map(() => settings));
+    connection.onRequest('client/registerCapability', () => null);
+    connection.listen();
+
+    // next diagnostics published for a file
+    const published = (file) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No diagnostics for ${file}`)), TIMEOUT_MS);
+        waiting.set(uriOf(file), (items) => {
+            clearTimeout(timer);
+            waiting.delete(uriOf(file));
+            resolve(items);
+        });
+    });
+
+    return {
+        connection,
+        child,
+        published,
+        open(file, text) {
+            const diagnostics = published(file);
+            connection.sendNotification('textDocument/didOpen', { textDocument: { uri: uriOf(file), languageId: 'javascriptreact', version: 1, text } });
+            return diagnostics;
+        }
+    };
+}
+
+async function withServer(settings, run) {
+    const server = startServer(settings);
+    try {
+        await server.connection.sendRequest('initialize', {
+            processId: process.pid,
+            rootUri: pathToFileURL(root).href,
+            workspaceFolders: [{ uri: pathToFileURL(root).href, name: 'project' }],
+            capabilities: { workspace: { configuration: true } }
+        });
+        server.connection.sendNotification('initialized', {});
+        await run(server);
+        await server.connection.sendRequest('shutdown');
+        const exited = new Promise(resolve => server.child.once('exit', resolve));
+        await server.connection.sendNotification('exit');
+        assert.strictEqual(await exited, 0, 'server exits after shutdown');
+    } finally {
+        server.connection.dispose();
+        if (server.child.exitCode === null) server.child.kill();
+    }
+}
+
+async function test_diagnostics() {
+    console.log('\n=== Testing published diagnostics ===');
+    await withServer({}, async ({ open }) => {
+        const diagnostics = await open('src/Home.jsx', home);
+        const role = diagnostics.find(d => d.code === 'RUX401');
+        assert.ok(role, 'missing-role reported');
+        assert.deepStrictEqual(role.range, { start: { line: 1, character: 10 }, end: { line: 1, character: 16 } });
+        assert.strictEqual(role.source, 'React UX Analyzer');
+        assert.ok(role.codeDescription.href.startsWith('https://'), 'code linked to its docs');
+        assert.ok(role.message.includes('Heuristic: '), 'message formatted like the Problems panel');
+        assert.ok(role.message.includes('Severity rating: 2 - Minor usability problem'));
+        assert.strictEqual(role.severity, 2, 'warning');
+        assert.strictEqual(role.data.type, 'missing-role', 'issue kept as data');
+
+        assert.deepStrictEqual(await open('src/generated/Home.jsx', home), [], '.ruxignore');
+    });
+    console.log('✓ Published diagnostics tests passed');
+}
+
+async function test_rules_from_configuration() {
+    console.log('\n=== Testing rules from the client configuration ===');
+    await withServer({ rules: { 'missing-role': 'off' } }, async ({ open }) => {
+        const diagnostics = await open('src/Home.jsx', home);
+        assert.ok(!diagnostics.some(d => d.code === 'RUX401'), 'rule turned off');
+    });
+    await withServer({ rules: { 'missing-role': 'hint' } }, async ({ open }) => {
+        const diagnostics = await open('src/Home.jsx', home);
+        assert.strictEqual(diagnostics.find(d => d.code === 'RUX401').severity, 4, 'hint');
+    });
+    console.log('✓ Rules from the client configuration tests passed');
+}
+
+async function test_custom_rules() {
+    console.log('\n=== Testing custom rules ===');
+    fs.mkdirSync(path.join(root, 'rules'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'rules', 'no-lorem.cjs'), `
+module.exports.detector = (content) => content.includes('Lorem')
+    ? [{ line: 1, message: 'Placeholder text', why: 'Users read it' }]
+    : [];
+`);
+    fs.writeFileSync(path.join(root, 'rules', 'live-page.cjs'), "module.exports.detector = (content, url) => [{ line: 1, message: `Checked ${url}` }];\n");
+    await withServer({ customRulePath: 'rules' }, async ({ connection, open }) => {
+        const diagnostics = await open('src/Lorem.jsx', '<p>Lorem ipsum</p>;\n');
+        const custom = diagnostics.find(d => d.code === 'CUX-NO-LOREM');
+        assert.ok(custom, 'custom rule reported');
+        assert.strictEqual(custom.data.analysisType, 'CUSTOM:no-lorem');
+        assert.ok(!diagnostics.some(d => d.code === 'CUX-LIVE-PAGE'), 'rules taking a URL are not run');
+
+        const hover = await connection.sendRequest('textDocument/hover', { textDocument: { uri: uriOf('src/Lorem.jsx') }, position: { line: 0, character: 4 } });
+        assert.ok(hover.contents.value.includes('(CUX-NO-LOREM)'), 'custom findings are hovered');
+        assert.ok(hover.contents.value.includes('**Why:** Users read it'));
+    });
+    await withServer({ customRulePath: 'rules', rules: { 'CUSTOM:no-lorem': 'off' } }, async ({ open }) => {
+        assert.ok(!(await open('src/Lorem.jsx', '<p>Lorem ipsum</p>;\n')).some(d => d.code === 'CUX-NO-LOREM'), 'custom rule turned off');
+    });
+    console.log('✓ Custom rule tests passed');
+}
+
+async function test_code_actions_and_hover() {
+    console.log('\n=== Testing code actions and hover ===');
+    await withServer({}, async ({ connection, open }) => {
+        const uri = uriOf('src/Home.jsx');
+        const diagnostics = await open('src/Home.jsx', home);
+        const role = diagnostics.find(d => d.code === 'RUX401');
+
+        const actions = await connection.sendRequest('textDocument/codeAction', {
+            textDocument: { uri },
+            range: role.range,
+            context: { diagnostics: [role] }
+        });
+        assert.strictEqual(actions.length, 1);
+        assert.strictEqual(actions[0].kind, 'quickfix');
+        assert.ok(actions[0].isPreferred);
+        const [edit] = actions[0].edit.changes[uri];
+        assert.ok(edit.newText.includes('role="banner"'), 'fix edit');
+        assert.strictEqual(edit.range.start.line, 1);
+
+        const fixAll = await connection.sendRequest('textDocument/codeAction', {
+            textDocument: { uri },
+            range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } },
+            context: { diagnostics: [], only: ['source.fixAll'] }
+        });
+        assert.deepStrictEqual(fixAll.map(action => action.kind), ['source.fixAll.reactUxAnalyzer'], 'fix all on save');
+
+        const hover = await connection.sendRequest('textDocument/hover', { textDocument: { uri }, position: { line: 1, character: 12 } });
+        assert.strictEqual(hover.contents.kind, 'markdown');
+        assert.ok(hover.contents.value.includes('(RUX401)'));
+        assert.ok(hover.contents.value.includes('[More info](https://'));
+        assert.ok(hover.contents.value.includes('✅ **Good**\n```jsx\n<header role="banner">'), 'example of the issue type');
+        assert.strictEqual(await connection.sendRequest('textDocument/hover', { textDocument: { uri }, position: { line: 0, character: 0 } }), null, 'no issue under the cursor');
+    });
+    console.log('✓ Code action and hover tests passed');
+}
+
+async function test_save_analyzes_importers() {
+    console.log('\n=== Testing importers on save ===');
+    fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+    const write = (file, text) => fs.writeFileSync(path.join(root, file), text);
+    const header = 'export const Header = () => <header role="banner" />;\n';
+    const page = "import { Header } from './Header';\nexport default () => <Page><Header /></Page>;\n";
+    write('src/Header.jsx', header);
+    write('src/About.jsx', page);
+
+    await withServer({}, async ({ connection, open, published }) => {
+        assert.ok((await open('src/Page.jsx', page)).some(d => d.code === 'RUX101'), 'the header has no breadcrumb');
+        assert.ok((await open('src/About.jsx', page)).some(d => d.code === 'RUX101'));
+        connection.sendNotification('textDocument/didClose', { textDocument: { uri: uriOf('src/About.jsx') } });
+
+        const breadcrumbHeader = 'export const Header = () => <header role="banner"><Breadcrumbs /></header>;\n';
+        write('src/Header.jsx', breadcrumbHeader);
+        await open('src/Header.jsx', breadcrumbHeader);
+        const reanalyzed = [published('src/Page.jsx'), published('src/About.jsx')];
+        connection.sendNotification('textDocument/didSave', { textDocument: { uri: uriOf('src/Header.jsx') } });
+
+        const [pageDiagnostics, aboutDiagnostics] = await Promise.all(reanalyzed);
+        assert.ok(!pageDiagnostics.some(d => d.code === 'RUX101'), 'open importer analyzed again');
+        assert.ok(!aboutDiagnostics.some(d => d.code === 'RUX101'), 'closed importer analyzed from disk');
+    });
+    console.log('✓ Importers on save tests passed');
+}
+
+async function runAllTests() {
+    try {
+        await test_diagnostics();
+        await test_rules_from_configuration();
+        await test_custom_rules();
+        await test_code_actions_and_hover();
+        await test_save_analyzes_importers();
+        console.log('\n🎉 All language server tests passed!');
+    } catch (error) {
+        console.log(`✗ Language server test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
@@ -0,0 +1,115 @@
+/**
+ * Quick Fix Test Suite
+ *
+ * Validates the `fix` edits attached by the detectors:
+ * - Every fixable issue type gets a fix and the fixed code no longer reports it
+ * - Fixes with overlapping edits are not applied together
+ */
+const assert = require('assert');
+const { projectDetectors } = require('../src/heuristics');
+const { analyzeFile } = require('../src/heuristics/analyze-file');
+const { applyFixes, selectCompatibleFixes } = require('../src/heuristics/utils/fixes');
+
+const FIXABLE_TYPES = [
+    'missing-role',
+    'invalid-role',
+    'missing-placeholder',
+    'missing-icon-button-label',
+    'missing-logo-link',
+    'missing-remove-keydown'
+];
+
+const page = `import { Link } from "react-router-dom";
+
+export default function App() {
+  useEffect(() => {
+    const onKey = (event) => {};
+    document.addEventListener("keydown", onKey);
+  }, []);
+
+  useEffect(() => {
+    document.addEventListener("keydown", handleShortcut);
+    return () => {
+      clearTimeout(timer);
+    };
+  }, []);
+
+  return (
+    <div>
+      <header role="heading"><BrandLogo /></header>
+      <main>
+        <input type="email" />
+        <IconButton><SearchIcon /></IconButton>
+      </main>
+    </div>
+  );
+}
+`;
+
+async function analyze(content) {
+    const { issues } = await analyzeFile(content, { detectors: projectDetectors, fileName: 'App.jsx' });
+    return issues;
+}
+
+async function test_fixes_resolve_issues() {
+    console.log('\n=== Testing quick fixes ===');
+    const issues = await analyze(page);
+    const fixable = issues.filter(issue => FIXABLE_TYPES.includes(issue.type));
+    assert.deepStrictEqual([...new Set(fixable.map(issue => issue.type))].sort(), [...FIXABLE_TYPES].sort());
+    assert.ok(fixable.every(issue => issue.fix?.title && issue.fix.edits.length > 0), 'every fixable issue has a fix');
+
+    const { output, applied } = applyFixes(page, fixable.map(issue => issue.fix));
+    assert.strictEqual(applied, fixable.length);
+    assert.ok(output.includes('<header role="banner"><Link to="/"><BrandLogo /></Link></header>'), output);
+    assert.ok(output.includes('<main role="main">'), 'role added');
+    assert.ok(output.includes('<input placeholder="Enter your email" type="email" />'), 'placeholder added');
+    assert.ok(output.includes('<IconButton aria-label="Search">'), 'label derived from icon');
+    assert.ok(output.includes('    return () => {\n      document.removeEventListener("keydown", onKey);\n    };'), 'cleanup added');
+    assert.ok(output.includes('      clearTimeout(timer);\n      document.removeEventListener("keydown", handleShortcut);'), 'existing cleanup extended');
+
+    const remaining = (await analyze(output)).filter(issue => FIXABLE_TYPES.includes(issue.type));
+    assert.deepStrictEqual(remaining, []);
+    console.log('✓ Quick fix tests passed');
+}
+
+async function test_no_fix_for_inline_handler() {
+    console.log('\n=== Testing unfixable issues ===');
+    const inline = `
+export default function App() {
+  useEffect(() => {
+    document.addEventListener("keydown", (event) => {});
+  }, []);
+  return <div />;
+}
+`;
+    const issue = (await analyze(inline)).find(item => item.type === 'missing-remove-keydown');
+    assert.ok(issue, 'issue reported');
+    assert.strictEqual(issue.fix, undefined, 'anonymous handlers cannot be removed');
+    console.log('✓ Unfixable issue tests passed');
+}
+
+function test_overlapping_fixes() {
+    console.log('\n=== Testing overlapping fixes ===');
+    const fixes = [
+        { title: 'a', edits: [{ start: 0, end: 5, text: 'hello' }] },
+        { title: 'b', edits: [{ start: 3, end: 4, text: 'x' }] },
+        { title: 'c', edits: [{ start: 5, end: 5, text: '!' }, { start: 0, end: 0, text: '> ' }] }
+    ];
+    assert.deepStrictEqual(selectCompatibleFixes(fixes).map(fix => fix.title), ['a', 'c']);
+    assert.deepStrictEqual(applyFixes('HELLO world', fixes), { output: '> hello! world', applied: 2 });
+    console.log('✓ Overlapping fix tests passed');
+}
+
+async function runAllTests() {
+    try {
+        await test_fixes_resolve_issues();
+        await test_no_fix_for_inline_handler();
+        test_overlapping_fixes();
+        console.log('\n🎉 All quick fix tests passed!');
+    } catch (error) {
+        console.log(`✗ Quick fix test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
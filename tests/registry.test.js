@@ -0,0 +1,80 @@
+/**
+ * Detector Registry Test Suite
+ *
+ * Validates the registry entries declared by each detector:
+ * - Codes are unique and every detector command is contributed in package.json
+ * - Names, codes and links resolve for built-in detectors and custom rules
+ * - Every issue type has a Nielsen severity rating, issues without one are rated by severity
+ */
+const assert = require('assert');
+const { REPOSITORY_URL, SEVERITIES, SEVERITY_RATINGS, detectors, projectDetectors, getHeuristicName, getIssueCode, getDocumentationUrl, getSeverity, getRating, formatRating } = require('../src/heuristics/registry');
+const packageJson = require('../package.json');
+
+function test_registry_entries() {
+    console.log('\n=== Testing registry entries ===');
+    const codes = detectors.flatMap(detector => Object.values(detector.codes));
+    assert.strictEqual(new Set(codes).size, codes.length, 'codes are unique');
+
+    const contributed = packageJson.contributes.commands.map(command => command.command);
+    for (const detector of detectors) {
+        assert.ok(!detector.command || contributed.includes(detector.command), `${detector.command} contributed`);
+        assert.ok(SEVERITIES.includes(detector.defaultSeverity), `${detector.type} severity`);
+        assert.deepStrictEqual(Object.keys(detector.ratings), Object.keys(detector.codes), `${detector.type} rates every issue type`);
+        assert.ok(Object.values(detector.ratings).every(rating => rating in SEVERITY_RATINGS), `${detector.type} ratings 0-4`);
+    }
+
+    assert.deepStrictEqual(
+        projectDetectors.map(detector => detector.type),
+        ['BREADCRUMB', 'LOADING', 'CONTROL', 'CONSISTENCY', 'ERROR_PREVENTION', 'RECOGNITION', 'FLEXIBILITY_EFFICIENCY', 'ERROR_RECOVERY', 'HELP']
+    );
+    console.log('✓ Registry entry tests passed');
+}
+
+function test_lookups() {
+    console.log('\n=== Testing registry lookups ===');
+    assert.strictEqual(getHeuristicName('LOADING'), 'Nielsen #1: Visibility of System Status');
+    assert.strictEqual(getHeuristicName('NIMA'), 'NIMA Visual Quality Score');
+    assert.strictEqual(getHeuristicName('CUSTOM:missing-alt.cjs'), 'Custom UX Rule: missing-alt');
+
+    assert.strictEqual(getIssueCode('CONSISTENCY', 'missing-role'), 'RUX401');
+    assert.strictEqual(getIssueCode('CONSISTENCY', 'invalid-role'), 'RUX402');
+    assert.strictEqual(getIssueCode('CONSISTENCY', 'unknown-type'), 'RUX401');
+    assert.strictEqual(getIssueCode('CUSTOM:missing-alt.cjs'), 'CUX-MISSING-ALT');
+    assert.strictEqual(getIssueCode('UNKNOWN'), 'RUX000');
+
+    assert.strictEqual(getDocumentationUrl('BREADCRUMB'), 'https://www.nngroup.com/articles/breadcrumbs/');
+    assert.strictEqual(getDocumentationUrl('CUSTOM:rule', 'https://example.com/docs'), 'https://example.com/docs');
+    assert.strictEqual(REPOSITORY_URL, 'https://github.com/CyberSpaceEsli/react-ux-analyzer', 'repository of package.json');
+    assert.strictEqual(getDocumentationUrl('CUSTOM:rule'), `${REPOSITORY_URL}#custom-rules`);
+    assert.strictEqual(getDocumentationUrl('SUPPRESSION'), `${REPOSITORY_URL}#suppressing-issues`);
+
+    assert.strictEqual(getSeverity({ analysisType: 'NIMA' }), 'info');
+    assert.strictEqual(getSeverity({ analysisType: 'NIMA', severity: 'warning' }), 'warning');
+    console.log('✓ Registry lookup tests passed');
+}
+
+function test_ratings() {
+    console.log('\n=== Testing severity ratings ===');
+    assert.strictEqual(getRating({ analysisType: 'ERROR_PREVENTION', type: 'network-missing-catch' }), 4);
+    assert.strictEqual(getRating({ analysisType: 'BREADCRUMB', type: 'missing-breadcrumb', severity: 'error' }), 2, 'rating is independent of the severity');
+    assert.strictEqual(getRating({ analysisType: 'BREADCRUMB', type: 'missing-breadcrumb', rating: 4 }), 4, 'issue rating wins');
+    assert.strictEqual(getRating({ analysisType: 'CUSTOM:missing-alt.cjs', rating: 7 }), 2, 'invalid ratings are ignored');
+    assert.strictEqual(getRating({ analysisType: 'CUSTOM:missing-alt.cjs', severity: 'error' }), 3, 'rated by severity');
+    assert.strictEqual(getRating({ analysisType: 'CUSTOM:missing-alt.cjs', severity: 'hint' }), 1);
+    assert.strictEqual(formatRating({ analysisType: 'SUPPRESSION', type: 'unused-suppression' }), '0 - Not a usability problem');
+    console.log('✓ Severity rating tests passed');
+}
+
+function runAllTests() {
+    try {
+        test_registry_entries();
+        test_lookups();
+        test_ratings();
+        console.log('\n🎉 All registry tests passed!');
+    } catch (error) {
+        console.log(`✗ Registry test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
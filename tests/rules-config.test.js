@@ -0,0 +1,96 @@
+/**
+ * Rule Configuration Test Suite
+ *
+ * Validates the `react-ux-analyzer.rules` setting:
+ * - Invalid entries are reported and skipped
+ * - Issue types can be turned off or get another severity
+ * - Rule options reach the detectors
+ */
+const assert = require('assert');
+const { projectDetectors } = require('../src/heuristics');
+const { analyzeFile } = require('../src/heuristics/analyze-file');
+const { normalizeRules, applyRuleConfig } = require('../src/heuristics/utils/rules-config');
+
+const navPage = `
+export default function Layout() {
+  return (
+    <footer>
+      <nav>
+        <a href="/1">1</a><a href="/2">2</a><a href="/3">3</a><a href="/4">4</a>
+        <a href="/5">5</a><a href="/6">6</a><a href="/7">7</a><a href="/8">8</a>
+      </nav>
+      <input type="email" />
+    </footer>
+  );
+}
+`;
+
+function test_normalize_rules() {
+    console.log('\n=== Testing rule normalization ===');
+    const problems = [];
+    const rules = normalizeRules({
+        'footer-nav': 'off',
+        'nav-overloaded': ['error', { maxItems: 9 }],
+        'missing-caret': 'loud',
+        'missing-placeholder': ['info', 'email']
+    }, (message) => problems.push(message));
+
+    assert.deepStrictEqual(rules['footer-nav'], { severity: 'off', options: {} });
+    assert.deepStrictEqual(rules['nav-overloaded'], { severity: 'error', options: { maxItems: 9 } });
+    assert.deepStrictEqual(rules['missing-placeholder'], { severity: 'info', options: {} });
+    assert.strictEqual(rules['missing-caret'], undefined);
+    assert.strictEqual(problems.length, 2);
+    assert.deepStrictEqual(normalizeRules(undefined), {});
+    console.log('✓ Rule normalization tests passed');
+}
+
+function test_apply_rule_config() {
+    console.log('\n=== Testing severity overrides ===');
+    const issues = [
+        { type: 'footer-nav', severity: 'warning', analysisType: 'RECOGNITION' },
+        { type: 'missing-placeholder', severity: 'warning', analysisType: 'RECOGNITION' },
+        { type: 'missing-alt', severity: 'warning', analysisType: 'CUSTOM:missing-alt' }
+    ];
+    const rules = normalizeRules({ 'footer-nav': 'off', 'missing-placeholder': 'error', 'CUSTOM:missing-alt': 'info' });
+
+    assert.deepStrictEqual(applyRuleConfig(issues, rules).map(issue => `${issue.type}:${issue.severity}`), [
+        'missing-placeholder:error',
+        'missing-alt:info'
+    ]);
+    assert.strictEqual(applyRuleConfig(issues, {}), issues);
+    console.log('✓ Severity override tests passed');
+}
+
+async function test_rule_options() {
+    console.log('\n=== Testing rule options ===');
+    const analyze = async (rawRules) => {
+        const { issues } = await analyzeFile(navPage, { detectors: projectDetectors, rules: normalizeRules(rawRules) });
+        return issues.map(issue => issue.type);
+    };
+
+    const defaults = await analyze({});
+    assert.ok(defaults.includes('nav-overloaded'), '8 items exceed the default of 7');
+    assert.ok(defaults.includes('missing-placeholder'), 'email needs a placeholder');
+
+    const configured = await analyze({
+        'nav-overloaded': ['warning', { maxItems: 8 }],
+        'missing-placeholder': ['warning', { inputTypes: ['tel'] }]
+    });
+    assert.ok(!configured.includes('nav-overloaded'), 'maxItems raised to 8');
+    assert.ok(!configured.includes('missing-placeholder'), 'email no longer listed');
+    console.log('✓ Rule option tests passed');
+}
+
+async function runAllTests() {
+    try {
+        test_normalize_rules();
+        test_apply_rule_config();
+        await test_rule_options();
+        console.log('\n🎉 All rule configuration tests passed!');
+    } catch (error) {
+        console.log(`✗ Rule configuration test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
@@ -0,0 +1,123 @@
+/**
+ * Scorecard Test Suite
+ *
+ * Validates the UX scorecard dashboard:
+ * - Components are counted from capitalized declarations in files with JSX
+ * - Heuristic scores weight issues by severity per component, #2/#8 only count once they ran
+ * - Top offending files link to their most severe issue
+ * - The HTML has a radar chart, the NIMA score and whitespace ratio and a nonce-protected script
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { computeScorecard, countComponents, formatScorecardHtml, readWhitespaceRatio } = require('../src/reporters/scorecard');
+
+const results = [
+    {
+        filePath: '/app/src/Home.jsx',
+        content: 'function Home() { return <Header />; }\nconst Header = () => <h1>Home</h1>;',
+        issues: [
+            { analysisType: 'BREADCRUMB', type: 'missing-breadcrumb', line: 4, severity: 'info' },
+            { analysisType: 'LOADING', type: 'missing-loading', line: 9, severity: 'error' },
+            { analysisType: 'CUSTOM:missing-alt', type: 'missing-alt', line: 2, severity: 'error' }
+        ]
+    },
+    {
+        filePath: '/app/src/About.jsx',
+        content: 'export default function About() { return <p>About</p>; }',
+        issues: [
+            { analysisType: 'RECOGNITION', type: 'missing-placeholder', line: 5, severity: 'warning' }
+        ]
+    },
+    { filePath: '/app/src/api.js', content: 'export const Api = {};', issues: [] }
+];
+
+function test_count_components() {
+    console.log('\n=== Testing component count ===');
+    assert.strictEqual(countComponents(results[0].content), 2);
+    assert.strictEqual(countComponents('export default () => <div />;'), 1, 'anonymous component');
+    assert.strictEqual(countComponents(results[2].content), 0, 'no JSX');
+    assert.strictEqual(countComponents(undefined), 0);
+    console.log('✓ Component count tests passed');
+}
+
+function test_scores() {
+    console.log('\n=== Testing heuristic scores ===');
+    const scorecard = computeScorecard(results, { relativePath: (filePath) => path.relative('/app', filePath) });
+    const byNumber = Object.fromEntries(scorecard.heuristics.map(entry => [entry.heuristic, entry]));
+
+    assert.strictEqual(scorecard.heuristics.length, 10);
+    assert.strictEqual(scorecard.components, 3);
+    assert.deepStrictEqual([byNumber[1].count, byNumber[1].weighted, byNumber[1].score], [2, 4, 43], 'info 1 + error 3 on 3 components');
+    assert.strictEqual(byNumber[6].score, 60, 'one warning');
+    assert.strictEqual(byNumber[3].score, 100, 'no issues');
+    assert.strictEqual(byNumber[2].score, null, '#2 did not run');
+    assert.strictEqual(byNumber[8].analyzed, false);
+    assert.strictEqual(scorecard.overall, Math.round((43 + 60 + 100 * 6) / 8), 'average of the analyzed heuristics');
+    assert.deepStrictEqual(byNumber[1].topFile, { filePath: '/app/src/Home.jsx', file: 'src/Home.jsx', line: 9 });
+
+    const ranAll = computeScorecard(results, { analyzedTypes: ['AESTHETIC_MINIMALISM', 'MATCH_SYSTEM_REAL_WORLD'] });
+    assert.ok(ranAll.heuristics.every(entry => entry.score !== null), 'on-demand heuristics without issues score 100');
+    console.log('✓ Heuristic score tests passed');
+}
+
+function test_top_files() {
+    console.log('\n=== Testing top offending files ===');
+    const { topFiles } = computeScorecard(results);
+    assert.deepStrictEqual(topFiles.map(file => [file.file, file.weighted, file.line]), [
+        ['/app/src/Home.jsx', 4, 9],
+        ['/app/src/About.jsx', 2, 5]
+    ], 'custom rules are not scored, files without issues are skipped');
+    assert.deepStrictEqual(topFiles[0].counts, { error: 1, warning: 0, info: 1, hint: 0 });
+    console.log('✓ Top file tests passed');
+}
+
+function test_html() {
+    console.log('\n=== Testing scorecard HTML ===');
+    const scorecard = computeScorecard(results, { nimaScore: { mean: 5.4321, std: 1.5 }, whitespaceRatio: 0.253 });
+    const html = formatScorecardHtml(scorecard, { cspSource: 'vscode-resource:', nonce: 'abc123' });
+
+    assert.ok(html.includes('<svg class="radar"'), 'radar chart');
+    assert.ok(html.includes('#2 n/a'), 'not analyzed heuristics marked in the chart');
+    assert.ok(html.includes('5.43') && html.includes('±1.50'), 'NIMA mean and std');
+    assert.ok(html.includes('25.3%'), 'whitespace ratio');
+    assert.ok(html.includes('data-file="/app/src/Home.jsx" data-line="9"'), 'links to the most severe issue');
+    assert.ok(html.includes("script-src 'nonce-abc123'") && html.includes('<script nonce="abc123">'));
+
+    const empty = formatScorecardHtml(computeScorecard([]), { cspSource: '', nonce: 'n' });
+    assert.ok(empty.includes('No UX issues found'));
+    assert.ok(empty.includes('Run "Analyze Visual Quality (NIMA)"'), 'hint without NIMA score');
+    console.log('✓ Scorecard HTML tests passed');
+}
+
+function test_whitespace_ratio() {
+    console.log('\n=== Testing whitespace ratio ===');
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-scorecard-'));
+    assert.strictEqual(readWhitespaceRatio(root), null, 'no #8 analysis yet');
+
+    const screenshots = path.join(root, 'public', 'react-ux-screenshots');
+    fs.mkdirSync(screenshots, { recursive: true });
+    fs.writeFileSync(path.join(screenshots, 'elements-mask.json'), JSON.stringify({ boxes: [], layoutHeight: 800, whitespaceRatio: 0.42 }));
+    assert.strictEqual(readWhitespaceRatio(root), 0.42);
+
+    fs.writeFileSync(path.join(screenshots, 'elements-mask.json'), JSON.stringify({ boxes: [], layoutHeight: 800 }));
+    assert.strictEqual(readWhitespaceRatio(root), null, 'mask of an older version');
+    console.log('✓ Whitespace ratio tests passed');
+}
+
+function runAllTests() {
+    try {
+        test_count_components();
+        test_scores();
+        test_top_files();
+        test_html();
+        test_whitespace_ratio();
+        console.log('\n🎉 All scorecard tests passed!');
+    } catch (error) {
+        console.log(`✗ Scorecard test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
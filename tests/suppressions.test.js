@@ -0,0 +1,110 @@
+/**
+ * Suppression Comment Test Suite
+ *
+ * Validates rux-disable directives:
+ * - next-line, line (also as JSX comment) and file-level directives
+ * - Matching by RUX code or issue type
+ * - Reporting of unused suppressions
+ * - `//` in strings and JSX attributes does not hide a directive
+ */
+const assert = require('assert');
+const { projectDetectors } = require('../src/heuristics');
+const { analyzeFile } = require('../src/heuristics/analyze-file');
+const { parseSuppressions } = require('../src/heuristics/utils/suppressions');
+const { normalizeRules } = require('../src/heuristics/utils/rules-config');
+
+const controlDetectors = projectDetectors.filter(detector => detector.type === 'CONTROL');
+
+// <Modal> without onClose and close button is reported twice as missing-control
+function modalPage(directive) {
+    return `
+export default function Settings() {
+  return (
+    <div>
+      ${directive}
+      <Modal open>
+        <p>Closed by the parent route</p>
+      </Modal>
+    </div>
+  );
+}
+`;
+}
+
+async function analyze(content, options = {}) {
+    const { issues } = await analyzeFile(content, { detectors: controlDetectors, ...options });
+    return issues.map(issue => issue.type);
+}
+
+function test_parse_directives() {
+    console.log('\n=== Testing directive parsing ===');
+    const suppressions = parseSuppressions([
+        '/* rux-disable RUX101 */',
+        '// rux-disable-next-line RUX301, missing-role -- closed by parent',
+        '<main>{/* rux-disable-line */}</main>',
+        '// rux-disabled is not a directive'
+    ].join('\n'));
+
+    assert.deepStrictEqual(suppressions.map(({ directive, line, targetLine, ids }) => ({ directive, line, targetLine, ids })), [
+        { directive: 'rux-disable', line: 1, targetLine: undefined, ids: ['RUX101'] },
+        { directive: 'rux-disable-next-line', line: 2, targetLine: 3, ids: ['RUX301', 'missing-role'] },
+        { directive: 'rux-disable-line', line: 3, targetLine: 3, ids: [] }
+    ]);
+    console.log('✓ Directive parsing tests passed');
+}
+
+async function test_suppress_issues() {
+    console.log('\n=== Testing suppressed issues ===');
+    assert.deepStrictEqual(await analyze(modalPage('')), ['missing-control', 'missing-control']);
+    assert.deepStrictEqual(await analyze(modalPage('{/* rux-disable-next-line RUX301 */}')), []);
+    assert.deepStrictEqual(await analyze(modalPage('{/* rux-disable-next-line missing-control */}')), []);
+    assert.deepStrictEqual(await analyze(`/* rux-disable */\n${modalPage('')}`), []);
+
+    const sameLine = modalPage('').replace('<Modal open>', '<Modal open> {/* rux-disable-line missing-control */}');
+    assert.deepStrictEqual(await analyze(sameLine), []);
+
+    const recognitionDetectors = projectDetectors.filter(detector => detector.codes?.['missing-placeholder']);
+    const input = (directive) => `export const Form = () => (\n  <form>\n    <input type="email" data-src="https://example.com" /> ${directive}\n  </form>\n);\n`;
+    const placeholders = async (content) => (await analyze(content, { detectors: recognitionDetectors })).filter(type => type === 'missing-placeholder');
+    assert.strictEqual((await placeholders(input(''))).length, 1);
+    assert.deepStrictEqual(await placeholders(input('{/* rux-disable-line missing-placeholder */}')), [], 'URL before the directive');
+    assert.deepStrictEqual(parseSuppressions('const url = "https://example.com"; // rux-disable-line RUX101').map(({ ids }) => ids), [['RUX101']], 'URL in a string');
+    console.log('✓ Suppressed issue tests passed');
+}
+
+async function test_unused_suppressions() {
+    console.log('\n=== Testing unused suppressions ===');
+    const unused = `// rux-disable-next-line RUX301\nconst Page = () => <div />;`;
+    assert.deepStrictEqual(await analyze(unused), ['unused-suppression']);
+
+    // wrong line: the issue stays and the suppression is unused
+    const misplaced = modalPage('{/* rux-disable-next-line RUX301 */}\n');
+    assert.deepStrictEqual((await analyze(misplaced)).sort(), ['missing-control', 'missing-control', 'unused-suppression']);
+
+    // detectors that did not run cannot make a suppression unused
+    const otherDetector = `// rux-disable-next-line missing-breadcrumb\nconst Page = () => <div />;`;
+    assert.deepStrictEqual(await analyze(otherDetector), []);
+
+    // directives without ids are only unused if every detector ran
+    const bare = `// rux-disable-next-line\nconst Page = () => <div />;`;
+    assert.deepStrictEqual(await analyze(bare), []);
+    assert.deepStrictEqual(await analyze(bare, { detectors: projectDetectors }), ['unused-suppression']);
+
+    const rules = normalizeRules({ 'unused-suppression': 'off' });
+    assert.deepStrictEqual(await analyze(unused, { rules }), []);
+    console.log('✓ Unused suppression tests passed');
+}
+
+async function runAllTests() {
+    try {
+        test_parse_directives();
+        await test_suppress_issues();
+        await test_unused_suppressions();
+        console.log('\n🎉 All suppression tests passed!');
+    } catch (error) {
+        console.log(`✗ Suppression test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
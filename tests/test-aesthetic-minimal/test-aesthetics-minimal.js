@@ -4,6 +4,9 @@ const { detectAestheticMinimalism } = require("../../src/heuristics/8-aesthetic-
 
 const filePath = path.join(__dirname, "bad-minimalistics.jsx");
 const content = fs.readFileSync(filePath, "utf8");
-const feedback = detectAestheticMinimalism(content);
+// the whitespace ratio is measured on a running page
+const url = process.argv[2] || "http://localhost:3000";
 
-console.log("Feedback from detector:", feedback);
\ No newline at end of file
+detectAestheticMinimalism(content, url).then(feedback => {
+  console.log("Feedback from detector:", feedback);
+});
\ No newline at end of file
@@ -0,0 +1,30 @@
+import React, { useState } from 'react';
+
+type User = { id: number; email: string };
+
+declare function Page(props: { children?: React.ReactNode }): React.JSX.Element;
+
+const defaults = { retries: 3 } satisfies Record<string, number>;
+
+function useList<T>(initial: T[]): [T[], (items: T[]) => void] {
+  const [items, setItems] = useState<T[]>(initial);
+  return [items, setItems];
+}
+
+export default function UsersPage({ title }: { title: string }) {
+  const [users, setUsers] = useList<User>([]);
+
+  // Missing error handling and loading state for the request
+  const load = async () => {
+    const response = await fetch('/api/users');
+    setUsers((await response.json()) as User[]);
+  };
+
+  return (
+    <Page>
+      <h1>{title}</h1>
+      <input type="email" value={users[0]?.email as string} />
+      <button type="submit" onClick={load}>Save {defaults.retries}</button>
+    </Page>
+  );
+}
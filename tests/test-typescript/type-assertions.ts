@@ -0,0 +1,5 @@
+// Plain .ts file using angle-bracket type assertions, which only parse without JSX
+export async function loadConfig(url: string) {
+  const response = <Response>await fetch(url);
+  return <Record<string, unknown>>await response.json();
+}
@@ -0,0 +1,69 @@
+/**
+ * TypeScript Support Test Suite
+ *
+ * Validates that detectors parse TS/TSX syntax (generics, `as` casts, `satisfies`,
+ * angle-bracket assertions) and still report the expected issues.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { projectDetectors } = require('../src/heuristics');
+const { analyzeFile } = require('../src/heuristics/analyze-file');
+const { parseCode } = require('../src/heuristics/utils/parse-code');
+const { isSourceFile } = require('../src/heuristics/utils/source-files');
+
+const fixtureDir = path.join(__dirname, 'test-typescript');
+
+async function test_tsx_detection() {
+    console.log('\n=== Testing TSX detection ===');
+    const content = fs.readFileSync(path.join(fixtureDir, 'bad-typescript-page.tsx'), 'utf8');
+    const failures = [];
+    const { issues } = await analyzeFile(content, {
+        detectors: projectDetectors,
+        fileName: 'bad-typescript-page.tsx',
+        onError: (source, err) => failures.push(`${source}: ${err.message}`)
+    });
+    const types = issues.map(issue => issue.type);
+
+    assert.deepStrictEqual(failures, []);
+    assert.ok(types.includes('missing-breadcrumb'), 'breadcrumb missing in <Page>');
+    assert.ok(types.includes('network-missing-catch'), 'fetch without catch');
+    assert.ok(types.includes('missing-placeholder'), 'email input without placeholder');
+    console.log(`✓ TSX detection passed (${issues.length} issues found)`);
+}
+
+function test_ts_type_assertions() {
+    console.log('\n=== Testing .ts type assertions ===');
+    const content = fs.readFileSync(path.join(fixtureDir, 'type-assertions.ts'), 'utf8');
+
+    const ast = parseCode(content, 'type-assertions.ts');
+    assert.strictEqual(ast.errors.length, 0);
+
+    // detectors only receive the content and fall back to parsing without JSX
+    const fallbackAst = parseCode(content);
+    assert.strictEqual(fallbackAst.program.body.length, 1);
+    console.log('✓ .ts type assertion tests passed');
+}
+
+function test_source_files() {
+    console.log('\n=== Testing source file filter ===');
+    assert.ok(isSourceFile('src/App.tsx'));
+    assert.ok(isSourceFile('src/api.ts'));
+    assert.ok(!isSourceFile('src/types.d.ts'));
+    assert.ok(!isSourceFile('src/styles.css'));
+    console.log('✓ Source file filter tests passed');
+}
+
+async function runAllTests() {
+    try {
+        await test_tsx_detection();
+        test_ts_type_assertions();
+        test_source_files();
+        console.log('\n🎉 All TypeScript support tests passed!');
+    } catch (error) {
+        console.log(`✗ TypeScript support test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
@@ -0,0 +1,154 @@
+/**
+ * Worker Pool Test Suite
+ *
+ * Validates the parallel project scan:
+ * - Workers report the same issues as analyzeFile on the calling thread
+ * - Results are streamed per file and the scan stops when cancelled, also while a worker is busy
+ * - Files that cannot be read are collected as errors without stopping the scan
+ * - Rules can differ per file, e.g. from react-ux-analyzer.overrides
+ * - Imports resolved in the workers reach the import graph of the calling thread
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { projectDetectors } = require('../src/heuristics');
+const { analyzeFile } = require('../src/heuristics/analyze-file');
+const { analyzeFilesInWorkers } = require('../src/heuristics/worker-pool');
+const { normalizeRules } = require('../src/heuristics/utils/rules-config');
+const { importGraph } = require('../src/heuristics/utils/import-graph');
+
+function createFiles(count) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-pool-'));
+    return Array.from({ length: count }, (_, index) => {
+        const filePath = path.join(dir, `Page${index}.jsx`);
+        fs.writeFileSync(filePath, `
+export default function Page${index}() {
+  return (
+    <Page>
+      <header><Logo /></header>
+      <input type="email" />
+      <Modal open>Step ${index}</Modal>
+    </Page>
+  );
+}
+`);
+        return filePath;
+    });
+}
+
+const readFile = async (filePath) => fs.readFileSync(filePath, 'utf-8');
+
+async function test_same_issues_as_analyze_file() {
+    console.log('\n=== Testing worker results ===');
+    const files = createFiles(5);
+    const rules = normalizeRules({ 'missing-placeholder': 'error', 'missing-control': 'off' });
+    const streamed = [];
+
+    const { results, cancelled } = await analyzeFilesInWorkers(files, {
+        readFile,
+        rules,
+        size: 2,
+        onResult: (result, done) => streamed.push(done)
+    });
+
+    assert.strictEqual(cancelled, false);
+    assert.deepStrictEqual(streamed, [1, 2, 3, 4, 5], 'one callback per file');
+    assert.deepStrictEqual(results.map(result => result.filePath).sort(), [...files].sort());
+
+    for (const result of results) {
+        const expected = await analyzeFile(result.content, { detectors: projectDetectors, fileName: result.filePath, rules });
+        assert.deepStrictEqual(result.issues, expected.issues, path.basename(result.filePath));
+    }
+    assert.ok(results[0].issues.some(issue => issue.type === 'missing-placeholder' && issue.severity === 'error'), 'rules applied in workers');
+    assert.ok(!results[0].issues.some(issue => issue.type === 'missing-control'), 'disabled rules skipped in workers');
+    console.log('✓ Worker result tests passed');
+}
+
+async function test_cancel_scan() {
+    console.log('\n=== Testing cancellation ===');
+    const files = createFiles(6);
+    const controller = new AbortController();
+
+    const { results, cancelled } = await analyzeFilesInWorkers(files, {
+        readFile,
+        size: 1,
+        onResult: (result, done) => { if (done === 2) controller.abort(); },
+        signal: controller.signal
+    });
+
+    assert.strictEqual(cancelled, true);
+    assert.strictEqual(results.length, 2);
+    assert.deepStrictEqual(await analyzeFilesInWorkers([], { readFile }), { results: [], errors: [], timings: {}, cancelled: false });
+
+    // the worker is terminated while it analyzes the first file
+    const busy = new AbortController();
+    const stopped = await analyzeFilesInWorkers(files, {
+        readFile: async (filePath) => {
+            setTimeout(() => busy.abort(), 0);
+            return readFile(filePath);
+        },
+        size: 1,
+        signal: busy.signal
+    });
+    assert.deepStrictEqual([stopped.cancelled, stopped.results.length, stopped.errors.length], [true, 0, 0], 'running file dropped');
+    console.log('✓ Cancellation tests passed');
+}
+
+async function test_failed_files() {
+    console.log('\n=== Testing failed files ===');
+    const files = createFiles(3);
+
+    const { results, errors } = await analyzeFilesInWorkers(files, {
+        readFile: async (filePath) => {
+            if (filePath === files[1]) throw new Error('EACCES: permission denied');
+            return readFile(filePath);
+        },
+        size: 1
+    });
+
+    assert.deepStrictEqual(results.map(result => result.filePath), [files[0], files[2]], 'other files are analyzed');
+    assert.deepStrictEqual(errors.map(({ filePath, error }) => [filePath, error.message]), [[files[1], 'EACCES: permission denied']]);
+    console.log('✓ Failed file tests passed');
+}
+
+async function test_rules_per_file() {
+    console.log('\n=== Testing rules per file ===');
+    const files = createFiles(2);
+    const off = normalizeRules({ 'missing-placeholder': 'off' });
+
+    const { results } = await analyzeFilesInWorkers(files, { readFile, size: 1, rules: (filePath) => filePath === files[0] ? off : {} });
+    const hasPlaceholderIssue = (filePath) => results.find(result => result.filePath === filePath).issues.some(issue => issue.type === 'missing-placeholder');
+
+    assert.ok(!hasPlaceholderIssue(files[0]), 'rules of the first file');
+    assert.ok(hasPlaceholderIssue(files[1]), 'rules of the second file');
+    console.log('✓ Rules per file tests passed');
+}
+
+async function test_imports_from_workers() {
+    console.log('\n=== Testing imports resolved in workers ===');
+    const [page] = createFiles(1);
+    const header = path.join(path.dirname(page), 'Header.jsx');
+    fs.writeFileSync(header, 'export const Header = () => <header />;\n');
+    fs.writeFileSync(page, "import { Header } from './Header';\nexport default () => <Page><Header /></Page>;\n");
+
+    await analyzeFilesInWorkers([page], { readFile, size: 1 });
+    assert.deepStrictEqual(importGraph.getImporters(header), [page], 'the page depends on the header');
+    console.log('✓ Worker import tests passed');
+}
+
+async function runAllTests() {
+    try {
+        await test_same_issues_as_analyze_file();
+        await test_cancel_scan();
+        await test_failed_files();
+        await test_rules_per_file();
+        await test_imports_from_workers();
+        console.log('\n🎉 All worker pool tests passed!');
+    } catch (error) {
+        console.log(`✗ Worker pool test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();
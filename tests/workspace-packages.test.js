@@ -0,0 +1,110 @@
+/**
+ * Workspace Package Test Suite
+ *
+ * Validates monorepo awareness:
+ * - Package globs from pnpm-workspace.yaml and the package.json `workspaces` field
+ * - Files are assigned to their innermost package
+ * - Packages use their own custom rule folder or share the one of the workspace root
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findWorkspacePackages, getPackageRoot, parsePnpmWorkspace } = require('../src/heuristics/utils/workspace-packages');
+const { getCustomRuleRoot } = require('../src/heuristics/utils/load-custom-rules');
+const { mergeProjectSettings } = require('../src/cli/settings');
+
+function createWorkspace(files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rux-workspace-'));
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    }
+    return root;
+}
+
+function test_parse_pnpm_workspace() {
+    console.log('\n=== Testing pnpm-workspace.yaml ===');
+    const yaml = `packages:
+  - 'apps/*'
+  - "packages/**" # shared libraries
+  - '!**/test/**'
+catalog:
+  react: ^18.0.0
+`;
+    assert.deepStrictEqual(parsePnpmWorkspace(yaml), ['apps/*', 'packages/**', '!**/test/**']);
+    assert.deepStrictEqual(parsePnpmWorkspace('packages: [apps/*, "libs/*"]'), ['apps/*', 'libs/*']);
+    assert.deepStrictEqual(parsePnpmWorkspace('catalog:\n  react: ^18.0.0'), []);
+    console.log('✓ pnpm-workspace.yaml tests passed');
+}
+
+function test_find_packages() {
+    console.log('\n=== Testing package discovery ===');
+    const pnpm = createWorkspace({
+        'pnpm-workspace.yaml': 'packages:\n  - apps/*\n  - "!apps/legacy"\n',
+        'apps/web/package.json': '{}',
+        'apps/legacy/package.json': '{}',
+        'apps/docs/README.md': 'no package.json'
+    });
+    assert.deepStrictEqual(findWorkspacePackages(pnpm), [path.join(pnpm, 'apps', 'web')]);
+
+    const yarn = createWorkspace({
+        'package.json': JSON.stringify({ workspaces: { packages: ['packages/*'] } }),
+        'packages/ui/package.json': '{}',
+        'packages/ui/node_modules/dep/package.json': '{}'
+    });
+    assert.deepStrictEqual(findWorkspacePackages(yarn), [path.join(yarn, 'packages', 'ui')]);
+
+    const single = createWorkspace({ 'package.json': '{ "name": "app" }', 'src/App.jsx': '' });
+    assert.deepStrictEqual(findWorkspacePackages(single), [], 'no workspace');
+    console.log('✓ Package discovery tests passed');
+}
+
+function test_package_root() {
+    console.log('\n=== Testing package of a file ===');
+    const root = path.join(os.tmpdir(), 'repo');
+    const packages = [path.join(root, 'apps', 'web'), path.join(root, 'apps', 'web', 'embedded'), path.join(root, 'apps', 'website')];
+
+    assert.strictEqual(getPackageRoot(path.join(root, 'apps', 'web', 'src', 'App.jsx'), packages), packages[0]);
+    assert.strictEqual(getPackageRoot(path.join(root, 'apps', 'web', 'embedded', 'App.jsx'), packages), packages[1], 'innermost package');
+    assert.strictEqual(getPackageRoot(path.join(root, 'apps', 'website', 'App.jsx'), packages), packages[2], 'no prefix match');
+    assert.strictEqual(getPackageRoot(path.join(root, 'scripts', 'build.js'), packages), null);
+    console.log('✓ Package root tests passed');
+}
+
+function test_package_settings() {
+    console.log('\n=== Testing package settings ===');
+    const root = createWorkspace({
+        'public/custom-ux-rules/a.cjs': '',
+        'apps/web/rules/b.cjs': ''
+    });
+    const web = path.join(root, 'apps', 'web');
+
+    assert.strictEqual(getCustomRuleRoot([web, root], 'rules'), web, 'own rule folder');
+    assert.strictEqual(getCustomRuleRoot([web, root]), root, 'shared rule folder of the workspace root');
+
+    const merged = mergeProjectSettings(
+        { targetUrl: 'http://localhost:3000', rules: { 'footer-nav': 'off', 'missing-placeholder': 'info' } },
+        { targetUrl: 'http://localhost:5173', rules: { 'missing-placeholder': 'error' } }
+    );
+    assert.deepStrictEqual(merged, {
+        targetUrl: 'http://localhost:5173',
+        rules: { 'footer-nav': 'off', 'missing-placeholder': 'error' }
+    });
+    console.log('✓ Package settings tests passed');
+}
+
+function runAllTests() {
+    try {
+        test_parse_pnpm_workspace();
+        test_find_packages();
+        test_package_root();
+        test_package_settings();
+        console.log('\n🎉 All workspace package tests passed!');
+    } catch (error) {
+        console.log(`✗ Workspace package test failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+runAllTests();